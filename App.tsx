@@ -1,43 +1,68 @@
-import React, { useEffect, useRef } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React from 'react';
+import { NavigationContainer, getStateFromPath } from '@react-navigation/native';
+import type { LinkingOptions } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Provider as PaperProvider } from 'react-native-paper';
 
-import { connectAndSubscribe } from './src/utils/MqttNativeClient';
-
 import MqttDeviceListScreen from './src/screens/MqttDeviceListScreen';
 import AddMqttDevice from './src/screens/AddMqttDevice';
 import MqttDeviceGridScreen from './src/screens/MqttDeviceGridScreen';
+import MqttDiagnosticsScreen from './src/screens/MqttDiagnosticsScreen';
+import { PROVISION_SCHEME, hasProvisioningLink, parseProvisioningLink } from './src/utils/Provisioning';
+import { configureClientIds } from './src/utils/MqttManager';
+import { getInstallId } from './src/utils/MqttDeviceStorage';
+import { stableClientId } from './src/utils/SessionSettings';
+import { describeAlarm, loadAlarms, setAlarmNotifier } from './src/utils/AlarmEngine';
+import { showLocalNotification } from './src/utils/LocalNotifications';
 
 const Stack = createNativeStackNavigator();
 
-export default function App() {
-  const startedRef = useRef(false);
+// Pooled broker connections keep the same client id across restarts (persistent sessions)
+configureClientIds((key: string) => getInstallId().then((id: string) => stableClientId(id, key)));
+// Reconnects follow AppState and the backoff only: no network-change source is wired yet,
+// configureReconnect({ reachability }) takes one once a NetInfo-style module is added
 
-  useEffect(() => {
-    if (startedRef.current) return;
-    startedRef.current = true;
+// Over-current alarms are checked on every gateway the device list watches (DevicePresence),
+// whichever screen is open; each newly raised alarm becomes a system notification
+loadAlarms();
+setAlarmNotifier((alarm: any) => {
+  showLocalNotification({
+    id: alarm.id,
+    title: 'Over-current',
+    body: describeAlarm(alarm),
+    threadId: alarm.gateway,
+  });
+});
 
-    connectAndSubscribe({
-      host: 'myebq.ddns.net',
-      port: 8883,
-      username: 'dengkai',
-      password: 'myEBQ_dk',
-      useTls: true,
-      // topic: '#', // 先别订阅，先确认能 CONNECTED
-      onStatus: (status: any) => console.log('STATUS:', status),
-      onMessage: (message: any) => console.log('MESSAGE:', message),
-      onError: (err: any) => console.log('ERROR:', err),
-    });
-  }, []);
+// ebqcontrol://add?... (provisioning link / QR code) opens Add Device pre-filled
+const linking: LinkingOptions<ReactNavigation.RootParamList> = {
+  prefixes: [`${PROVISION_SCHEME}://`],
+  getStateFromPath: (path, options) => {
+    const link = `${PROVISION_SCHEME}://${path.replace(/^\//, '')}`;
+    if (!hasProvisioningLink(link)) return getStateFromPath(path, options);
+    try {
+      return {
+        routes: [
+          { name: 'MqttDeviceList' },
+          { name: 'AddMqttDevice', params: { provision: parseProvisioningLink(link) } },
+        ],
+      };
+    } catch (e) {
+      console.log('[LINK] invalid provisioning link', (e as Error)?.message || String(e));
+      return undefined;
+    }
+  },
+};
 
+export default function App() {
   return (
     <PaperProvider>
-      <NavigationContainer>
+      <NavigationContainer linking={linking}>
         <Stack.Navigator initialRouteName="MqttDeviceList">
           <Stack.Screen name="MqttDeviceList" component={MqttDeviceListScreen} options={{ title: 'EBQ Control' }} />
           <Stack.Screen name="AddMqttDevice" component={AddMqttDevice} options={{ title: 'Add Device' }} />
           <Stack.Screen name="MqttDeviceDetail" component={MqttDeviceGridScreen} options={{ title: 'Device Detail' }} />
+          <Stack.Screen name="MqttDiagnostics" component={MqttDiagnosticsScreen} options={{ title: 'Connection Diagnostics' }} />
         </Stack.Navigator>
       </NavigationContainer>
     </PaperProvider>
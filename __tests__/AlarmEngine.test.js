@@ -0,0 +1,102 @@
+/**
+ * @format
+ */
+
+import {
+  acknowledgeAlarm,
+  clearAlarm,
+  evaluateChannel,
+  getAlarms,
+  setAlarmNotifier,
+  setAlarmThreshold,
+  unacknowledgedCount,
+} from '../src/utils/AlarmEngine';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const GW = { cpid: '51c5c752', deviceId: 'EBQ0001' };
+
+afterEach(async () => {
+  setAlarmNotifier(null);
+  await setAlarmThreshold(100);
+  getAlarms().forEach(a => clearAlarm(a.id));
+});
+
+test('a single-phase channel alarms above its rating and ends with hysteresis', async () => {
+  const raised = [];
+  setAlarmNotifier(a => raised.push(a));
+  await setAlarmThreshold(90);
+
+  const reading = (currents, now) =>
+    evaluateChannel({ ...GW, channel: 17, name: 'Pump', currents, rating: 10, now });
+
+  expect(reading(8.9, 1000).over).toBe(false);
+  expect(reading(9.5, 2000).over).toBe(true);
+  expect(reading(12, 3000).over).toBe(true); // same alarm, new peak
+  expect(reading(8.8, 4000).over).toBe(true); // still above 85%
+  expect(reading(8.4, 5000).over).toBe(false);
+
+  expect(raised).toHaveLength(1);
+  expect(getAlarms()).toEqual([
+    expect.objectContaining({
+      channel: 17,
+      phase: null,
+      name: 'Pump',
+      thresholdPct: 90,
+      peak: 12,
+      raisedAt: 2000,
+      endedAt: 5000,
+      active: false,
+      acknowledged: false,
+    }),
+  ]);
+  expect(unacknowledgedCount(GW.cpid, GW.deviceId)).toBe(1);
+
+  acknowledgeAlarm(getAlarms()[0].id);
+  expect(unacknowledgedCount(GW.cpid, GW.deviceId)).toBe(0);
+
+  clearAlarm(); // removes ended alarms
+  expect(getAlarms()).toEqual([]);
+});
+
+test('three-phase channels alarm per phase; no rating means no alarm', () => {
+  const r = evaluateChannel({ ...GW, channel: 201, currents: [5, 21, 19], rating: 20, now: 1 });
+  expect(r).toEqual({ over: true, phases: [false, true, false] });
+  expect(getAlarms()).toEqual([expect.objectContaining({ channel: 201, phase: 2, active: true })]);
+
+  expect(evaluateChannel({ ...GW, channel: 3, currents: 39, rating: 0 }).over).toBe(false);
+
+  // Losing the rating ends the alarm
+  expect(evaluateChannel({ ...GW, channel: 201, currents: [5, 21, 19], rating: null, now: 2 }).over).toBe(false);
+  expect(getAlarms()[0]).toMatchObject({ active: false, endedAt: 2 });
+});
+
+test('the alarm list is stored when an alarm is raised, ends or is acknowledged, not on every reading', async () => {
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+  const setItem = jest.spyOn(AsyncStorage, 'setItem');
+  // Saves of this test's channel (earlier tests may still be finishing theirs)
+  const saves = () => setItem.mock.calls
+    .filter(([key]) => key.includes('alarms'))
+    .map(([, value]) => JSON.parse(value))
+    .filter(list => list.some(a => a.channel === 9));
+
+  const reading = (currents, now) => evaluateChannel({ ...GW, channel: 9, currents, rating: 10, now });
+  reading(11, 1);
+  for (let now = 2; now < 50; now++) reading(10 + now / 10, now);
+  await settle();
+  expect(saves()).toHaveLength(1);
+  expect(getAlarms()[0]).toMatchObject({ active: true, peak: 14.9 }); // live values in memory
+
+  reading(5, 50);
+  await settle();
+  expect(saves()).toHaveLength(2);
+  expect(saves()[1]).toEqual([expect.objectContaining({ active: false, peak: 14.9, endedAt: 50 })]);
+
+  acknowledgeAlarm(getAlarms()[0].id);
+  await settle();
+  expect(saves()).toHaveLength(3);
+  setItem.mockRestore();
+});
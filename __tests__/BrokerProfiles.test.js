@@ -0,0 +1,67 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  deleteBrokerProfile,
+  exportBrokerProfile,
+  loadBrokerProfiles,
+  parseSharedProfile,
+  profileConnection,
+  saveBrokerProfile,
+} from '../src/utils/BrokerProfiles';
+import { getCredential } from '../src/utils/CredentialVault';
+import { loadMqttDevices, saveMqttDevices } from '../src/utils/MqttDeviceStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+test('built-in profiles are seeded once and can be deleted', async () => {
+  const seeded = await loadBrokerProfiles();
+  expect(seeded.map(p => p.id)).toEqual(['myebq', 'webiot']);
+  expect(seeded[0]).toMatchObject({ host: 'myebq.ddns.net', port: 8883, cpId: '51c5c752', keepAlive: 20, username: '' });
+
+  await deleteBrokerProfile('webiot');
+  expect((await loadBrokerProfiles()).map(p => p.id)).toEqual(['myebq']);
+});
+
+test('profile credentials are kept in the vault and pushed to linked devices', async () => {
+  const { profile } = await saveBrokerProfile({
+    name: 'Site', host: 'broker.local', port: '1883', transport: 'tcp', username: 'site', password: 'pw1', keepAlive: '30',
+  });
+  expect(profile.id).toMatch(/^bp_/);
+
+  const raw = await AsyncStorage.getItem('EBQ_BROKER_PROFILES');
+  expect(raw).not.toContain('pw1');
+  expect(await getCredential(profile.credentialId)).toEqual({ username: 'site', password: 'pw1' });
+  expect(profileConnection(profile)).toEqual({
+    host: 'broker.local', port: 1883, username: 'site', password: 'pw1', transport: 'tcp', wsPath: '/mqtt', keepAlive: 30,
+  });
+
+  await saveMqttDevices([
+    { deviceId: 'A', host: 'broker.local', port: 1883, profileId: profile.id, username: 'site', password: 'pw1' },
+    { deviceId: 'B', host: 'other', port: 1883 },
+  ]);
+  const { devicesUpdated } = await saveBrokerProfile({ ...profile, host: 'new.local', password: 'pw2' });
+  expect(devicesUpdated).toBe(1);
+
+  const [a, b] = await loadMqttDevices();
+  expect(a).toMatchObject({ host: 'new.local', password: 'pw2', keepAlive: 30 });
+  expect(b).toMatchObject({ host: 'other' });
+});
+
+test('shared profiles leave out credentials unless asked', () => {
+  const profile = { id: 'x', name: 'Site', host: 'h', port: 8883, username: 'u', password: 'p', credentialId: 'c1' };
+
+  const text = exportBrokerProfile(profile);
+  expect(text).not.toContain('"p"');
+  expect(text).not.toContain('c1');
+  expect(parseSharedProfile(text)).toMatchObject({ id: '', name: 'Site', host: 'h', port: 8883, username: '' });
+
+  expect(parseSharedProfile(exportBrokerProfile(profile, { includeCredentials: true })))
+    .toMatchObject({ username: 'u', password: 'p' });
+  expect(() => parseSharedProfile('{"type":"other"}')).toThrow('Not a broker profile');
+  expect(() => parseSharedProfile('nope')).toThrow('invalid JSON');
+});
@@ -0,0 +1,63 @@
+/**
+ * @format
+ */
+
+import { QUEUE_STATUS, createCommandQueue } from '../src/utils/CommandQueue';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('commands wait while offline and are replayed in order, newest toggle per channel', async () => {
+  let online = false;
+  const sent = [];
+  const queue = createCommandQueue({ isOnline: () => online });
+  const seen = [];
+  queue.subscribe(e => seen.push(`${e.label}:${e.status}`));
+
+  const send = label => () => {
+    sent.push(label);
+    return label;
+  };
+  const first = queue.enqueue({ key: 'switch:3', label: 'C3 ON', run: send('C3 ON') });
+  queue.enqueue({ key: 'name:1', label: 'Set Name C1', run: send('Set Name C1') });
+  const second = queue.enqueue({ key: 'switch:3', label: 'C3 OFF', run: send('C3 OFF') });
+
+  expect(sent).toEqual([]);
+  await expect(first).resolves.toMatchObject({ status: QUEUE_STATUS.SUPERSEDED });
+  expect(queue.list().map(e => e.label)).toEqual(['Set Name C1', 'C3 OFF']);
+  expect(queue.queuedFor('switch:3')).toMatchObject({ label: 'C3 OFF' });
+
+  expect(queue.flush()).toBe(0); // still offline
+  online = true;
+  expect(queue.flush()).toBe(2);
+  expect(sent).toEqual(['Set Name C1', 'C3 OFF']);
+  await expect(second).resolves.toMatchObject({ status: QUEUE_STATUS.SENT, result: 'C3 OFF' });
+  expect(queue.list()).toEqual([]);
+  expect(seen).toContain('C3 ON:superseded');
+
+  // Online with nothing waiting: sent at once
+  queue.enqueue({ key: 'switch:4', label: 'C4 ON', run: send('C4 ON') });
+  expect(sent).toEqual(['Set Name C1', 'C3 OFF', 'C4 ON']);
+  queue.dispose();
+});
+
+test('waiting commands expire, fail or are dropped', async () => {
+  let online = false;
+  const queue = createCommandQueue({ isOnline: () => online, ttlMs: 1000 });
+  const run = jest.fn();
+
+  const expired = queue.enqueue({ key: 'switch:1', label: 'C1 ON', run });
+  const longer = queue.enqueue({ key: 'switch:2', label: 'C2 ON', ttlMs: 5000, run });
+  jest.advanceTimersByTime(1000);
+  await expect(expired).resolves.toMatchObject({ status: QUEUE_STATUS.EXPIRED, reason: 'not connected' });
+  expect(queue.list().map(e => e.label)).toEqual(['C2 ON']);
+
+  queue.clear('disconnected');
+  await expect(longer).resolves.toMatchObject({ status: QUEUE_STATUS.DROPPED, reason: 'disconnected' });
+  expect(run).not.toHaveBeenCalled();
+
+  online = true;
+  const failed = queue.enqueue({ label: 'Set Rating C5', run: () => Promise.reject(new Error('not connected')) });
+  await expect(failed).resolves.toMatchObject({ status: QUEUE_STATUS.FAILED, reason: 'not connected' });
+  queue.dispose();
+});
@@ -0,0 +1,54 @@
+/**
+ * @format
+ */
+
+import { CMD_STATUS, createCommandTracker } from '../src/utils/CommandTracker';
+import { encodeSetName, encodeSwitch } from '../src/utils/EbqProtocol';
+
+const target = { cpid: '51c5c752', deviceId: 'EBQ0001' };
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('a command settles on a gateway message carrying its ackId and ignores its own echo', () => {
+  const tracker = createCommandTracker();
+  const seen = [];
+  tracker.subscribe(c => seen.push(c.status));
+
+  const sent = encodeSwitch({ ...target, channel: 3, action: 'ON', ackId: '1a2b3c4d', t: '2026-06-01T18:00:00.000Z' });
+  tracker.track({ ackId: '1a2b3c4d', kind: 'switch', channel: 3, expect: 'ON', payloads: [JSON.stringify(sent)] });
+  expect(tracker.pendingFor('switch', 3)).toMatchObject({ expect: 'ON' });
+
+  // Our own publish comes back on the subscribed topic
+  expect(tracker.handleMessage(JSON.parse(JSON.stringify(sent)))).toBeNull();
+  expect(tracker.get('1a2b3c4d').status).toBe(CMD_STATUS.PENDING);
+
+  // The gateway's re-publish of the command differs from ours (its own timestamp)
+  const reply = tracker.handleMessage({ ...sent, t: '2026-06-01T18:00:00.250Z' });
+  expect(reply).toMatchObject({ status: CMD_STATUS.ACKED, channel: 3 });
+  expect(tracker.pendingFor('switch', 3)).toBeNull();
+  expect(seen).toEqual([CMD_STATUS.PENDING, CMD_STATUS.ACKED]);
+  tracker.dispose();
+});
+
+test('failed publishes, timeouts and superseded commands', () => {
+  const tracker = createCommandTracker({ timeoutMs: 1000 });
+
+  const name = encodeSetName({ ...target, channel: 1, name: 'Pump', ackId: 'f1' });
+  tracker.track({ ackId: 'f1', kind: 'name', channel: 1, payloads: [JSON.stringify(name)] });
+  tracker.settleFor('name', 1, CMD_STATUS.FAILED, 'publish failed');
+  expect(tracker.get('f1')).toMatchObject({ status: CMD_STATUS.FAILED, reason: 'publish failed' });
+
+  tracker.track({ ackId: 't1', kind: 'rating', channel: 2 });
+  jest.advanceTimersByTime(1000);
+  expect(tracker.get('t1')).toMatchObject({ status: CMD_STATUS.TIMEOUT, reason: 'no reply' });
+
+  tracker.track({ ackId: 's1', kind: 'switch', channel: 5 });
+  tracker.track({ ackId: 's2', kind: 'switch', channel: 5 });
+  expect(tracker.get('s1')).toMatchObject({ status: CMD_STATUS.FAILED, reason: 'superseded' });
+  expect(tracker.pendingFor('switch', 5).ackIds).toEqual(['s2']);
+
+  tracker.reset('disconnected');
+  expect(tracker.get('s2')).toMatchObject({ status: CMD_STATUS.FAILED, reason: 'disconnected' });
+  tracker.dispose();
+});
@@ -0,0 +1,108 @@
+/**
+ * @format
+ */
+
+import { exportBundle, importBundle, parseBundle, previewImport } from '../src/utils/ConfigBundle';
+import { loadBrokerProfiles, saveBrokerProfile } from '../src/utils/BrokerProfiles';
+import { getCredential } from '../src/utils/CredentialVault';
+import {
+  getSettings,
+  loadMqttDevices,
+  mergeCache,
+  readCache,
+  saveMqttDevices,
+  updateSettings,
+} from '../src/utils/MqttDeviceStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+test('export leaves out credentials unless asked and parses back', async () => {
+  await saveMqttDevices([{ deviceId: 'A', host: 'h', port: 1883, username: 'u', password: 'secret' }]);
+  await mergeCache('names', 'CP', 'A', { 1: 'Pump' });
+  await updateSettings('alarm', { thresholdPct: 80 });
+
+  const { text, summary } = await exportBundle();
+  expect(text).not.toContain('secret');
+  expect(text).not.toContain('credentialId');
+  expect(summary).toMatchObject({ devices: 1, caches: 1, settings: 1 });
+
+  const bundle = parseBundle(text);
+  expect(bundle.devices[0]).toMatchObject({ deviceId: 'A', host: 'h' });
+  expect(bundle.devices[0]).not.toHaveProperty('username');
+  expect(bundle.caches.names).toEqual([{ cpid: 'CP', deviceId: 'A', value: { 1: 'Pump' } }]);
+
+  const withSecrets = parseBundle((await exportBundle({ includeCredentials: true })).text);
+  expect(withSecrets.devices[0]).toMatchObject({ username: 'u', password: 'secret' });
+});
+
+test('invalid bundles throw and invalid entries are skipped', () => {
+  expect(() => parseBundle('nope')).toThrow('invalid JSON');
+  expect(() => parseBundle('{"type":"ebq-broker-profile"}')).toThrow('Not a configuration bundle');
+  expect(() => parseBundle('{"type":"ebq-config-bundle","version":99}')).toThrow('newer app version');
+
+  const bundle = parseBundle(JSON.stringify({
+    type: 'ebq-config-bundle',
+    version: 1,
+    devices: [{ deviceId: 'A', host: 'h', port: 1883 }, { deviceId: 'A', host: 'h', port: 1883 }, { host: 'x' }],
+    profiles: [{ id: 'p', name: 'P', host: 'h', port: 'x' }],
+    settings: { ui: { compact: true }, junk: 3 },
+  }));
+  expect(bundle.devices).toHaveLength(1);
+  expect(bundle.profiles).toHaveLength(0);
+  expect(bundle.rejected.map(r => r.what)).toEqual(['device A', 'device #3', 'profile P']);
+  expect(bundle.settings).toEqual({ ui: { compact: true } });
+});
+
+test('merge keeps local entries and credentials; replace removes what is not in the bundle', async () => {
+  await saveMqttDevices([
+    { deviceId: 'A', host: 'old', port: 1883, username: 'u', password: 'pw' },
+    { deviceId: 'B', host: 'h', port: 1883 },
+  ]);
+  const { profile } = await saveBrokerProfile({ name: 'Site', host: 'broker', port: 1883 });
+
+  const bundle = parseBundle(JSON.stringify({
+    type: 'ebq-config-bundle',
+    version: 1,
+    devices: [{ deviceId: 'A', host: 'new', port: 1883 }, { deviceId: 'C', host: 'h', port: 1883 }],
+    profiles: [{ ...profile, host: 'broker2' }],
+    caches: { names: [{ cpid: 'CP', deviceId: 'C', value: { 2: 'Fan' } }] },
+    settings: { ui: { theme: 'dark' } },
+  }));
+
+  const preview = await previewImport(bundle);
+  expect(preview.devices).toEqual({ added: ['C'], updated: ['A'], removed: ['B'] });
+
+  await importBundle(bundle, { mode: 'merge' });
+  let devices = await loadMqttDevices();
+  expect(devices.map(d => d.deviceId)).toEqual(['A', 'B', 'C']);
+  expect(devices[0]).toMatchObject({ host: 'new', username: 'u', password: 'pw' });
+  expect((await loadBrokerProfiles()).find(p => p.id === profile.id).host).toBe('broker2');
+  expect(await readCache('names', 'CP', 'C')).toEqual({ 2: 'Fan' });
+  expect(await getSettings('ui')).toEqual({ theme: 'dark' });
+
+  await importBundle(bundle, { mode: 'replace' });
+  devices = await loadMqttDevices();
+  expect(devices.map(d => d.deviceId)).toEqual(['A', 'C']);
+  expect((await loadBrokerProfiles()).map(p => p.id)).toEqual([profile.id]);
+  expect(await getSettings('alarm')).toEqual({});
+});
+
+test('imported credentials overwrite the vault entry of the saved device', async () => {
+  await saveMqttDevices([{ deviceId: 'V', host: 'h', port: 1883, username: 'u', password: 'pw' }]);
+  const [before] = await loadMqttDevices();
+  expect(before.credentialId).toBeTruthy();
+
+  const bundle = parseBundle(JSON.stringify({
+    type: 'ebq-config-bundle',
+    version: 1,
+    includesCredentials: true,
+    devices: [{ deviceId: 'V', host: 'h', port: 1883, username: 'u2', password: 'pw2' }],
+  }));
+  await importBundle(bundle, { mode: 'merge' });
+
+  const [after] = await loadMqttDevices();
+  expect(after).toMatchObject({ credentialId: before.credentialId, username: 'u2', password: 'pw2' });
+  expect(await getCredential(before.credentialId)).toMatchObject({ username: 'u2', password: 'pw2' });
+});
@@ -0,0 +1,73 @@
+/**
+ * @format
+ */
+
+import { setMqttSocketFactory } from '../src/utils/MqttNativeClient';
+import { formatReport, networkSteps, parseConnackCode, runDiagnostics } from '../src/utils/ConnectionDiagnostics';
+import { encodePublish } from '../src/utils/MqttPacket';
+import { createFakeBroker } from './helpers/fakeBroker';
+
+// Broker that refuses wildcard subscriptions and publishes once for the device topic
+const fakeBroker = ({ returnCode = 0 } = {}) => createFakeBroker({
+  connackCode: returnCode,
+  subackCode: topic => (topic.includes('/+/') ? 0x80 : 0),
+  onSubscribe: sock => sock.send(encodePublish({ topic: 'devices/51c5c752/GW1/messages/events/', payload: '{"d":{}}' })),
+}).factory;
+
+const device = { deviceId: 'GW1', friendlyName: 'Panel', host: 'broker.local', port: 8812, useTls: true, transport: 'ws', cpId: '51c5c752' };
+
+afterEach(() => setMqttSocketFactory(null));
+
+test('a healthy device passes login, subscribe and first message', async () => {
+  setMqttSocketFactory(fakeBroker());
+  const report = await runDiagnostics(device, { messageWaitMs: 2000 });
+  const status = Object.fromEntries(report.steps.map(s => [s.key, s.status]));
+
+  // No native module under Jest: network steps are skipped
+  expect(status).toEqual({ dns: 'skip', tcp: 'skip', tls: 'skip', connack: 'ok', suback: 'warn', message: 'ok' });
+  const suback = report.steps.find(s => s.key === 'suback').detail;
+  expect(suback[0]).toMatch(/^Granted devices\/51c5c752\/GW1\/messages\/events\/#/);
+  expect(suback[1]).toMatch(/^Refused devices\/51c5c752\/\+\/messages\/events\/#: .*SUBACK=0x80.*Discover/);
+
+  const text = formatReport(report);
+  expect(text).toContain('Broker: wss://broker.local:8812/mqtt');
+  expect(text).toContain('[OK] MQTT login (CONNACK)');
+  expect(text).toContain('[WARN] Subscribe (SUBACK)');
+});
+
+test('a refused login reports the CONNACK code and skips the rest', async () => {
+  setMqttSocketFactory(fakeBroker({ returnCode: 5 }));
+  const report = await runDiagnostics(device);
+  const connack = report.steps.find(s => s.key === 'connack');
+  expect(connack.status).toBe('fail');
+  expect(connack.detail[0]).toBe('Refused: return code 5 (Not authorized)');
+  expect(report.steps.slice(4).map(s => s.status)).toEqual(['skip', 'skip']);
+
+  expect(parseConnackCode('connect failed (reasonCode=4): bad user')).toBe(4);
+  expect(parseConnackCode('connack=notAuthorized')).toBe(5);
+  expect(parseConnackCode('reasonCode=32103')).toBeNull();
+});
+
+test('native network results become report steps', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const steps = networkSteps({
+    dns: { ok: true, ms: 12, addresses: ['10.0.0.2'] },
+    tcp: { ok: true, ms: 30, address: '10.0.0.2:8883' },
+    tls: {
+      ok: true, ms: 80, protocol: 'TLSv1.2', trusted: false, trustError: 'self signed',
+      certificates: [{ subject: 'CN=broker', issuer: 'CN=broker', notBefore: now - 1e10, notAfter: now - 1, sha256: 'AB:CD' }],
+    },
+  }, { useTls: true }, now);
+
+  expect(steps.dns).toMatchObject({ status: 'ok', detail: ['Addresses: 10.0.0.2'] });
+  expect(steps.tls.status).toBe('warn');
+  expect(steps.tls.detail).toEqual(expect.arrayContaining([
+    'Certificate is not trusted by the phone (the app connects anyway): self signed',
+    expect.stringMatching(/NOT VALID NOW/),
+    '    SHA-256: AB:CD',
+  ]));
+
+  const failed = networkSteps({ dns: { ok: true, ms: 1 }, tcp: { ok: false, ms: 8000, error: 'timeout' } }, { useTls: true });
+  expect(failed.tcp).toMatchObject({ status: 'fail', detail: ['timeout'] });
+  expect(failed.tls.status).toBe('skip');
+});
@@ -0,0 +1,74 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getCredential, getVaultStatus, initVault, lockVault, putCredential, removeVaultPin, setVaultPin, unlockVault } from '../src/utils/CredentialVault';
+import { addMqttDevice, loadMqttDevices, removeMqttDevice } from '../src/utils/MqttDeviceStorage';
+import { hmacSha256, openString, pbkdf2Sha256, sealString, sha256, utf8Encode } from '../src/utils/VaultCrypto';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const hex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+test('SHA-256, HMAC and PBKDF2 match known vectors', () => {
+  expect(hex(sha256(utf8Encode('abc'))))
+    .toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  expect(hex(hmacSha256(utf8Encode('key'), utf8Encode('The quick brown fox jumps over the lazy dog'))))
+    .toBe('f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8');
+  expect(hex(pbkdf2Sha256(utf8Encode('password'), utf8Encode('salt'), 2, 32)))
+    .toBe('ae4d0c95af6b46d32d0adff928f06dd02a303f8ef3c251dfd6e2d85a95474c43');
+});
+
+test('sealed boxes round-trip and reject a wrong key', () => {
+  const key = sha256(utf8Encode('k1'));
+  const box = sealString(key, 'päss wörd');
+  expect(box).not.toContain('päss');
+  expect(openString(key, box)).toBe('päss wörd');
+  expect(() => openString(sha256(utf8Encode('k2')), box)).toThrow('Wrong key');
+});
+
+test('plaintext device passwords are migrated into the vault', async () => {
+  await AsyncStorage.setItem('MQTT_DEVICES_V1', JSON.stringify([
+    { deviceId: 'EBQ1', host: 'broker', port: 1883, username: 'site', password: 'secret' },
+  ]));
+
+  const [loaded] = await loadMqttDevices();
+  expect(loaded).toMatchObject({ deviceId: 'EBQ1', username: 'site', password: 'secret' });
+
+  const stored = await AsyncStorage.getItem('EBQ_DEVICES');
+  expect(stored).not.toContain('secret');
+  const [record] = JSON.parse(stored).devices;
+  expect(record).toMatchObject({ deviceId: 'EBQ1', host: 'broker', credentialId: loaded.credentialId });
+  expect(record).not.toHaveProperty('username');
+  expect(record).not.toHaveProperty('password');
+  expect(await getCredential(loaded.credentialId)).toEqual({ username: 'site', password: 'secret' });
+
+  // Updating keeps the credential id; removing deletes the credential
+  await addMqttDevice({ deviceId: 'EBQ1', host: 'broker', port: 1883, username: 'site', password: 'new' });
+  expect((await loadMqttDevices())[0]).toMatchObject({ credentialId: loaded.credentialId, password: 'new' });
+  await removeMqttDevice('EBQ1');
+  expect(await getCredential(loaded.credentialId)).toBeNull();
+});
+
+test('a PIN locks the vault until it is unlocked', async () => {
+  await initVault();
+  expect(getVaultStatus()).toEqual({ mode: 'device', locked: false });
+  const id = await putCredential({ username: 'u', password: 'p' });
+
+  await expect(setVaultPin('12')).rejects.toThrow('at least');
+  await setVaultPin('1234');
+  lockVault();
+  expect(getVaultStatus()).toEqual({ mode: 'pin', locked: true });
+  await expect(getCredential(id)).rejects.toThrow('locked');
+  await expect(unlockVault('0000')).rejects.toThrow('Wrong PIN');
+
+  await unlockVault('1234');
+  expect(await getCredential(id)).toEqual({ username: 'u', password: 'p' });
+
+  await removeVaultPin();
+  expect(getVaultStatus()).toEqual({ mode: 'device', locked: false });
+  expect(await getCredential(id)).toEqual({ username: 'u', password: 'p' });
+});
@@ -0,0 +1,65 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  clearHistory,
+  flushHistory,
+  getChannelHistory,
+  historyKey,
+  loadHistory,
+  recordCurrents,
+} from '../src/utils/CurrentHistory';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const CPID = '51c5c752';
+const GW = 'EBQ0001';
+const T0 = Date.UTC(2025, 2, 14, 8, 0, 0);
+const MIN = 60 * 1000;
+
+afterEach(() => clearHistory(CPID, GW));
+
+test('readings are downsampled into per-range buckets with min / max / avg', () => {
+  recordCurrents(CPID, GW, { 1: 2, 201: [1, 4, 2] }, T0);
+  recordCurrents(CPID, GW, { 1: 6 }, T0 + 10 * 1000);
+  recordCurrents(CPID, GW, { 1: -0.1 }, T0 + 5 * MIN); // OFF marker
+
+  const hour = getChannelHistory(CPID, GW, 1, 'hour', T0 + 5 * MIN);
+  expect(hour.points).toHaveLength(60);
+  expect(hour.points[54]).toEqual({ t: T0, min: 2, max: 6, avg: 4 });
+  expect(hour.points[59]).toEqual({ t: T0 + 5 * MIN, min: 0, max: 0, avg: 0 });
+  expect(hour.points.filter(Boolean)).toHaveLength(2);
+  expect(hour).toMatchObject({ min: 0, max: 6, avg: 8 / 3, samples: 3 });
+
+  // Same readings land in one 15-minute bucket of the day range
+  const day = getChannelHistory(CPID, GW, 1, 'day', T0 + 5 * MIN);
+  expect(day.points.filter(Boolean)).toEqual([{ t: T0, min: 0, max: 6, avg: 8 / 3 }]);
+
+  // Three-phase channels keep the highest phase
+  expect(getChannelHistory(CPID, GW, 201, 'hour', T0).max).toBe(4);
+
+  // An hour later the old minute buckets have rolled out
+  const later = getChannelHistory(CPID, GW, 1, 'hour', T0 + 70 * MIN);
+  expect(later.samples).toBe(0);
+  expect(later.min).toBeNull();
+});
+
+test('history is persisted and restored per gateway', async () => {
+  recordCurrents(CPID, GW, { 17: 8.36 }, T0);
+  await flushHistory();
+
+  const raw = JSON.parse(await AsyncStorage.getItem(historyKey(CPID, GW)));
+  expect(raw.channels['17'].hour).toEqual([[T0 / MIN, 8.36, 8.36, 8.36, 1]]);
+
+  // Forget the in-memory copy, keep the stored one
+  await clearHistory(CPID, GW);
+  await AsyncStorage.setItem(historyKey(CPID, GW), JSON.stringify(raw));
+
+  await loadHistory(CPID, GW);
+  expect(getChannelHistory(CPID, GW, 17, 'week', T0)).toMatchObject({ max: 8.36, samples: 1 });
+  expect(getChannelHistory(CPID, 'OTHER', 17, 'week', T0).samples).toBe(0);
+});
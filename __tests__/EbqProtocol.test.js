@@ -0,0 +1,141 @@
+/**
+ * @format
+ */
+
+import {
+  EBQ_EVENT,
+  currentConfirmsSwitch,
+  decode,
+  encodeFastInterval,
+  encodeNameQuery,
+  encodeSetName,
+  encodeSetRating,
+  encodeSwitch,
+  eventsBaseTopic,
+  eventsSubscribeTopic,
+  findAckId,
+  nameBankFor,
+  parseEventsTopic,
+  sanitizeName,
+  switchStateFromCurrent,
+  validateCpId,
+} from '../src/utils/EbqProtocol';
+import { totalLoadFromText } from '../src/utils/DevicePresence';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const T = '2025-03-14T08:30:00.000Z';
+const target = { cpid: '51c5c752', deviceId: 'EBQ0001', t: T };
+
+// No recorded gateway traffic is checked in yet. Until it is, fixtures are limited to what the
+// original grid-screen parser documents (telemetry values, name banks with their `H tails, rating
+// replies) and to echoes of the exact commands our encoders publish; ack replies are not faked here.
+const TELEMETRY =
+  '{"d":{"current":{"C1":-0.1,"C2":0.23,"C3":"8.36A","C201":[1.2,1.3,1.1],"C202":0.5,"C999":4}},"cpId":"51c5c752"}';
+const NAME1_REPLY =
+  '{"cmdType":"5","d":{"Name1":{"C1":"Pump","C2":"Lights`H","C3":"\uFFFD\uFFFD","C4":"Device 4"}}}';
+const RATING_REPLY = '{"cmdType":"4","data":{"Rating":{"C1":[16,2],"C2":[10],"C3":["20","1"]}}}';
+const SWITCH_ECHO = JSON.stringify(encodeSwitch({ ...target, channel: 17, action: 'OFF', ackId: 'a1b2c3d4' }));
+const SET_NAME_ECHO = JSON.stringify(encodeSetName({ ...target, channel: 5, name: 'Heater', ackId: 'b2c3d4e5' }));
+
+test('encoders build the cmdType 1 / 4 / 5 shapes', () => {
+  expect(encodeSwitch({ ...target, channel: 17, action: 'on', ackId: 'a1b2c3d4' })).toEqual({
+    cmdType: '1',
+    t: T,
+    sdk: { e: 'DengKai', v: '1.0' },
+    data: { cpid: '51c5c752', id: 'EBQ0001', command: [{ ON: 'C17' }], ack: false, ackId: 'a1b2c3d4' },
+  });
+
+  expect(encodeNameQuery({ ...target, bank: 'Name2', ackId: 'x' }).data).toMatchObject({
+    command: ['Name2'],
+    ack: false,
+  });
+  expect(encodeFastInterval({ ...target, ackId: 'x' })).toMatchObject({
+    cmdType: '4',
+    data: { command: ['fast interval'] },
+  });
+
+  const nameA = encodeSetName({ ...target, channel: 5, name: 'Heater', ackId: 'A' });
+  const nameB = encodeSetName({ ...target, channel: 5, name: 'Heater', ackId: 'B', arrayForm: true });
+  expect(nameA.cmdType).toBe(5);
+  expect(nameA.data.command).toEqual({ 'Set Name': { C5: 'Heater' } });
+  expect(nameB.data.command).toEqual([{ 'Set Name': { C5: 'Heater' } }]);
+
+  const rating = encodeSetRating({ ...target, channel: 9, current: '16', sensitivity: 2, ackId: 'R' });
+  expect(rating.cmdType).toBe(4);
+  expect(rating.data.command).toEqual({ 'Set Rating': { C9: [16, 2] } });
+
+  // Generated ackId when none is given
+  expect(encodeSwitch({ ...target, channel: 1, action: 'OFF' }).data.ackId).toMatch(/^[0-9a-f]{8}$/);
+  expect(nameBankFor(80)).toBe('Name1');
+  expect(nameBankFor(81)).toBe('Name2');
+});
+
+test('decode turns gateway messages into typed events', () => {
+  expect(decode(TELEMETRY)).toEqual([
+    {
+      type: EBQ_EVENT.CURRENT,
+      single: { 1: -0.1, 2: 0.23, 3: 8.36 },
+      three: { 201: [1.2, 1.3, 1.1], 202: [0.5, 0.5, 0.5] },
+    },
+  ]);
+
+  expect(decode(NAME1_REPLY)).toEqual([
+    { type: EBQ_EVENT.NAMES, banks: ['Name1'], names: { 1: 'Pump', 2: 'Lights', 4: 'Device 4' } },
+  ]);
+
+  expect(decode(RATING_REPLY)).toEqual([
+    { type: EBQ_EVENT.RATINGS, ratings: { 1: [16, 2], 3: [20, 1] } },
+  ]);
+
+  expect(decode(SWITCH_ECHO)).toEqual([
+    { type: EBQ_EVENT.SWITCH, channel: 17, action: 'OFF' },
+    { type: EBQ_EVENT.ACK, ackId: 'a1b2c3d4' },
+  ]);
+  expect(decode(SET_NAME_ECHO)).toEqual([
+    { type: EBQ_EVENT.SET_NAME, names: { 5: 'Heater' } },
+    { type: EBQ_EVENT.ACK, ackId: 'b2c3d4e5' },
+  ]);
+});
+
+test('our own commands decode back as echoes carrying their ackId', () => {
+  const sent = encodeSetRating({ ...target, channel: 9, current: 16, sensitivity: 2, ackId: 'R', arrayForm: true });
+  expect(decode(JSON.stringify(sent))).toEqual([
+    { type: EBQ_EVENT.SET_RATING, ratings: { 9: [16, 2] } },
+    { type: EBQ_EVENT.ACK, ackId: 'R' },
+  ]);
+});
+
+test('garbage and unrelated messages decode to nothing', () => {
+  expect(decode('not json')).toEqual([]);
+  expect(decode('{"d":{"temp":21}}')).toEqual([]);
+  expect(decode(null)).toEqual([]);
+});
+
+test('helpers', () => {
+  expect(sanitizeName('  Fan\u0007`M ')).toBe('Fan');
+  expect(findAckId({ data: { ack: { ackId: 'c3' } } })).toBe('c3');
+  expect(findAckId({ d: {} })).toBeNull();
+  expect(switchStateFromCurrent(-0.1, 'ON')).toBe('OFF');
+  expect(switchStateFromCurrent(0.04, 'OFF')).toBe('ON');
+  expect(currentConfirmsSwitch(0.8, 'ON')).toBe(true);
+  expect(currentConfirmsSwitch(-0.1, 'ON')).toBe(false);
+  expect(currentConfirmsSwitch(-0.5, 'OFF')).toBe(false); // neither marker: proves nothing
+  expect(currentConfirmsSwitch([0.5, -0.1, 0.4], 'OFF')).toBe(true);
+  expect(totalLoadFromText(TELEMETRY)).toBe(13.69);
+  expect(totalLoadFromText('{"d":{"Name1":{}}}')).toBeNull();
+});
+
+test('topics are built from a validated cpId', () => {
+  expect(eventsSubscribeTopic('acme-01', 'GW1')).toBe('devices/acme-01/GW1/messages/events/#');
+  expect(eventsBaseTopic('acme-01', 'GW1')).toBe('devices/acme-01/GW1/messages/events');
+  expect(parseEventsTopic('devices/acme-01/GW1/messages/events/#')).toEqual({ cpid: 'acme-01', deviceId: 'GW1' });
+  expect(parseEventsTopic('other/topic')).toEqual({ cpid: '', deviceId: '' });
+
+  expect(validateCpId('51c5c752')).toBe('');
+  expect(validateCpId('')).toBe('cpId is required');
+  expect(validateCpId('a/+')).toMatch(/only contain/);
+  expect(eventsSubscribeTopic('a/#', 'GW1')).toBe('');
+});
@@ -0,0 +1,24 @@
+/**
+ * @format
+ */
+
+import { createGatewayCollector } from '../src/utils/GatewayDiscovery';
+
+const current = map => JSON.stringify({ d: { current: map } });
+
+test('collector lists each publishing gateway with channel count and last message time', () => {
+  const c = createGatewayCollector('51c5c752');
+
+  expect(c.add({ topic: 'devices/51c5c752/GW1/messages/events/', text: current({ C1: 1.2, C2: 0 }) }, 1000)).toBe(true);
+  expect(c.add({ topic: 'devices/51c5c752/GW2/messages/events/', text: '{"d":{}}' }, 2000)).toBe(true);
+  expect(c.add({ topic: 'devices/51c5c752/GW1/messages/events/', text: current({ C3: 0.5 }) }, 3000)).toBe(true);
+
+  // Other cpIds and non-event topics are ignored
+  expect(c.add({ topic: 'devices/other/GW3/messages/events/', text: '{}' }, 4000)).toBe(false);
+  expect(c.add({ topic: 'status/GW4', text: '{}' }, 4000)).toBe(false);
+
+  expect(c.list()).toEqual([
+    { deviceId: 'GW1', channelCount: 3, messages: 2, lastSeen: 3000 },
+    { deviceId: 'GW2', channelCount: 0, messages: 1, lastSeen: 2000 },
+  ]);
+});
@@ -0,0 +1,129 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  SCHEMA_VERSION,
+  cacheKey,
+  getSettings,
+  loadMqttDevices,
+  loadRejectedDevices,
+  mergeCache,
+  readCache,
+  removeCache,
+  saveMqttDevices,
+  updateMqttDevice,
+  updateSettings,
+} from '../src/utils/MqttDeviceStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// Runs first: migrations run once per app run (module load)
+test('v1 data is migrated to the current schema', async () => {
+  await AsyncStorage.multiSet([
+    ['MQTT_DEVICES_V1', JSON.stringify([
+      { deviceId: 'EBQ1', name: 'Panel A', host: ' broker ', port: '1883', lastStatus: 'online', presetKey: 'myebq' },
+      { deviceId: 'EBQ2', host: 'broker', username: 'admin', password: 'secret' },
+    ])],
+    ['EBQ_NAME_CACHE::CP1::EBQ1', JSON.stringify({ 1: 'Pump' })],
+    ['EBQ_ALARM_SETTINGS_V1', JSON.stringify({ thresholdPct: 90 })],
+    ['EBQ_SCENES::CP1::EBQ1', JSON.stringify([{ id: 's1', name: 'Night', states: { 1: 'OFF' } }])],
+    ['EBQ_CURRENT_HISTORY::CP1::EBQ1', JSON.stringify({ v: 1, channels: {} })],
+    ['EBQ_ALARMS_V1', JSON.stringify([{ id: 'a1', cpid: 'CP1', deviceId: 'EBQ1', channel: 3 }])],
+  ]);
+
+  const devices = await loadMqttDevices();
+  expect(devices).toHaveLength(1);
+  expect(devices[0]).toMatchObject({ deviceId: 'EBQ1', friendlyName: 'Panel A', host: 'broker', port: 1883, transport: 'auto' });
+  expect(devices[0]).toMatchObject({ profileId: 'myebq', cpId: '51c5c752' });
+  expect(devices[0]).not.toHaveProperty('lastStatus');
+  expect(devices[0]).not.toHaveProperty('presetKey');
+
+  expect(await AsyncStorage.getItem('EBQ_SCHEMA_VERSION')).toBe(String(SCHEMA_VERSION));
+  expect(await AsyncStorage.getItem('MQTT_DEVICES_V1')).toBeNull();
+  expect(await AsyncStorage.getItem('EBQ_NAME_CACHE::CP1::EBQ1')).toBeNull();
+  expect(await readCache('names', 'CP1', 'EBQ1')).toEqual({ 1: 'Pump' });
+  expect(await getSettings('alarm')).toEqual({ thresholdPct: 90 });
+  // Feature keys of v4 live under the repository caches
+  expect(await readCache('scenes', 'CP1', 'EBQ1')).toEqual([{ id: 's1', name: 'Night', states: { 1: 'OFF' } }]);
+  expect(await readCache('history', 'CP1', 'EBQ1')).toEqual({ v: 1, channels: {} });
+  expect(await readCache('alarms', 'CP1', 'EBQ1')).toMatchObject([{ id: 'a1', channel: 3 }]);
+  expect(await AsyncStorage.getItem('EBQ_SCENES::CP1::EBQ1')).toBeNull();
+  expect(await AsyncStorage.getItem('EBQ_ALARMS_V1')).toBeNull();
+
+  const [rejected] = await loadRejectedDevices();
+  expect(rejected.record).toMatchObject({ deviceId: 'EBQ2' });
+  expect(rejected.errors[0]).toMatch(/port/);
+  // Quarantined records never keep the broker login
+  expect(rejected.record).toMatchObject({ username: '<removed>', password: '<removed>' });
+  expect(await AsyncStorage.getItem('EBQ_DEVICES_REJECTED')).not.toContain('secret');
+});
+
+test('invalid and duplicate records are quarantined instead of dropping the list', async () => {
+  await AsyncStorage.setItem('EBQ_DEVICES', JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    devices: [
+      { deviceId: 'A', host: 'h', port: 1883 },
+      { deviceId: 'A', host: 'other', port: 1883 },
+      { host: 'h', port: 1883 },
+      { deviceId: 'Q', host: 'h', port: 1883, cpId: 'a/#' },
+      'junk',
+    ],
+  }));
+
+  expect((await loadMqttDevices()).map(d => d.host)).toEqual(['h']);
+  expect(JSON.parse(await AsyncStorage.getItem('EBQ_DEVICES')).devices).toHaveLength(1);
+  const errors = (await loadRejectedDevices()).slice(0, 4).flatMap(r => r.errors);
+  expect(errors).toEqual(expect.arrayContaining(['duplicate deviceId A', 'deviceId is required', 'not an object']));
+  expect(errors.some(e => e.startsWith('cpId may only'))).toBe(true);
+});
+
+test('a corrupted device list throws once and is reset', async () => {
+  await AsyncStorage.setItem('EBQ_DEVICES', '{"devices": [{"deviceId":"A","password":"secret"');
+  await expect(loadMqttDevices()).rejects.toThrow('corrupted');
+  expect(await loadMqttDevices()).toEqual([]);
+  expect((await loadRejectedDevices())[0].record).toBe('{"devices": [{"deviceId":"A","password":"<removed>"');
+});
+
+test('saving an invalid device is rejected', async () => {
+  await expect(saveMqttDevices([{ deviceId: 'X', host: '', port: 0 }])).rejects.toThrow('Invalid device X');
+});
+
+test('editing a device keeps its position and creation time', async () => {
+  await saveMqttDevices([
+    { deviceId: 'A', host: 'h', port: 1883, createdAt: 1 },
+    { deviceId: 'B', host: 'h', port: 1883, createdAt: 2 },
+  ]);
+  await updateMqttDevice({ deviceId: 'B', friendlyName: 'Moved', host: 'new-host', port: 8883, createdAt: 99 });
+
+  const list = await loadMqttDevices();
+  expect(list.map(d => d.deviceId)).toEqual(['A', 'B']);
+  expect(list[1]).toMatchObject({ friendlyName: 'Moved', host: 'new-host', port: 8883, createdAt: 2 });
+  await expect(updateMqttDevice({ deviceId: 'C', host: 'h', port: 1 })).rejects.toThrow('not saved');
+});
+
+test('a new cpId takes the gateway caches along', async () => {
+  await saveMqttDevices([{ deviceId: 'G', host: 'h', port: 1883, cpId: 'old' }]);
+  await mergeCache('names', 'old', 'G', { 1: 'Pump' });
+  await AsyncStorage.setItem(cacheKey('schedules', 'old', 'G'), JSON.stringify({ location: null, schedules: [] }));
+
+  await updateMqttDevice({ deviceId: 'G', host: 'h', port: 1883, cpId: 'new' });
+  expect(await readCache('names', 'new', 'G')).toEqual({ 1: 'Pump' });
+  expect(await readCache('schedules', 'new', 'G')).toEqual({ location: null, schedules: [] });
+  expect(await readCache('names', 'old', 'G')).toBeNull();
+});
+
+test('caches and settings round-trip through the repository', async () => {
+  await mergeCache('names', 'CP2', 'D', { 1: 'a' });
+  expect(await mergeCache('names', 'CP2', 'D', { 2: 'b' })).toEqual({ 1: 'a', 2: 'b' });
+  expect(await AsyncStorage.getItem(cacheKey('names', 'CP2', 'D'))).toBe('{"1":"a","2":"b"}');
+  await removeCache('names', 'CP2', 'D');
+  expect(await readCache('names', 'CP2', 'D')).toBeNull();
+
+  await updateSettings('ui', { compact: true });
+  expect(await updateSettings('ui', { theme: 'dark' })).toEqual({ compact: true, theme: 'dark' });
+  expect(await getSettings('missing')).toEqual({});
+});
@@ -0,0 +1,132 @@
+/**
+ * @format
+ */
+
+import { MqttClient, setMqttSocketFactory } from '../src/utils/MqttNativeClient';
+import { PACKET, decodeUtf8 } from '../src/utils/MqttPacket';
+import { createFakeBroker } from './helpers/fakeBroker';
+
+afterEach(() => setMqttSocketFactory(null));
+
+test('MqttClient falls back to the JS engine without MqttNative', async () => {
+  const broker = createFakeBroker();
+  setMqttSocketFactory(broker.factory);
+
+  const statuses = [];
+  const messages = [];
+  const client = new MqttClient();
+  await client.connect({
+    host: 'broker.local',
+    port: 8812,
+    username: 'user',
+    password: 'secret',
+    useTls: true,
+    transport: 'ws',
+    wsPath: 'mqtt',
+    topic: 'devices/51c5c752/A1/messages/events/#',
+    onStatus: s => statuses.push(s),
+    onMessage: m => messages.push(m),
+  });
+
+  const [sock] = broker.sockets;
+  expect(sock.endpoint).toEqual({
+    host: 'broker.local',
+    port: 8812,
+    useTls: true,
+    transport: 'ws',
+    wsPath: '/mqtt',
+  });
+  const connect = sock.received[0];
+  expect(connect).toMatchObject({ type: PACKET.CONNECT, username: 'user', password: 'secret', clientId: client.clientId });
+  expect(sock.subscriptions).toEqual(['devices/51c5c752/A1/messages/events/#']);
+  expect(statuses).toEqual([
+    'CONNECTING wss://broker.local:8812/mqtt',
+    'CONNECTED wss://broker.local:8812/mqtt',
+    'SUBSCRIBED devices/51c5c752/A1/messages/events/#',
+  ]);
+
+  broker.deliver('devices/51c5c752/A1/messages/events/', '{"d":{"current":{"C1":0.5}}}', 1);
+  expect(messages).toEqual([
+    { topic: 'devices/51c5c752/A1/messages/events/', text: '{"d":{"current":{"C1":0.5}}}' },
+  ]);
+  // QoS1 delivery is acknowledged back to the broker
+  expect(sock.received.some(p => p.type === PACKET.PUBACK && p.packetId === 99)).toBe(true);
+
+  await client.publish({ topic: 'devices/51c5c752/A1/messages/events/', payload: '{"cmdType":"1"}', qos: 1 });
+  const pub = sock.received.find(p => p.type === PACKET.PUBLISH);
+  expect(decodeUtf8(pub.payload)).toBe('{"cmdType":"1"}');
+
+  await client.disconnect();
+  expect(sock.received[sock.received.length - 1].type).toBe(PACKET.DISCONNECT);
+  expect(sock.closed).toBe(true);
+});
+
+test('refused CONNACK maps to the same user messages as the native path', async () => {
+  const broker = createFakeBroker({ connackCode: 5 });
+  setMqttSocketFactory(broker.factory);
+
+  const errors = [];
+  const client = new MqttClient();
+  await expect(
+    client.connect({ host: 'h', port: 1883, onError: e => errors.push(e) }),
+  ).rejects.toThrow('Connection failed: username/password required');
+  expect(errors[0]).toContain('reasonCode=5');
+  await client.disconnect();
+});
+
+test('a broker that never sends CONNACK fails the connect after 10 s and closes the socket', async () => {
+  const broker = createFakeBroker({ connackCode: null });
+  setMqttSocketFactory(broker.factory);
+
+  jest.useFakeTimers();
+  try {
+    const errors = [];
+    const client = new MqttClient();
+    const connecting = client.connect({ host: 'h', port: 8812, transport: 'ws', onError: e => errors.push(e) });
+    const failed = connecting.catch(e => e);
+    await Promise.resolve();
+    await Promise.resolve();
+    const [sock] = broker.sockets;
+    expect(sock.received[0].type).toBe(PACKET.CONNECT);
+
+    jest.advanceTimersByTime(9999);
+    expect(sock.closed).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect((await failed).message).toBe('Connection failed');
+    expect(sock.closed).toBe(true);
+    expect(errors[0]).toContain('no CONNACK within 10 s');
+    await client.disconnect();
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('TCP transport without a socket factory fails clearly', async () => {
+  const client = new MqttClient();
+  await expect(client.connect({ host: 'h', port: 1883 })).rejects.toThrow('Connection failed');
+  await client.disconnect();
+});
+
+test('a throwing onMessage callback does not tear the session down', async () => {
+  const broker = createFakeBroker();
+  setMqttSocketFactory(broker.factory);
+
+  const statuses = [];
+  const client = new MqttClient();
+  await client.connect({
+    host: 'h',
+    port: 8812,
+    transport: 'ws',
+    topic: 'devices/51c5c752/A1/messages/events/#',
+    onStatus: s => statuses.push(s),
+    onMessage: () => { throw new Error('screen bug'); },
+  });
+
+  const log = jest.spyOn(console, 'log').mockImplementation(() => { });
+  broker.deliver('devices/51c5c752/A1/messages/events/', '{}');
+  log.mockRestore();
+
+  expect(statuses.some(s => s.startsWith('DISCONNECTED'))).toBe(false);
+  await client.publish({ topic: 'devices/51c5c752/A1/messages/events/', payload: '{}', qos: 1 });
+  await client.disconnect();
+});
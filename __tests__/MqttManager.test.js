@@ -0,0 +1,248 @@
+/**
+ * @format
+ */
+
+import { setMqttSocketFactory } from '../src/utils/MqttNativeClient';
+import {
+  acquireDevice,
+  configureClientIds,
+  configureReconnect,
+  connectDevice,
+  disconnectDevice,
+  getConnectionLog,
+  getMqttState,
+  publishToDevice,
+  queuedCommands,
+  subscribeDeviceMessages,
+  subscribeMqttState,
+} from '../src/utils/MqttManager';
+import { PACKET, decodeUtf8, encodePublish } from '../src/utils/MqttPacket';
+import { stableClientId } from '../src/utils/SessionSettings';
+import { createFakeBroker } from './helpers/fakeBroker';
+
+const flush = async () => {
+  for (let i = 0; i < 20; i++) await Promise.resolve();
+};
+
+const gateway = (deviceId, extra = {}) => ({
+  deviceId,
+  host: 'broker.local',
+  port: 8812,
+  username: 'site',
+  password: 'pw',
+  useTls: true,
+  transport: 'ws',
+  cpId: '51c5c752',
+  topic: `devices/51c5c752/${deviceId}/messages/events/#`,
+  ...extra,
+});
+
+let broker;
+beforeEach(() => {
+  broker = createFakeBroker();
+  setMqttSocketFactory(broker.factory);
+});
+afterEach(() => setMqttSocketFactory(null));
+
+test('devices on the same broker share one connection and are reference counted', async () => {
+  const states = [];
+  const unsubState = subscribeMqttState('GW2', s => states.push(s));
+
+  const releaseA1 = acquireDevice(gateway('GW1'));
+  const releaseA2 = acquireDevice(gateway('GW1'));
+  const releaseB = acquireDevice(gateway('GW2'));
+  await flush();
+
+  expect(broker.open()).toHaveLength(1);
+  expect(broker.open()[0].subscriptions).toEqual([
+    'devices/51c5c752/GW1/messages/events/#',
+    'devices/51c5c752/GW2/messages/events/#',
+  ]);
+  expect(getMqttState('GW1')).toMatchObject({ deviceId: 'GW1', connected: true, connecting: false });
+  expect(states[states.length - 1]).toMatchObject({ deviceId: 'GW2', connected: true });
+  expect(getMqttState().devices).toHaveProperty('GW1');
+
+  // Messages are routed to the device whose topic matches
+  const gw1 = [];
+  const gw2 = [];
+  const offGw1 = subscribeDeviceMessages('GW1', m => gw1.push(m));
+  const offGw2 = subscribeDeviceMessages('GW2', m => gw2.push(m));
+  broker.open()[0].handlers.onData(
+    encodePublish({ topic: 'devices/51c5c752/GW2/messages/events/', payload: '{"d":{}}' }),
+  );
+  expect(gw1).toEqual([]);
+  expect(gw2).toEqual([{ deviceId: 'GW2', topic: 'devices/51c5c752/GW2/messages/events/', text: '{"d":{}}' }]);
+
+  await publishToDevice('GW1', { topic: 'devices/51c5c752/GW1/messages/events/', payload: '{}', qos: 0 });
+  expect(broker.open()[0].received.some(p => p.type === PACKET.PUBLISH)).toBe(true);
+
+  // Releasing GW2 only drops its subscription
+  releaseB();
+  await flush();
+  expect(broker.open()).toHaveLength(1);
+  expect(broker.open()[0].subscriptions).toEqual(['devices/51c5c752/GW1/messages/events/#']);
+  expect(getMqttState('GW2')).toMatchObject({ connected: false, status: 'IDLE' });
+
+  // GW1 is still held by one screen
+  releaseA1();
+  releaseA1(); // no-op
+  await flush();
+  expect(broker.open()).toHaveLength(1);
+
+  releaseA2();
+  await flush();
+  expect(broker.open()).toHaveLength(0);
+
+  offGw1();
+  offGw2();
+  unsubState();
+});
+
+test('commands published while the device is not ready wait in its queue until SUBACK', async () => {
+  const topic = 'devices/51c5c752/GW3/messages/events/';
+  const release = acquireDevice(gateway('GW3'));
+
+  const first = publishToDevice('GW3', { topic, payload: 'ON' }, { key: 'switch:1', label: 'C1 ON' });
+  const second = publishToDevice('GW3', { topic, payload: 'OFF' }, { key: 'switch:1', label: 'C1 OFF' });
+  const other = publishToDevice('GW3', { topic, payload: 'C2' }, { key: 'switch:2', label: 'C2 ON' });
+  expect(queuedCommands('GW3').map(e => e.label)).toEqual(['C1 OFF', 'C2 ON']);
+  await expect(first).rejects.toThrow('superseded');
+
+  await flush();
+  await Promise.all([second, other]);
+  const [sock] = broker.open();
+  const types = sock.received.map(p => p.type);
+  // Sent in order once the device topic is subscribed
+  expect(types.indexOf(PACKET.PUBLISH)).toBeGreaterThan(types.indexOf(PACKET.SUBSCRIBE));
+  expect(sock.received.filter(p => p.type === PACKET.PUBLISH).map(p => decodeUtf8(p.payload)))
+    .toEqual(['OFF', 'C2']);
+  expect(queuedCommands('GW3')).toEqual([]);
+
+  release();
+  await flush();
+});
+
+test('devices on different brokers get their own connection', async () => {
+  const releaseA = acquireDevice(gateway('GW1'));
+  const releaseB = acquireDevice(gateway('GW9', { username: 'other-site' }));
+  await flush();
+
+  expect(broker.open()).toHaveLength(2);
+  expect(getMqttState('GW1').connected).toBe(true);
+  expect(getMqttState('GW9').connected).toBe(true);
+
+  releaseA();
+  releaseB();
+  await flush();
+  expect(broker.open()).toHaveLength(0);
+});
+
+test('a broker that cannot be reached is retried on the reconnect policy schedule', async () => {
+  let setNetwork = null;
+  configureReconnect({ random: () => 0.5, reachability: (fn) => { setNetwork = fn; return () => { }; } });
+  const attempts = [];
+  setMqttSocketFactory((endpoint) => {
+    attempts.push(endpoint.host);
+    throw new Error('network unreachable');
+  });
+
+  const release = acquireDevice(gateway('GW5', { host: 'down.local' }));
+  await flush();
+  expect(attempts).toHaveLength(1);
+  expect(getMqttState('GW5')).toMatchObject({
+    phase: 'backing-off',
+    reason: 'attempt 1/8',
+    connected: false,
+    reconnect: { phase: 'waiting', attempt: 1, delayMs: 1000 },
+  });
+  expect(getConnectionLog('GW5').map(t => `${t.from}>${t.to}`)).toEqual([
+    'idle>resolving',
+    'resolving>connecting',
+    'connecting>failed',
+    'failed>backing-off',
+  ]);
+  expect(getConnectionLog('GW5')[2]).toMatchObject({ event: 'error', reason: 'Connection failed' });
+
+  // Network gone: nothing is scheduled; back: one attempt right away
+  setNetwork(false);
+  expect(getMqttState('GW5').reconnect).toMatchObject({ phase: 'offline', at: null });
+  setNetwork(true);
+  await flush();
+  expect(attempts).toHaveLength(2);
+  expect(getMqttState('GW5').reconnect).toMatchObject({ phase: 'waiting', attempt: 1 });
+
+  release();
+  await flush();
+  expect(getMqttState('GW5').reconnect).toBeNull();
+  configureReconnect();
+});
+
+test('the device screen and background watches share a session without tearing it down', async () => {
+  const releasePresence = acquireDevice(gateway('GW1'));
+  await connectDevice(gateway('GW1'));
+  expect(broker.open()).toHaveLength(1);
+  expect(getMqttState()).toMatchObject({ deviceId: 'GW1', phase: 'ready', connected: true });
+
+  // Leaving the device screen keeps the list's subscription
+  await disconnectDevice();
+  await flush();
+  expect(broker.open()).toHaveLength(1);
+  expect(getMqttState('GW1').connected).toBe(true);
+  expect(getMqttState().deviceId).toBeNull();
+
+  releasePresence();
+  await flush();
+  expect(broker.open()).toHaveLength(0);
+});
+
+test('a persistent session keeps its client id, subscribes with QoS 1 and sets a Last Will', async () => {
+  configureClientIds(key => Promise.resolve(stableClientId('a1b2c3d4e5', key)));
+  const device = gateway('GW7', { cleanSession: false, willTopic: 'monitor/ebq-app', willPayload: 'offline' });
+
+  const connects = [];
+  for (let i = 0; i < 2; i++) {
+    const release = acquireDevice(device);
+    await flush();
+    const [sock] = broker.open();
+    connects.push(sock.received.find(p => p.type === PACKET.CONNECT));
+    expect(sock.received.find(p => p.type === PACKET.SUBSCRIBE).subscriptions)
+      .toEqual([{ topic: device.topic, qos: 1 }]);
+    // The retained Last Will is replaced while connected
+    expect(sock.received.find(p => p.type === PACKET.PUBLISH)).toMatchObject({ topic: 'monitor/ebq-app', retain: true, qos: 1 });
+    release();
+    await flush();
+  }
+
+  expect(connects[0]).toMatchObject({
+    cleanSession: false,
+    clientId: expect.stringMatching(/^ebq_a1b2c3d4e5_/),
+    will: { topic: 'monitor/ebq-app', qos: 1, retain: true },
+  });
+  expect(connects[1].clientId).toBe(connects[0].clientId);
+  configureClientIds(null);
+});
+
+test('releasing a retained-will session restores "offline" first and the client id is reused only after DISCONNECT', async () => {
+  configureClientIds(key => Promise.resolve(stableClientId('a1b2c3d4e5', key)));
+  const device = gateway('GW8', { cleanSession: false, willTopic: 'monitor/ebq-app', willPayload: 'offline' });
+
+  const release = acquireDevice(device);
+  await flush();
+  release();
+  const again = acquireDevice(device); // same client id while the first one is still closing
+  await flush();
+  await flush();
+
+  const [first, second] = broker.sockets;
+  const tail = first.received.slice(-2);
+  expect(tail.map(p => p.type)).toEqual([PACKET.PUBLISH, PACKET.DISCONNECT]);
+  expect(tail[0]).toMatchObject({ topic: 'monitor/ebq-app', retain: true, qos: 1 });
+  expect(decodeUtf8(tail[0].payload)).toBe('offline');
+  expect(first.closed).toBe(true);
+  expect(second.openBefore).toBe(0);
+  expect(getMqttState('GW8').connected).toBe(true);
+
+  again();
+  await flush();
+  configureClientIds(null);
+});
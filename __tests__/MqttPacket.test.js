@@ -0,0 +1,123 @@
+/**
+ * @format
+ */
+
+import {
+  PACKET,
+  createPacketReader,
+  decodePacket,
+  decodeUtf8,
+  encodeConnack,
+  encodeConnect,
+  encodeDisconnect,
+  encodePingreq,
+  encodePublish,
+  encodeRemainingLength,
+  encodeSubscribe,
+  encodeSuback,
+  encodeUnsubscribe,
+  encodeUtf8,
+} from '../src/utils/MqttPacket';
+
+test('remaining length uses 7-bit continuation bytes', () => {
+  expect(encodeRemainingLength(0)).toEqual([0x00]);
+  expect(encodeRemainingLength(127)).toEqual([0x7f]);
+  expect(encodeRemainingLength(128)).toEqual([0x80, 0x01]);
+  expect(encodeRemainingLength(16383)).toEqual([0xff, 0x7f]);
+  expect(encodeRemainingLength(2097152)).toEqual([0x80, 0x80, 0x80, 0x01]);
+});
+
+test('utf-8 round trip keeps non-ASCII channel names', () => {
+  const name = 'Lampu 灯 ✅ 😀';
+  expect(decodeUtf8(encodeUtf8(name))).toBe(name);
+});
+
+test('CONNECT encodes the exact 3.1.1 header', () => {
+  const bytes = encodeConnect({ clientId: 'rn_1', username: 'u', password: 'p', keepalive: 20 });
+  expect(Array.from(bytes.slice(0, 12))).toEqual([
+    0x10, 22, // CONNECT, remaining length
+    0x00, 0x04, 0x4d, 0x51, 0x54, 0x54, // "MQTT"
+    0x04, // level 4
+    0xc2, // username + password + clean session
+    0x00, 0x14, // keepalive 20
+  ]);
+  expect(decodePacket(bytes)).toEqual({
+    type: PACKET.CONNECT,
+    protocolName: 'MQTT',
+    protocolLevel: 4,
+    cleanSession: true,
+    keepalive: 20,
+    clientId: 'rn_1',
+    will: null,
+    username: 'u',
+    password: 'p',
+  });
+});
+
+test('CONNECT carries the last will', () => {
+  const pkt = decodePacket(
+    encodeConnect({
+      clientId: 'c',
+      cleanSession: false,
+      will: { topic: 'app/status', payload: 'offline', qos: 1, retain: true },
+    }),
+  );
+  expect(pkt.cleanSession).toBe(false);
+  expect(pkt.will.topic).toBe('app/status');
+  expect(decodeUtf8(pkt.will.payload)).toBe('offline');
+  expect(pkt.will.qos).toBe(1);
+  expect(pkt.will.retain).toBe(true);
+});
+
+test('PUBLISH round trip for QoS 0 and QoS 1', () => {
+  const q0 = decodePacket(encodePublish({ topic: 'a/b', payload: '{"x":1}' }));
+  expect(q0).toMatchObject({ type: PACKET.PUBLISH, topic: 'a/b', qos: 0, retain: false });
+  expect(decodeUtf8(q0.payload)).toBe('{"x":1}');
+
+  const q1 = decodePacket(encodePublish({ topic: 'a/b', payload: 'hi', qos: 1, packetId: 7, retain: true }));
+  expect(q1).toMatchObject({ qos: 1, packetId: 7, retain: true });
+  expect(() => encodePublish({ topic: 'a', payload: '', qos: 1 })).toThrow('Invalid packet id');
+});
+
+test('SUBSCRIBE / SUBACK / UNSUBSCRIBE round trip', () => {
+  const sub = encodeSubscribe({ packetId: 3, subscriptions: [{ topic: 'devices/+/x/#', qos: 1 }] });
+  expect(sub[0]).toBe(0x82); // reserved flags 0b0010
+  expect(decodePacket(sub)).toEqual({
+    type: PACKET.SUBSCRIBE,
+    packetId: 3,
+    subscriptions: [{ topic: 'devices/+/x/#', qos: 1 }],
+  });
+  expect(decodePacket(encodeSuback({ packetId: 3, returnCodes: [1, 0x80] }))).toEqual({
+    type: PACKET.SUBACK,
+    packetId: 3,
+    returnCodes: [1, 0x80],
+  });
+  expect(decodePacket(encodeUnsubscribe({ packetId: 4, topics: ['a'] }))).toEqual({
+    type: PACKET.UNSUBSCRIBE,
+    packetId: 4,
+    topics: ['a'],
+  });
+});
+
+test('PINGREQ / DISCONNECT are two-byte packets', () => {
+  expect(Array.from(encodePingreq())).toEqual([0xc0, 0x00]);
+  expect(Array.from(encodeDisconnect())).toEqual([0xe0, 0x00]);
+});
+
+test('packet reader reassembles split and coalesced chunks', () => {
+  const got = [];
+  const reader = createPacketReader(p => got.push(p));
+  const big = encodePublish({ topic: 't', payload: 'x'.repeat(300) });
+  const stream = new Uint8Array([...encodeConnack({ returnCode: 0 }), ...big, ...encodePingreq()]);
+
+  reader.push(stream.slice(0, 3));
+  reader.push(stream.slice(3, 100));
+  expect(got.map(p => p.type)).toEqual([PACKET.CONNACK]);
+  reader.push(stream.slice(100));
+  expect(got.map(p => p.type)).toEqual([PACKET.CONNACK, PACKET.PUBLISH, PACKET.PINGREQ]);
+  expect(decodeUtf8(got[1].payload)).toHaveLength(300);
+});
+
+test('unknown packet type is rejected', () => {
+  expect(() => decodePacket(new Uint8Array([0xf0, 0x00]))).toThrow('Unrecognized packet type');
+});
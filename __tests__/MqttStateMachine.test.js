@@ -0,0 +1,54 @@
+/**
+ * @format
+ */
+
+import {
+  MQTT_EVENT,
+  MQTT_PHASE,
+  createMqttStateMachine,
+  describePhase,
+  eventOfStatus,
+  formatTransition,
+} from '../src/utils/MqttStateMachine';
+
+test('native status lines become events', () => {
+  expect(eventOfStatus('CONNECTING wss://broker.local:8812/mqtt')).toBe(MQTT_EVENT.TRANSPORT);
+  expect(eventOfStatus('CONNECTED broker.local:8883')).toBe(MQTT_EVENT.CONNACK);
+  expect(eventOfStatus('SUBSCRIBED devices/51c5c752/GW1/messages/events/#')).toBe(MQTT_EVENT.SUBACK);
+  expect(eventOfStatus('DISCONNECTED')).toBe(MQTT_EVENT.LOST);
+  expect(eventOfStatus('CONNECT_FAILED notAuthorized')).toBe(MQTT_EVENT.ERROR);
+  expect(eventOfStatus('RX 12')).toBeNull();
+});
+
+test('transitions follow the table and are logged with reasons and times', () => {
+  let clock = 1000;
+  const machine = createMqttStateMachine({ logSize: 5, now: () => clock });
+  const seen = [];
+  machine.subscribe(s => seen.push(s.phase));
+
+  expect(machine.send(MQTT_EVENT.CONNACK)).toBe(false); // not from idle
+  expect(machine.send(MQTT_EVENT.START, 'ssl://broker.local:8883')).toBe(true);
+  clock = 1200;
+  machine.send(MQTT_EVENT.TRANSPORT);
+  machine.send(MQTT_EVENT.CONNACK);
+  machine.send(MQTT_EVENT.SUBSCRIBE);
+  machine.send(MQTT_EVENT.SUBACK);
+  expect(machine.get()).toMatchObject({ phase: MQTT_PHASE.READY, since: 1200 });
+
+  clock = 5000;
+  machine.send(MQTT_EVENT.LOST, 'Connection lost');
+  machine.send(MQTT_EVENT.RETRY, 'attempt 1/8');
+  expect(machine.send(MQTT_EVENT.SUBACK)).toBe(false); // late SUBACK of the old session
+  expect(machine.get()).toEqual({ phase: MQTT_PHASE.BACKING_OFF, since: 5000, reason: 'attempt 1/8', event: 'retry' });
+  expect(seen).toEqual(['resolving', 'connecting', 'connected', 'subscribing', 'ready', 'failed', 'backing-off']);
+
+  const log = machine.log();
+  expect(log).toHaveLength(5); // capped at logSize
+  expect(log[3]).toEqual({ at: 5000, from: 'ready', to: 'failed', event: 'lost', reason: 'Connection lost' });
+  expect(formatTransition(log[3])).toMatch(/ ready -> failed \(lost\): Connection lost$/);
+  expect(describePhase(MQTT_PHASE.FAILED, 'Not authorized')).toBe('Failed: Not authorized');
+
+  machine.send(MQTT_EVENT.CLOSE);
+  machine.send(MQTT_EVENT.CLOSED);
+  expect(machine.get().phase).toBe(MQTT_PHASE.IDLE);
+});
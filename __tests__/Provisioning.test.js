@@ -0,0 +1,40 @@
+/**
+ * @format
+ */
+
+import { buildProvisioningLink, parseProvisioningLink } from '../src/utils/Provisioning';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+test('a saved device round-trips through its provisioning link', () => {
+  const device = {
+    deviceId: 'A208F6C7F', friendlyName: 'Panel A & B', profileId: 'myebq',
+    host: 'myebq.ddns.net', port: 8883, transport: 'tcp', useTls: true, wsPath: '/mqtt', cpId: 'site-2',
+    username: 'u', password: 'secret',
+  };
+  const link = buildProvisioningLink(device);
+  expect(link).toBe(
+    'ebqcontrol://add?profile=myebq&host=myebq.ddns.net&port=8883&transport=tcp&tls=1&cpid=site-2&device=A208F6C7F&name=Panel%20A%20%26%20B',
+  );
+  expect(link).not.toContain('secret');
+
+  expect(parseProvisioningLink(`New gateway: ${link} (thanks)`)).toEqual({
+    profileId: 'myebq', host: 'myebq.ddns.net', port: 8883, transport: 'tcp', useTls: true, wsPath: '',
+    cpId: 'site-2', deviceId: 'A208F6C7F', friendlyName: 'Panel A & B',
+  });
+});
+
+test('short links use defaults and bad links are refused', () => {
+  expect(parseProvisioningLink('ebqcontrol://add?profile=webiot&device=abc')).toMatchObject({
+    profileId: 'webiot', host: '', port: null, transport: '', useTls: null, cpId: '', deviceId: 'ABC',
+  });
+
+  expect(() => parseProvisioningLink('https://example.com')).toThrow('No provisioning link');
+  expect(() => parseProvisioningLink('ebqcontrol://add?profile=x')).toThrow('no device');
+  expect(() => parseProvisioningLink('ebqcontrol://add?device=A')).toThrow('no broker');
+  expect(() => parseProvisioningLink('ebqcontrol://add?host=h&device=A')).toThrow('no port');
+  expect(() => parseProvisioningLink('ebqcontrol://add?host=h&port=99999&device=A')).toThrow('invalid');
+  expect(() => parseProvisioningLink('ebqcontrol://add?host=h&port=1&device=A&cpid=a%2F%23')).toThrow('cpId may only');
+});
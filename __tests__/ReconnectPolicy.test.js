@@ -0,0 +1,101 @@
+/**
+ * @format
+ */
+
+import { RETRY_PHASE, createReconnectPolicy, describeRetry, retryDelay } from '../src/utils/ReconnectPolicy';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('delays grow exponentially up to the maximum, spread by the jitter', () => {
+  const opts = { baseMs: 1000, maxMs: 30000, factor: 2, jitter: 0.3 };
+  expect([1, 2, 3, 4, 5, 6, 7].map(n => retryDelay(n, opts, () => 0.5)))
+    .toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+  expect(retryDelay(3, opts, () => 0)).toBe(2800);
+  expect(retryDelay(3, opts, () => 1)).toBe(5200);
+  expect(retryDelay(9, opts, () => 1)).toBe(30000); // never above maxMs
+});
+
+test('attempts back off, cool down after maxAttempts and start over', () => {
+  const policy = createReconnectPolicy({ baseMs: 100, maxMs: 1000, maxAttempts: 2, cooldownMs: 5000, random: () => 0.5 });
+  const run = jest.fn();
+  const seen = [];
+  policy.subscribe((key, s) => seen.push(s && `${s.phase}:${s.attempt}`));
+
+  expect(policy.retry('b', run)).toMatchObject({ phase: RETRY_PHASE.WAITING, attempt: 1, delayMs: 100 });
+  expect(policy.retry('b', run).attempt).toBe(1); // already waiting: not counted twice
+  jest.advanceTimersByTime(100);
+  expect(run).toHaveBeenCalledTimes(1);
+
+  expect(policy.retry('b', run)).toMatchObject({ attempt: 2, delayMs: 200 });
+  jest.advanceTimersByTime(200);
+  const cooldown = policy.retry('b', run);
+  expect(cooldown).toMatchObject({ phase: RETRY_PHASE.COOLDOWN, attempt: 2, delayMs: 5000 });
+  expect(describeRetry(cooldown, cooldown.at - 4000)).toBe('2 attempts failed, trying again in 4 s');
+  jest.advanceTimersByTime(5000);
+  expect(run).toHaveBeenCalledTimes(3);
+  expect(policy.retry('b', run)).toMatchObject({ phase: RETRY_PHASE.WAITING, attempt: 1 });
+
+  policy.succeeded('b');
+  expect(policy.get('b')).toBeNull();
+  expect(seen).toEqual(['waiting:1', null, 'waiting:2', null, 'cooldown:2', null, 'waiting:1', null]);
+  policy.dispose();
+});
+
+test('the attempt count is only reset once the link stayed up for stableMs', () => {
+  const policy = createReconnectPolicy({ baseMs: 100, maxMs: 10000, stableMs: 30000, random: () => 0.5 });
+  const run = jest.fn();
+
+  policy.retry('b', run);
+  jest.advanceTimersByTime(100);
+  policy.succeeded('b');
+
+  // Dropped again right after SUBACK: keeps backing off
+  jest.advanceTimersByTime(1000);
+  expect(policy.retry('b', run)).toMatchObject({ attempt: 2, delayMs: 200 });
+  jest.advanceTimersByTime(200);
+  policy.succeeded('b');
+
+  // Stable for the grace period: the next drop starts over
+  jest.advanceTimersByTime(30000);
+  expect(policy.retry('b', run)).toMatchObject({ attempt: 1, delayMs: 100 });
+  policy.dispose();
+});
+
+test('no attempts in the background or offline, an immediate one when back', () => {
+  let appListener = null;
+  let netListener = null;
+  const appState = {
+    currentState: 'active',
+    addEventListener: (_, fn) => { appListener = fn; return { remove: jest.fn() }; },
+  };
+  const policy = createReconnectPolicy({
+    appState,
+    reachability: (fn) => { netListener = fn; return () => { }; },
+    random: () => 0.5,
+  });
+  const run = jest.fn();
+
+  policy.retry('b', run);
+  policy.retry('b', run); // same attempt
+  jest.advanceTimersByTime(1000);
+  policy.retry('b', run);
+  expect(policy.get('b')).toMatchObject({ attempt: 2, delayMs: 2000 });
+
+  appListener('background');
+  expect(policy.get('b')).toMatchObject({ phase: RETRY_PHASE.PAUSED, at: null });
+  jest.advanceTimersByTime(60000);
+  expect(run).toHaveBeenCalledTimes(1);
+  appListener('active');
+  expect(run).toHaveBeenCalledTimes(2);
+
+  policy.retry('b', run);
+  netListener(false);
+  expect(describeRetry(policy.get('b'))).toBe('Waiting for the network');
+  netListener(true);
+  expect(run).toHaveBeenCalledTimes(3);
+
+  // Backoff starts over after the network came back
+  expect(policy.retry('b', run)).toMatchObject({ attempt: 1, delayMs: 1000 });
+  policy.dispose();
+});
@@ -0,0 +1,77 @@
+/**
+ * @format
+ */
+
+import { CMD_STATUS } from '../src/utils/CommandTracker';
+import { captureStates, deleteScene, loadScenes, normalizeStates, runScene, saveScene } from '../src/utils/Scenes';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+test('states keep only valid channels and ON/OFF values', () => {
+  expect(normalizeStates({ C1: 'on', 121: 'ON', 201: 'OFF', 5: 'TRIP', 224: 'off' }))
+    .toEqual({ 1: 'ON', 201: 'OFF', 224: 'OFF' });
+
+  const tags = { 1: { status: 'ON' }, 2: { status: 'UNKNOWN' }, 3: { status: 'OFF' } };
+  expect(captureStates(tags)).toEqual({ 1: 'ON', 3: 'OFF' });
+  expect(captureStates(tags, [3])).toEqual({ 3: 'OFF' });
+});
+
+test('scenes are saved per gateway, updated by id and deleted', async () => {
+  await expect(saveScene('cp', 'GW', { name: ' ', states: { 1: 'ON' } })).rejects.toThrow('name');
+  await expect(saveScene('cp', 'GW', { name: 'Night', states: {} })).rejects.toThrow('channel');
+
+  const [night] = await saveScene('cp', 'GW', { name: ' Night ', states: { 1: 'OFF', 2: 'OFF' } });
+  expect(night).toMatchObject({ name: 'Night', states: { 1: 'OFF', 2: 'OFF' } });
+
+  await saveScene('cp', 'GW', { id: night.id, name: 'Night', states: { 1: 'OFF' } });
+  expect(await loadScenes('cp', 'GW')).toEqual([expect.objectContaining({ id: night.id, states: { 1: 'OFF' } })]);
+  expect(await loadScenes('cp', 'OTHER')).toEqual([]);
+
+  expect(await deleteScene('cp', 'GW', night.id)).toEqual([]);
+});
+
+test('runScene skips channels already set and reports confirmed / failed channels', async () => {
+  const sent = [];
+  const sendSwitch = jest.fn((ch, act) => {
+    sent.push(`${ch}:${act}`);
+    return Promise.resolve(ch === 3
+      ? { status: CMD_STATUS.TIMEOUT, reason: 'timeout' }
+      : { status: CMD_STATUS.ACKED });
+  });
+  const progress = [];
+
+  const result = await runScene(
+    { states: { 3: 'ON', 1: 'ON', 2: 'OFF', 201: 'OFF' } },
+    {
+      sendSwitch,
+      currentStatus: ch => (ch === 2 || ch === 3 ? 'OFF' : 'ON'),
+      intervalMs: 0,
+      onProgress: p => progress.push(p),
+    },
+  );
+
+  expect(sent).toEqual(['3:ON', '201:OFF']);
+  expect(result).toEqual({
+    confirmed: [201],
+    failed: [{ channel: 3, reason: 'timeout' }],
+    unchanged: [1, 2],
+    cancelled: false,
+  });
+  expect(progress[progress.length - 1]).toEqual({ sent: 2, total: 2, confirmed: 1, failed: 1 });
+});
+
+test('runScene stops sending once cancelled', async () => {
+  let n = 0;
+  const result = await runScene(
+    { states: { 1: 'ON', 2: 'ON', 3: 'ON' } },
+    {
+      sendSwitch: () => Promise.resolve({ status: CMD_STATUS.ACKED }),
+      intervalMs: 0,
+      isCancelled: () => n++ >= 1,
+    },
+  );
+  expect(result.confirmed).toEqual([1]);
+  expect(result.cancelled).toBe(true);
+});
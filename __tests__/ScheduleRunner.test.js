@@ -0,0 +1,142 @@
+/**
+ * @format
+ */
+
+import { QUEUE_STATUS } from '../src/utils/CommandQueue';
+import { saveScene } from '../src/utils/Scenes';
+import { SCHEDULE_REPEAT, saveSchedule } from '../src/utils/Schedules';
+import { createScheduleRunner } from '../src/utils/ScheduleRunner';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const at = (day, h, m = 0) => new Date(2026, 5, day, h, m).getTime();
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+// Gateway stand-in: sends every command at once, records publishes, lets the test reply on the device topic
+function fakeGateway() {
+  const gw = { published: [], listeners: new Set() };
+  gw.publish = (msg) => {
+    gw.published.push(msg);
+    return Promise.resolve();
+  };
+  gw.enqueue = ({ run }) => Promise.resolve({ status: QUEUE_STATUS.SENT, result: run(gw.publish) });
+  gw.subscribeMessages = (fn) => {
+    gw.listeners.add(fn);
+    return () => gw.listeners.delete(fn);
+  };
+  gw.reply = (json) => gw.listeners.forEach(fn => fn({ text: JSON.stringify(json) }));
+  return gw;
+}
+
+test('a due channel schedule is published on the device topic and confirmed by the current reading', async () => {
+  let now = at(1, 17, 59);
+  await saveSchedule('cp', 'RUN1', { target: { type: 'channel', channel: 5, action: 'ON' }, repeat: SCHEDULE_REPEAT.DAILY, time: '18:00' });
+
+  const gw = fakeGateway();
+  const runs = [];
+  const runner = createScheduleRunner({
+    cpid: 'cp',
+    deviceId: 'RUN1',
+    enqueue: gw.enqueue,
+    subscribeMessages: gw.subscribeMessages,
+    onRun: r => runs.push(r),
+    now: () => now,
+  });
+  runner.start();
+  await runner.reload();
+
+  now = at(1, 18) + 5000;
+  const ticking = runner.tick();
+  await flush();
+
+  expect(gw.published).toHaveLength(1);
+  const { topic, payload, qos } = gw.published[0];
+  expect(topic).toBe('devices/cp/RUN1/messages/events/');
+  expect(qos).toBe(1);
+  const sent = JSON.parse(payload);
+  expect(sent.data.command).toEqual([{ ON: 'C5' }]);
+
+  gw.reply(sent); // our own echo does not confirm anything
+  await flush();
+  expect(runs).toEqual([]);
+
+  gw.reply({ d: { current: { C5: -0.1 } } }); // still off
+  await flush();
+  expect(runs).toEqual([]);
+
+  gw.reply({ d: { current: { C5: 0.8 } } });
+  await ticking;
+  expect(runs).toEqual([expect.objectContaining({ ok: true, detail: 'confirmed' })]);
+  runner.stop();
+});
+
+test('scene schedules send every channel and report what the gateway confirmed', async () => {
+  let now = at(1, 6, 59);
+  const scenes = await saveScene('cp', 'RUN2', { name: 'Morning', states: { 1: 'ON', 2: 'OFF' } });
+  await saveSchedule('cp', 'RUN2', {
+    target: { type: 'scene', sceneId: scenes[0].id, name: 'Morning' },
+    repeat: SCHEDULE_REPEAT.DAILY,
+    time: '07:00',
+  });
+
+  const gw = fakeGateway();
+  const runs = [];
+  const runner = createScheduleRunner({
+    cpid: 'cp',
+    deviceId: 'RUN2',
+    enqueue: gw.enqueue,
+    subscribeMessages: gw.subscribeMessages,
+    onRun: r => runs.push(r),
+    now: () => now,
+  });
+  runner.start();
+  await runner.reload();
+
+  jest.useFakeTimers();
+  try {
+    now = at(1, 7) + 5000;
+    const ticking = runner.tick();
+    await flush();
+    jest.advanceTimersByTime(300);
+    await flush();
+    expect(gw.published).toHaveLength(2);
+
+    // The reading shows C1 on; C2 never reads back off
+    gw.reply({ d: { current: { C1: 0.3, C2: 0.5 } } });
+    await flush();
+    jest.advanceTimersByTime(15000);
+    await ticking;
+  } finally {
+    jest.useRealTimers();
+  }
+  expect(runs).toEqual([expect.objectContaining({ ok: false, detail: '1 confirmed, 1 failed' })]);
+  runner.stop();
+});
+
+test('a schedule whose queued command expires is reported as failed', async () => {
+  let now = at(1, 20, 59);
+  await saveSchedule('cp', 'RUN3', { target: { type: 'channel', channel: 3, action: 'OFF' }, repeat: SCHEDULE_REPEAT.DAILY, time: '21:00' });
+
+  const gw = fakeGateway();
+  const runs = [];
+  const runner = createScheduleRunner({
+    cpid: 'cp',
+    deviceId: 'RUN3',
+    enqueue: () => Promise.resolve({ status: QUEUE_STATUS.EXPIRED, reason: 'not connected' }),
+    subscribeMessages: gw.subscribeMessages,
+    onRun: r => runs.push(r),
+    now: () => now,
+  });
+  runner.start();
+  await runner.reload();
+
+  now = at(1, 21) + 5000;
+  await runner.tick();
+  expect(runs).toEqual([expect.objectContaining({ ok: false, detail: 'failed: not connected' })]);
+  runner.stop();
+});
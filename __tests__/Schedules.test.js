@@ -0,0 +1,94 @@
+/**
+ * @format
+ */
+
+import {
+  SCHEDULE_BASE,
+  SCHEDULE_REPEAT,
+  createScheduleExecutor,
+  loadSchedules,
+  nextRun,
+  saveSchedule,
+  sunTimes,
+} from '../src/utils/Schedules';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// Monday 1 June 2026, 12:00 local time
+const MON_NOON = new Date(2026, 5, 1, 12, 0).getTime();
+const at = (day, h, m = 0) => new Date(2026, 5, day, h, m).getTime();
+
+const channelOn = { type: 'channel', channel: 5, action: 'ON' };
+
+test('daily, weekly and one-shot clock schedules', () => {
+  const daily = { enabled: true, target: channelOn, repeat: SCHEDULE_REPEAT.DAILY, time: '18:30' };
+  expect(nextRun(daily, MON_NOON)).toBe(at(1, 18, 30));
+  expect(nextRun(daily, at(1, 18, 30))).toBe(at(2, 18, 30));
+  expect(nextRun({ ...daily, enabled: false }, MON_NOON)).toBeNull();
+
+  // Sat + Sun only
+  const weekly = { ...daily, repeat: SCHEDULE_REPEAT.WEEKLY, days: [0, 6], time: '07:00' };
+  expect(nextRun(weekly, MON_NOON)).toBe(at(6, 7));
+
+  const once = { ...daily, repeat: SCHEDULE_REPEAT.ONCE, date: '2026-06-03', time: '09:15' };
+  expect(nextRun(once, MON_NOON)).toBe(at(3, 9, 15));
+  expect(nextRun(once, at(3, 9, 15))).toBeNull();
+});
+
+test('sunrise / sunset are computed locally with an offset', () => {
+  // Equator, Greenwich meridian, March equinox: roughly 06:04 / 18:10 UTC
+  const { sunrise, sunset } = sunTimes(new Date(2024, 2, 20), 0, 0);
+  expect(Math.abs(sunrise - Date.UTC(2024, 2, 20, 6, 4))).toBeLessThan(5 * 60000);
+  expect(Math.abs(sunset - Date.UTC(2024, 2, 20, 18, 10))).toBeLessThan(5 * 60000);
+
+  // Polar night in Tromsø
+  expect(sunTimes(new Date(2024, 11, 21), 69.65, 18.96)).toEqual({ sunrise: null, sunset: null });
+
+  const loc = { lat: 0, lon: 0 };
+  const s = { enabled: true, target: channelOn, repeat: SCHEDULE_REPEAT.DAILY, base: SCHEDULE_BASE.SUNSET, offsetMin: -30 };
+  const sunset0 = sunTimes(new Date(2024, 2, 20), 0, 0).sunset;
+  expect(nextRun(s, sunset0 - 2 * 3600000, loc)).toBe(sunset0 - 30 * 60000);
+  expect(nextRun(s, sunset0, null)).toBeNull(); // no location
+});
+
+test('saving rejects incomplete schedules', async () => {
+  await expect(saveSchedule('cp', 'GW', { target: { type: 'channel', channel: 150, action: 'ON' }, repeat: 'daily', time: '10:00' }))
+    .rejects.toThrow('Channel');
+  await expect(saveSchedule('cp', 'GW', { target: channelOn, repeat: 'daily', time: '25:00' }))
+    .rejects.toThrow('HH:MM');
+  await expect(saveSchedule('cp', 'GW', { target: channelOn, repeat: 'daily', base: 'sunrise', offsetMin: 0 }))
+    .rejects.toThrow('latitude');
+});
+
+test('the executor runs due schedules once and switches one-shots off', async () => {
+  let now = at(1, 17, 59);
+  await saveSchedule('cp', 'EXEC', { target: channelOn, repeat: SCHEDULE_REPEAT.DAILY, time: '18:00' });
+  await saveSchedule('cp', 'EXEC', { target: { ...channelOn, action: 'OFF' }, repeat: SCHEDULE_REPEAT.ONCE, date: '2026-06-01', time: '18:00' });
+
+  const ran = [];
+  const nexts = [];
+  const exec = createScheduleExecutor({
+    cpid: 'cp',
+    deviceId: 'EXEC',
+    runAction: s => ran.push(s.target.action),
+    onNext: n => nexts.push(n),
+    now: () => now,
+  });
+  await exec.reload();
+  expect(nexts[0].at).toBe(at(1, 18));
+
+  await exec.tick();
+  expect(ran).toEqual([]);
+
+  now = at(1, 18, 0) + 10000;
+  await exec.tick();
+  await exec.tick();
+  expect(ran).toEqual(['ON', 'OFF']);
+
+  const { schedules } = await loadSchedules('cp', 'EXEC');
+  expect(schedules.map(s => s.enabled)).toEqual([true, false]);
+  expect(nexts[nexts.length - 1].at).toBe(at(2, 18));
+  exec.stop();
+});
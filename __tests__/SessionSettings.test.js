@@ -0,0 +1,50 @@
+/**
+ * @format
+ */
+
+import { normalizeProfile, validateProfile } from '../src/utils/BrokerProfiles';
+import {
+  DEFAULT_SESSION,
+  describeSession,
+  normalizeSessionSettings,
+  sessionConnectOptions,
+  stableClientId,
+  validateSessionSettings,
+} from '../src/utils/SessionSettings';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+test('session settings are normalized, validated and turned into connect options', () => {
+  expect(normalizeSessionSettings({})).toEqual(DEFAULT_SESSION);
+  expect(sessionConnectOptions({})).toEqual({ cleanSession: true });
+
+  const session = normalizeSessionSettings({
+    cleanSession: 'false', clientId: ' site-app ', willTopic: ' monitor/ebq-app ', willQos: '2', willRetain: false,
+  });
+  expect(session).toEqual({
+    cleanSession: false, clientId: 'site-app', willTopic: 'monitor/ebq-app', willPayload: 'offline', willQos: 2, willRetain: false,
+  });
+  expect(validateSessionSettings(session)).toEqual([]);
+  expect(describeSession(session)).toBe('persistent session, will');
+  expect(sessionConnectOptions(session)).toEqual({
+    cleanSession: false,
+    will: { topic: 'monitor/ebq-app', payload: 'offline', qos: 2, retain: false },
+  });
+
+  expect(validateSessionSettings(normalizeSessionSettings({ clientId: 'my phone', willTopic: 'monitor/#' }))).toEqual([
+    'Client ID may only use letters, digits, . _ - (up to 64)',
+    'Last Will topic must not contain + or #',
+  ]);
+  expect(validateProfile(normalizeProfile({ name: 'n', host: 'h', port: 1883, cpId: '51c5c752', willTopic: '$SYS/x' })))
+    .toEqual(['Last Will topic must not start with $']);
+});
+
+test('stable client ids are short and differ per broker', () => {
+  const a = stableClientId('a1b2c3d4e5', 'broker.local|8883|tls');
+  expect(a).toMatch(/^ebq_a1b2c3d4e5_[A-Za-z0-9]{6}$/);
+  expect(a.length).toBeLessThanOrEqual(23);
+  expect(stableClientId('a1b2c3d4e5', 'broker.local|8883|tls')).toBe(a);
+  expect(stableClientId('a1b2c3d4e5', 'other.local|1883|plain')).not.toBe(a);
+});
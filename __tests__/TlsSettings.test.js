@@ -0,0 +1,79 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { profileConnection, saveBrokerProfile, validateProfile, normalizeProfile } from '../src/utils/BrokerProfiles';
+import { getCredential } from '../src/utils/CredentialVault';
+import { loadMqttDevices, saveMqttDevices } from '../src/utils/MqttDeviceStorage';
+import { MqttClient, setMqttSocketFactory } from '../src/utils/MqttNativeClient';
+import { brokerKey } from '../src/utils/MqttManager';
+import { describeTls, normalizeTlsSettings, validateTlsSettings } from '../src/utils/TlsSettings';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const PIN = 'ab:cd:ef:01:23:45:67:89:ab:cd:ef:01:23:45:67:89:ab:cd:ef:01:23:45:67:89:ab:cd:ef:01:23:45:67:89';
+const CA = '-----BEGIN CERTIFICATE-----\r\nMIIBszCCAVmgAwIBAgIU\r\n-----END CERTIFICATE-----\r\n';
+const P12 = `MIIK${'A'.repeat(80)}`;
+
+afterEach(() => setMqttSocketFactory(null));
+
+test('TLS settings are normalized and validated', () => {
+  const tls = normalizeTlsSettings({ caCert: `comment\n${CA}`, pinSha256: `${PIN}\nsha256/${PIN.replace(/:/g, '')}`, clientCert: `${P12.slice(0, 40)}\n${P12.slice(40)}` });
+  expect(tls).toEqual({
+    caCert: '-----BEGIN CERTIFICATE-----\nMIIBszCCAVmgAwIBAgIU\n-----END CERTIFICATE-----',
+    pinSha256: ['ABCDEF0123456789ABCDEF0123456789ABCDEF0123456789ABCDEF0123456789'],
+    clientCert: P12,
+    clientCertPassword: '',
+  });
+  expect(validateTlsSettings(tls)).toEqual([]);
+  expect(describeTls(tls)).toBe('CA, 1 pin, client cert');
+
+  expect(validateTlsSettings(normalizeTlsSettings({ caCert: 'not a pem', pinSha256: 'AB:CD', clientCertPassword: 'x' }))).toEqual([
+    'CA certificate must be PEM (-----BEGIN CERTIFICATE-----)',
+    'Pinned fingerprint ABCD… is not a SHA-256 fingerprint',
+    'Client certificate password without a certificate',
+  ]);
+  expect(validateProfile(normalizeProfile({ name: 'n', host: 'h', port: 1883, useTls: false, pinSha256: PIN })))
+    .toContain('CA / pinning / client certificate need TLS');
+});
+
+test('the client certificate goes to the vault and reaches linked devices', async () => {
+  const { profile } = await saveBrokerProfile({
+    name: 'Private', host: 'mqtt.private', port: 8883, transport: 'tcp', useTls: true,
+    caCert: CA, pinSha256: PIN, clientCert: P12, clientCertPassword: 'p12pw',
+  });
+  expect(await AsyncStorage.getItem('EBQ_BROKER_PROFILES')).not.toContain(P12);
+  expect(await getCredential(profile.credentialId)).toEqual({
+    username: '', password: '', clientCert: P12, clientCertPassword: 'p12pw',
+  });
+  expect(profileConnection(profile)).toMatchObject({
+    caCert: expect.stringContaining('MIIBszCC'), pinSha256: [expect.stringMatching(/^ABCDEF/)], clientCert: P12,
+  });
+
+  await saveMqttDevices([{ deviceId: 'A', host: 'mqtt.private', port: 8883, profileId: profile.id }]);
+  await saveBrokerProfile({ ...profile, clientCertPassword: 'new' });
+  expect(await AsyncStorage.getItem('EBQ_DEVICES')).not.toContain(P12);
+  const [device] = await loadMqttDevices();
+  expect(device).toMatchObject({ caCert: profile.caCert, pinSha256: profile.pinSha256, clientCert: P12, clientCertPassword: 'new' });
+
+  // Different TLS settings never share a pooled connection
+  expect(brokerKey(device)).not.toBe(brokerKey({ ...device, pinSha256: [] }));
+});
+
+test('TLS options reach the socket, and the plain WebSocket refuses them', async () => {
+  let endpoint = null;
+  setMqttSocketFactory((e) => {
+    endpoint = e;
+    throw new Error('stop');
+  });
+  await expect(new MqttClient().connect({ host: 'h', port: 8883, useTls: true, pinSha256: [PIN], clientCert: P12 }))
+    .rejects.toThrow();
+  expect(endpoint.tls).toEqual({ pinSha256: [PIN.replace(/:/g, '').toUpperCase()], clientCert: P12, clientCertPassword: '' });
+
+  setMqttSocketFactory(null);
+  await expect(new MqttClient().connect({ host: 'h', port: 8812, useTls: true, transport: 'ws', caCert: CA }))
+    .rejects.toMatchObject({ raw: expect.stringContaining('cannot apply CA / pinning / client certificate') });
+});
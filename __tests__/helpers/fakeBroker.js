@@ -0,0 +1,66 @@
+/**
+ * @format
+ */
+
+import {
+  PACKET,
+  createPacketReader,
+  encodeConnack,
+  encodePingresp,
+  encodePuback,
+  encodePublish,
+  encodeSuback,
+  encodeUnsuback,
+} from '../../src/utils/MqttPacket';
+
+/**
+ * In-memory broker speaking MQTT bytes over the socket factory contract (setMqttSocketFactory),
+ * accepting any number of connections.
+ *   connackCode              CONNACK return code; null never answers CONNECT
+ *   subackCode(topic, qos)   SUBACK return code per topic (default: the requested QoS)
+ *   onSubscribe(sock, topic) after a granted subscription, e.g. to publish a first message
+ * broker.sockets: every connection { endpoint, handlers, received, subscriptions, closed, openBefore, send }
+ * broker.open(): connections not closed yet
+ * broker.deliver(topic, text, qos): publish to the last connection
+ */
+export function createFakeBroker({ connackCode = 0, subackCode = (topic, qos) => qos, onSubscribe } = {}) {
+  const broker = { sockets: [] };
+
+  broker.factory = (endpoint, handlers) => {
+    // openBefore: connections still open when this one started
+    const sock = { endpoint, handlers, received: [], subscriptions: [], closed: false, openBefore: broker.open().length };
+    sock.send = (bytes) => Promise.resolve().then(() => !sock.closed && handlers.onData(bytes));
+    const reader = createPacketReader((pkt) => {
+      sock.received.push(pkt);
+      if (pkt.type === PACKET.CONNECT && connackCode != null) sock.send(encodeConnack({ returnCode: connackCode }));
+      if (pkt.type === PACKET.PUBLISH && pkt.qos === 1) sock.send(encodePuback(pkt.packetId));
+      if (pkt.type === PACKET.PINGREQ) sock.send(encodePingresp());
+      if (pkt.type === PACKET.SUBSCRIBE) {
+        const codes = pkt.subscriptions.map(s => subackCode(s.topic, s.qos));
+        const granted = pkt.subscriptions.filter((s, i) => codes[i] !== 0x80).map(s => s.topic);
+        sock.subscriptions.push(...granted);
+        sock.send(encodeSuback({ packetId: pkt.packetId, returnCodes: codes }));
+        granted.forEach(topic => onSubscribe?.(sock, topic));
+      }
+      if (pkt.type === PACKET.UNSUBSCRIBE) {
+        sock.subscriptions = sock.subscriptions.filter(t => !pkt.topics.includes(t));
+        sock.send(encodeUnsuback(pkt.packetId));
+      }
+    });
+    broker.sockets.push(sock);
+    Promise.resolve().then(() => handlers.onOpen());
+    return {
+      write: (bytes) => reader.push(bytes),
+      end: () => { sock.closed = true; },
+    };
+  };
+
+  broker.open = () => broker.sockets.filter(s => !s.closed);
+
+  broker.deliver = (topic, text, qos = 0) =>
+    broker.sockets[broker.sockets.length - 1].handlers.onData(
+      encodePublish({ topic, payload: text, qos, packetId: qos ? 99 : undefined }),
+    );
+
+  return broker;
+}
@@ -1,5 +1,7 @@
 package com.ebqcontrol_wifi
 import com.ebqcontrol_wifi.mqtt.MqttNativePackage
+import com.ebqcontrol_wifi.vault.EbqKeystorePackage
+import com.ebqcontrol_wifi.notify.EbqNotifierPackage
 
 import android.app.Application
 import com.facebook.react.PackageList
@@ -18,6 +20,8 @@ class MainApplication : Application(), ReactApplication {
           // Packages that cannot be autolinked yet can be added manually here, for example:
           // add(MyReactNativePackage())
           add(MqttNativePackage())
+          add(EbqKeystorePackage())
+          add(EbqNotifierPackage())
         },
     )
   }
@@ -1,15 +1,29 @@
 package com.ebqcontrol_wifi.mqtt
 
+import android.util.Base64
 import android.util.Log
 import com.facebook.react.bridge.*
 import com.facebook.react.modules.core.DeviceEventManagerModule
 import info.mqtt.android.service.MqttAndroidClient
 import org.eclipse.paho.client.mqttv3.*
+import java.io.ByteArrayInputStream
+import java.net.InetAddress
+import java.net.InetSocketAddress
+import java.net.Socket
+import java.security.KeyStore
+import java.security.MessageDigest
 import java.security.SecureRandom
+import java.security.cert.CertificateException
+import java.security.cert.CertificateFactory
 import java.security.cert.X509Certificate
+import javax.net.ssl.HttpsURLConnection
+import javax.net.ssl.KeyManager
+import javax.net.ssl.KeyManagerFactory
 import javax.net.ssl.SSLContext
+import javax.net.ssl.SSLSocket
 import javax.net.ssl.SSLSocketFactory
 import javax.net.ssl.TrustManager
+import javax.net.ssl.TrustManagerFactory
 import javax.net.ssl.X509TrustManager
 
 class MqttNativeModule(private val reactContext: ReactApplicationContext)
@@ -17,11 +31,10 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
 
   override fun getName(): String = "MqttNative"
 
-  private var client: MqttAndroidClient? = null
+  // Several gateways may be watched at once: one Paho client per JS clientId
+  private class ClientEntry(val client: MqttAndroidClient, val uri: String)
 
-  // Track active client meta so every event can include it
-  private var currentClientId: String = ""
-  private var currentUri: String = ""
+  private val clients = java.util.concurrent.ConcurrentHashMap<String, ClientEntry>()
 
   private fun emit(event: String, map: WritableMap) {
     reactContext
@@ -70,6 +83,91 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
     return sc.socketFactory
   }
 
+  private fun optString(options: ReadableMap?, key: String): String =
+    if (options?.hasKey(key) == true && !options.isNull(key)) options.getString(key) ?: "" else ""
+
+  /** Pinned SHA-256 fingerprints (upper-case hex without separators) */
+  private fun pinnedFingerprints(options: ReadableMap?): Set<String> {
+    if (options?.hasKey("pinSha256") != true || options.isNull("pinSha256")) return emptySet()
+    val arr = options.getArray("pinSha256") ?: return emptySet()
+    return (0 until arr.size()).mapNotNull { arr.getString(it)?.replace(":", "")?.uppercase() }.toSet()
+  }
+
+  private fun sha256Hex(bytes: ByteArray): String =
+    MessageDigest.getInstance("SHA-256").digest(bytes).joinToString("") { "%02X".format(it) }
+
+  /** Trust manager that only accepts chains issued by the CA certificate(s) of the profile (PEM) */
+  private fun caTrustManager(pem: String): X509TrustManager {
+    val certs = try {
+      CertificateFactory.getInstance("X.509").generateCertificates(ByteArrayInputStream(pem.toByteArray(Charsets.US_ASCII)))
+    } catch (t: Throwable) {
+      throw IllegalArgumentException("CA certificate could not be read (${t.message})", t)
+    }
+    if (certs.isEmpty()) throw IllegalArgumentException("CA certificate could not be read (no certificate)")
+    val ks = KeyStore.getInstance(KeyStore.getDefaultType()).apply { load(null, null) }
+    certs.forEachIndexed { i, c -> ks.setCertificateEntry("ca$i", c) }
+    val tmf = TrustManagerFactory.getInstance(TrustManagerFactory.getDefaultAlgorithm())
+    tmf.init(ks)
+    return tmf.trustManagers.filterIsInstance<X509TrustManager>().first()
+  }
+
+  /** Key managers presenting the client certificate (base64 PKCS#12) for mutual TLS */
+  private fun clientKeyManagers(p12: String, password: String): Array<KeyManager> {
+    val pwd = password.toCharArray()
+    val ks = try {
+      KeyStore.getInstance("PKCS12").apply { load(ByteArrayInputStream(Base64.decode(p12, Base64.DEFAULT)), pwd) }
+    } catch (t: Throwable) {
+      throw IllegalArgumentException("client certificate could not be read (${t.message})", t)
+    }
+    val kmf = KeyManagerFactory.getInstance(KeyManagerFactory.getDefaultAlgorithm())
+    kmf.init(ks, pwd)
+    return kmf.keyManagers
+  }
+
+  /**
+   * Server check of a profile: chain issued by its CA (when set) and one certificate matching a
+   * pinned fingerprint (when set). Failures say "certificate rejected" so JS does not retry without TLS.
+   */
+  private inner class ProfileTrustManager(
+    private val ca: X509TrustManager?,
+    private val pins: Set<String>
+  ) : X509TrustManager {
+    override fun checkClientTrusted(chain: Array<X509Certificate>, authType: String) {}
+
+    override fun checkServerTrusted(chain: Array<X509Certificate>, authType: String) {
+      if (ca != null) {
+        try {
+          ca.checkServerTrusted(chain, authType)
+        } catch (e: CertificateException) {
+          throw CertificateException("certificate rejected: not issued by the profile CA (${e.message})", e)
+        }
+      }
+      if (pins.isNotEmpty() && chain.none { sha256Hex(it.encoded) in pins }) {
+        throw CertificateException("certificate rejected: no certificate matches the pinned SHA-256 fingerprints")
+      }
+    }
+
+    override fun getAcceptedIssuers(): Array<X509Certificate> = ca?.acceptedIssuers ?: emptyArray()
+  }
+
+  /**
+   * TLS socket factory of a connection: any certificate is accepted unless the options carry a
+   * CA (caCert, PEM) and / or pinned fingerprints (pinSha256); clientCert (base64 PKCS#12) is
+   * presented to brokers that require mutual TLS.
+   */
+  private fun connectionSocketFactory(options: ReadableMap?): SSLSocketFactory {
+    val caPem = optString(options, "caCert")
+    val pins = pinnedFingerprints(options)
+    val p12 = optString(options, "clientCert")
+    if (caPem.isBlank() && pins.isEmpty() && p12.isBlank()) return trustAllSocketFactory()
+
+    val keyManagers = if (p12.isNotBlank()) clientKeyManagers(p12, optString(options, "clientCertPassword")) else null
+    val ca = if (caPem.isNotBlank()) caTrustManager(caPem) else null
+    val sc = SSLContext.getInstance("TLS")
+    sc.init(keyManagers, arrayOf<TrustManager>(ProfileTrustManager(ca, pins)), SecureRandom())
+    return sc.socketFactory
+  }
+
   /** Disable hostname verification (ignore SAN/CN mismatch). Uses reflection for compatibility. */
   private fun disableHostnameVerification(opts: MqttConnectOptions) {
     try {
@@ -83,6 +181,41 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
     }
   }
 
+  /** Build Paho server URI: tcp:// ssl:// (plain MQTT) or ws:// wss:// (MQTT over WebSocket) */
+  private fun buildServerUri(host: String, port: Int, useTls: Boolean, options: ReadableMap?): String {
+    val transport = if (options?.hasKey("transport") == true) options.getString("transport") else null
+    if (transport == "ws") {
+      val rawPath = if (options?.hasKey("wsPath") == true) options.getString("wsPath") ?: "" else ""
+      val path = when {
+        rawPath.isBlank() -> "/mqtt"
+        rawPath.startsWith("/") -> rawPath.trim()
+        else -> "/${rawPath.trim()}"
+      }
+      val scheme = if (useTls) "wss" else "ws"
+      return "$scheme://${host.trim()}:$port$path"
+    }
+    val scheme = if (useTls) "ssl" else "tcp"
+    return "$scheme://${host.trim()}:$port"
+  }
+
+  /** Close and forget a single client (no events are emitted for it afterwards) */
+  private fun closeClient(clientId: String) {
+    val old = clients.remove(clientId) ?: return
+    try { old.client.setCallback(null) } catch (_: Throwable) {}
+    try { if (old.client.isConnected) old.client.disconnect() } catch (_: Throwable) {}
+    try { old.client.unregisterResources() } catch (_: Throwable) {}
+    try { old.client.close() } catch (_: Throwable) {}
+  }
+
+  private fun connectedClient(clientId: String, promise: Promise): MqttAndroidClient? {
+    val c = clients[clientId]?.client
+    if (c == null || !c.isConnected) {
+      promise.reject("MQTT_NOT_CONNECTED", "Client $clientId not connected")
+      return null
+    }
+    return c
+  }
+
   @ReactMethod
   fun connect(
     host: String,
@@ -91,31 +224,27 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
     username: String,
     password: String,
     useTls: Boolean,
+    options: ReadableMap?,
     promise: Promise
   ) {
     try {
-      val scheme = if (useTls) "ssl" else "tcp"
-      val uri = "$scheme://${host.trim()}:$port"
+      val uri = buildServerUri(host, port, useTls, options)
       Log.d("MqttNative", "connect host=$host port=$port useTls=$useTls uri=$uri")
 
-      // Save meta for event routing / logging
-      currentClientId = clientId
-      currentUri = uri
+      // Built first: a bad CA / client certificate fails the connect before any client exists
+      val sslFactory = if (useTls) connectionSocketFactory(options) else null
 
-      // Close old client if any
-      client?.let {
-        try { it.unregisterResources() } catch (_: Throwable) {}
-        try { it.close() } catch (_: Throwable) {}
-      }
+      // If a connection already exists for the same clientId, close it first
+      closeClient(clientId)
 
       val c = MqttAndroidClient(reactContext, uri, clientId)
-      client = c
+      clients[clientId] = ClientEntry(c, uri)
 
       c.setCallback(object : MqttCallbackExtended {
         override fun connectComplete(reconnect: Boolean, serverURI: String?) {
           val m = Arguments.createMap()
-          m.putString("clientId", currentClientId)
-          m.putString("status", "CONNECTED ${serverURI ?: currentUri}")
+          m.putString("clientId", clientId)
+          m.putString("status", "CONNECTED ${serverURI ?: uri}")
           emit("mqtt_status", m)
         }
 
@@ -140,25 +269,25 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
             depth++
           }
 
-          Log.e("MqttNative", "[DISCONNECTED] clientId=$currentClientId uri=$currentUri $sb", cause)
+          Log.e("MqttNative", "[DISCONNECTED] clientId=$clientId uri=$uri $sb", cause)
 
           // mqtt_disconnected (JS can show toast etc.)
           val m = Arguments.createMap()
-          m.putString("clientId", currentClientId)
-          m.putString("uri", currentUri)
+          m.putString("clientId", clientId)
+          m.putString("uri", uri)
           m.putString("error", sb.toString())
           emit("mqtt_disconnected", m)
 
           // mqtt_status DISCONNECTED (keep JS state machine consistent)
           val s = Arguments.createMap()
-          s.putString("clientId", currentClientId)
-          s.putString("status", "DISCONNECTED $currentUri")
+          s.putString("clientId", clientId)
+          s.putString("status", "DISCONNECTED $uri")
           emit("mqtt_status", s)
         }
 
         override fun messageArrived(topic: String?, message: MqttMessage?) {
           val m = Arguments.createMap()
-          m.putString("clientId", currentClientId)
+          m.putString("clientId", clientId)
           m.putString("topic", topic ?: "")
           m.putString("payload", message?.toString() ?: "")
           emit("mqtt_message", m)
@@ -168,30 +297,43 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
       })
 
       val opts = MqttConnectOptions().apply {
-        isCleanSession = true
+        // false: persistent session (stable clientId from JS), the broker keeps QoS 1 messages for us
+        isCleanSession =
+          if (options?.hasKey("cleanSession") == true) options.getBoolean("cleanSession") else true
 
         // Debug first: disable auto reconnect to see the first error clearly
         isAutomaticReconnect = false
 
         connectionTimeout = 10
-        keepAliveInterval = 20
+        keepAliveInterval =
+          if (options?.hasKey("keepAlive") == true) options.getInt("keepAlive") else 20
 
         // Optional: force MQTT 3.1.1 for compatibility
         mqttVersion = MqttConnectOptions.MQTT_VERSION_3_1_1
 
         if (username.isNotBlank()) userName = username
         if (password.isNotEmpty()) this.password = password.toCharArray()
+
+        // Last Will: { topic, payload, qos, retain }
+        val will = if (options?.hasKey("will") == true && !options.isNull("will")) options.getMap("will") else null
+        val willTopic = optString(will, "topic")
+        if (willTopic.isNotBlank()) {
+          val willQos = if (will?.hasKey("qos") == true) will.getInt("qos").coerceIn(0, 2) else 0
+          val willRetain = will?.hasKey("retain") == true && will.getBoolean("retain")
+          setWill(willTopic, optString(will, "payload").toByteArray(Charsets.UTF_8), willQos, willRetain)
+        }
       }
 
-      // INSECURE trust-all (for debugging / self-signed)
-      if (useTls) {
-        disableHostnameVerification(opts)
-        opts.socketFactory = trustAllSocketFactory()
+      // Applies to ssl:// and wss://. Without a CA / pins any certificate is accepted (INSECURE,
+      // for self-signed brokers); with a CA the host name must match its certificate as well.
+      if (sslFactory != null) {
+        if (optString(options, "caCert").isBlank()) disableHostnameVerification(opts)
+        opts.socketFactory = sslFactory
       }
 
       // Emit CONNECTING (with clientId)
       val s = Arguments.createMap()
-      s.putString("clientId", currentClientId)
+      s.putString("clientId", clientId)
       s.putString("status", "CONNECTING $uri")
       emit("mqtt_status", s)
 
@@ -211,17 +353,18 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
   }
 
   @ReactMethod
-  fun subscribe(topic: String, qos: Int, promise: Promise) {
-    val c = client
-    if (c == null || !c.isConnected) {
-      promise.reject("MQTT_NOT_CONNECTED", "Client not connected")
-      return
-    }
+  fun subscribe(topic: String, qos: Int, clientId: String, promise: Promise) {
+    val c = connectedClient(clientId, promise) ?: return
 
     c.subscribe(topic, qos, null, object : IMqttActionListener {
       override fun onSuccess(asyncActionToken: IMqttToken?) {
+        // SUBACK 0x80: the broker refused the subscription (ACL)
+        if (asyncActionToken?.grantedQos?.any { it == 0x80 } == true) {
+          promise.reject("MQTT_SUB_FAIL", "subscribe failed (SUBACK=0x80): $topic")
+          return
+        }
         val m = Arguments.createMap()
-        m.putString("clientId", currentClientId)
+        m.putString("clientId", clientId)
         m.putString("status", "SUBSCRIBED $topic")
         emit("mqtt_status", m)
         promise.resolve(true)
@@ -234,12 +377,27 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
   }
 
   @ReactMethod
-  fun publish(topic: String, payload: String, qos: Int, retained: Boolean, promise: Promise) {
-    val c = client
-    if (c == null || !c.isConnected) {
-      promise.reject("MQTT_NOT_CONNECTED", "Client not connected")
-      return
-    }
+  fun unsubscribe(topic: String, clientId: String, promise: Promise) {
+    val c = connectedClient(clientId, promise) ?: return
+
+    c.unsubscribe(topic, null, object : IMqttActionListener {
+      override fun onSuccess(asyncActionToken: IMqttToken?) {
+        val m = Arguments.createMap()
+        m.putString("clientId", clientId)
+        m.putString("status", "UNSUBSCRIBED $topic")
+        emit("mqtt_status", m)
+        promise.resolve(true)
+      }
+
+      override fun onFailure(asyncActionToken: IMqttToken?, exception: Throwable?) {
+        rejectMqtt(promise, "MQTT_UNSUB_FAIL", "unsubscribe failed topic=$topic", exception)
+      }
+    })
+  }
+
+  @ReactMethod
+  fun publish(topic: String, payload: String, qos: Int, retained: Boolean, clientId: String, promise: Promise) {
+    val c = connectedClient(clientId, promise) ?: return
 
     try {
       val q = qos.coerceIn(0, 2)
@@ -251,33 +409,191 @@ class MqttNativeModule(private val reactContext: ReactApplicationContext)
   }
 
   @ReactMethod
-  fun disconnect(promise: Promise) {
-    val c = client
-    if (c == null) {
+  fun disconnect(clientId: String, promise: Promise) {
+    val entry = clients.remove(clientId)
+    if (entry == null) {
       promise.resolve(true)
       return
     }
+    val c = entry.client
+
+    val release = {
+      try { c.setCallback(null) } catch (_: Throwable) {}
+      try { c.unregisterResources() } catch (_: Throwable) {}
+      try { c.close() } catch (_: Throwable) {}
+    }
 
     try {
       c.disconnect(null, object : IMqttActionListener {
         override fun onSuccess(asyncActionToken: IMqttToken?) {
           val m = Arguments.createMap()
-          m.putString("clientId", currentClientId)
+          m.putString("clientId", clientId)
           m.putString("status", "DISCONNECTED")
           emit("mqtt_status", m)
+          release()
           promise.resolve(true)
         }
 
         override fun onFailure(asyncActionToken: IMqttToken?, exception: Throwable?) {
           // still resolve to avoid blocking UI
+          release()
           promise.resolve(true)
         }
       })
     } catch (_: Throwable) {
+      release()
       promise.resolve(true)
     }
   }
 
+  /** Disconnect all connections (used when exiting/logging out of the app) */
+  @ReactMethod
+  fun disconnectAll(promise: Promise) {
+    clients.keys.toList().forEach { closeClient(it) }
+    promise.resolve(true)
+  }
+
+  // ===== Diagnostics =====
+
+  private fun elapsedMs(startNs: Long): Double = (System.nanoTime() - startNs) / 1_000_000.0
+
+  private fun describeError(t: Throwable): String {
+    val sb = StringBuilder("${t.javaClass.simpleName}: ${t.message ?: ""}")
+    var c = t.cause
+    var depth = 0
+    while (c != null && depth < 4) {
+      sb.append(" | cause=").append(c.javaClass.simpleName).append(": ").append(c.message ?: "")
+      c = c.cause
+      depth++
+    }
+    return sb.toString()
+  }
+
+  private fun failedStep(startNs: Long, t: Throwable): WritableMap {
+    val m = Arguments.createMap()
+    m.putBoolean("ok", false)
+    m.putDouble("ms", elapsedMs(startNs))
+    m.putString("error", describeError(t))
+    return m
+  }
+
+  private fun certificateMap(cert: X509Certificate): WritableMap {
+    val m = Arguments.createMap()
+    m.putString("subject", cert.subjectX500Principal.name)
+    m.putString("issuer", cert.issuerX500Principal.name)
+    m.putDouble("notBefore", cert.notBefore.time.toDouble())
+    m.putDouble("notAfter", cert.notAfter.time.toDouble())
+    val sans = Arguments.createArray()
+    try {
+      cert.subjectAlternativeNames?.forEach { san ->
+        // 2 = DNS name, 7 = IP address
+        val type = san.getOrNull(0) as? Int
+        if (type == 2 || type == 7) sans.pushString(san.getOrNull(1)?.toString() ?: "")
+      }
+    } catch (_: Throwable) {}
+    m.putArray("altNames", sans)
+    val digest = MessageDigest.getInstance("SHA-256").digest(cert.encoded)
+    m.putString("sha256", digest.joinToString(":") { "%02X".format(it) })
+    return m
+  }
+
+  /** Trust check with the system CA store (the MQTT connection itself does not verify) */
+  private fun systemTrustError(chain: Array<X509Certificate>): String? {
+    return try {
+      val tmf = TrustManagerFactory.getInstance(TrustManagerFactory.getDefaultAlgorithm())
+      tmf.init(null as KeyStore?)
+      val tm = tmf.trustManagers.filterIsInstance<X509TrustManager>().first()
+      val authType = if (chain.firstOrNull()?.publicKey?.algorithm == "EC") "ECDHE_ECDSA" else "RSA"
+      tm.checkServerTrusted(chain, authType)
+      null
+    } catch (t: Throwable) {
+      describeError(t)
+    }
+  }
+
+  /**
+   * Network steps below MQTT for the diagnostics screen: DNS resolve, TCP connect and
+   * (useTls) the TLS handshake with certificate details. Resolves
+   * { dns, tcp, tls? } — each { ok, ms, error? , ... }; stops at the first failed step.
+   */
+  @ReactMethod
+  fun diagnose(host: String, port: Int, useTls: Boolean, options: ReadableMap?, promise: Promise) {
+    val timeoutMs = if (options?.hasKey("timeoutMs") == true) options.getInt("timeoutMs") else 8000
+    val h = host.trim()
+
+    Thread {
+      val result = Arguments.createMap()
+      var socket: Socket? = null
+      try {
+        // 1) DNS
+        var t0 = System.nanoTime()
+        val addresses = try {
+          InetAddress.getAllByName(h)
+        } catch (t: Throwable) {
+          result.putMap("dns", failedStep(t0, t))
+          promise.resolve(result)
+          return@Thread
+        }
+        val dns = Arguments.createMap()
+        dns.putBoolean("ok", true)
+        dns.putDouble("ms", elapsedMs(t0))
+        val list = Arguments.createArray()
+        addresses.forEach { list.pushString(it.hostAddress ?: "") }
+        dns.putArray("addresses", list)
+        result.putMap("dns", dns)
+
+        // 2) TCP
+        t0 = System.nanoTime()
+        try {
+          socket = Socket().apply { connect(InetSocketAddress(addresses[0], port), timeoutMs) }
+        } catch (t: Throwable) {
+          result.putMap("tcp", failedStep(t0, t))
+          promise.resolve(result)
+          return@Thread
+        }
+        val tcp = Arguments.createMap()
+        tcp.putBoolean("ok", true)
+        tcp.putDouble("ms", elapsedMs(t0))
+        tcp.putString("address", "${addresses[0].hostAddress}:$port")
+        result.putMap("tcp", tcp)
+
+        // 3) TLS handshake (certificates are read without verifying, then checked separately)
+        if (useTls) {
+          t0 = System.nanoTime()
+          try {
+            val ssl = trustAllSocketFactory().createSocket(socket, h, port, true) as SSLSocket
+            socket = ssl
+            ssl.soTimeout = timeoutMs
+            ssl.startHandshake()
+            val session = ssl.session
+            val chain = session.peerCertificates.filterIsInstance<X509Certificate>().toTypedArray()
+
+            val tls = Arguments.createMap()
+            tls.putBoolean("ok", true)
+            tls.putDouble("ms", elapsedMs(t0))
+            tls.putString("protocol", session.protocol)
+            tls.putString("cipher", session.cipherSuite)
+            val trustError = systemTrustError(chain)
+            tls.putBoolean("trusted", trustError == null)
+            if (trustError != null) tls.putString("trustError", trustError)
+            tls.putBoolean("hostnameMatches", HttpsURLConnection.getDefaultHostnameVerifier().verify(h, session))
+            val certs = Arguments.createArray()
+            chain.forEach { certs.pushMap(certificateMap(it)) }
+            tls.putArray("certificates", certs)
+            result.putMap("tls", tls)
+          } catch (t: Throwable) {
+            result.putMap("tls", failedStep(t0, t))
+          }
+        }
+        promise.resolve(result)
+      } catch (t: Throwable) {
+        rejectMqtt(promise, "MQTT_DIAGNOSE_FAIL", "diagnose failed host=$h port=$port", t)
+      } finally {
+        try { socket?.close() } catch (_: Throwable) {}
+      }
+    }.start()
+  }
+
   // Required for NativeEventEmitter
   @ReactMethod fun addListener(eventName: String) {}
   @ReactMethod fun removeListeners(count: Int) {}
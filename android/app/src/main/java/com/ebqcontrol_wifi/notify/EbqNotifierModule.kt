@@ -0,0 +1,87 @@
+package com.ebqcontrol_wifi.notify
+
+import android.Manifest
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.app.PendingIntent
+import android.content.Intent
+import android.content.pm.PackageManager
+import android.os.Build
+import androidx.core.app.NotificationCompat
+import androidx.core.app.NotificationManagerCompat
+import androidx.core.content.ContextCompat
+import com.facebook.react.bridge.*
+
+/**
+ * Local system notifications (over-current alarms). The runtime permission of Android 13+
+ * (POST_NOTIFICATIONS) is requested from JS; without it notify() resolves false.
+ */
+class EbqNotifierModule(reactContext: ReactApplicationContext)
+  : ReactContextBaseJavaModule(reactContext) {
+
+  override fun getName(): String = "EbqNotifier"
+
+  private fun ensureChannel(channelId: String, channelName: String) {
+    if (Build.VERSION.SDK_INT < Build.VERSION_CODES.O) return
+    val nm = reactApplicationContext.getSystemService(NotificationManager::class.java) ?: return
+    if (nm.getNotificationChannel(channelId) != null) return
+    val channel = NotificationChannel(channelId, channelName, NotificationManager.IMPORTANCE_HIGH).apply {
+      enableVibration(true)
+    }
+    nm.createNotificationChannel(channel)
+  }
+
+  private fun allowed(): Boolean {
+    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU &&
+      ContextCompat.checkSelfPermission(reactApplicationContext, Manifest.permission.POST_NOTIFICATIONS)
+      != PackageManager.PERMISSION_GRANTED
+    ) return false
+    return NotificationManagerCompat.from(reactApplicationContext).areNotificationsEnabled()
+  }
+
+  @ReactMethod
+  fun requestPermission(promise: Promise) {
+    // Android asks through PermissionsAndroid; this only reports the current state
+    promise.resolve(allowed())
+  }
+
+  @ReactMethod
+  fun notify(id: String, title: String, body: String, options: ReadableMap?, promise: Promise) {
+    try {
+      val channelId = options?.takeIf { it.hasKey("channelId") }?.getString("channelId") ?: "ebq_alarms"
+      val channelName = options?.takeIf { it.hasKey("channelName") }?.getString("channelName") ?: "Alarms"
+      ensureChannel(channelId, channelName)
+      if (!allowed()) {
+        promise.resolve(false)
+        return
+      }
+
+      val ctx = reactApplicationContext
+      val launch = ctx.packageManager.getLaunchIntentForPackage(ctx.packageName)?.apply {
+        flags = Intent.FLAG_ACTIVITY_SINGLE_TOP or Intent.FLAG_ACTIVITY_CLEAR_TOP
+      }
+      val content = launch?.let {
+        PendingIntent.getActivity(ctx, 0, it, PendingIntent.FLAG_UPDATE_CURRENT or PendingIntent.FLAG_IMMUTABLE)
+      }
+
+      val notification = NotificationCompat.Builder(ctx, channelId)
+        .setSmallIcon(ctx.applicationInfo.icon)
+        .setContentTitle(title)
+        .setContentText(body)
+        .setStyle(NotificationCompat.BigTextStyle().bigText(body))
+        .setPriority(NotificationCompat.PRIORITY_HIGH)
+        .setCategory(NotificationCompat.CATEGORY_ALARM)
+        .setAutoCancel(true)
+        .apply {
+          if (content != null) setContentIntent(content)
+          options?.takeIf { it.hasKey("threadId") }?.getString("threadId")?.let { setGroup(it) }
+        }
+        .build()
+
+      NotificationManagerCompat.from(ctx).notify(id.hashCode(), notification)
+      promise.resolve(true)
+    } catch (t: Throwable) {
+      promise.reject("NOTIFY", t.message ?: "notify failed", t)
+    }
+  }
+}
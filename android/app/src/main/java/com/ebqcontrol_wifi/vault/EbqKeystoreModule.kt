@@ -0,0 +1,74 @@
+package com.ebqcontrol_wifi.vault
+
+import android.security.keystore.KeyGenParameterSpec
+import android.security.keystore.KeyProperties
+import android.util.Base64
+import com.facebook.react.bridge.*
+import java.security.KeyStore
+import java.security.SecureRandom
+import javax.crypto.Cipher
+import javax.crypto.KeyGenerator
+import javax.crypto.SecretKey
+import javax.crypto.spec.GCMParameterSpec
+
+/**
+ * Credential vault backend: AES-256-GCM with a non-exportable key in the Android Keystore.
+ * Sealed text = base64(iv | ciphertext | tag).
+ */
+class EbqKeystoreModule(reactContext: ReactApplicationContext)
+  : ReactContextBaseJavaModule(reactContext) {
+
+  override fun getName(): String = "EbqKeystore"
+
+  private val provider = "AndroidKeyStore"
+  private val transformation = "AES/GCM/NoPadding"
+  private val ivBytes = 12
+  private val tagBits = 128
+
+  private fun keyFor(alias: String): SecretKey {
+    val ks = KeyStore.getInstance(provider).apply { load(null) }
+    (ks.getEntry(alias, null) as? KeyStore.SecretKeyEntry)?.let { return it.secretKey }
+
+    val gen = KeyGenerator.getInstance(KeyProperties.KEY_ALGORITHM_AES, provider)
+    gen.init(
+      KeyGenParameterSpec.Builder(alias, KeyProperties.PURPOSE_ENCRYPT or KeyProperties.PURPOSE_DECRYPT)
+        .setBlockModes(KeyProperties.BLOCK_MODE_GCM)
+        .setEncryptionPaddings(KeyProperties.ENCRYPTION_PADDING_NONE)
+        .setKeySize(256)
+        .build()
+    )
+    return gen.generateKey()
+  }
+
+  @ReactMethod
+  fun seal(alias: String, plaintext: String, promise: Promise) {
+    try {
+      val cipher = Cipher.getInstance(transformation)
+      cipher.init(Cipher.ENCRYPT_MODE, keyFor(alias))
+      val ct = cipher.doFinal(plaintext.toByteArray(Charsets.UTF_8))
+      promise.resolve(Base64.encodeToString(cipher.iv + ct, Base64.NO_WRAP))
+    } catch (t: Throwable) {
+      promise.reject("VAULT_SEAL", t.message ?: "seal failed", t)
+    }
+  }
+
+  @ReactMethod
+  fun open(alias: String, sealed: String, promise: Promise) {
+    try {
+      val raw = Base64.decode(sealed, Base64.NO_WRAP)
+      val cipher = Cipher.getInstance(transformation)
+      cipher.init(Cipher.DECRYPT_MODE, keyFor(alias), GCMParameterSpec(tagBits, raw, 0, ivBytes))
+      val pt = cipher.doFinal(raw, ivBytes, raw.size - ivBytes)
+      promise.resolve(String(pt, Charsets.UTF_8))
+    } catch (t: Throwable) {
+      promise.reject("VAULT_OPEN", t.message ?: "open failed", t)
+    }
+  }
+
+  @ReactMethod
+  fun randomBytes(count: Int, promise: Promise) {
+    val bytes = ByteArray(count.coerceIn(1, 1024))
+    SecureRandom().nextBytes(bytes)
+    promise.resolve(Base64.encodeToString(bytes, Base64.NO_WRAP))
+  }
+}
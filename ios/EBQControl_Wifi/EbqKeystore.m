@@ -0,0 +1,19 @@
+#import <React/RCTBridgeModule.h>
+
+@interface RCT_EXTERN_MODULE(EbqKeystore, NSObject)
+
+RCT_EXTERN_METHOD(seal:(NSString *)alias
+                  plaintext:(NSString *)plaintext
+                  resolver:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
+
+RCT_EXTERN_METHOD(open:(NSString *)alias
+                  sealed:(NSString *)sealed
+                  resolver:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
+
+RCT_EXTERN_METHOD(randomBytes:(nonnull NSNumber *)count
+                  resolver:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
+
+@end
@@ -0,0 +1,75 @@
+import Foundation
+import CryptoKit
+import Security
+import React
+
+/// Credential vault backend: AES-256-GCM with a random key kept in the Keychain
+/// (this device only, available after first unlock). Sealed text = base64(nonce | ciphertext | tag).
+@objc(EbqKeystore)
+class EbqKeystore: NSObject {
+
+  private let service = "com.ebqcontrol.vault"
+
+  @objc static func requiresMainQueueSetup() -> Bool { false }
+
+  private func keyFor(_ alias: String) throws -> SymmetricKey {
+    let query: [String: Any] = [
+      kSecClass as String: kSecClassGenericPassword,
+      kSecAttrService as String: service,
+      kSecAttrAccount as String: alias,
+      kSecReturnData as String: true,
+      kSecMatchLimit as String: kSecMatchLimitOne,
+    ]
+    var item: CFTypeRef?
+    if SecItemCopyMatching(query as CFDictionary, &item) == errSecSuccess, let data = item as? Data {
+      return SymmetricKey(data: data)
+    }
+
+    let key = SymmetricKey(size: .bits256)
+    let data = key.withUnsafeBytes { Data($0) }
+    let add: [String: Any] = [
+      kSecClass as String: kSecClassGenericPassword,
+      kSecAttrService as String: service,
+      kSecAttrAccount as String: alias,
+      kSecAttrAccessible as String: kSecAttrAccessibleAfterFirstUnlockThisDeviceOnly,
+      kSecValueData as String: data,
+    ]
+    let status = SecItemAdd(add as CFDictionary, nil)
+    guard status == errSecSuccess else {
+      throw NSError(domain: "EbqKeystore", code: Int(status), userInfo: [NSLocalizedDescriptionKey: "Keychain add failed (\(status))"])
+    }
+    return key
+  }
+
+  @objc(seal:plaintext:resolver:rejecter:)
+  func seal(alias: String, plaintext: String, resolver resolve: RCTPromiseResolveBlock, rejecter reject: RCTPromiseRejectBlock) {
+    do {
+      let box = try AES.GCM.seal(Data(plaintext.utf8), using: try keyFor(alias))
+      guard let combined = box.combined else { throw NSError(domain: "EbqKeystore", code: -1) }
+      resolve(combined.base64EncodedString())
+    } catch {
+      reject("VAULT_SEAL", error.localizedDescription, error)
+    }
+  }
+
+  @objc(open:sealed:resolver:rejecter:)
+  func open(alias: String, sealed: String, resolver resolve: RCTPromiseResolveBlock, rejecter reject: RCTPromiseRejectBlock) {
+    do {
+      guard let raw = Data(base64Encoded: sealed) else { throw NSError(domain: "EbqKeystore", code: -2) }
+      let plain = try AES.GCM.open(try AES.GCM.SealedBox(combined: raw), using: try keyFor(alias))
+      resolve(String(decoding: plain, as: UTF8.self))
+    } catch {
+      reject("VAULT_OPEN", error.localizedDescription, error)
+    }
+  }
+
+  @objc(randomBytes:resolver:rejecter:)
+  func randomBytes(count: NSNumber, resolver resolve: RCTPromiseResolveBlock, rejecter reject: RCTPromiseRejectBlock) {
+    var bytes = [UInt8](repeating: 0, count: max(1, min(1024, count.intValue)))
+    guard SecRandomCopyBytes(kSecRandomDefault, bytes.count, &bytes) == errSecSuccess else {
+      reject("VAULT_RANDOM", "SecRandomCopyBytes failed", nil)
+      return
+    }
+    resolve(Data(bytes).base64EncodedString())
+  }
+}
@@ -0,0 +1,54 @@
+import Foundation
+import UserNotifications
+import React
+
+/// Local system notifications (over-current alarms) through UNUserNotificationCenter.
+/// Also shown as a banner while the app is in the foreground.
+@objc(EbqNotifier)
+class EbqNotifier: NSObject, UNUserNotificationCenterDelegate {
+
+  @objc static func requiresMainQueueSetup() -> Bool { false }
+
+  override init() {
+    super.init()
+    UNUserNotificationCenter.current().delegate = self
+  }
+
+  func userNotificationCenter(
+    _ center: UNUserNotificationCenter,
+    willPresent notification: UNNotification,
+    withCompletionHandler completionHandler: @escaping (UNNotificationPresentationOptions) -> Void
+  ) {
+    completionHandler([.banner, .list, .sound])
+  }
+
+  @objc(requestPermission:rejecter:)
+  func requestPermission(resolver resolve: @escaping RCTPromiseResolveBlock, rejecter reject: @escaping RCTPromiseRejectBlock) {
+    UNUserNotificationCenter.current().requestAuthorization(options: [.alert, .sound, .badge]) { granted, error in
+      if let error = error {
+        reject("NOTIFY_PERMISSION", error.localizedDescription, error)
+      } else {
+        resolve(granted)
+      }
+    }
+  }
+
+  @objc(notify:title:body:options:resolver:rejecter:)
+  func notify(id: String, title: String, body: String, options: NSDictionary?, resolver resolve: @escaping RCTPromiseResolveBlock, rejecter reject: @escaping RCTPromiseRejectBlock) {
+    let content = UNMutableNotificationContent()
+    content.title = title
+    content.body = body
+    content.sound = .default
+    // One group per channel id (e.g. per gateway) in Notification Center
+    if let thread = options?["threadId"] as? String { content.threadIdentifier = thread }
+
+    let request = UNNotificationRequest(identifier: id, content: content, trigger: nil)
+    UNUserNotificationCenter.current().add(request) { error in
+      if let error = error {
+        reject("NOTIFY", error.localizedDescription, error)
+      } else {
+        resolve(true)
+      }
+    }
+  }
+}
@@ -10,6 +10,7 @@ RCT_EXTERN_METHOD(connect:(NSString *)host
                   username:(NSString *)username
                   password:(NSString *)password
                   useTls:(nonnull NSNumber *)useTls
+                  options:(NSDictionary *)options
                   resolver:(RCTPromiseResolveBlock)resolve
                   rejecter:(RCTPromiseRejectBlock)reject)
                   
@@ -20,6 +21,11 @@ RCT_EXTERN_METHOD(subscribe:(NSString *)topic
                   resolver:(RCTPromiseResolveBlock)resolve
                   rejecter:(RCTPromiseRejectBlock)reject)
 
+RCT_EXTERN_METHOD(unsubscribe:(NSString *)topic
+                  clientId:(NSString *)clientId
+                  resolver:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
+
 // ✅ Added clientId parameter
 RCT_EXTERN_METHOD(publish:(NSString *)topic
                   payload:(NSString *)payload
@@ -34,6 +40,14 @@ RCT_EXTERN_METHOD(disconnect:(NSString *)clientId
                   resolver:(RCTPromiseResolveBlock)resolve
                   rejecter:(RCTPromiseRejectBlock)reject)
 
+// DNS / TCP / TLS steps of the connection diagnostics
+RCT_EXTERN_METHOD(diagnose:(NSString *)host
+                  port:(nonnull NSNumber *)port
+                  useTls:(nonnull NSNumber *)useTls
+                  options:(NSDictionary *)options
+                  resolver:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
+
 // ✅ Added clientId parameter
 RCT_EXTERN_METHOD(disconnectAll:(RCTPromiseResolveBlock)resolve
                   rejecter:(RCTPromiseRejectBlock)reject)
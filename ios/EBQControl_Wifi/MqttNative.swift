@@ -1,4 +1,6 @@
 import Foundation
+import Network
+import CryptoKit
 import React
 import CocoaMQTT
 
@@ -9,6 +11,12 @@ class MqttNative: RCTEventEmitter, CocoaMQTTDelegate {
   private var clients: [String: CocoaMQTT] = [:]
   private var resolvers: [String: RCTPromiseResolveBlock] = [:]
   private var rejecters: [String: RCTPromiseRejectBlock] = [:]
+  // Pending SUBSCRIBEs ("clientId|topic"), settled by SUBACK
+  private var subscribeWaiters: [String: (RCTPromiseResolveBlock, RCTPromiseRejectBlock)] = [:]
+  // TLS security of the broker profile per client (CA, pins, client certificate)
+  private var tlsConfigs: [String: TlsConfig] = [:]
+  // Why the server certificate was refused; reported by the following disconnect
+  private var tlsRejections: [String: String] = [:]
   private var hasListeners = false
 
   override static func requiresMainQueueSetup() -> Bool { false }
@@ -47,13 +55,18 @@ class MqttNative: RCTEventEmitter, CocoaMQTTDelegate {
     if let rej = rejecters[clientId] {
       rej("MQTT_CLOSED", reason, nil)
     }
+    for key in subscribeWaiters.keys where key.hasPrefix("\(clientId)|") {
+      subscribeWaiters.removeValue(forKey: key)?.1("MQTT_CLOSED", reason, nil)
+    }
+    tlsConfigs.removeValue(forKey: clientId)
+    tlsRejections.removeValue(forKey: clientId)
     resolvers.removeValue(forKey: clientId)
     rejecters.removeValue(forKey: clientId)
   }
 
   // MARK: - RN Exposed Methods
 
-  @objc(connect:port:clientId:username:password:useTls:resolver:rejecter:)
+  @objc(connect:port:clientId:username:password:useTls:options:resolver:rejecter:)
   func connect(
     host: String,
     port: NSNumber,
@@ -61,12 +74,24 @@ class MqttNative: RCTEventEmitter, CocoaMQTTDelegate {
     username: String,
     password: String,
     useTls: NSNumber,
+    options: NSDictionary?,
     resolver resolve: @escaping RCTPromiseResolveBlock,
     rejecter reject: @escaping RCTPromiseRejectBlock
   ) {
     let h = host.trimmingCharacters(in: .whitespacesAndNewlines)
     let p = UInt16(truncating: port)
     let tls = useTls.boolValue
+    let useWebSocket = (options?["transport"] as? String) == "ws"
+    var wsPath = ((options?["wsPath"] as? String) ?? "").trimmingCharacters(in: .whitespacesAndNewlines)
+    if wsPath.isEmpty { wsPath = "/mqtt" }
+    if !wsPath.hasPrefix("/") { wsPath = "/" + wsPath }
+
+    // Read first: a bad CA / client certificate fails the connect before any client exists
+    let tlsConfig: (config: TlsConfig?, error: String?) = tls ? MqttNative.tlsConfig(options) : (nil, nil)
+    if let err = tlsConfig.error {
+      reject("MQTT_CONNECT_EXCEPTION", "connect exception: \(err)", nil)
+      return
+    }
 
     // If a connection already exists for the same clientId, close it first.
     closeClient(clientId: clientId, reason: "reconnecting")
@@ -75,24 +100,53 @@ class MqttNative: RCTEventEmitter, CocoaMQTTDelegate {
     resolvers[clientId] = resolve
     rejecters[clientId] = reject
 
-    let m = CocoaMQTT(clientID: clientId, host: h, port: p)
+    // ✅ MQTT over WebSocket (e.g. port 8812) needs the WebSocket socket instead of raw TCP
+    let m: CocoaMQTT
+    if useWebSocket {
+      let socket = CocoaMQTTWebSocket(uri: wsPath)
+      socket.enableSSL = tls
+      m = CocoaMQTT(clientID: clientId, host: h, port: p, socket: socket)
+    } else {
+      m = CocoaMQTT(clientID: clientId, host: h, port: p)
+    }
     m.delegate = self
-    m.cleanSession = true
-    m.keepAlive = 20
-    m.autoReconnect = true
-    m.autoReconnectTimeInterval = 3
+    // false: persistent session (stable clientId from JS), the broker keeps QoS 1 messages for us
+    m.cleanSession = (options?["cleanSession"] as? Bool) ?? true
+    m.keepAlive = (options?["keepAlive"] as? NSNumber)?.uint16Value ?? 20
+    // Last Will: { topic, payload, qos, retain }
+    if let will = options?["will"] as? [String: Any], let willTopic = will["topic"] as? String, !willTopic.isEmpty {
+      let willQos = CocoaMQTTQoS(rawValue: (will["qos"] as? NSNumber)?.uint8Value ?? 0) ?? .qos0
+      m.willMessage = CocoaMQTTMessage(
+        topic: willTopic,
+        string: will["payload"] as? String ?? "",
+        qos: willQos,
+        retained: (will["retain"] as? Bool) ?? false
+      )
+    }
+    // Reconnects are scheduled by the JS ReconnectPolicy, as on Android
+    m.autoReconnect = false
 
     if !username.isEmpty { m.username = username }
     if !password.isEmpty { m.password = password }
 
  if tls {
     m.enableSSL = true
+    // Certificates come to didReceive trust: accepted as they are unless the profile sets a CA / pins
     m.allowUntrustCACertificate = true
 }
+    if let config = tlsConfig.config {
+      tlsConfigs[clientId] = config
+      if let identity = config.identity {
+        // WebSocket connections present it from mqttUrlSession instead
+        let items: [AnyObject] = [identity] + config.identityChain.map { $0 as AnyObject }
+        m.sslSettings = [kCFStreamSSLCertificates as String: items as NSArray]
+      }
+    }
     clients[clientId] = m
 
-    let scheme = tls ? "ssl" : "tcp"
-    emit("mqtt_status", clientId: clientId, extra: ["status": "CONNECTING \(scheme)://\(h):\(p)"])
+    let scheme = useWebSocket ? (tls ? "wss" : "ws") : (tls ? "ssl" : "tcp")
+    let path = useWebSocket ? wsPath : ""
+    emit("mqtt_status", clientId: clientId, extra: ["status": "CONNECTING \(scheme)://\(h):\(p)\(path)"])
 
     if !m.connect() {
       rejecters[clientId]?("MQTT_CONNECT_FAIL", "connect() returned false", nil)
@@ -115,8 +169,30 @@ class MqttNative: RCTEventEmitter, CocoaMQTTDelegate {
       return
     }
     let q = CocoaMQTTQoS(rawValue: UInt8(truncating: qos)) ?? .qos0
+    let key = "\(clientId)|\(topic)"
+    subscribeWaiters[key] = (resolve, reject)
     m.subscribe(topic, qos: q)
-    emit("mqtt_status", clientId: clientId, extra: ["status": "SUBSCRIBED \(topic)"])
+
+    // No SUBACK in time: report it instead of waiting forever
+    DispatchQueue.main.asyncAfter(deadline: .now() + 10) { [weak self] in
+      guard let waiter = self?.subscribeWaiters.removeValue(forKey: key) else { return }
+      waiter.1("MQTT_SUB_TIMEOUT", "subscribe failed topic=\(topic): no SUBACK within 10 s", nil)
+    }
+  }
+
+  @objc(unsubscribe:clientId:resolver:rejecter:)
+  func unsubscribe(
+    topic: String,
+    clientId: String,
+    resolver resolve: @escaping RCTPromiseResolveBlock,
+    rejecter reject: @escaping RCTPromiseRejectBlock
+  ) {
+    guard let m = clients[clientId], m.connState == .connected else {
+      reject("MQTT_NOT_CONNECTED", "Client \(clientId) not connected", nil)
+      return
+    }
+    m.unsubscribe(topic)
+    emit("mqtt_status", clientId: clientId, extra: ["status": "UNSUBSCRIBED \(topic)"])
     resolve(true)
   }
 
@@ -161,6 +237,254 @@ class MqttNative: RCTEventEmitter, CocoaMQTTDelegate {
     resolve(true)
   }
 
+  // MARK: - TLS security (broker profile)
+
+  private struct TlsConfig {
+    var anchors: [SecCertificate] = []
+    var pins: Set<String> = []
+    var identity: SecIdentity?
+    var identityChain: [SecCertificate] = []  // intermediates sent with the client certificate
+  }
+
+  /// CA (caCert, PEM), pinned SHA-256 fingerprints (pinSha256) and client certificate
+  /// (clientCert, base64 PKCS#12 + clientCertPassword) of the connect options; nil when none is set
+  private static func tlsConfig(_ options: NSDictionary?) -> (config: TlsConfig?, error: String?) {
+    var config = TlsConfig()
+    let pem = (options?["caCert"] as? String) ?? ""
+    if !pem.isEmpty {
+      config.anchors = parseCertificates(pem)
+      if config.anchors.isEmpty { return (nil, "CA certificate could not be read (no certificate)") }
+    }
+    let pins = (options?["pinSha256"] as? [String]) ?? []
+    config.pins = Set(pins.map { $0.replacingOccurrences(of: ":", with: "").uppercased() })
+    let p12 = (options?["clientCert"] as? String) ?? ""
+    if !p12.isEmpty {
+      let imported = importIdentity(p12, password: (options?["clientCertPassword"] as? String) ?? "")
+      if let err = imported.error { return (nil, err) }
+      config.identity = imported.identity
+      config.identityChain = imported.chain
+    }
+    if config.anchors.isEmpty && config.pins.isEmpty && config.identity == nil { return (nil, nil) }
+    return (config, nil)
+  }
+
+  private static func parseCertificates(_ pem: String) -> [SecCertificate] {
+    return pem.components(separatedBy: "-----BEGIN CERTIFICATE-----").dropFirst().compactMap { part in
+      guard let body = part.components(separatedBy: "-----END CERTIFICATE-----").first,
+            let data = Data(base64Encoded: body.filter { !$0.isWhitespace }) else { return nil }
+      return SecCertificateCreateWithData(nil, data as CFData)
+    }
+  }
+
+  private static func importIdentity(_ base64: String, password: String) -> (identity: SecIdentity?, chain: [SecCertificate], error: String?) {
+    guard let data = Data(base64Encoded: base64, options: .ignoreUnknownCharacters) else {
+      return (nil, [], "client certificate could not be read (not base64)")
+    }
+    var items: CFArray?
+    let status = SecPKCS12Import(data as CFData, [kSecImportExportPassphrase as String: password] as CFDictionary, &items)
+    guard status == errSecSuccess,
+          let first = (items as? [[String: Any]])?.first,
+          let ref = first[kSecImportItemIdentity as String] else {
+      let reason = status == errSecAuthFailed ? "wrong password" : "OSStatus \(status)"
+      return (nil, [], "client certificate could not be read (\(reason))")
+    }
+    let chain = (first[kSecImportItemCertChain as String] as? [SecCertificate]) ?? []
+    // The chain starts with the client certificate itself
+    return ((ref as! SecIdentity), Array(chain.dropFirst()), nil)
+  }
+
+  private static func sha256Hex(_ cert: SecCertificate) -> String {
+    let data = SecCertificateCopyData(cert) as Data
+    return SHA256.hash(data: data).map { String(format: "%02X", $0) }.joined()
+  }
+
+  /// nil when the server passes the CA / pin checks of the profile, else why it was refused
+  /// ("certificate rejected" so JS does not retry without TLS)
+  private static func rejectReason(_ trust: SecTrust, host: String, config: TlsConfig) -> String? {
+    if !config.anchors.isEmpty {
+      SecTrustSetPolicies(trust, SecPolicyCreateSSL(true, host as CFString))
+      SecTrustSetAnchorCertificates(trust, config.anchors as CFArray)
+      SecTrustSetAnchorCertificatesOnly(trust, true)
+      var error: CFError?
+      if !SecTrustEvaluateWithError(trust, &error) {
+        let detail = error.map { ($0 as Error).localizedDescription } ?? "not trusted"
+        return "certificate rejected: not issued by the profile CA (\(detail))"
+      }
+    }
+    if !config.pins.isEmpty {
+      let chain = (SecTrustCopyCertificateChain(trust) as? [SecCertificate]) ?? []
+      if !chain.contains(where: { config.pins.contains(sha256Hex($0)) }) {
+        return "certificate rejected: no certificate matches the pinned SHA-256 fingerprints"
+      }
+    }
+    return nil
+  }
+
+  // MARK: - Diagnostics
+
+  /// Network steps below MQTT for the diagnostics screen: DNS resolve, TCP connect and
+  /// (useTls) the TLS handshake with certificate details. Resolves
+  /// { dns, tcp, tls? } — each { ok, ms, error?, ... }; stops at the first failed step.
+  @objc(diagnose:port:useTls:options:resolver:rejecter:)
+  func diagnose(
+    host: String,
+    port: NSNumber,
+    useTls: NSNumber,
+    options: NSDictionary?,
+    resolver resolve: @escaping RCTPromiseResolveBlock,
+    rejecter reject: @escaping RCTPromiseRejectBlock
+  ) {
+    let h = host.trimmingCharacters(in: .whitespacesAndNewlines)
+    let p = port.uint16Value
+    let tls = useTls.boolValue
+    let timeout = ((options?["timeoutMs"] as? NSNumber)?.doubleValue ?? 8000) / 1000
+
+    DispatchQueue.global(qos: .userInitiated).async {
+      var result: [String: Any] = [:]
+
+      // 1) DNS
+      var t0 = Date()
+      let dns = MqttNative.resolveHost(h)
+      if let err = dns.error {
+        result["dns"] = MqttNative.failedStep(t0, err)
+        resolve(result)
+        return
+      }
+      result["dns"] = ["ok": true, "ms": MqttNative.ms(since: t0), "addresses": dns.addresses]
+
+      // 2) TCP
+      t0 = Date()
+      let tcp = MqttNative.openConnection(host: h, port: p, tls: nil, timeout: timeout)
+      if let err = tcp.error {
+        result["tcp"] = MqttNative.failedStep(t0, err)
+        resolve(result)
+        return
+      }
+      result["tcp"] = ["ok": true, "ms": MqttNative.ms(since: t0), "address": tcp.remote ?? "\(h):\(p)"]
+
+      // 3) TLS handshake (any certificate is accepted, as for the MQTT connection; trust is checked separately)
+      if tls {
+        t0 = Date()
+        var details: [String: Any] = [:]
+        let tlsOptions = NWProtocolTLS.Options()
+        sec_protocol_options_set_tls_server_name(tlsOptions.securityProtocolOptions, h)
+        sec_protocol_options_set_verify_block(tlsOptions.securityProtocolOptions, { _, trustRef, complete in
+          details = MqttNative.describeTrust(sec_trust_copy_ref(trustRef).takeRetainedValue(), host: h)
+          complete(true)
+        }, DispatchQueue.global(qos: .userInitiated))
+
+        let conn = MqttNative.openConnection(host: h, port: p, tls: tlsOptions, timeout: timeout)
+        if let err = conn.error {
+          result["tls"] = MqttNative.failedStep(t0, err)
+        } else {
+          details["ok"] = true
+          details["ms"] = MqttNative.ms(since: t0)
+          if let v = conn.tlsProtocol { details["protocol"] = v }
+          if let c = conn.cipher { details["cipher"] = c }
+          result["tls"] = details
+        }
+      }
+      resolve(result)
+    }
+  }
+
+  private static func ms(since start: Date) -> Double {
+    return Date().timeIntervalSince(start) * 1000
+  }
+
+  private static func failedStep(_ start: Date, _ error: String) -> [String: Any] {
+    return ["ok": false, "ms": ms(since: start), "error": error]
+  }
+
+  private static func resolveHost(_ host: String) -> (addresses: [String], error: String?) {
+    var hints = addrinfo()
+    hints.ai_family = AF_UNSPEC
+    hints.ai_socktype = SOCK_STREAM
+    var res: UnsafeMutablePointer<addrinfo>?
+    let rc = getaddrinfo(host, nil, &hints, &res)
+    if rc != 0 { return ([], "DNS lookup failed: \(String(cString: gai_strerror(rc)))") }
+    defer { freeaddrinfo(res) }
+
+    var out: [String] = []
+    var ptr = res
+    while let ai = ptr {
+      var buf = [CChar](repeating: 0, count: Int(NI_MAXHOST))
+      if getnameinfo(ai.pointee.ai_addr, ai.pointee.ai_addrlen, &buf, socklen_t(buf.count), nil, 0, NI_NUMERICHOST) == 0 {
+        let s = String(cString: buf)
+        if !out.contains(s) { out.append(s) }
+      }
+      ptr = ai.pointee.ai_next
+    }
+    return (out, nil)
+  }
+
+  private struct ProbeResult {
+    var error: String?
+    var remote: String?
+    var tlsProtocol: String?
+    var cipher: String?
+  }
+
+  /// Open (and close) one connection; blocks the calling (background) queue until ready / failed / timeout
+  private static func openConnection(host: String, port: UInt16, tls: NWProtocolTLS.Options?, timeout: TimeInterval) -> ProbeResult {
+    guard let nwPort = NWEndpoint.Port(rawValue: port) else { return ProbeResult(error: "invalid port \(port)") }
+    let params = tls != nil ? NWParameters(tls: tls!, tcp: NWProtocolTCP.Options()) : NWParameters.tcp
+    let conn = NWConnection(host: NWEndpoint.Host(host), port: nwPort, using: params)
+    let done = DispatchSemaphore(value: 0)
+    var result = ProbeResult(error: "timeout after \(Int(timeout)) s")
+    var finished = false
+
+    conn.stateUpdateHandler = { state in
+      guard !finished else { return }
+      switch state {
+      case .ready:
+        result = ProbeResult(error: nil)
+        if let remote = conn.currentPath?.remoteEndpoint { result.remote = "\(remote)" }
+        if let meta = conn.metadata(definition: NWProtocolTLS.definition) as? NWProtocolTLS.Metadata {
+          let sec = meta.securityProtocolMetadata
+          switch sec_protocol_metadata_get_negotiated_tls_protocol_version(sec) {
+          case .TLSv13: result.tlsProtocol = "TLSv1.3"
+          case .TLSv12: result.tlsProtocol = "TLSv1.2"
+          case .TLSv11: result.tlsProtocol = "TLSv1.1"
+          case .TLSv10: result.tlsProtocol = "TLSv1"
+          default: result.tlsProtocol = nil
+          }
+          result.cipher = String(format: "0x%04X", sec_protocol_metadata_get_negotiated_tls_ciphersuite(sec).rawValue)
+        }
+      case .failed(let err), .waiting(let err):
+        result = ProbeResult(error: "\(err)")
+      default:
+        return
+      }
+      finished = true
+      done.signal()
+    }
+    let queue = DispatchQueue(label: "ebq.mqtt.diagnose")
+    conn.start(queue: queue)
+    _ = done.wait(timeout: .now() + timeout)
+    queue.sync { finished = true }
+    conn.cancel()
+    return result
+  }
+
+  /// Certificate chain and system trust (with hostname check) of a server
+  private static func describeTrust(_ trust: SecTrust, host: String) -> [String: Any] {
+    var out: [String: Any] = [:]
+    SecTrustSetPolicies(trust, SecPolicyCreateSSL(true, host as CFString))
+    var error: CFError?
+    let trusted = SecTrustEvaluateWithError(trust, &error)
+    out["trusted"] = trusted
+    if !trusted { out["trustError"] = error.map { ($0 as Error).localizedDescription } ?? "not trusted" }
+
+    let chain = (SecTrustCopyCertificateChain(trust) as? [SecCertificate]) ?? []
+    out["certificates"] = chain.map { cert -> [String: Any] in
+      let data = SecCertificateCopyData(cert) as Data
+      let digest = SHA256.hash(data: data).map { String(format: "%02X", $0) }.joined(separator: ":")
+      return ["subject": (SecCertificateCopySubjectSummary(cert) as String?) ?? "", "sha256": digest]
+    }
+    return out
+  }
+
   // MARK: - CocoaMQTTDelegate
 
   func mqtt(_ mqtt: CocoaMQTT, didConnect host: String, port: Int) {}
@@ -215,7 +539,7 @@ func mqtt(_ mqtt: CocoaMQTT, didReceiveMessage message: CocoaMQTTMessage, id: UI
     let cid = mqtt.clientID
     guard clients[cid] === mqtt else { return }
     let nsErr = err as NSError?
-    let msg = err?.localizedDescription ?? "disconnected"
+    let msg = tlsRejections.removeValue(forKey: cid) ?? err?.localizedDescription ?? "disconnected"
     let detail = nsErr != nil ? "\(msg) (domain=\(nsErr!.domain) code=\(nsErr!.code))" : msg
     if let rej = rejecters[cid] {
       rej("MQTT_DISCONNECTED", detail, err)
@@ -233,12 +557,65 @@ func mqtt(_ mqtt: CocoaMQTT, didReceiveMessage message: CocoaMQTTMessage, id: UI
   }
 
   func mqtt(_ mqtt: CocoaMQTT, didReceive trust: SecTrust, completionHandler: @escaping (Bool) -> Void) {
-    completionHandler(true)
+    let cid = mqtt.clientID
+    guard let config = tlsConfigs[cid] else {
+      completionHandler(true)
+      return
+    }
+    if let reason = MqttNative.rejectReason(trust, host: mqtt.host, config: config) {
+      tlsRejections[cid] = reason
+      completionHandler(false)
+    } else {
+      completionHandler(true)
+    }
+  }
+
+  // MQTT over WebSocket (URLSession): CA / pin checks and the client certificate of the profile
+  func mqttUrlSession(
+    _ mqtt: CocoaMQTT,
+    didReceiveTrust trust: SecTrust,
+    didReceiveChallenge challenge: URLAuthenticationChallenge,
+    completionHandler: @escaping (URLSession.AuthChallengeDisposition, URLCredential?) -> Void
+  ) {
+    let cid = mqtt.clientID
+    guard let config = tlsConfigs[cid] else {
+      completionHandler(.performDefaultHandling, nil)
+      return
+    }
+    if challenge.protectionSpace.authenticationMethod == NSURLAuthenticationMethodClientCertificate {
+      guard let identity = config.identity else {
+        completionHandler(.performDefaultHandling, nil)
+        return
+      }
+      completionHandler(.useCredential, URLCredential(identity: identity, certificates: config.identityChain, persistence: .forSession))
+      return
+    }
+    if config.anchors.isEmpty && config.pins.isEmpty {
+      completionHandler(.performDefaultHandling, nil)
+    } else if let reason = MqttNative.rejectReason(trust, host: mqtt.host, config: config) {
+      tlsRejections[cid] = reason
+      completionHandler(.cancelAuthenticationChallenge, nil)
+    } else {
+      completionHandler(.useCredential, URLCredential(trust: trust))
+    }
   }
 
   func mqtt(_ mqtt: CocoaMQTT, didPublishMessage message: CocoaMQTTMessage, id: UInt16) {}
   func mqtt(_ mqtt: CocoaMQTT, didPublishAck id: UInt16) {}
-  func mqtt(_ mqtt: CocoaMQTT, didSubscribeTopics success: NSDictionary, failed: [String]) {}
+  func mqtt(_ mqtt: CocoaMQTT, didSubscribeTopics success: NSDictionary, failed: [String]) {
+    let cid = mqtt.clientID
+    for case let topic as String in success.allKeys {
+      if let waiter = subscribeWaiters.removeValue(forKey: "\(cid)|\(topic)") {
+        emit("mqtt_status", clientId: cid, extra: ["status": "SUBSCRIBED \(topic)"])
+        waiter.0(true)
+      }
+    }
+    for topic in failed {
+      // SUBACK 0x80: the broker refused the subscription (ACL)
+      subscribeWaiters.removeValue(forKey: "\(cid)|\(topic)")?
+        .1("MQTT_SUB_FAIL", "subscribe failed (SUBACK=0x80): \(topic)", nil)
+    }
+  }
   func mqtt(_ mqtt: CocoaMQTT, didUnsubscribeTopics topics: [String]) {}
   func mqttDidPing(_ mqtt: CocoaMQTT) {}
   func mqttDidReceivePong(_ mqtt: CocoaMQTT) {}  
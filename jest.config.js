@@ -1,3 +1,4 @@
 module.exports = {
   preset: 'react-native',
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
 };
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet, FlatList } from 'react-native';
+import {
+  MAX_THRESHOLD_PCT,
+  MIN_THRESHOLD_PCT,
+  acknowledgeAlarm,
+  acknowledgeAll,
+  clearAlarm,
+  setAlarmThreshold,
+  subscribeAlarms,
+} from '../utils/AlarmEngine';
+
+const STEP_PCT = 5;
+
+function fmtWhen(t) {
+  const d = new Date(t);
+  const hh = String(d.getHours()).padStart(2, '0');
+  const mm = String(d.getMinutes()).padStart(2, '0');
+  return `${d.getMonth() + 1}/${d.getDate()} ${hh}:${mm}`;
+}
+
+const AlarmRow = ({ alarm }) => {
+  const phase = alarm.phase ? ` L${alarm.phase}` : '';
+  return (
+    <View style={[styles.row, alarm.active && styles.activeRow]}>
+      <View style={styles.rowText}>
+        <Text style={styles.rowTitle} numberOfLines={1}>
+          C{alarm.channel}{phase}  {alarm.name}
+        </Text>
+        <Text style={styles.rowMeta}>
+          Peak {alarm.peak.toFixed(2)} A / rating {alarm.rating.toFixed(1)} A ({alarm.thresholdPct}%)
+        </Text>
+        <Text style={styles.rowMeta}>
+          {fmtWhen(alarm.raisedAt)}
+          {alarm.active ? '  · ACTIVE' : alarm.endedAt ? `  → ${fmtWhen(alarm.endedAt)}` : ''}
+        </Text>
+      </View>
+      {!alarm.acknowledged ? (
+        <TouchableOpacity style={styles.smallButton} onPress={() => acknowledgeAlarm(alarm.id)} activeOpacity={0.85}>
+          <Text style={styles.smallButtonText}>Ack</Text>
+        </TouchableOpacity>
+      ) : null}
+      <TouchableOpacity style={styles.smallButton} onPress={() => clearAlarm(alarm.id)} activeOpacity={0.85}>
+        <Text style={styles.smallButtonText}>Clear</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+/**
+ * Over-current alarm list for one gateway (cpid + deviceId), with the alarm threshold setting.
+ */
+export default function MqttAlarmListDialog({ visible, onClose, cpid, deviceId }) {
+  const [state, setState] = useState({ settings: { thresholdPct: 100 }, alarms: [] });
+
+  useEffect(() => {
+    if (!visible) return undefined;
+    return subscribeAlarms(setState);
+  }, [visible]);
+
+  const alarms = state.alarms.filter(a => a.cpid === String(cpid || '') && a.deviceId === String(deviceId || ''));
+  const pct = state.settings.thresholdPct;
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Over-current Alarms</Text>
+
+          <View style={styles.thresholdRow}>
+            <Text style={styles.thresholdLabel}>Alarm above</Text>
+            <TouchableOpacity
+              style={styles.stepButton}
+              disabled={pct <= MIN_THRESHOLD_PCT}
+              onPress={() => setAlarmThreshold(pct - STEP_PCT)}
+              activeOpacity={0.85}
+            >
+              <Text style={styles.stepText}>−</Text>
+            </TouchableOpacity>
+            <Text style={styles.thresholdValue}>{pct}%</Text>
+            <TouchableOpacity
+              style={styles.stepButton}
+              disabled={pct >= MAX_THRESHOLD_PCT}
+              onPress={() => setAlarmThreshold(pct + STEP_PCT)}
+              activeOpacity={0.85}
+            >
+              <Text style={styles.stepText}>+</Text>
+            </TouchableOpacity>
+            <Text style={styles.thresholdLabel}>of rating</Text>
+          </View>
+
+          <FlatList
+            style={styles.list}
+            data={alarms}
+            keyExtractor={a => a.id}
+            renderItem={({ item }) => <AlarmRow alarm={item} />}
+            ListEmptyComponent={<Text style={styles.emptyText}>No alarms</Text>}
+          />
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => acknowledgeAll()} activeOpacity={0.85}>
+              <Text style={styles.secondaryText}>Ack all</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => clearAlarm()} activeOpacity={0.85}>
+              <Text style={styles.secondaryText}>Clear ended</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={onClose} activeOpacity={0.85}>
+              <Text style={styles.primaryText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    maxHeight: '80%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  thresholdRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginBottom: 12 },
+  thresholdLabel: { fontSize: 13, color: '#64748B', marginHorizontal: 6 },
+  thresholdValue: { fontSize: 16, fontWeight: '700', color: '#0F172A', minWidth: 48, textAlign: 'center' },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F1F5F9',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepText: { fontSize: 18, fontWeight: '700', color: '#2196F3' },
+
+  list: { flexGrow: 0 },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E2E8F0',
+  },
+  activeRow: { backgroundColor: '#FEF3C7' },
+  rowText: { flex: 1, paddingHorizontal: 4 },
+  rowTitle: { fontSize: 14, fontWeight: '600', color: '#1E293B' },
+  rowMeta: { fontSize: 12, color: '#64748B', marginTop: 2 },
+  smallButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#F1F5F9',
+    marginLeft: 6,
+  },
+  smallButtonText: { fontSize: 12, fontWeight: '600', color: '#2196F3' },
+  emptyText: { fontSize: 13, color: '#64748B', textAlign: 'center', marginVertical: 16 },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 16 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  secondaryText: { fontSize: 13, fontWeight: '600', color: '#64748B' },
+  primaryText: { fontSize: 13, fontWeight: '600', color: '#FFFFFF' },
+});
@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, StyleSheet, ScrollView, Alert, Share, Switch } from 'react-native';
+import { exportBundle, importBundle, parseBundle, previewImport } from '../utils/ConfigBundle';
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Export the configuration (devices, broker profiles, name caches, settings) as a JSON
+ * bundle through the share sheet, or import one: paste, preview, then merge or replace.
+ * onImported() is called after a successful import.
+ */
+export default function MqttBackupDialog({ visible, onClose, onImported }) {
+  const [mode, setMode] = useState('menu');          // 'menu' | 'import' | 'preview'
+  const [includeCredentials, setIncludeCredentials] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [bundle, setBundle] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode('menu');
+    setImportText('');
+    setBundle(null);
+    setPreview(null);
+  }, [visible]);
+
+  const doExport = async () => {
+    setBusy(true);
+    try {
+      const { text } = await exportBundle({ includeCredentials });
+      await Share.share({ title: 'ebq-config.json', message: text });
+    } catch (e) {
+      Alert.alert('Export', e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doPreview = async () => {
+    setBusy(true);
+    try {
+      const parsed = parseBundle(importText);
+      setPreview(await previewImport(parsed));
+      setBundle(parsed);
+      setMode('preview');
+    } catch (e) {
+      Alert.alert('Import', e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const apply = async (importMode) => {
+    setBusy(true);
+    try {
+      const result = await importBundle(bundle, { mode: importMode });
+      Alert.alert(
+        'Import Done',
+        `${plural(result.devices, 'device')}, ${plural(result.profiles, 'profile')} and ${plural(result.caches, 'name list')} imported.`,
+      );
+      onImported?.();
+      onClose?.();
+    } catch (e) {
+      Alert.alert('Import failed', e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmReplace = () => {
+    Alert.alert(
+      'Replace Configuration',
+      'Saved devices, profiles, names and settings that are not in the bundle will be removed.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => apply('replace') },
+      ],
+    );
+  };
+
+  const describe = (group) => {
+    const parts = [];
+    if (group.added.length) parts.push(`${group.added.length} new`);
+    if (group.updated.length) parts.push(`${group.updated.length} updated`);
+    return parts.join(', ') || 'none';
+  };
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          {mode === 'menu' ? (
+            <>
+              <Text style={styles.dialogTitle}>Backup & Restore</Text>
+              <Text style={styles.hint}>
+                Share devices, broker profiles, channel names and settings as a JSON bundle, e.g. to set up another phone.
+              </Text>
+              <View style={styles.switchRow}>
+                <Text style={styles.label}>Include usernames / passwords</Text>
+                <Switch value={includeCredentials} onValueChange={setIncludeCredentials} />
+              </View>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onClose} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Close</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton]}
+                  onPress={() => setMode('import')}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.secondaryText}>Import</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.primaryButton, busy && styles.disabledButton]}
+                  onPress={doExport}
+                  disabled={busy}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.primaryText}>Export</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+
+          {mode === 'import' ? (
+            <>
+              <Text style={styles.dialogTitle}>Import Bundle</Text>
+              <Text style={styles.hint}>Paste a bundle exported from this app. Nothing is changed before you confirm.</Text>
+              <TextInput
+                style={[styles.input, styles.importInput]}
+                value={importText}
+                onChangeText={setImportText}
+                placeholder='{"type":"ebq-config-bundle", ...}'
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+              />
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setMode('menu')} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Back</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.primaryButton, busy && styles.disabledButton]}
+                  onPress={doPreview}
+                  disabled={busy}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.primaryText}>Preview</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+
+          {mode === 'preview' && bundle && preview ? (
+            <>
+              <Text style={styles.dialogTitle}>Import Preview</Text>
+              <ScrollView style={styles.previewBox}>
+                {bundle.exportedAt ? <Text style={styles.hint}>Exported {bundle.exportedAt}</Text> : null}
+                <Text style={styles.previewLine}>Devices: {describe(preview.devices)}</Text>
+                <Text style={styles.previewLine}>Broker profiles: {describe(preview.profiles)}</Text>
+                <Text style={styles.previewLine}>Channel name lists: {preview.caches}</Text>
+                <Text style={styles.previewLine}>Settings: {preview.settings.join(', ') || 'none'}</Text>
+                {preview.devices.removed.length ? (
+                  <Text style={styles.hint}>
+                    Replace removes {plural(preview.devices.removed.length, 'device')}: {preview.devices.removed.join(', ')}
+                  </Text>
+                ) : null}
+                {bundle.rejected.length ? (
+                  <>
+                    <Text style={[styles.previewLine, styles.errorText]}>
+                      Invalid entries that will be skipped:
+                    </Text>
+                    {bundle.rejected.map((r, i) => (
+                      <Text key={i} style={[styles.hint, styles.errorText]}>{r.what}: {r.errors.join(', ')}</Text>
+                    ))}
+                  </>
+                ) : null}
+                {!bundle.devices.some(d => d.username || d.password) ? (
+                  <Text style={styles.hint}>The bundle has no passwords; devices already saved keep theirs.</Text>
+                ) : null}
+              </ScrollView>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setMode('import')} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Back</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton, busy && styles.disabledButton]}
+                  onPress={confirmReplace}
+                  disabled={busy}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.deleteText}>Replace</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.primaryButton, busy && styles.disabledButton]}
+                  onPress={() => apply('merge')}
+                  disabled={busy}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.primaryText}>Merge</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    maxHeight: '85%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+
+  label: { fontSize: 13, fontWeight: '500', color: '#475569', flex: 1 },
+  hint: { fontSize: 12, color: '#64748B', marginBottom: 10 },
+  switchRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 4 },
+  input: {
+    backgroundColor: '#F8FAFC',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    color: '#1E293B',
+    marginBottom: 10,
+  },
+  importInput: { minHeight: 160, maxHeight: 300, textAlignVertical: 'top', fontSize: 12 },
+
+  previewBox: { flexGrow: 0 },
+  previewLine: { fontSize: 14, color: '#1E293B', marginBottom: 6 },
+  errorText: { color: '#EF4444' },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 12 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  disabledButton: { opacity: 0.6 },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  deleteText: { fontSize: 14, fontWeight: '600', color: '#EF4444' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
@@ -0,0 +1,580 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, StyleSheet, FlatList, ScrollView, Alert, Share } from 'react-native';
+import {
+  deleteBrokerProfile,
+  exportBrokerProfile,
+  loadBrokerProfiles,
+  normalizeProfile,
+  parseSharedProfile,
+  profileConnection,
+  saveBrokerProfile,
+  validateProfile,
+} from '../utils/BrokerProfiles';
+import { DEFAULT_KEEPALIVE, buildBrokerUri } from '../utils/MqttNativeClient';
+import { DEFAULT_CPID } from '../utils/EbqProtocol';
+import { testBrokerConnection } from '../utils/MqttManager';
+import { describeTls, formatFingerprint, hasCustomTls } from '../utils/TlsSettings';
+import { DEFAULT_SESSION, describeSession } from '../utils/SessionSettings';
+
+const TRANSPORT_OPTIONS = [
+  { key: 'auto', label: 'Auto' },
+  { key: 'tcp', label: 'TCP' },
+  { key: 'ws', label: 'WebSocket' },
+];
+
+const TLS_OPTIONS = [
+  { key: null, label: 'By port' },
+  { key: true, label: 'TLS' },
+  { key: false, label: 'Plain' },
+];
+
+const SESSION_OPTIONS = [
+  { key: true, label: 'Clean' },
+  { key: false, label: 'Persistent' },
+];
+
+const QOS_OPTIONS = [0, 1, 2].map(q => ({ key: q, label: `QoS ${q}` }));
+
+const RETAIN_OPTIONS = [
+  { key: true, label: 'Retained' },
+  { key: false, label: 'Not retained' },
+];
+
+const EMPTY_DRAFT = {
+  id: null,
+  name: '',
+  host: '',
+  port: '',
+  transport: 'auto',
+  wsPath: '/mqtt',
+  useTls: null,
+  username: '',
+  password: '',
+  cpId: DEFAULT_CPID,
+  keepAlive: String(DEFAULT_KEEPALIVE),
+  caCert: '',
+  pinSha256: '',
+  clientCert: '',
+  clientCertPassword: '',
+  ...DEFAULT_SESSION,
+};
+
+function describe(p) {
+  const tls = p.useTls == null ? '' : p.useTls ? ' · TLS' : ' · plain';
+  const security = describeTls(p);
+  const session = describeSession(p);
+  return `${p.host}:${p.port} · ${p.transport}${tls}${security ? ` (${security})` : ''}` +
+    `${session ? ` · ${session}` : ''}${p.username ? ` · ${p.username}` : ''}`;
+}
+
+function Segment({ options, value, onChange }) {
+  return (
+    <View style={styles.segment}>
+      {options.map(o => (
+        <TouchableOpacity
+          key={String(o.key)}
+          style={[styles.segmentItem, value === o.key && styles.segmentItemActive]}
+          onPress={() => onChange(o.key)}
+          activeOpacity={0.85}
+        >
+          <Text style={[styles.segmentText, value === o.key && styles.segmentTextActive]}>{o.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Broker profiles: list / create / edit / test / share / import.
+ * onChanged(profiles) is called after every save or delete.
+ */
+export default function MqttBrokerProfilesDialog({ visible, onClose, onChanged }) {
+  const [profiles, setProfiles] = useState([]);
+  const [mode, setMode] = useState('list'); // 'list' | 'edit' | 'import'
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [importText, setImportText] = useState('');
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null); // { ok, text }
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [showSession, setShowSession] = useState(false);
+
+  const reload = async () => {
+    const list = await loadBrokerProfiles();
+    setProfiles(list);
+    return list;
+  };
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode('list');
+    loadBrokerProfiles().then(setProfiles).catch(e => Alert.alert('Broker Profiles', e?.message || String(e)));
+  }, [visible]);
+
+  const set = (k, v) => {
+    setDraft(d => ({ ...d, [k]: v }));
+    setTestResult(null);
+  };
+
+  const startEdit = (profile) => {
+    setDraft(profile
+      ? {
+        ...profile,
+        port: String(profile.port),
+        keepAlive: String(profile.keepAlive),
+        // Edited as text, one fingerprint per line
+        pinSha256: (profile.pinSha256 || []).map(formatFingerprint).join('\n'),
+      }
+      : EMPTY_DRAFT);
+    setShowSecurity(hasCustomTls(profile));
+    setShowSession(!!(describeSession(profile) || profile?.clientId));
+    setTestResult(null);
+    setMode('edit');
+  };
+
+  const draftProfile = () => normalizeProfile(draft);
+
+  const runTest = async (profile) => {
+    const errors = validateProfile(profile);
+    if (errors.length) {
+      setTestResult({ ok: false, text: errors.join(', ') });
+      return;
+    }
+    setTesting(true);
+    setTestResult(null);
+    try {
+      const r = await testBrokerConnection(profileConnection(profile));
+      setTestResult({ ok: true, text: `Connected: ${buildBrokerUri({ ...profile, ...r })}` });
+    } catch (e) {
+      setTestResult({ ok: false, text: e?.message || String(e) });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const save = async () => {
+    try {
+      const { devicesUpdated } = await saveBrokerProfile(draftProfile());
+      onChanged?.(await reload());
+      setMode('list');
+      if (devicesUpdated) Alert.alert('Profile Saved', `${devicesUpdated} linked device(s) were updated.`);
+    } catch (e) {
+      Alert.alert('Error', e?.message || String(e));
+    }
+  };
+
+  const remove = () => {
+    Alert.alert('Delete Profile', `Delete "${draft.name}"? Devices added from it keep their settings.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          await deleteBrokerProfile(draft.id);
+          onChanged?.(await reload());
+          setMode('list');
+        },
+      },
+    ]);
+  };
+
+  const share = (profile) => {
+    const send = includeCredentials =>
+      Share.share({ message: exportBrokerProfile(profile, { includeCredentials }) }).catch(() => { });
+    if (!profile.username && !profile.password && !profile.clientCert) {
+      send(false);
+      return;
+    }
+    const secrets = profile.clientCert ? 'username / password and client certificate' : 'username / password';
+    Alert.alert('Share Profile', `Include the broker ${secrets}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Without', onPress: () => send(false) },
+      { text: 'Include', onPress: () => send(true) },
+    ]);
+  };
+
+  const importProfile = () => {
+    try {
+      startEdit({ ...parseSharedProfile(importText), id: null });
+      setImportText('');
+    } catch (e) {
+      Alert.alert('Import', e?.message || String(e));
+    }
+  };
+
+  const renderProfile = ({ item }) => (
+    <View style={styles.profileRow}>
+      <TouchableOpacity style={styles.profileText} onPress={() => startEdit(item)} activeOpacity={0.85}>
+        <Text style={styles.profileName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.profileMeta} numberOfLines={1}>{describe(item)}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.smallButton} onPress={() => share(item)} activeOpacity={0.85}>
+        <Text style={styles.smallText}>Share</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          {mode === 'list' ? (
+            <>
+              <Text style={styles.dialogTitle}>Broker Profiles</Text>
+              <FlatList
+                style={styles.list}
+                data={profiles}
+                keyExtractor={p => p.id}
+                renderItem={renderProfile}
+                ListEmptyComponent={<Text style={styles.emptyText}>No broker profiles yet</Text>}
+              />
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onClose} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Close</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setMode('import')} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Import</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={() => startEdit(null)} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>New</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+
+          {mode === 'edit' ? (
+            <>
+              <Text style={styles.dialogTitle}>{draft.id ? 'Edit Profile' : 'New Profile'}</Text>
+              <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+                <Text style={styles.label}>Name</Text>
+                <TextInput style={styles.input} value={draft.name} onChangeText={t => set('name', t)} placeholder="e.g. Site broker" />
+
+                <Text style={styles.label}>Host / Port</Text>
+                <View style={styles.row}>
+                  <TextInput
+                    style={[styles.input, styles.flex2]}
+                    value={draft.host}
+                    onChangeText={t => set('host', t)}
+                    placeholder="broker.example.com"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  <TextInput
+                    style={[styles.input, styles.flex1]}
+                    value={draft.port}
+                    onChangeText={t => set('port', t)}
+                    placeholder="8883"
+                    keyboardType="numeric"
+                  />
+                </View>
+
+                <Text style={styles.label}>Transport</Text>
+                <Segment options={TRANSPORT_OPTIONS} value={draft.transport} onChange={v => set('transport', v)} />
+                {draft.transport !== 'tcp' ? (
+                  <TextInput
+                    style={styles.input}
+                    value={draft.wsPath}
+                    onChangeText={t => set('wsPath', t)}
+                    placeholder="/mqtt"
+                    autoCapitalize="none"
+                  />
+                ) : null}
+
+                <Text style={styles.label}>TLS</Text>
+                <Segment options={TLS_OPTIONS} value={draft.useTls} onChange={v => set('useTls', v)} />
+                <TouchableOpacity onPress={() => setShowSecurity(v => !v)} activeOpacity={0.85}>
+                  <Text style={styles.toggleText}>{showSecurity ? '▾' : '▸'} CA / pinning / client certificate</Text>
+                </TouchableOpacity>
+                {showSecurity ? (
+                  <>
+                    <Text style={styles.hint}>
+                      Without them any broker certificate is accepted. Fingerprints are shown by Diagnostics.
+                    </Text>
+                    <Text style={styles.label}>CA certificate (PEM)</Text>
+                    <TextInput
+                      style={[styles.input, styles.certInput]}
+                      value={draft.caCert}
+                      onChangeText={t => set('caCert', t)}
+                      placeholder="-----BEGIN CERTIFICATE-----"
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      multiline
+                    />
+                    <Text style={styles.label}>Pinned SHA-256 fingerprints (one per line)</Text>
+                    <TextInput
+                      style={[styles.input, styles.certInput]}
+                      value={draft.pinSha256}
+                      onChangeText={t => set('pinSha256', t)}
+                      placeholder="AB:CD:…"
+                      autoCapitalize="characters"
+                      autoCorrect={false}
+                      multiline
+                    />
+                    <Text style={styles.label}>Client certificate (.p12 as base64) / password</Text>
+                    {draft.credentialsLocked ? (
+                      <Text style={styles.hint}>Unlock the credential vault to see or change the client certificate.</Text>
+                    ) : (
+                      <>
+                        <TextInput
+                          style={[styles.input, styles.certInput]}
+                          value={draft.clientCert}
+                          onChangeText={t => set('clientCert', t)}
+                          placeholder="MIIK…"
+                          autoCapitalize="none"
+                          autoCorrect={false}
+                          multiline
+                        />
+                        <TextInput
+                          style={styles.input}
+                          value={draft.clientCertPassword}
+                          onChangeText={t => set('clientCertPassword', t)}
+                          placeholder="certificate password"
+                          autoCapitalize="none"
+                          secureTextEntry
+                        />
+                      </>
+                    )}
+                  </>
+                ) : null}
+
+                <Text style={styles.label}>Username / Password</Text>
+                {draft.credentialsLocked ? (
+                  <Text style={styles.hint}>Unlock the credential vault to see or change the saved credentials.</Text>
+                ) : (
+                  <View style={styles.row}>
+                    <TextInput
+                      style={[styles.input, styles.flex1]}
+                      value={draft.username}
+                      onChangeText={t => set('username', t)}
+                      placeholder="username"
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                    />
+                    <TextInput
+                      style={[styles.input, styles.flex1]}
+                      value={draft.password}
+                      onChangeText={t => set('password', t)}
+                      placeholder="password"
+                      autoCapitalize="none"
+                      secureTextEntry
+                    />
+                  </View>
+                )}
+
+                <Text style={styles.label}>Default cpId / Keepalive (s)</Text>
+                <View style={styles.row}>
+                  <TextInput
+                    style={[styles.input, styles.flex2]}
+                    value={draft.cpId}
+                    onChangeText={t => set('cpId', t.trim())}
+                    placeholder={DEFAULT_CPID}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  <TextInput
+                    style={[styles.input, styles.flex1]}
+                    value={draft.keepAlive}
+                    onChangeText={t => set('keepAlive', t)}
+                    placeholder={String(DEFAULT_KEEPALIVE)}
+                    keyboardType="numeric"
+                  />
+                </View>
+
+                <TouchableOpacity onPress={() => setShowSession(v => !v)} activeOpacity={0.85}>
+                  <Text style={styles.toggleText}>{showSession ? '▾' : '▸'} Session / Last Will</Text>
+                </TouchableOpacity>
+                {showSession ? (
+                  <>
+                    <Text style={styles.hint}>
+                      A persistent session receives QoS 1 messages sent while the app was briefly away.
+                      Without a Client ID the app uses its own, the same after every restart.
+                    </Text>
+                    <Text style={styles.label}>Session</Text>
+                    <Segment options={SESSION_OPTIONS} value={draft.cleanSession} onChange={v => set('cleanSession', v)} />
+                    <Text style={styles.label}>Client ID (optional)</Text>
+                    <TextInput
+                      style={styles.input}
+                      value={draft.clientId}
+                      onChangeText={t => set('clientId', t.trim())}
+                      placeholder="generated for this phone"
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                    />
+                    <Text style={styles.label}>Last Will topic / message</Text>
+                    <TextInput
+                      style={styles.input}
+                      value={draft.willTopic}
+                      onChangeText={t => set('willTopic', t.trim())}
+                      placeholder="e.g. monitor/ebq-app/status (empty: no Last Will)"
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                    />
+                    {draft.willTopic ? (
+                      <>
+                        <TextInput
+                          style={styles.input}
+                          value={draft.willPayload}
+                          onChangeText={t => set('willPayload', t)}
+                          placeholder={DEFAULT_SESSION.willPayload}
+                          autoCapitalize="none"
+                          autoCorrect={false}
+                        />
+                        <Segment options={QOS_OPTIONS} value={draft.willQos} onChange={v => set('willQos', v)} />
+                        <Segment options={RETAIN_OPTIONS} value={draft.willRetain} onChange={v => set('willRetain', v)} />
+                        {draft.willRetain ? (
+                          <Text style={styles.hint}>While connected the app keeps "online" retained on this topic.</Text>
+                        ) : null}
+                      </>
+                    ) : null}
+                  </>
+                ) : null}
+
+                {testResult ? (
+                  <Text style={[styles.testText, !testResult.ok && styles.errorText]}>{testResult.text}</Text>
+                ) : null}
+              </ScrollView>
+
+              <View style={styles.buttonRow}>
+                {draft.id ? (
+                  <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={remove} activeOpacity={0.85}>
+                    <Text style={styles.deleteText}>Delete</Text>
+                  </TouchableOpacity>
+                ) : null}
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton]}
+                  onPress={() => runTest(draftProfile())}
+                  disabled={testing}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.secondaryText}>{testing ? 'Testing…' : 'Test'}</Text>
+                </TouchableOpacity>
+              </View>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setMode('list')} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={save} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+
+          {mode === 'import' ? (
+            <>
+              <Text style={styles.dialogTitle}>Import Profile</Text>
+              <Text style={styles.hint}>Paste a profile shared from another phone. You can review it before saving.</Text>
+              <TextInput
+                style={[styles.input, styles.importInput]}
+                value={importText}
+                onChangeText={setImportText}
+                placeholder='{"type":"ebq-broker-profile", ...}'
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+              />
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setMode('list')} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={importProfile} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>Next</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    maxHeight: '85%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  list: { flexGrow: 0 },
+  emptyText: { fontSize: 13, color: '#64748B', textAlign: 'center', marginVertical: 16 },
+
+  profileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E2E8F0',
+  },
+  profileText: { flex: 1 },
+  profileName: { fontSize: 15, fontWeight: '600', color: '#1E293B' },
+  profileMeta: { fontSize: 12, color: '#64748B', marginTop: 2 },
+  smallButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#F1F5F9',
+    marginLeft: 6,
+  },
+  smallText: { fontSize: 12, fontWeight: '600', color: '#2196F3' },
+
+  label: { fontSize: 13, fontWeight: '500', color: '#475569', marginBottom: 6 },
+  hint: { fontSize: 12, color: '#64748B', marginBottom: 10 },
+  row: { flexDirection: 'row', gap: 8 },
+  flex1: { flex: 1 },
+  flex2: { flex: 2 },
+  input: {
+    backgroundColor: '#F8FAFC',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    color: '#1E293B',
+    marginBottom: 10,
+  },
+  importInput: { minHeight: 120, textAlignVertical: 'top', fontSize: 12 },
+  certInput: { minHeight: 72, maxHeight: 140, textAlignVertical: 'top', fontSize: 11 },
+  toggleText: { fontSize: 13, fontWeight: '600', color: '#2196F3', marginBottom: 10 },
+
+  segment: { flexDirection: 'row', gap: 6, marginBottom: 10 },
+  segmentItem: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#F1F5F9',
+    alignItems: 'center',
+  },
+  segmentItemActive: { backgroundColor: '#2196F3' },
+  segmentText: { fontSize: 12, fontWeight: '600', color: '#64748B' },
+  segmentTextActive: { color: '#FFFFFF' },
+
+  testText: { fontSize: 13, color: '#10B981', marginTop: 4 },
+  errorText: { color: '#EF4444' },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 12 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  deleteText: { fontSize: 14, fontWeight: '600', color: '#EF4444' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet } from 'react-native';
+import { getChannelHistory, historyKey, subscribeHistory } from '../utils/CurrentHistory';
+
+const RANGES = [
+  { key: 'hour', label: '1H' },
+  { key: 'day', label: '24H' },
+  { key: 'week', label: '7D' },
+];
+
+const CHART_H = 140;
+
+const fmtA = (n) => (Number.isFinite(n) ? `${n.toFixed(2)} A` : '-');
+
+function fmtTime(t, range) {
+  const d = new Date(t);
+  const hh = String(d.getHours()).padStart(2, '0');
+  const mm = String(d.getMinutes()).padStart(2, '0');
+  if (range !== 'week') return `${hh}:${mm}`;
+  return `${d.getMonth() + 1}/${d.getDate()} ${hh}:00`;
+}
+
+export default function MqttChannelHistoryDialog({ visible, onClose, item, cpid, deviceId }) {
+  const [range, setRange] = useState('hour');
+  const [series, setSeries] = useState(() => getChannelHistory(cpid, deviceId, item?.id, range));
+
+  // Redraw when this gateway records new currents
+  useEffect(() => {
+    if (!visible) return undefined;
+    const key = historyKey(cpid, deviceId);
+    const refresh = () => setSeries(getChannelHistory(cpid, deviceId, item?.id, range));
+    refresh();
+    return subscribeHistory((k) => {
+      if (k === key) refresh();
+    });
+  }, [visible, cpid, deviceId, item?.id, range]);
+
+  const rating = Number(item?.currentRating);
+  const hasRating = Number.isFinite(rating) && rating > 0;
+  const scale = Math.max(series.max ?? 0, hasRating ? rating : 0, 1) * 1.1;
+  const first = series.points.length ? Date.now() - (series.points.length - 1) * series.bucketMs : Date.now();
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>
+            {item?.tagName || `Device ${item?.id ?? ''}`} (C{item?.id})
+          </Text>
+
+          <View style={styles.rangeRow}>
+            {RANGES.map(r => (
+              <TouchableOpacity
+                key={r.key}
+                style={[styles.rangeButton, range === r.key && styles.activeRange]}
+                onPress={() => setRange(r.key)}
+                activeOpacity={0.85}
+              >
+                <Text style={[styles.rangeText, range === r.key && styles.activeRangeText]}>{r.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.statsRow}>
+            <View style={styles.stat}>
+              <Text style={styles.statLabel}>Min</Text>
+              <Text style={styles.statValue}>{fmtA(series.min)}</Text>
+            </View>
+            <View style={styles.stat}>
+              <Text style={styles.statLabel}>Avg</Text>
+              <Text style={styles.statValue}>{fmtA(series.avg)}</Text>
+            </View>
+            <View style={styles.stat}>
+              <Text style={styles.statLabel}>Max</Text>
+              <Text style={[styles.statValue, hasRating && series.max >= rating && styles.overRating]}>
+                {fmtA(series.max)}
+              </Text>
+            </View>
+          </View>
+
+          <View style={styles.chart}>
+            {hasRating ? (
+              <View style={[styles.ratingLine, { bottom: (rating / scale) * CHART_H }]} />
+            ) : null}
+            {series.points.map((p, i) => (
+              <View key={i} style={styles.column}>
+                {p ? (
+                  <>
+                    {/* min..max band, avg marker */}
+                    <View
+                      style={[
+                        styles.band,
+                        {
+                          bottom: (p.min / scale) * CHART_H,
+                          height: Math.max(((p.max - p.min) / scale) * CHART_H, 1),
+                        },
+                      ]}
+                    />
+                    <View style={[styles.avg, { bottom: (p.avg / scale) * CHART_H }]} />
+                  </>
+                ) : null}
+              </View>
+            ))}
+          </View>
+
+          <View style={styles.axisRow}>
+            <Text style={styles.axisText}>{fmtTime(first, range)}</Text>
+            {hasRating ? <Text style={styles.ratingText}>Rating {rating.toFixed(1)} A</Text> : null}
+            <Text style={styles.axisText}>now</Text>
+          </View>
+
+          {series.samples === 0 ? (
+            <Text style={styles.emptyText}>No readings recorded for this period yet</Text>
+          ) : null}
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.85}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  rangeRow: { flexDirection: 'row', gap: 8, marginBottom: 12 },
+  rangeButton: {
+    flex: 1,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#F1F5F9',
+    alignItems: 'center',
+  },
+  activeRange: { backgroundColor: '#2196F3' },
+  rangeText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  activeRangeText: { color: '#FFFFFF' },
+
+  statsRow: { flexDirection: 'row', marginBottom: 12 },
+  stat: { flex: 1, alignItems: 'center' },
+  statLabel: { fontSize: 12, color: '#64748B' },
+  statValue: { fontSize: 16, fontWeight: '700', color: '#0F172A', marginTop: 2 },
+  overRating: { color: '#EF4444' },
+
+  chart: {
+    height: CHART_H,
+    flexDirection: 'row',
+    backgroundColor: '#F8FAFC',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  column: { flex: 1, marginHorizontal: 0.5 },
+  band: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    backgroundColor: '#BFDBFE',
+    borderRadius: 1,
+  },
+  avg: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 2,
+    backgroundColor: '#2196F3',
+  },
+  ratingLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 1,
+    backgroundColor: '#EF4444',
+  },
+  axisRow: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 4 },
+  axisText: { fontSize: 11, color: '#94A3B8' },
+  ratingText: { fontSize: 11, color: '#EF4444' },
+  emptyText: { fontSize: 13, color: '#64748B', textAlign: 'center', marginTop: 12 },
+
+  closeButton: {
+    marginTop: 16,
+    padding: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#F1F5F9',
+  },
+  closeText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+});
@@ -10,7 +10,7 @@ function sanitizeDecimalInput(text) {
   return t;
 }
 
-export default function MqttDeviceConfigDialog({ visible, onClose, item, onSaveName, onSaveCurrent }) {
+export default function MqttDeviceConfigDialog({ visible, onClose, item, onSaveName, onSaveCurrent, onShowHistory }) {
   const [tagName, setTagName] = useState('');
   const [currentRating, setCurrentRating] = useState('');
   const [sensitivity, setSensitivity] = useState(1);
@@ -192,6 +192,16 @@ export default function MqttDeviceConfigDialog({ visible, onClose, item, onSaveN
             </View>
           </View>
 
+          {onShowHistory ? (
+            <TouchableOpacity
+              style={[styles.button, styles.historyButton]}
+              onPress={() => item && onShowHistory(item.id)}
+              activeOpacity={0.85}
+            >
+              <Text style={styles.historyText}>Current History</Text>
+            </TouchableOpacity>
+          ) : null}
+
           <View style={styles.buttonRow}>
             <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onClose} activeOpacity={0.85}>
               <Text style={styles.cancelText}>Cancel</Text>
@@ -286,6 +296,8 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   cancelButton: { backgroundColor: '#F1F5F9' },
+  historyButton: { flex: 0, borderWidth: 1, borderColor: '#2196F3' },
+  historyText: { fontSize: 14, fontWeight: '600', color: '#2196F3' },
   saveButton: { backgroundColor: '#2196F3' },
   cancelText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
   saveText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF', textAlign: 'center' },
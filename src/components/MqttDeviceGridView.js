@@ -24,7 +24,8 @@ const GridItem = memo(
     itemSize,
     itemHeight,
   }) => {
-    const isActive = String(connectionStatus || '').toLowerCase() === 'connected';
+    // While disconnected an ON/OFF is queued and sent after the reconnect
+    const isActive = String(connectionStatus || '').toLowerCase() !== 'disconnecting';
 
     // ✅ 直接用 tags 状态，不再有 localOverride
     const effectiveStatus = String(item?.status || 'UNKNOWN').toUpperCase();
@@ -32,6 +33,9 @@ const GridItem = memo(
     const isDim = !item?.seen;
     const isUnknown = effectiveStatus === 'UNKNOWN';
     const isDisabled = isDim || isUnknown;
+    const isPending = !!item?.cmdPending; // ON/OFF sent, waiting for the gateway ack
+    const isQueued = !!item?.cmdQueued; // ON/OFF waiting for the connection (CommandQueue)
+    const isOver = !!item?.over; // over-current alarm (AlarmEngine)
 
     const operationalStatus =
       isUnknown ? 'UNKNOWN'
@@ -42,7 +46,11 @@ const GridItem = memo(
 
     const isPoweredOn = operationalStatus === 'ON';
 
-    const badgeColor = isDisabled ? '#94A3B8' : (isPoweredOn ? '#10B981' : '#EF4444');
+    const badgeColor = isDisabled ? '#94A3B8'
+      : isPending ? '#3B82F6'
+        : isQueued ? '#8B5CF6'
+        : isOver ? '#F59E0B'
+          : (isPoweredOn ? '#10B981' : '#EF4444');
     const powerColor = isPoweredOn ? '#10B981' : '#EF4444';
     const currentText = isDisabled ? '-' : (item?.current ?? '-');
 
@@ -66,13 +74,13 @@ const GridItem = memo(
           </View>
 
           <TouchableOpacity
-            style={[styles.powerButton, (!isActive || isDisabled) && styles.disabledButton]}
+            style={[styles.powerButton, (!isActive || isDisabled || isPending) && styles.disabledButton]}
             onPress={() => {
-              if (!isActive || isDisabled) return;
+              if (!isActive || isDisabled || isPending) return;
               const next = isPoweredOn ? 'OFF' : 'ON';
               onToggle?.(item.id, next);
             }}
-            disabled={!isActive || isDisabled}
+            disabled={!isActive || isDisabled || isPending}
             activeOpacity={0.85}
           >
             <MaterialIcons name="power-settings-new" size={20} color={powerColor} />
@@ -81,7 +89,7 @@ const GridItem = memo(
 
         {/* Current row */}
         <View style={styles.currentContainer}>
-          <Text style={[styles.currentText, isDisabled && styles.disabledText]} numberOfLines={1}>
+          <Text style={[styles.currentText, isOver && styles.overText, isDisabled && styles.disabledText]} numberOfLines={1}>
             {currentText}
           </Text>
           <View style={styles.unitContainer}>
@@ -95,6 +103,9 @@ const GridItem = memo(
     prev.item?.status === next.item?.status &&
     prev.item?.current === next.item?.current &&
     prev.item?.seen === next.item?.seen &&
+    prev.item?.cmdPending === next.item?.cmdPending &&
+    prev.item?.cmdQueued === next.item?.cmdQueued &&
+    prev.item?.over === next.item?.over &&
     prev.connectionStatus === next.connectionStatus &&
     prev.itemSize === next.itemSize &&
     prev.itemHeight === next.itemHeight
@@ -213,6 +224,7 @@ const styles = StyleSheet.create({
     color: '#1E293B',
     textAlign: 'center',
   },
+  overText: { color: '#F59E0B' },
   unitContainer: {
     position: 'absolute',
     bottom: 4,
@@ -1,13 +1,40 @@
 // src/components/MqttDeviceListItem.js
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { View, Text, Pressable, StyleSheet, Image } from 'react-native';
+import { describeRetry } from '../utils/ReconnectPolicy';
 
 const ICON = require('../assets/images/circuitbreaker.png');
 
-export default function MqttDeviceListItem({ device, onPress, onLongPress, online = false, connecting = false }) {
+// "just now" / "42 s ago" / "5 min ago" / "3 h ago" / "2 d ago"
+function formatLastSeen(ts, now = Date.now()) {
+  if (!ts) return '';
+  const sec = Math.max(0, Math.round((now - ts) / 1000));
+  if (sec < 5) return 'just now';
+  if (sec < 60) return `${sec} s ago`;
+  if (sec < 3600) return `${Math.floor(sec / 60)} min ago`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)} h ago`;
+  return `${Math.floor(sec / 86400)} d ago`;
+}
+
+export default function MqttDeviceListItem({
+  device, onPress, onLongPress, online = false, connecting = false, lastSeen = null, totalLoad = null, retry = null,
+}) {
+  // Count down to the next reconnect attempt (MqttManager retry schedule)
+  const [now, setNow] = useState(Date.now());
+  const retryAt = retry?.at ?? null;
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    setNow(Date.now());
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [retryAt]);
+
   const name = device?.friendlyName || device?.name || 'MQTT Device';
   const id = device?.deviceId || device?.id || '';
 
+  const seenText = lastSeen ? `Last seen ${formatLastSeen(lastSeen)}` : 'Never seen';
+  const loadText = online && Number.isFinite(totalLoad) ? `Load ${totalLoad.toFixed(2)} A` : '';
+
   let badgeText = 'OFFLINE';
   let badgeStyle = styles.badgeOff;
   if (connecting) { badgeText = 'CONNECTING'; badgeStyle = styles.badgeConn; }
@@ -28,9 +55,16 @@ export default function MqttDeviceListItem({ device, onPress, onLongPress, onlin
       <View style={styles.mid}>
         <Text style={styles.name} numberOfLines={1}>{name}</Text>
         {!!id && <Text style={styles.sub} numberOfLines={1}>{id}</Text>}
+        <Text style={styles.meta} numberOfLines={1}>
+          {loadText ? `${loadText}  ·  ${seenText}` : seenText}
+        </Text>
+        {retry ? <Text style={styles.retry} numberOfLines={1}>{describeRetry(retry, now)}</Text> : null}
       </View>
 
       <View style={styles.right}>
+        <View style={[styles.badge, badgeStyle]}>
+          <Text style={styles.badgeText}>{badgeText}</Text>
+        </View>
         <Text style={styles.chev}>›</Text>
       </View>
     </Pressable>
@@ -57,6 +91,8 @@ const styles = StyleSheet.create({
   mid: { flex: 1, minWidth: 0 },
   name: { fontSize: 16, fontWeight: '700', color: '#0F172A' },
   sub: { marginTop: 4, fontSize: 12, color: '#64748B' },
+  meta: { marginTop: 2, fontSize: 11, color: '#94A3B8' },
+  retry: { marginTop: 2, fontSize: 11, color: '#F59E0B' },
 
   right: { flexDirection: 'row', alignItems: 'center' },
   badge: { paddingHorizontal: 10, paddingVertical: 6, borderRadius: 12, marginRight: 10 },
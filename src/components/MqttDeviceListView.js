@@ -5,18 +5,24 @@ import { View, Text, TouchableOpacity, StyleSheet, FlatList } from 'react-native
 const IDS_1P = Array.from({ length: 120 }, (_, i) => i + 1);
 
 const ListItem = memo(({ item, connectionStatus, onToggle, onSelect }) => {
-  const isActive = String(connectionStatus || '').toLowerCase() === 'connected';
+  // While disconnected an ON/OFF is queued and sent after the reconnect
+  const isActive = String(connectionStatus || '').toLowerCase() !== 'disconnecting';
   const statusUpper = String(item?.status || 'UNKNOWN').toUpperCase();
   const isUnknown = statusUpper === 'UNKNOWN';
   const isPoweredOn = statusUpper === 'ON';
+  const isPending = !!item?.cmdPending; // ON/OFF sent, waiting for the gateway ack
+  const isQueued = !!item?.cmdQueued; // ON/OFF waiting for the connection (CommandQueue)
+  const isLocked = !isActive || isUnknown || isPending;
+  const isOver = !!item?.over; // over-current alarm (AlarmEngine)
+  const displayStatus = isOver && !isUnknown ? 'OVER' : statusUpper;
 
-  const statusColor = {
+  const statusColor = isPending ? '#3B82F6' : isQueued ? '#8B5CF6' : {
     ON: '#10B981',
     OFF: '#EF4444',
     SELECT: '#3B82F6',
     OVER: '#F59E0B',
     UNKNOWN: '#94A3B8',
-  }[statusUpper] || '#94A3B8';
+  }[displayStatus] || '#94A3B8';
 
   return (
     <View style={[styles.listItem, isUnknown && styles.unknownItem]}>
@@ -39,7 +45,7 @@ const ListItem = memo(({ item, connectionStatus, onToggle, onSelect }) => {
       {/* Right area: current + ON/OFF */}
       <View style={styles.rightContainer}>
         <View style={styles.currentContainer}>
-          <Text style={styles.currentText}>{item?.current ?? '-'}</Text>
+          <Text style={[styles.currentText, isOver && styles.overText]}>{item?.current ?? '-'}</Text>
           <Text style={styles.currentUnit}>A</Text>
         </View>
         <View style={styles.buttonGroup}>
@@ -48,12 +54,12 @@ const ListItem = memo(({ item, connectionStatus, onToggle, onSelect }) => {
             style={[
               styles.actionButton,
               isPoweredOn && styles.activeOnButton,
-              (!isActive || isUnknown) && styles.disabledButton,
+              isLocked && styles.disabledButton,
             ]}
             onPress={() => onToggle?.(item.id, 'ON')}
             delayPressIn={0}
             hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-            disabled={!isActive || isUnknown}
+            disabled={isLocked}
             activeOpacity={0.85}
           >
             <Text style={[styles.buttonText, isPoweredOn ? styles.activeButtonText : styles.inactiveButtonText]}>
@@ -66,12 +72,12 @@ const ListItem = memo(({ item, connectionStatus, onToggle, onSelect }) => {
             style={[
               styles.actionButton,
               !isPoweredOn && !isUnknown && styles.activeOffButton,
-              (!isActive || isUnknown) && styles.disabledButton,
+              isLocked && styles.disabledButton,
             ]}
             onPress={() => onToggle?.(item.id, 'OFF')}
             delayPressIn={0}
             hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-            disabled={!isActive || isUnknown}
+            disabled={isLocked}
             activeOpacity={0.85}
           >
             <Text style={[styles.buttonText, (!isPoweredOn && !isUnknown) ? styles.activeButtonText : styles.inactiveButtonText]}>
@@ -163,6 +169,7 @@ const styles = StyleSheet.create({
   rightContainer: { flexDirection: 'row', alignItems: 'center', gap: 16 },
   currentContainer: { flexDirection: 'row', alignItems: 'baseline' },
   currentText: { fontSize: 18, fontWeight: '600', color: '#1E293B', marginRight: 4 },
+  overText: { color: '#F59E0B' },
   currentUnit: { fontSize: 12, color: '#64748B' },
   buttonGroup: { flexDirection: 'row', gap: 2 },
   actionButton: {
@@ -0,0 +1,176 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet, FlatList, ActivityIndicator } from 'react-native';
+import { DISCOVERY_MS, discoverGateways } from '../utils/GatewayDiscovery';
+import { loadMqttDevices } from '../utils/MqttDeviceStorage';
+
+/**
+ * Discover gateways publishing on the broker (devices/<cpid>/+/messages/events/#).
+ * connection: broker params of the Add Device form; onPick(gateway) adds one.
+ */
+export default function MqttDiscoverDialog({ visible, onClose, connection, cpId, onPick }) {
+  const [gateways, setGateways] = useState([]);
+  const [saved, setSaved] = useState(new Set());
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const cancelRef = useRef(false);
+  const startedAtRef = useRef(0);
+  // connection / cpId are read when a run starts: the form rebuilds `connection` on every render
+  const paramsRef = useRef({ connection, cpId });
+  paramsRef.current = { connection, cpId };
+
+  const start = useCallback(() => {
+    const params = paramsRef.current;
+    cancelRef.current = false;
+    startedAtRef.current = Date.now();
+    setGateways([]);
+    setError('');
+    setRunning(true);
+    discoverGateways(params.connection, {
+      cpId: params.cpId,
+      onUpdate: setGateways,
+      isCancelled: () => cancelRef.current,
+    })
+      .then(r => { if (!cancelRef.current) setGateways(r.gateways); })
+      .catch(e => setError(e?.message || String(e)))
+      .finally(() => setRunning(false));
+  }, []);
+
+  useEffect(() => {
+    if (!visible) return undefined;
+    loadMqttDevices()
+      .then(list => setSaved(new Set(list.map(d => String(d.deviceId)))))
+      .catch(() => { });
+    start();
+    return () => { cancelRef.current = true; };
+  }, [visible, start]);
+
+  // Countdown / "last heard" refresh
+  useEffect(() => {
+    if (!visible) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [visible]);
+
+  const close = () => {
+    cancelRef.current = true;
+    onClose?.();
+  };
+
+  const left = Math.max(0, Math.ceil((startedAtRef.current + DISCOVERY_MS - now) / 1000));
+
+  const renderGateway = ({ item }) => {
+    const isSaved = saved.has(item.deviceId);
+    return (
+      <TouchableOpacity
+        style={styles.gatewayRow}
+        onPress={() => { cancelRef.current = true; onPick?.(item); }}
+        disabled={isSaved}
+        activeOpacity={0.85}
+      >
+        <View style={styles.gatewayText}>
+          <Text style={styles.gatewayId}>{item.deviceId}</Text>
+          <Text style={styles.gatewayMeta}>
+            {item.channelCount ? `${item.channelCount} channels · ` : ''}
+            last message {Math.max(0, Math.round((now - item.lastSeen) / 1000))} s ago
+          </Text>
+        </View>
+        <Text style={isSaved ? styles.savedText : styles.addText}>{isSaved ? 'Saved' : 'Add'}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={close}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Discover Gateways</Text>
+          <Text style={styles.infoText}>
+            {running ? `Listening on devices/${cpId}/+/… (${left} s)` : `${gateways.length} gateway(s) found`}
+          </Text>
+          {running ? <ActivityIndicator style={styles.spinner} color="#2196F3" /> : null}
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          <FlatList
+            style={styles.list}
+            data={gateways}
+            keyExtractor={g => g.deviceId}
+            renderItem={renderGateway}
+            extraData={now}
+            ListEmptyComponent={!running && !error ? (
+              <Text style={styles.emptyText}>No gateway published during the scan. Check that they are powered and online.</Text>
+            ) : null}
+          />
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={close} activeOpacity={0.85}>
+              <Text style={styles.secondaryText}>Close</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton, running && styles.disabledButton]}
+              onPress={start}
+              disabled={running}
+              activeOpacity={0.85}
+            >
+              <Text style={styles.primaryText}>Scan again</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    maxHeight: '80%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  infoText: { fontSize: 13, color: '#64748B', textAlign: 'center' },
+  spinner: { marginVertical: 8 },
+  errorText: { fontSize: 13, color: '#EF4444', marginTop: 8 },
+  list: { flexGrow: 0, marginTop: 8 },
+  emptyText: { fontSize: 13, color: '#64748B', textAlign: 'center', marginVertical: 16 },
+
+  gatewayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E2E8F0',
+  },
+  gatewayText: { flex: 1 },
+  gatewayId: { fontSize: 15, fontWeight: '600', color: '#1E293B' },
+  gatewayMeta: { fontSize: 12, color: '#64748B', marginTop: 2 },
+  addText: { fontSize: 13, fontWeight: '700', color: '#2196F3' },
+  savedText: { fontSize: 13, fontWeight: '600', color: '#94A3B8' },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 16 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  disabledButton: { opacity: 0.6 },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
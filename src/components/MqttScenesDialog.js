@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, StyleSheet, FlatList, Alert } from 'react-native';
+import { captureStates, deleteScene, loadScenes, normalizeStates, saveScene } from '../utils/Scenes';
+
+const CHANNELS = [
+  ...Array.from({ length: 120 }, (_, i) => i + 1),
+  ...Array.from({ length: 24 }, (_, i) => 201 + i),
+];
+
+// Tap cycles: not in scene -> ON -> OFF -> not in scene
+const NEXT_STATE = { undefined: 'ON', ON: 'OFF', OFF: undefined };
+
+function describe(states) {
+  const values = Object.values(states || {});
+  const on = values.filter(v => v === 'ON').length;
+  return `${values.length} channels · ${on} ON / ${values.length - on} OFF`;
+}
+
+const ChannelRow = React.memo(({ id, name, state, onPress }) => (
+  <TouchableOpacity style={styles.channelRow} onPress={() => onPress(id)} activeOpacity={0.85}>
+    <Text style={styles.channelName} numberOfLines={1}>C{id}  {name}</Text>
+    <View style={[styles.chip, state === 'ON' && styles.chipOn, state === 'OFF' && styles.chipOff]}>
+      <Text style={[styles.chipText, state && styles.chipTextActive]}>{state || '—'}</Text>
+    </View>
+  </TouchableOpacity>
+));
+
+/**
+ * Scenes of one gateway: list / edit / apply with progress and per-channel result.
+ * onApply(scene, onProgress, isCancelled) => Promise<{ confirmed, failed, unchanged, cancelled }>
+ */
+export default function MqttScenesDialog({ visible, onClose, cpid, deviceId, tags, connected, onApply }) {
+  const [scenes, setScenes] = useState([]);
+  const [mode, setMode] = useState('list'); // 'list' | 'edit' | 'run'
+  const [draft, setDraft] = useState({ id: null, name: '', states: {} });
+  const [run, setRun] = useState(null); // { scene, progress, result }
+  const cancelRef = useRef(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode('list');
+    loadScenes(cpid, deviceId).then(setScenes);
+  }, [visible, cpid, deviceId]);
+
+  const seenChannels = useMemo(() => CHANNELS.filter(id => tags?.[id]?.seen), [tags]);
+
+  const startEdit = (scene) => {
+    setDraft(scene
+      ? { id: scene.id, name: scene.name, states: { ...scene.states } }
+      : { id: null, name: '', states: captureStates(tags, seenChannels) });
+    setMode('edit');
+  };
+
+  const cycle = useCallback((id) => {
+    setDraft((d) => {
+      const states = { ...d.states };
+      const next = NEXT_STATE[states[id]];
+      if (next) states[id] = next;
+      else delete states[id];
+      return { ...d, states };
+    });
+  }, []);
+
+  const setAll = (state) => {
+    const states = {};
+    if (state) seenChannels.forEach((id) => { states[id] = state; });
+    setDraft(d => ({ ...d, states }));
+  };
+
+  const save = async () => {
+    try {
+      setScenes(await saveScene(cpid, deviceId, draft));
+      setMode('list');
+    } catch (e) {
+      Alert.alert('Error', e?.message || String(e));
+    }
+  };
+
+  const remove = (scene) => {
+    Alert.alert('Delete Scene', `Delete "${scene.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => setScenes(await deleteScene(cpid, deviceId, scene.id)),
+      },
+    ]);
+  };
+
+  const apply = (scene) => {
+    if (!connected) {
+      Alert.alert('Not connected', 'Connect to the gateway before applying a scene.');
+      return;
+    }
+    const count = Object.keys(normalizeStates(scene.states)).length;
+    Alert.alert('Apply Scene', `Apply "${scene.name}" to ${count} channels?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Apply',
+        onPress: async () => {
+          cancelRef.current = false;
+          setRun({ scene, progress: null, result: null });
+          setMode('run');
+          const result = await onApply(
+            scene,
+            progress => setRun(r => (r ? { ...r, progress } : r)),
+            () => cancelRef.current,
+          );
+          setRun(r => (r ? { ...r, result } : r));
+        },
+      },
+    ]);
+  };
+
+  const renderScene = ({ item }) => (
+    <View style={styles.sceneRow}>
+      <TouchableOpacity style={styles.sceneText} onPress={() => startEdit(item)} activeOpacity={0.85}>
+        <Text style={styles.sceneName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.sceneMeta}>{describe(item.states)}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.smallButton} onPress={() => remove(item)} activeOpacity={0.85}>
+        <Text style={styles.deleteText}>Delete</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.smallButton, styles.applyButton]} onPress={() => apply(item)} activeOpacity={0.85}>
+        <Text style={styles.applyText}>Apply</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderChannel = ({ item: id }) => (
+    <ChannelRow
+      id={id}
+      name={String(tags?.[id]?.tagName || `Device ${id}`)}
+      state={draft.states[id]}
+      onPress={cycle}
+    />
+  );
+
+  const p = run?.progress;
+  const r = run?.result;
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          {mode === 'list' ? (
+            <>
+              <Text style={styles.dialogTitle}>Scenes</Text>
+              <FlatList
+                style={styles.list}
+                data={scenes}
+                keyExtractor={s => s.id}
+                renderItem={renderScene}
+                ListEmptyComponent={<Text style={styles.emptyText}>No scenes yet</Text>}
+              />
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onClose} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Close</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={() => startEdit(null)} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>New Scene</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+
+          {mode === 'edit' ? (
+            <>
+              <Text style={styles.dialogTitle}>{draft.id ? 'Edit Scene' : 'New Scene'}</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Scene name (e.g. Night mode)"
+                value={draft.name}
+                onChangeText={t => setDraft(d => ({ ...d, name: t }))}
+                maxLength={32}
+                autoCorrect={false}
+              />
+              <View style={styles.quickRow}>
+                <TouchableOpacity style={styles.quickButton} onPress={() => setDraft(d => ({ ...d, states: captureStates(tags, seenChannels) }))}>
+                  <Text style={styles.quickText}>Capture</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.quickButton} onPress={() => setAll('ON')}>
+                  <Text style={styles.quickText}>All ON</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.quickButton} onPress={() => setAll('OFF')}>
+                  <Text style={styles.quickText}>All OFF</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.quickButton} onPress={() => setAll(null)}>
+                  <Text style={styles.quickText}>None</Text>
+                </TouchableOpacity>
+              </View>
+              <Text style={styles.sceneMeta}>{describe(draft.states)}</Text>
+              <FlatList
+                style={styles.list}
+                data={CHANNELS}
+                keyExtractor={id => `scene-ch-${id}`}
+                renderItem={renderChannel}
+                extraData={draft.states}
+                initialNumToRender={20}
+              />
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setMode('list')} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={save} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : null}
+
+          {mode === 'run' && run ? (
+            <>
+              <Text style={styles.dialogTitle}>{run.scene.name}</Text>
+              {p ? (
+                <Text style={styles.progressText}>
+                  Sent {p.sent}/{p.total} · confirmed {p.confirmed} · failed {p.failed}
+                </Text>
+              ) : null}
+              {r ? (
+                <>
+                  <Text style={styles.progressText}>
+                    {r.cancelled ? 'Cancelled. ' : ''}
+                    {r.confirmed.length} confirmed, {r.failed.length} failed, {r.unchanged.length} already set
+                  </Text>
+                  <FlatList
+                    style={styles.list}
+                    data={r.failed}
+                    keyExtractor={f => `failed-${f.channel}`}
+                    renderItem={({ item }) => (
+                      <Text style={styles.failedText}>C{item.channel}: {item.reason}</Text>
+                    )}
+                  />
+                </>
+              ) : null}
+              <View style={styles.buttonRow}>
+                {r ? (
+                  <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={() => setMode('list')} activeOpacity={0.85}>
+                    <Text style={styles.primaryText}>Done</Text>
+                  </TouchableOpacity>
+                ) : (
+                  <TouchableOpacity
+                    style={[styles.button, styles.secondaryButton]}
+                    onPress={() => { cancelRef.current = true; }}
+                    activeOpacity={0.85}
+                  >
+                    <Text style={styles.secondaryText}>Stop</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </>
+          ) : null}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    maxHeight: '85%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  list: { flexGrow: 0 },
+  emptyText: { fontSize: 13, color: '#64748B', textAlign: 'center', marginVertical: 16 },
+
+  sceneRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E2E8F0',
+  },
+  sceneText: { flex: 1 },
+  sceneName: { fontSize: 15, fontWeight: '600', color: '#1E293B' },
+  sceneMeta: { fontSize: 12, color: '#64748B', marginTop: 2, marginBottom: 4 },
+  smallButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#F1F5F9',
+    marginLeft: 6,
+  },
+  applyButton: { backgroundColor: '#2196F3' },
+  applyText: { fontSize: 12, fontWeight: '600', color: '#FFFFFF' },
+  deleteText: { fontSize: 12, fontWeight: '600', color: '#EF4444' },
+
+  input: {
+    backgroundColor: '#F8FAFC',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#1E293B',
+    marginBottom: 10,
+  },
+  quickRow: { flexDirection: 'row', gap: 6, marginBottom: 8 },
+  quickButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#F1F5F9',
+    alignItems: 'center',
+  },
+  quickText: { fontSize: 12, fontWeight: '600', color: '#2196F3' },
+
+  channelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#F1F5F9',
+  },
+  channelName: { flex: 1, fontSize: 14, color: '#1E293B' },
+  chip: {
+    minWidth: 48,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#F1F5F9',
+    alignItems: 'center',
+  },
+  chipOn: { backgroundColor: '#10B981' },
+  chipOff: { backgroundColor: '#EF4444' },
+  chipText: { fontSize: 12, fontWeight: '600', color: '#94A3B8' },
+  chipTextActive: { color: '#FFFFFF' },
+
+  progressText: { fontSize: 14, color: '#1E293B', textAlign: 'center', marginBottom: 8 },
+  failedText: { fontSize: 13, color: '#EF4444', paddingVertical: 2 },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 16 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
@@ -0,0 +1,354 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, StyleSheet, FlatList, Alert, Switch, ScrollView } from 'react-native';
+import { loadScenes } from '../utils/Scenes';
+import {
+  SCHEDULE_BASE,
+  SCHEDULE_REPEAT,
+  WEEKDAYS,
+  deleteSchedule,
+  describeSchedule,
+  formatDate,
+  formatRunAt,
+  loadSchedules,
+  nextRun,
+  saveSchedule,
+  setScheduleEnabled,
+} from '../utils/Schedules';
+
+const emptyDraft = () => ({
+  id: null,
+  targetType: 'channel',
+  channel: '',
+  action: 'ON',
+  sceneId: null,
+  repeat: SCHEDULE_REPEAT.DAILY,
+  days: [1, 2, 3, 4, 5],
+  date: formatDate(new Date()),
+  base: SCHEDULE_BASE.CLOCK,
+  time: '18:00',
+  offsetMin: '0',
+});
+
+function draftOf(s) {
+  return {
+    ...emptyDraft(),
+    id: s.id,
+    targetType: s.target?.type === 'scene' ? 'scene' : 'channel',
+    channel: s.target?.channel != null ? String(s.target.channel) : '',
+    action: s.target?.action || 'ON',
+    sceneId: s.target?.sceneId || null,
+    repeat: s.repeat,
+    days: s.days || [],
+    date: s.date || formatDate(new Date()),
+    base: s.base || SCHEDULE_BASE.CLOCK,
+    time: s.time || '18:00',
+    offsetMin: String(s.offsetMin ?? 0),
+    enabled: s.enabled,
+  };
+}
+
+const Chip = ({ label, active, onPress }) => (
+  <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress} activeOpacity={0.85}>
+    <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+/**
+ * Schedules of one gateway: list with enable switch, and an editor.
+ * onChanged() is called after every save so the executor can reload.
+ */
+export default function MqttSchedulesDialog({ visible, onClose, cpid, deviceId, onChanged }) {
+  const [data, setData] = useState({ location: null, schedules: [] });
+  const [scenes, setScenes] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [loc, setLoc] = useState({ lat: '', lon: '' });
+
+  useEffect(() => {
+    if (!visible) return;
+    setDraft(null);
+    loadSchedules(cpid, deviceId).then((d) => {
+      setData(d);
+      setLoc({ lat: d.location ? String(d.location.lat) : '', lon: d.location ? String(d.location.lon) : '' });
+    });
+    loadScenes(cpid, deviceId).then(setScenes);
+  }, [visible, cpid, deviceId]);
+
+  const changed = (d) => {
+    setData(d);
+    onChanged?.();
+  };
+
+  const set = patch => setDraft(d => ({ ...d, ...patch }));
+  const toggleDay = day => setDraft(d => ({
+    ...d,
+    days: d.days.includes(day) ? d.days.filter(x => x !== day) : [...d.days, day].sort(),
+  }));
+
+  const save = async () => {
+    const scene = scenes.find(s => s.id === draft.sceneId);
+    const schedule = {
+      id: draft.id,
+      enabled: draft.enabled ?? true,
+      target: draft.targetType === 'scene'
+        ? { type: 'scene', sceneId: draft.sceneId, name: scene?.name || '' }
+        : { type: 'channel', channel: parseInt(draft.channel, 10), action: draft.action },
+      repeat: draft.repeat,
+      days: draft.repeat === SCHEDULE_REPEAT.WEEKLY ? draft.days : undefined,
+      date: draft.repeat === SCHEDULE_REPEAT.ONCE ? draft.date.trim() : undefined,
+      base: draft.base,
+      time: draft.base === SCHEDULE_BASE.CLOCK ? draft.time.trim() : undefined,
+      offsetMin: draft.base === SCHEDULE_BASE.CLOCK ? undefined : Number(draft.offsetMin),
+    };
+    const location = loc.lat.trim() || loc.lon.trim()
+      ? { lat: Number(loc.lat), lon: Number(loc.lon) }
+      : null;
+    try {
+      changed(await saveSchedule(cpid, deviceId, schedule, location));
+      setDraft(null);
+    } catch (e) {
+      Alert.alert('Error', e?.message || String(e));
+    }
+  };
+
+  const remove = (s) => {
+    Alert.alert('Delete Schedule', describeSchedule(s), [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: async () => changed(await deleteSchedule(cpid, deviceId, s.id)) },
+    ]);
+  };
+
+  const renderSchedule = ({ item }) => (
+    <View style={styles.row}>
+      <TouchableOpacity style={styles.rowText} onPress={() => setDraft(draftOf(item))} activeOpacity={0.85}>
+        <Text style={styles.rowTitle} numberOfLines={2}>{describeSchedule(item)}</Text>
+        <Text style={styles.rowMeta}>Next: {formatRunAt(nextRun(item, Date.now(), data.location))}</Text>
+      </TouchableOpacity>
+      <Switch
+        value={!!item.enabled}
+        onValueChange={async v => changed(await setScheduleEnabled(cpid, deviceId, item.id, v))}
+      />
+      <TouchableOpacity style={styles.smallButton} onPress={() => remove(item)} activeOpacity={0.85}>
+        <Text style={styles.deleteText}>Delete</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const sun = draft && draft.base !== SCHEDULE_BASE.CLOCK;
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          {!draft ? (
+            <>
+              <Text style={styles.dialogTitle}>Schedules</Text>
+              <FlatList
+                style={styles.list}
+                data={data.schedules}
+                keyExtractor={s => s.id}
+                renderItem={renderSchedule}
+                ListEmptyComponent={<Text style={styles.emptyText}>No schedules yet</Text>}
+              />
+              <Text style={styles.hint}>Schedules run only while the app is open.</Text>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onClose} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Close</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={() => setDraft(emptyDraft())} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>New Schedule</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={styles.dialogTitle}>{draft.id ? 'Edit Schedule' : 'New Schedule'}</Text>
+              <ScrollView style={styles.list}>
+                <Text style={styles.label}>Action</Text>
+                <View style={styles.chipRow}>
+                  <Chip label="Channel" active={draft.targetType === 'channel'} onPress={() => set({ targetType: 'channel' })} />
+                  <Chip label="Scene" active={draft.targetType === 'scene'} onPress={() => set({ targetType: 'scene' })} />
+                </View>
+                {draft.targetType === 'channel' ? (
+                  <View style={styles.chipRow}>
+                    <TextInput
+                      style={[styles.input, styles.inlineInput]}
+                      placeholder="Channel (1-120, 201-224)"
+                      value={draft.channel}
+                      onChangeText={t => set({ channel: t.replace(/[^\d]/g, '') })}
+                      keyboardType="number-pad"
+                      maxLength={3}
+                    />
+                    <Chip label="ON" active={draft.action === 'ON'} onPress={() => set({ action: 'ON' })} />
+                    <Chip label="OFF" active={draft.action === 'OFF'} onPress={() => set({ action: 'OFF' })} />
+                  </View>
+                ) : (
+                  <View style={styles.chipRow}>
+                    {scenes.length === 0 ? <Text style={styles.hint}>No scenes saved</Text> : null}
+                    {scenes.map(s => (
+                      <Chip key={s.id} label={s.name} active={draft.sceneId === s.id} onPress={() => set({ sceneId: s.id })} />
+                    ))}
+                  </View>
+                )}
+
+                <Text style={styles.label}>Repeat</Text>
+                <View style={styles.chipRow}>
+                  <Chip label="Once" active={draft.repeat === SCHEDULE_REPEAT.ONCE} onPress={() => set({ repeat: SCHEDULE_REPEAT.ONCE })} />
+                  <Chip label="Daily" active={draft.repeat === SCHEDULE_REPEAT.DAILY} onPress={() => set({ repeat: SCHEDULE_REPEAT.DAILY })} />
+                  <Chip label="Weekly" active={draft.repeat === SCHEDULE_REPEAT.WEEKLY} onPress={() => set({ repeat: SCHEDULE_REPEAT.WEEKLY })} />
+                </View>
+                {draft.repeat === SCHEDULE_REPEAT.WEEKLY ? (
+                  <View style={styles.chipRow}>
+                    {WEEKDAYS.map((label, day) => (
+                      <Chip key={label} label={label} active={draft.days.includes(day)} onPress={() => toggleDay(day)} />
+                    ))}
+                  </View>
+                ) : null}
+                {draft.repeat === SCHEDULE_REPEAT.ONCE ? (
+                  <TextInput
+                    style={styles.input}
+                    placeholder="YYYY-MM-DD"
+                    value={draft.date}
+                    onChangeText={t => set({ date: t })}
+                    maxLength={10}
+                  />
+                ) : null}
+
+                <Text style={styles.label}>Time</Text>
+                <View style={styles.chipRow}>
+                  <Chip label="Clock" active={draft.base === SCHEDULE_BASE.CLOCK} onPress={() => set({ base: SCHEDULE_BASE.CLOCK })} />
+                  <Chip label="Sunrise" active={draft.base === SCHEDULE_BASE.SUNRISE} onPress={() => set({ base: SCHEDULE_BASE.SUNRISE })} />
+                  <Chip label="Sunset" active={draft.base === SCHEDULE_BASE.SUNSET} onPress={() => set({ base: SCHEDULE_BASE.SUNSET })} />
+                </View>
+                {!sun ? (
+                  <TextInput
+                    style={styles.input}
+                    placeholder="HH:MM"
+                    value={draft.time}
+                    onChangeText={t => set({ time: t })}
+                    maxLength={5}
+                  />
+                ) : (
+                  <>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="Offset in minutes (e.g. -15)"
+                      value={draft.offsetMin}
+                      onChangeText={t => set({ offsetMin: t.replace(/[^\d-]/g, '') })}
+                      keyboardType="numbers-and-punctuation"
+                    />
+                    <View style={styles.chipRow}>
+                      <TextInput
+                        style={[styles.input, styles.inlineInput]}
+                        placeholder="Latitude"
+                        value={loc.lat}
+                        onChangeText={t => setLoc(l => ({ ...l, lat: t }))}
+                        keyboardType="numbers-and-punctuation"
+                      />
+                      <TextInput
+                        style={[styles.input, styles.inlineInput]}
+                        placeholder="Longitude"
+                        value={loc.lon}
+                        onChangeText={t => setLoc(l => ({ ...l, lon: t }))}
+                        keyboardType="numbers-and-punctuation"
+                      />
+                    </View>
+                    <Text style={styles.hint}>Sunrise / sunset are calculated on the phone for this location.</Text>
+                  </>
+                )}
+              </ScrollView>
+
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setDraft(null)} activeOpacity={0.85}>
+                  <Text style={styles.secondaryText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={save} activeOpacity={0.85}>
+                  <Text style={styles.primaryText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '90%',
+    maxHeight: '85%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  list: { flexGrow: 0 },
+  emptyText: { fontSize: 13, color: '#64748B', textAlign: 'center', marginVertical: 16 },
+  hint: { fontSize: 12, color: '#94A3B8', marginTop: 6 },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E2E8F0',
+  },
+  rowText: { flex: 1, paddingRight: 6 },
+  rowTitle: { fontSize: 14, fontWeight: '600', color: '#1E293B' },
+  rowMeta: { fontSize: 12, color: '#64748B', marginTop: 2 },
+  smallButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#F1F5F9',
+    marginLeft: 6,
+  },
+  deleteText: { fontSize: 12, fontWeight: '600', color: '#EF4444' },
+
+  label: { fontSize: 14, fontWeight: '500', color: '#475569', marginTop: 10, marginBottom: 6 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center', gap: 6, marginBottom: 6 },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#F1F5F9',
+  },
+  chipActive: { backgroundColor: '#2196F3' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#64748B' },
+  chipTextActive: { color: '#FFFFFF' },
+  input: {
+    backgroundColor: '#F8FAFC',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    color: '#1E293B',
+    marginBottom: 6,
+  },
+  inlineInput: { flex: 1, marginBottom: 0 },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 16 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
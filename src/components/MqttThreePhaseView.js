@@ -7,14 +7,18 @@ const IDS_3P = Array.from({ length: 24 }, (_, i) => 201 + i);
 const ThreePhaseItem = memo(({ item, onToggle, onSelect }) => {
   const statusUpper = String(item?.status || 'UNKNOWN').toUpperCase();
   const isUnknown = (!item?.seen) || statusUpper === 'UNKNOWN';
+  const isPending = !!item?.cmdPending; // ON/OFF sent, waiting for the gateway ack
+  const isQueued = !!item?.cmdQueued; // ON/OFF waiting for the connection (CommandQueue)
+  const overPhases = Array.isArray(item?.overPhases) ? item.overPhases : []; // per-phase over-current
+  const displayStatus = item?.over && !isUnknown ? 'OVER' : statusUpper;
 
-  const statusColor = ({
+  const statusColor = isPending ? '#3B82F6' : isQueued ? '#8B5CF6' : ({
     ON: '#10B981',
     OFF: '#EF4444',
     SELECT: '#3B82F6',
     OVER: '#F59E0B',
     UNKNOWN: '#94A3B8',
-  }[statusUpper]) || '#94A3B8';
+  }[displayStatus]) || '#94A3B8';
 
   return (
     <TouchableOpacity
@@ -35,10 +39,10 @@ const ThreePhaseItem = memo(({ item, onToggle, onSelect }) => {
           style={[
             styles.powerButton,
             statusUpper === 'ON' && styles.powerButtonActive,
-            isUnknown && styles.disabledButton,
+            (isUnknown || isPending) && styles.disabledButton,
           ]}
           onPress={() => onToggle?.(item.id, statusUpper === 'ON' ? 'OFF' : 'ON')}
-          disabled={isUnknown}
+          disabled={isUnknown || isPending}
           activeOpacity={0.85}
         >
           <MaterialIcons
@@ -51,15 +55,15 @@ const ThreePhaseItem = memo(({ item, onToggle, onSelect }) => {
 
       <View style={styles.currentsContainer}>
         <View style={styles.phase}>
-          <Text style={[styles.currentValue, isUnknown && styles.disabledText]}>{item.current1 ?? '-'}</Text>
+          <Text style={[styles.currentValue, overPhases[0] && styles.overText, isUnknown && styles.disabledText]}>{item.current1 ?? '-'}</Text>
           <Text style={styles.currentUnit}>A</Text>
         </View>
         <View style={styles.phase}>
-          <Text style={[styles.currentValue, isUnknown && styles.disabledText]}>{item.current2 ?? '-'}</Text>
+          <Text style={[styles.currentValue, overPhases[1] && styles.overText, isUnknown && styles.disabledText]}>{item.current2 ?? '-'}</Text>
           <Text style={styles.currentUnit}>A</Text>
         </View>
         <View style={styles.phase}>
-          <Text style={[styles.currentValue, isUnknown && styles.disabledText]}>{item.current3 ?? '-'}</Text>
+          <Text style={[styles.currentValue, overPhases[2] && styles.overText, isUnknown && styles.disabledText]}>{item.current3 ?? '-'}</Text>
           <Text style={styles.currentUnit}>A</Text>
         </View>
       </View>
@@ -68,6 +72,10 @@ const ThreePhaseItem = memo(({ item, onToggle, onSelect }) => {
 }, (p, n) =>
   p.item?.status === n.item?.status &&
   p.item?.seen === n.item?.seen &&
+  p.item?.cmdPending === n.item?.cmdPending &&
+  p.item?.cmdQueued === n.item?.cmdQueued &&
+  p.item?.over === n.item?.over &&
+  String(p.item?.overPhases) === String(n.item?.overPhases) &&
   p.item?.tagName === n.item?.tagName &&
   p.item?.current1 === n.item?.current1 &&
   p.item?.current2 === n.item?.current2 &&
@@ -135,6 +143,7 @@ const styles = StyleSheet.create({
   phase: { alignItems: 'center', flex: 1 },
   currentValue: { fontSize: 18, fontWeight: '700', color: '#1E293B', marginRight: 4 },
   currentUnit: { fontSize: 12, color: '#64748B', marginTop: 2 },
+  overText: { color: '#F59E0B' },
   powerButton: { padding: 8, borderRadius: 20, backgroundColor: '#E2E8F0' },
   powerButtonActive: { backgroundColor: '#10B981' },
   disabledItem: { backgroundColor: '#F8FAFC', opacity: 0.6 },
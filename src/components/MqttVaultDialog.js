@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import {
+  MIN_PIN_LENGTH,
+  VAULT_MODE,
+  lockVault,
+  removeVaultPin,
+  setVaultPin,
+  subscribeVault,
+  unlockVault,
+} from '../utils/CredentialVault';
+
+function describeMode(mode) {
+  if (mode === VAULT_MODE.PIN) return 'Broker passwords are encrypted with your PIN.';
+  if (mode === VAULT_MODE.KEYSTORE) {
+    return `Broker passwords are encrypted with a key kept in the ${Platform.OS === 'ios' ? 'iOS Keychain' : 'Android Keystore'}.`;
+  }
+  return 'Broker passwords are encrypted with a key stored on this phone. Set a PIN for stronger protection.';
+}
+
+/**
+ * Credential vault: unlock with PIN, set / change / remove the PIN.
+ * onUnlocked() is called after a successful unlock so callers can reload devices.
+ */
+export default function MqttVaultDialog({ visible, onClose, onUnlocked }) {
+  const [vault, setVault] = useState({ mode: null, locked: false });
+  const [pin, setPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => subscribeVault(setVault), []);
+
+  useEffect(() => {
+    if (!visible) return;
+    setPin('');
+    setNewPin('');
+    setConfirmPin('');
+    setError('');
+  }, [visible]);
+
+  const run = async (fn) => {
+    if (busy) return;
+    setBusy(true);
+    setError('');
+    try {
+      await fn();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const unlock = () => run(async () => {
+    await unlockVault(pin);
+    setPin('');
+    onUnlocked?.();
+    onClose?.();
+  });
+
+  const savePin = () => run(async () => {
+    if (newPin !== confirmPin) throw new Error('PINs do not match');
+    await setVaultPin(newPin);
+    onClose?.();
+  });
+
+  const isPin = vault.mode === VAULT_MODE.PIN;
+
+  return (
+    <Modal visible={!!visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Credential Vault</Text>
+
+          {vault.locked ? (
+            <>
+              <Text style={styles.infoText}>Enter your PIN to use saved broker passwords.</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="PIN"
+                value={pin}
+                onChangeText={setPin}
+                secureTextEntry
+                keyboardType="number-pad"
+                autoFocus
+              />
+            </>
+          ) : (
+            <>
+              <Text style={styles.infoText}>{describeMode(vault.mode)}</Text>
+              <Text style={styles.label}>{isPin ? 'Change PIN' : 'Set PIN'}</Text>
+              <TextInput
+                style={styles.input}
+                placeholder={`New PIN (min ${MIN_PIN_LENGTH} digits)`}
+                value={newPin}
+                onChangeText={setNewPin}
+                secureTextEntry
+                keyboardType="number-pad"
+              />
+              <TextInput
+                style={styles.input}
+                placeholder="Confirm PIN"
+                value={confirmPin}
+                onChangeText={setConfirmPin}
+                secureTextEntry
+                keyboardType="number-pad"
+              />
+            </>
+          )}
+
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          {!vault.locked && isPin ? (
+            <View style={styles.buttonRow}>
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => run(async () => { await removeVaultPin(); onClose?.(); })}
+                activeOpacity={0.85}
+              >
+                <Text style={styles.dangerText}>Remove PIN</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => { lockVault(); onClose?.(); }}
+                activeOpacity={0.85}
+              >
+                <Text style={styles.secondaryText}>Lock now</Text>
+              </TouchableOpacity>
+            </View>
+          ) : null}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onClose} activeOpacity={0.85}>
+              <Text style={styles.secondaryText}>Close</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton, busy && styles.disabledButton]}
+              onPress={vault.locked ? unlock : savePin}
+              disabled={busy}
+              activeOpacity={0.85}
+            >
+              <Text style={styles.primaryText}>{busy ? 'Please wait…' : vault.locked ? 'Unlock' : 'Save PIN'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.30)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 12,
+    width: '85%',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1E293B',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  infoText: { fontSize: 13, color: '#64748B', marginBottom: 12 },
+  label: { fontSize: 14, fontWeight: '500', color: '#475569', marginBottom: 6 },
+  input: {
+    backgroundColor: '#F8FAFC',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#1E293B',
+    marginBottom: 8,
+  },
+  errorText: { fontSize: 13, color: '#EF4444', marginTop: 4 },
+
+  buttonRow: { flexDirection: 'row', gap: 8, marginTop: 12 },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  disabledButton: { opacity: 0.6 },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  dangerText: { fontSize: 14, fontWeight: '600', color: '#EF4444' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
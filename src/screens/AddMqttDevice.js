@@ -1,5 +1,5 @@
 // src/screens/AddMqttDevice.js
-import React, { useMemo, useState, useEffect, useRef, useCallback } from 'react';
+import React, { useMemo, useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import { CommonActions } from '@react-navigation/native';
 import {
   View,
@@ -13,30 +13,59 @@ import {
   ActivityIndicator,
   Modal,
   Pressable,
+  Share,
 } from 'react-native';
+import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
 
 import { authenticateForAddDevice } from '../utils/MqttManager';
-import { addMqttDevice } from '../utils/MqttDeviceStorage';
-
-// Server presets
-const PRESETS = [
-  { key: 'select', label: 'Select server', host: '', port: '', user: '', pass: '' },
-  { key: 'myebq', label: 'myebq.ddns.net', host: 'myebq.ddns.net', port: '8883', user: 'dengkai', pass: 'myEBQ_dk' },
-  { key: 'webiot', label: 'webiot.loranet.my', host: 'webiot.loranet.my', port: '8812', user: 'iotdbuser', pass: 'IoTdb2024' },
-  { key: 'custom', label: 'Custom', host: '', port: '', user: '', pass: '' },
+import { addMqttDevice, updateMqttDevice } from '../utils/MqttDeviceStorage';
+import { clearHistory, flushHistory } from '../utils/CurrentHistory';
+import { loadBrokerProfiles } from '../utils/BrokerProfiles';
+import { DEFAULT_CPID, validateCpId } from '../utils/EbqProtocol';
+import { buildProvisioningLink, parseProvisioningLink } from '../utils/Provisioning';
+import { tlsConnectOptions } from '../utils/TlsSettings';
+import { normalizeSessionSettings } from '../utils/SessionSettings';
+import MqttBrokerProfilesDialog from '../components/MqttBrokerProfilesDialog';
+import MqttDiscoverDialog from '../components/MqttDiscoverDialog';
+
+// Server menu entries besides the saved broker profiles
+// transport: 'auto' tries TCP/TLS first and falls back to WebSocket on protocol mismatch.
+const SELECT = 'select';
+const CUSTOM = 'custom';
+const MANAGE = 'manage';
+
+const TRANSPORTS = [
+  { key: 'auto', label: 'Auto' },
+  { key: 'tcp', label: 'TCP / TLS' },
+  { key: 'ws', label: 'WebSocket' },
 ];
 
-export default function AddMqttDevice({ navigation }) {
-  // ===== Preset selection =====
-  const [presetKey, setPresetKey] = useState('select');
-
-  const selectedPreset = useMemo(() => {
-    return PRESETS.find(p => p.key === presetKey) ?? PRESETS[0];
-  }, [presetKey]);
-
-  const isCustom = presetKey === 'custom';
-  const isSelected = presetKey !== 'select';
-  const isPresetServer = presetKey === 'myebq' || presetKey === 'webiot';
+// Fields that need a new broker login when they change (edit flow)
+// (cpId too: it is part of the device topics)
+const CONNECTION_FIELDS = ['host', 'port', 'username', 'password', 'transport', 'wsPath', 'cpId'];
+
+/**
+ * Add a device, or edit a saved one when route.params.device is given.
+ * Editing keeps the Device ID (name cache, history and schedules are keyed by it) and
+ * only re-runs the broker login when a connection field changed.
+ * route.params.provision (a parsed provisioning link, see Provisioning.js) pre-fills the form.
+ */
+export default function AddMqttDevice({ navigation, route }) {
+  const editing = route?.params?.device ?? null;
+  const provision = route?.params?.provision ?? null;
+
+  // ===== Broker profile selection =====
+  const [profiles, setProfiles] = useState([]);
+  const [profilesLoaded, setProfilesLoaded] = useState(false);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [serverKey, setServerKey] = useState(() => (editing ? editing.profileId || CUSTOM : SELECT));
+
+  const selectedProfile = useMemo(() => {
+    return profiles.find(p => p.id === serverKey) ?? null;
+  }, [profiles, serverKey]);
+
+  const isCustom = serverKey === CUSTOM;
+  const isSelected = serverKey !== SELECT;
 
   // ===== Dropdown (custom) =====
   const [serverOpen, setServerOpen] = useState(false);
@@ -55,70 +84,195 @@ export default function AddMqttDevice({ navigation }) {
   }, []);
 
   // ===== Form fields =====
-  const [friendlyName, setFriendlyName] = useState('');
+  const [friendlyName, setFriendlyName] = useState(editing?.friendlyName || editing?.name || '');
+
+  // Start empty until user selects a preset (or pre-filled from the saved record)
+  const [host, setHost] = useState(editing?.host || '');
+  const [port, setPort] = useState(editing ? String(editing.port ?? '') : '');
+  const [username, setUsername] = useState(editing?.username || '');
+  const [password, setPassword] = useState(editing?.password || '');
+  const [transport, setTransport] = useState(editing?.transport || 'auto');
+  const [wsPath, setWsPath] = useState(editing?.wsPath || '/mqtt');
+  // TLS of a "Custom" server from a provisioning link (null => detect by port)
+  const [customTls, setCustomTls] = useState(null);
 
-  // Start empty until user selects a preset
-  const [host, setHost] = useState('');
-  const [port, setPort] = useState('');
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
+  const [deviceId, setDeviceId] = useState(editing?.deviceId || '');
 
-  const [deviceId, setDeviceId] = useState('');
+  // Advanced: cpId (company / project id in the topics). Empty => default of the broker profile
+  const [cpIdInput, setCpIdInput] = useState(editing?.cpId || '');
+  const [showAdvanced, setShowAdvanced] = useState(() => !!editing?.cpId && editing.cpId !== DEFAULT_CPID);
+  const [showDiscover, setShowDiscover] = useState(false);
+
+  // Pasted provisioning link
+  const [showLink, setShowLink] = useState(false);
+  const [linkText, setLinkText] = useState('');
 
   // ===== UI state =====
   const [error, setError] = useState('');
   const [busy, setBusy] = useState(false);
-
-  useEffect(() => {
-    // "Select server" => clear all server fields
-    if (presetKey === 'select') {
-      setHost('');
-      setPort('');
-      setUsername('');
-      setPassword('');
+  // Broker login failed: offer the connection diagnostics
+  const [loginFailed, setLoginFailed] = useState(false);
+
+  useLayoutEffect(() => {
+    if (!editing) return;
+    navigation.setOptions({
+      title: 'Edit Device',
+      headerRight: shareLinkButton(editing),
+    });
+  }, [navigation, editing]);
+
+  // "Custom" => clear all server fields (user will type manually)
+  // Profile => fill and lock host / port / transport; credentials stay editable
+  const selectServer = useCallback((key, list = profiles) => {
+    const profile = list.find(p => p.id === key);
+    setServerKey(profile ? key : CUSTOM);
+    setHost(profile?.host ?? '');
+    setPort(profile ? String(profile.port) : '');
+    setUsername(profile?.username ?? '');
+    setPassword(profile?.password ?? '');
+    setTransport(profile?.transport ?? 'auto');
+    setWsPath(profile?.wsPath ?? '/mqtt');
+    setCustomTls(null);
+  }, [profiles]);
+
+  // Pre-fill from a provisioning link: its profile when it is on this phone, else its host / port
+  const applyProvision = useCallback((p, list = profiles) => {
+    const profile = p.profileId ? list.find(x => x.id === p.profileId) : null;
+    if (!profile && !p.host) {
+      setError(`Broker profile "${p.profileId}" is not on this phone`);
       return;
     }
+    selectServer(profile ? profile.id : CUSTOM, list);
+    if (!profile) {
+      setHost(p.host);
+      setPort(p.port ? String(p.port) : '');
+      setTransport(p.transport || 'auto');
+      setWsPath(p.wsPath || '/mqtt');
+      setCustomTls(p.useTls);
+    }
+    setDeviceId(p.deviceId);
+    setFriendlyName(p.friendlyName || p.deviceId);
+    setCpIdInput(p.cpId);
+    setShowAdvanced(!!p.cpId && p.cpId !== (profile?.cpId || DEFAULT_CPID));
+    setError('');
+  }, [profiles, selectServer]);
 
-    // "Custom" => clear all server fields (user will type manually)
-    if (presetKey === 'custom') {
-      setHost('');
-      setPort('');
-      setUsername('');
-      setPassword('');
-      return;
+  useEffect(() => {
+    let alive = true;
+    loadBrokerProfiles()
+      .then((list) => {
+        if (!alive) return;
+        setProfiles(list);
+        setProfilesLoaded(true);
+        // A saved device whose profile was deleted is edited as "Custom"
+        if (editing?.profileId && !list.some(p => p.id === editing.profileId)) setServerKey(CUSTOM);
+      })
+      .catch(e => console.log('[ADD] profiles load failed', e?.message || String(e)));
+    return () => { alive = false; };
+  }, [editing]);
+
+  // Deep link: applied once profiles are loaded, again when a new link opens this screen
+  const appliedProvisionRef = useRef(null);
+  useEffect(() => {
+    if (!provision || !profilesLoaded || appliedProvisionRef.current === provision) return;
+    appliedProvisionRef.current = provision;
+    applyProvision(provision, profiles);
+  }, [provision, profilesLoaded, profiles, applyProvision]);
+
+  const pasteLink = () => {
+    try {
+      applyProvision(parseProvisioningLink(linkText));
+      setLinkText('');
+      setShowLink(false);
+    } catch (e) {
+      setError(e?.message || String(e));
     }
+  };
 
-    // Preset server => auto fill and lock
-    setHost(selectedPreset.host);
-    setPort(selectedPreset.port);
-    setUsername(selectedPreset.user);
-    setPassword(selectedPreset.pass);
-  }, [presetKey, selectedPreset]);
+  const onProfilesChanged = (list) => {
+    setProfiles(list);
+    // Re-apply the selected profile (it may have been edited or deleted)
+    if (selectedProfile) selectServer(serverKey, list);
+  };
 
 
   const normalizedDeviceId = useMemo(() => {
     return String(deviceId || '').trim().toUpperCase();
   }, [deviceId]);
 
+  const defaultCpId = selectedProfile?.cpId || DEFAULT_CPID;
+  const effectiveCpId = cpIdInput.trim() || defaultCpId;
+
   const parsedPort = useMemo(() => {
     const p = Number(String(port).trim());
     return Number.isFinite(p) ? p : 0;
   }, [port]);
 
-  const validate = () => {
-    if (presetKey === 'select') return 'Please select server';
-    if (!friendlyName.trim()) return 'Device Friendly Name required';
+  const validate = ({ id, name }) => {
+    if (serverKey === SELECT) return 'Please select server';
+    if (!name) return 'Device Friendly Name required';
     if (!host.trim()) return 'MQTT Broker Host required';
     if (!parsedPort || parsedPort <= 0 || parsedPort > 65535) return 'Port invalid';
-    if (!normalizedDeviceId) return 'Device ID required';
-    return '';
+    if (transport !== 'tcp' && /\s/.test(wsPath.trim())) return 'WebSocket path invalid';
+    if (!id) return 'Device ID required';
+    return validateCpId(effectiveCpId);
   };
 
-  const onAdd = async () => {
+  // Broker connection of the form (auth check and Discover)
+  const connectionParams = () => ({
+    host: host.trim(),
+    port: parsedPort,
+    username: String(username || '').trim(),
+    password: String(password || ''),
+    transport,
+    wsPath: wsPath.trim(),
+    keepAlive: selectedProfile?.keepAlive ?? editing?.keepAlive,
+    // CA / pins / client certificate come with the broker profile
+    ...tlsConnectOptions(selectedProfile || editing),
+    ...(typeof selectedProfile?.useTls === 'boolean' ? { useTls: selectedProfile.useTls } : null),
+    ...(isCustom && typeof customTls === 'boolean' ? { useTls: customTls } : null),
+  });
+
+  const connectionChanged = () => {
+    if (!editing) return true;
+    const next = {
+      host: host.trim(),
+      port: parsedPort,
+      username: String(username || '').trim(),
+      password: String(password || ''),
+      transport,
+      wsPath: wsPath.trim(),
+      cpId: effectiveCpId,
+    };
+    return CONNECTION_FIELDS.some(k => String(next[k] ?? '') !== String(editing[k] ?? ''));
+  };
+
+  const openDiscover = () => {
+    setError('');
+    if (serverKey === SELECT) return setError('Please select server');
+    if (!host.trim() || !parsedPort) return setError('Enter broker host and port first');
+    const v = validateCpId(effectiveCpId);
+    if (v) return setError(v);
+    setShowDiscover(true);
+  };
+
+  const onDiscovered = (gateway) => {
+    setShowDiscover(false);
+    const name = friendlyName.trim() || gateway.deviceId;
+    setDeviceId(gateway.deviceId);
+    setFriendlyName(name);
+    onAdd({ deviceId: gateway.deviceId, friendlyName: name });
+  };
+
+  // picked: { deviceId, friendlyName } of a gateway chosen in Discover (added right away)
+  const onAdd = async (picked) => {
     if (busy) return;
 
+    const id = picked?.deviceId ?? normalizedDeviceId;
+    const name = picked?.friendlyName ?? friendlyName.trim();
     setError('');
-    const v = validate();
+    setLoginFailed(false);
+    const v = validate({ id, name });
     if (v) {
       setError(v);
       return;
@@ -126,21 +280,27 @@ export default function AddMqttDevice({ navigation }) {
 
     setBusy(true);
     try {
-      const cpId = '51c5c752';
+      if (editing && !connectionChanged()) {
+        // Name only: no broker login needed
+        await updateMqttDevice({ ...editing, friendlyName: name, profileId: selectedProfile?.id || '' });
+        navigation.goBack();
+        return;
+      }
 
-      const auth = await authenticateForAddDevice({
-        host: host.trim(),
-        port: parsedPort,
-        username: String(username || '').trim(),
-        password: String(password || ''),
-        cpId,
-        deviceId: normalizedDeviceId,
-      });
+      const cpId = effectiveCpId;
+      const { keepAlive, caCert, pinSha256, clientCert, clientCertPassword } = connectionParams();
+
+      const auth = await authenticateForAddDevice({ ...connectionParams(), cpId, deviceId: id });
 
+      // Editing keeps credentialId / createdAt of the saved record; typed credentials replace locked ones
+      const { credentialsLocked, ...saved } = editing || {};
+      const keepLocked = credentialsLocked && !String(username || '').trim() && !password;
       const device = {
-        friendlyName: friendlyName.trim(),
-        name: friendlyName.trim(),
-        deviceId: normalizedDeviceId,
+        ...saved,
+        ...(keepLocked ? { credentialsLocked } : null),
+        friendlyName: name,
+        name,
+        deviceId: id,
 
         host: host.trim(),
         port: parsedPort,
@@ -148,11 +308,20 @@ export default function AddMqttDevice({ navigation }) {
         password: String(password || ''),
 
         useTls: auth.useTls,
+        transport: auth.transport,
+        wsPath: auth.wsPath,
 
         topic: auth.topicSub,
         topicBase: auth.topicBase,
         cpId,
-        presetKey,
+        profileId: selectedProfile?.id || '',
+        ...(keepAlive != null ? { keepAlive } : null),
+        caCert,
+        pinSha256,
+        clientCert,
+        clientCertPassword,
+        // Clean session / client id / Last Will only come with a broker profile
+        ...(selectedProfile ? normalizeSessionSettings(selectedProfile) : null),
         lastStatus: '',
         createdAt: Date.now(),
         updatedAt: Date.now(),
@@ -160,6 +329,15 @@ export default function AddMqttDevice({ navigation }) {
 
 
       // 3) Save only after auth passed
+      if (editing) {
+        // A new cpId takes names, scenes, schedules and history along (moved by updateMqttDevice)
+        const cpIdChanged = cpId !== editing.cpId;
+        if (cpIdChanged) await flushHistory();
+        await updateMqttDevice(device);
+        if (cpIdChanged) await clearHistory(editing.cpId, id);
+        navigation.goBack();
+        return;
+      }
       await addMqttDevice(device);
 
       // 4) Go detail and auto-connect
@@ -175,6 +353,7 @@ export default function AddMqttDevice({ navigation }) {
       );
     } catch (e) {
       setError(e?.message || 'connection failed');
+      setLoginFailed(true);
     } finally {
       setBusy(false);
     }
@@ -189,6 +368,30 @@ export default function AddMqttDevice({ navigation }) {
         <View style={styles.card}>
           <Text style={styles.sectionTitle}>MQTT DEVICE CONFIG</Text>
 
+          {!editing && (
+            <>
+              <Pressable onPress={() => setShowLink(v => !v)} style={styles.advancedToggle}>
+                <Text style={styles.advancedText}>{showLink ? '˄' : '˅'}  PASTE PROVISIONING LINK</Text>
+              </Pressable>
+              {showLink && (
+                <>
+                  <Input
+                    value={linkText}
+                    onChangeText={setLinkText}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    editable={!busy}
+                    multiline
+                    placeholder="ebqcontrol://add?..."
+                  />
+                  <Pressable onPress={() => !busy && pasteLink()} style={styles.discoverButton}>
+                    <Text style={styles.discoverText}>Fill in from link</Text>
+                  </Pressable>
+                </>
+              )}
+            </>
+          )}
+
           {/* SERVER dropdown (custom UI like picture2) */}
           <Label text="SERVER" />
           <Pressable
@@ -201,8 +404,8 @@ export default function AddMqttDevice({ navigation }) {
               busy ? { opacity: 0.7 } : null,
             ]}
           >
-            <Text style={[styles.selectText, presetKey === 'select' && styles.selectPlaceholder]}>
-              {presetKey === 'select' ? 'Select' : selectedPreset.label}
+            <Text style={[styles.selectText, serverKey === SELECT && styles.selectPlaceholder]}>
+              {serverKey === SELECT ? 'Select' : selectedProfile?.name ?? 'Custom'}
             </Text>
 
             {/* Chevron */}
@@ -251,9 +454,9 @@ export default function AddMqttDevice({ navigation }) {
               <Input
                 value={username}
                 onChangeText={setUsername}
-                editable={!busy && isCustom}
-                styleOverride={isSelected && !isCustom ? styles.inputLocked : null}
-                placeholder={isCustom ? 'username' : ''}
+                editable={!busy && isSelected}
+                autoCapitalize="none"
+                placeholder={isSelected ? 'username' : ''}
               />
             </View>
 
@@ -264,25 +467,99 @@ export default function AddMqttDevice({ navigation }) {
               <Input
                 value={password}
                 onChangeText={setPassword}
-                editable={!busy && isCustom}
-                styleOverride={isSelected && !isCustom ? styles.inputLocked : null}
-                placeholder={isCustom ? 'password' : ''}
+                editable={!busy && isSelected}
+                secureTextEntry
+                autoCapitalize="none"
+                placeholder={isSelected ? 'password' : ''}
               />
             </View>
           </View>
 
+          <Label text="TRANSPORT" />
+          <View style={styles.segment}>
+            {TRANSPORTS.map(t => {
+              const active = transport === t.key;
+              const locked = busy || !isCustom;
+              return (
+                <Pressable
+                  key={t.key}
+                  onPress={() => !locked && setTransport(t.key)}
+                  style={[
+                    styles.segmentItem,
+                    active && styles.segmentItemActive,
+                    locked && !active && styles.segmentItemLocked,
+                  ]}
+                >
+                  <Text style={[styles.segmentText, active && styles.segmentTextActive]}>{t.label}</Text>
+                </Pressable>
+              );
+            })}
+          </View>
+
+          {transport !== 'tcp' && (
+            <>
+              <Label text={transport === 'ws' ? 'WEBSOCKET PATH' : 'WEBSOCKET PATH (IF NEEDED)'} />
+              <Input
+                value={wsPath}
+                onChangeText={setWsPath}
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!busy && isCustom}
+                styleOverride={isSelected && !isCustom ? styles.inputLocked : null}
+                placeholder="/mqtt"
+              />
+            </>
+          )}
+
           <Label text="DEVICE ID (MAC)" />
           <Input
             value={normalizedDeviceId}
             onChangeText={(t) => setDeviceId(String(t || '').toUpperCase())}
             autoCapitalize="characters"
-            editable={!busy}
+            editable={!busy && !editing}
+            styleOverride={editing ? styles.inputLocked : null}
             placeholder="e.g. A208F6C7F"
           />
+          {!editing && (
+            <Pressable onPress={() => !busy && openDiscover()} style={styles.discoverButton}>
+              <Text style={styles.discoverText}>Discover gateways on this broker</Text>
+            </Pressable>
+          )}
+
+          <Pressable onPress={() => setShowAdvanced(v => !v)} style={styles.advancedToggle}>
+            <Text style={styles.advancedText}>{showAdvanced ? '˄' : '˅'}  ADVANCED</Text>
+          </Pressable>
+          {showAdvanced && (
+            <>
+              <Label text="CPID (COMPANY / PROJECT ID)" />
+              <Input
+                value={cpIdInput}
+                onChangeText={setCpIdInput}
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!busy}
+                placeholder={defaultCpId}
+              />
+              <Text style={styles.hint}>
+                Topics: devices/{effectiveCpId}/{normalizedDeviceId || '<Device ID>'}/messages/events
+                {editing && effectiveCpId !== editing.cpId ? '\nNames, scenes, schedules and history move to the new cpId.' : ''}
+              </Text>
+            </>
+          )}
 
           {/* Topic UI is intentionally hidden for user friendliness */}
 
           {!!error && <Text style={styles.error}>{error}</Text>}
+          {loginFailed && !busy && (
+            <Pressable
+              onPress={() => navigation.navigate('MqttDiagnostics', {
+                device: { ...connectionParams(), deviceId: normalizedDeviceId, friendlyName: friendlyName.trim(), cpId: effectiveCpId },
+              })}
+              style={styles.discoverButton}
+            >
+              <Text style={styles.discoverText}>Run connection diagnostics</Text>
+            </Pressable>
+          )}
 
           <View style={styles.footer}>
             <TouchableOpacity
@@ -295,7 +572,7 @@ export default function AddMqttDevice({ navigation }) {
 
             <TouchableOpacity
               style={[styles.addBtn, busy && { opacity: 0.7 }]}
-              onPress={onAdd}
+              onPress={() => onAdd()}
               disabled={busy}
             >
               {busy ? (
@@ -304,7 +581,7 @@ export default function AddMqttDevice({ navigation }) {
                   <Text style={[styles.addText, { marginLeft: 10 }]}>Saving...</Text>
                 </View>
               ) : (
-                <Text style={styles.addText}>Add & Connect</Text>
+                <Text style={styles.addText}>{editing ? 'Save' : 'Add & Connect'}</Text>
               )}
             </TouchableOpacity>
           </View>
@@ -312,8 +589,11 @@ export default function AddMqttDevice({ navigation }) {
           {!isSelected && (
             <Text style={styles.hint}>Please select a server first.</Text>
           )}
-          {isPresetServer && (
-            <Text style={styles.hint}>Server details are auto-filled. Only Device ID is required.</Text>
+          {editing?.credentialsLocked && (
+            <Text style={styles.hint}>The saved password is locked in the vault. Leave username / password empty to keep it.</Text>
+          )}
+          {selectedProfile && !editing && (
+            <Text style={styles.hint}>Server details come from the broker profile "{selectedProfile.name}".</Text>
           )}
         </View>
       </ScrollView>
@@ -337,28 +617,53 @@ export default function AddMqttDevice({ navigation }) {
               },
             ]}
           >
-            {PRESETS.filter(p => p.key !== 'select').map(p => (
+            {[...profiles.map(p => ({ key: p.id, label: p.name })), { key: CUSTOM, label: 'Custom' }, { key: MANAGE, label: 'Manage profiles…' }].map(p => (
               <Pressable
                 key={p.key}
                 onPress={() => {
-                  setPresetKey(p.key);
                   setServerOpen(false);
+                  if (p.key === MANAGE) setShowProfiles(true);
+                  else selectServer(p.key);
                 }}
                 style={({ pressed }) => [
                   styles.dropdownItem,
                   pressed ? styles.dropdownItemPressed : null,
                 ]}
               >
-                <Text style={styles.dropdownText}>{p.label}</Text>
+                <Text style={[styles.dropdownText, p.key === MANAGE && styles.dropdownAction]}>{p.label}</Text>
               </Pressable>
             ))}
           </View>
         </Pressable>
       </Modal>
+
+      <MqttDiscoverDialog
+        visible={showDiscover}
+        onClose={() => setShowDiscover(false)}
+        connection={connectionParams()}
+        cpId={effectiveCpId}
+        onPick={onDiscovered}
+      />
+
+      <MqttBrokerProfilesDialog
+        visible={showProfiles}
+        onClose={() => setShowProfiles(false)}
+        onChanged={onProfilesChanged}
+      />
     </KeyboardAvoidingView>
   );
 }
 
+// Header button of Edit Device: share the provisioning link of the saved device
+const shareLinkButton = device => () => (
+  <TouchableOpacity
+    onPress={() => Share.share({ message: buildProvisioningLink(device) }).catch(() => { })}
+    style={styles.headerButton}
+  >
+    <MaterialIcons name="share" size={22} color="#334155" />
+  </TouchableOpacity>
+);
+
 function Label({ text }) {
   return <Text style={styles.label}>{text}</Text>;
 }
@@ -420,6 +725,34 @@ const styles = StyleSheet.create({
 
   row: { flexDirection: 'row' },
 
+  segment: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  segmentItem: {
+    flex: 1,
+    paddingVertical: 9,
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+  segmentItemActive: {
+    backgroundColor: '#2563EB',
+  },
+  segmentItemLocked: {
+    opacity: 0.5,
+  },
+  segmentText: {
+    fontSize: 13,
+    color: '#475569',
+    fontWeight: '600',
+  },
+  segmentTextActive: {
+    color: '#FFFFFF',
+  },
+
   // Modern select (like your last screenshot)
   selectBox: {
     borderWidth: 1.5,
@@ -489,6 +822,38 @@ const styles = StyleSheet.create({
     color: '#334155',
     fontWeight: '600',
   },
+  dropdownAction: {
+    color: '#2196F3',
+  },
+
+  discoverButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginTop: 8,
+    borderRadius: 6,
+    backgroundColor: '#EFF6FF',
+  },
+  discoverText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2196F3',
+  },
+
+  headerButton: {
+    paddingHorizontal: 4,
+  },
+
+  advancedToggle: {
+    paddingVertical: 8,
+    marginTop: 4,
+  },
+  advancedText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#2196F3',
+    letterSpacing: 0.5,
+  },
 
 
 
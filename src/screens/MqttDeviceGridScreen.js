@@ -7,16 +7,59 @@
 // - keep your UI structure (Grid/List/3-Phase + DeviceConfigDialog)
 
 import React, { memo, useCallback, useLayoutEffect, useMemo, useState, useRef, useEffect } from 'react';
-import { Modal, View, Text, StyleSheet, TouchableOpacity, Image, ToastAndroid, InteractionManager, useWindowDimensions, BackHandler, Platform, Alert, Pressable } from 'react-native';
+import { Modal, View, Text, StyleSheet, TouchableOpacity, Image, ToastAndroid, InteractionManager, useWindowDimensions, BackHandler, Platform, Pressable } from 'react-native';
 import { UIManager, findNodeHandle } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect, useNavigation, useRoute } from '@react-navigation/native';
 import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
+import AlarmListDialog from '../components/MqttAlarmListDialog';
+import ChannelHistoryDialog from '../components/MqttChannelHistoryDialog';
 import DeviceConfigDialog from '../components/MqttDeviceConfigDialog';
 import DeviceGridView from '../components/MqttDeviceGridView';
 import DeviceListView from '../components/MqttDeviceListView';
+import ScenesDialog from '../components/MqttScenesDialog';
+import SchedulesDialog from '../components/MqttSchedulesDialog';
 import ThreePhaseView from '../components/MqttThreePhaseView';
-import { connectAndSubscribe, disconnectMqtt, publishMqtt } from '../utils/MqttNativeClient';
+import {
+  connectDevice,
+  disconnectDevice,
+  enqueueCommand,
+  publishToDevice,
+  queuedCommand,
+  queuedCommands,
+  subscribeCommandQueue,
+  subscribeDeviceMessages,
+  subscribeMqttState,
+} from '../utils/MqttManager';
+import { activeOverCurrent, subscribeAlarms, unacknowledgedCount } from '../utils/AlarmEngine';
+import { QUEUE_STATUS } from '../utils/CommandQueue';
+import { CMD_STATUS, createCommandTracker } from '../utils/CommandTracker';
+import { flushHistory, loadHistory, recordCurrents } from '../utils/CurrentHistory';
+import { mergeCache, readCache, removeCache } from '../utils/MqttDeviceStorage';
+import { describePhase, isBusy as isPhaseBusy, isDown, isReady } from '../utils/MqttStateMachine';
+import { describeRetry } from '../utils/ReconnectPolicy';
+import { runScene } from '../utils/Scenes';
+import { describeTarget, formatRunAt } from '../utils/Schedules';
+import { reloadSchedules, subscribeNextSchedule, subscribeScheduleRuns } from '../utils/ScheduleRunner';
+import {
+  EBQ_EVENT,
+  currentConfirmsSwitch,
+  decode,
+  encodeFastInterval,
+  encodeNameQuery,
+  encodeRatingQuery,
+  encodeSetName,
+  encodeSetRating,
+  encodeSwitch,
+  eventsBaseTopic,
+  eventsSubscribeTopic,
+  nameBankFor,
+  parseChannel,
+  parseEventsTopic,
+  randomAckId,
+  sanitizeName,
+  switchStateFromCurrent,
+} from '../utils/EbqProtocol';
 
 // ===== Pure JS tabs (no material-top-tabs) =====
 const TAB = { GRID: 'GRID', LIST: 'LIST', THREE: 'THREE' };
@@ -25,7 +68,6 @@ const CONN = {
   DISCONNECTED: 'disconnected',
   CONNECTING: 'connecting',
   CONNECTED: 'connected',
-  DISCONNECTING: 'disconnecting',
 };
 
 const toast = (msg) => {
@@ -40,75 +82,25 @@ function getStatusColor(status) {
   const s = String(status || '').toLowerCase();
   if (s === CONN.CONNECTED) return '#4ADE80';
   if (s === CONN.CONNECTING) return '#FBBF24';
-  if (s === CONN.DISCONNECTING) return '#FBBF24';
   return '#EF4444';
 }
 
-// Derive cpid/deviceId from topic like: devices/<cpid>/<deviceId>/messages/events/...
-function deriveFromEventsTopic(eventsTopic) {
-  const t = String(eventsTopic || '').trim().replace(/\/#$/, '');
-  const parts = t.split('/').filter(Boolean);
-
-  const i = parts.indexOf('devices');
-  if (i < 0 || parts.length < i + 3) return { cpid: '', deviceId: '' };
-
-  const cpid = parts[i + 1];
-  const deviceId = parts[i + 2];
-  return { cpid, deviceId };
-}
-function extractNameMap(j) {
-  // Extract name map from multiple schemas
-  const map =
-    j?.d?.Name ||
-    j?.d?.Name1 ||
-    j?.d?.Name2 ||
-    j?.data?.Name ||
-    j?.data?.Name ||
-    j?.data?.Name1 ||
-    j?.data?.Name2 ||
-    j?.data?.command?.Name ||
-    j?.data?.command?.Name1 ||
-    j?.data?.command?.Name2;
-
-  return map && typeof map === 'object' ? map : null;
-}
-
-// Parse current map from multiple schemas:
-// { d: { current: { C17: 0.0 } } } OR { data: { current: ... } } OR { current: ... }
-function parseCurrentMap(objOrText) {
-  let j = objOrText;
-  if (typeof objOrText === 'string') {
-    try {
-      j = JSON.parse(objOrText);
-    } catch (_) {
-      return null;
-    }
-  }
-
-  const map =
-    j?.d?.current ||
-    j?.data?.current ||
-    j?.current ||
-    (j &&
-      typeof j === 'object' &&
-      Object.keys(j).some((k) => /^C\d+$/i.test(k))
-      ? j
-      : null);
-
-  if (!map || typeof map !== 'object') return null;
-  return map;
+// Screen status from the pooled state of the gateway (MqttManager); DISCONNECTED unless the screen holds it
+function connStatusOf(held, s) {
+  if (!held || !s) return CONN.DISCONNECTED;
+  if (isReady(s.phase)) return CONN.CONNECTED;
+  return isPhaseBusy(s.phase) ? CONN.CONNECTING : CONN.DISCONNECTED;
 }
 
-function normalizeNumber(v) {
-  if (typeof v === 'number') return v;
-  if (typeof v === 'string') {
-    const m = v.match(/-?\d+(\.\d+)?/);
-    return m ? Number(m[0]) : NaN;
-  }
-  if (Array.isArray(v)) return Number(v[0]);
-  return Number(v);
+// cpid/deviceId of a saved device: its own cpId / deviceId, else parsed from a topic like
+// devices/<cpid>/<deviceId>/messages/events/... (records saved before cpId was stored)
+function deriveFromEventsTopic(eventsTopic, device) {
+  const parsed = parseEventsTopic(eventsTopic);
+  return {
+    cpid: String(device?.cpId || parsed.cpid || '').trim(),
+    deviceId: String(device?.deviceId || parsed.deviceId || '').trim(),
+  };
 }
-
 function formatCurrentA(v) {
   const n = Number(v);
   if (!Number.isFinite(n)) return '-';
@@ -121,33 +113,6 @@ function formatCurrentA(v) {
   return n.toFixed(2);
 }
 
-function statusFromCurrentEBQ(cur, prevStatus) {
-  const n = Number(cur);
-  if (!Number.isFinite(n)) return prevStatus || 'UNKNOWN';
-
-  const dOff = Math.abs(n - (-0.1));
-  const dOn = Math.abs(n - 0);
-  const FAR = 0.2;
-
-  // ✅ 关键修复：如果电流 > 0.2A，说明有负载，一定是 ON
-  if (n > 0.2) return 'ON';
-
-  if (Math.min(dOff, dOn) > FAR) return prevStatus === 'UNKNOWN' ? 'ON' : (prevStatus || 'ON');
-
-  return dOff < dOn ? 'OFF' : 'ON';
-}
-
-function sanitizeName(input) {
-  const s = String(input ?? '').trim();
-  const cleaned = s
-    .replace(/\uFFFD/g, '')
-    .replace(/[\u0000-\u001F\u007F]/g, '')
-    .replace(/`[A-Z]/g, '')              // ✅ 去掉 `H `M 这类乱码尾巴
-    .trim();
-  if (!cleaned) return '';
-  return cleaned;
-}
-
 function default1P(id) {
   return {
     id,
@@ -179,54 +144,10 @@ function default3P(id) {
   };
 }
 
-function parse3PhaseValue(v) {
-  if (typeof v === 'number' && Number.isFinite(v)) {
-    return [v, v, v];
-  }
-
-  if (Array.isArray(v) && v.length >= 3) {
-    const a = normalizeNumber(v[0]);
-    const b = normalizeNumber(v[1]);
-    const c = normalizeNumber(v[2]);
-    if ([a, b, c].every(Number.isFinite)) return [a, b, c];
-    return null;
-  }
-  if (v && typeof v === 'object') {
-    const a = normalizeNumber(v.current1 ?? v.a ?? v.A ?? v.L1 ?? v.l1);
-    const b = normalizeNumber(v.current2 ?? v.b ?? v.B ?? v.L2 ?? v.l2);
-    const c = normalizeNumber(v.current3 ?? v.c ?? v.C ?? v.L3 ?? v.l3);
-    if ([a, b, c].every(Number.isFinite)) return [a, b, c];
-  }
-  return null;
-}
-
-const randomHex8 = () => Math.random().toString(16).slice(2, 10).padEnd(8, '0');
-
-// Build supervisor (ON/OFF) schema payload (cmdType + data).
-function buildCmdSupervisorExact({ cpid, targetId, action, channelId, ackId, useCPrefix }) {
-  const ch = useCPrefix ? `C${String(channelId)}` : String(channelId);
-
-  return {
-    cmdType: '1',
-    t: new Date().toISOString(),
-    sdk: { e: 'DengKai', v: '1.0' },
-    data: {
-      cpid: String(cpid),
-      id: String(targetId),
-      command: [{ [String(action).toUpperCase()]: ch }],
-      ack: false,
-      ackId: String(ackId || randomHex8()),
-    },
-  };
-}
-
 // =========================
 // Name cache helpers (fast navigation + instant name display)
 // =========================
 
-const nameCacheKey = (cpid, deviceId) =>
-  `EBQ_NAME_CACHE::${String(cpid || '')}::${String(deviceId || '')}`;
-
 // Merge cached names into current tags (lazy: create tag only when needed)
 function mergeNamesIntoTags(prev, obj) {
   if (!obj || typeof obj !== 'object') return prev;
@@ -236,8 +157,7 @@ function mergeNamesIntoTags(prev, obj) {
 
   for (const [k, v] of Object.entries(obj)) {
     // keys are like "C17" or "17"
-    const mm = String(k).match(/C(\d+)/i);
-    const id = mm ? parseInt(mm[1], 10) : parseInt(String(k), 10);
+    const id = parseChannel(k);
     if (!Number.isFinite(id)) continue;
 
     const gotName = sanitizeName(v);
@@ -261,12 +181,10 @@ function mergeNamesIntoTags(prev, obj) {
 async function loadNameCache({ cpid, deviceId, setTags }) {
   if (!cpid || !deviceId) return;
 
-  const key = nameCacheKey(cpid, deviceId);
   try {
-    const raw = await AsyncStorage.getItem(key);
-    if (!raw) return;
+    const obj = await readCache('names', cpid, deviceId);
+    if (!obj) return;
 
-    const obj = JSON.parse(raw);
     setTags((prev) => mergeNamesIntoTags(prev, obj));
     console.log('[NAME CACHE] loaded', Object.keys(obj || {}).length, 'items');
   } catch (e) {
@@ -277,12 +195,8 @@ async function loadNameCache({ cpid, deviceId, setTags }) {
 async function saveNameCache({ cpid, deviceId, partialMap }) {
   if (!cpid || !deviceId || !partialMap) return;
 
-  const key = nameCacheKey(cpid, deviceId);
   try {
-    const raw = await AsyncStorage.getItem(key);
-    const oldObj = raw ? JSON.parse(raw) : {};
-    const nextObj = { ...(oldObj || {}), ...(partialMap || {}) };
-    await AsyncStorage.setItem(key, JSON.stringify(nextObj));
+    await mergeCache('names', cpid, deviceId, partialMap);
   } catch (e) {
     console.log('[NAME CACHE] save failed', e?.message || String(e));
   }
@@ -359,32 +273,38 @@ export default memo(function MqttDeviceGridScreen() {
     advName: device.friendlyName || device.name || 'EBQ',
   } : null);
   console.log('[SWITCH BLE] bleDevice =', bleDevice);
-  console.log('[SWITCH BLE] device =', JSON.stringify(device));
   console.log('[SWITCH BLE] effectiveBleDevice =', JSON.stringify(effectiveBleDevice));
   const host = String(device.host || device.brokerHost || '').trim();
   const port = Number(device.port || 0);
-  const username = String(device.username || '');
-  const password = String(device.password || '');
   const topic = String(device.topic || device.subTopic || '').trim();
 
-  const derived = useMemo(() => deriveFromEventsTopic(topic), [topic]);
+  const derived = useMemo(
+    () => deriveFromEventsTopic(topic, { cpId: device.cpId, deviceId: device.deviceId }),
+    [topic, device.cpId, device.deviceId],
+  );
   const topics = useMemo(() => {
-    const cpid = derived.cpid;
-    const id = derived.deviceId;
-    if (!cpid || !id) return { tSlash: '', tNoSlash: '' };
+    const base = eventsBaseTopic(derived.cpid, derived.deviceId);
+    if (!base) return { tSlash: '' };
 
-    return {
-      tSlash: `devices/${cpid}/${id}/messages/events/`,
-
-    };
+    return { tSlash: `${base}/` };
   }, [derived.cpid, derived.deviceId]);
 
+  // What MqttManager connects: the saved device (useTls / transport / TLS settings as saved) with the resolved ids
+  const mqttDevice = useMemo(() => {
+    const saved = route.params?.device || route.params || {};
+    return { ...saved, host, port, cpId: derived.cpid, deviceId: derived.deviceId };
+  }, [route.params, host, port, derived.cpid, derived.deviceId]);
+
   const deviceName = String(device.friendlyName || device.name || 'MQTT Device');
   const hwId = String(device.hardwareId || device.hwId || device.mac || device.id || '');
 
   const [activeTab, setActiveTab] = useState(TAB.GRID);
 
-  const [connectionStatus, setConnectionStatus] = useState(CONN.DISCONNECTED);
+  // This screen's hold on the pooled connection (Connect / Disconnect) and the pooled state of the gateway
+  const [held, setHeld] = useState(false);
+  const heldRef = useRef(false);
+  const [mqttState, setMqttState] = useState(null);
+  const connectionStatus = connStatusOf(held, mqttState);
   const connectionStatusRef = useRef(CONN.DISCONNECTED);
   useEffect(() => {
     connectionStatusRef.current = connectionStatus;
@@ -397,9 +317,11 @@ export default memo(function MqttDeviceGridScreen() {
   const statusTimerRef = useRef(null);
   const isSwitchingToBleRef = useRef(false);
   const fastTimerRef = useRef(null);
-  const toggleLockRef = useRef(new Map()); // channelId → expireTimestamp
-  const pendingToggleRef = useRef(new Map());
-  // channelId -> { desired:'ON'|'OFF', expiresAt:number, okCount:number }
+  // ✅ Every outgoing command (ackId) is tracked until acked / failed / timed out
+  const trackerRef = useRef(null);
+  if (!trackerRef.current) trackerRef.current = createCommandTracker();
+  // ✅ Commands issued while disconnected wait in the device's MqttManager queue until SUBSCRIBED again
+  const [queuedCount, setQueuedCount] = useState(0);
   const setStatusTextSoft = useCallback((s) => {
     statusPendingRef.current = String(s ?? '');
     if (statusTimerRef.current) return;
@@ -432,7 +354,15 @@ export default memo(function MqttDeviceGridScreen() {
     timeoutsRef.current.clear();
   }, []);
   const [showConfig, setShowConfig] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showAlarms, setShowAlarms] = useState(false);
+  const [showScenes, setShowScenes] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [nextScheduled, setNextScheduled] = useState(null); // { schedule, at }
+  const [alarmCount, setAlarmCount] = useState(0);
   const [tags, setTags] = useState(() => ({}));
+  const tagsRef = useRef(tags);
+  useEffect(() => { tagsRef.current = tags; }, [tags]);
   const [selectedTagId, setSelectedTagId] = useState(null);
   const [uiReady, setUiReady] = useState(false);
 
@@ -444,8 +374,13 @@ export default memo(function MqttDeviceGridScreen() {
 
   const onSelectNoop = useCallback(() => { }, []);
 
+  const onShowHistory = useCallback(() => {
+    setShowConfig(false);
+    setShowHistory(true);
+  }, []);
+
   const isConnected = connectionStatus === CONN.CONNECTED;
-  const isBusy = connectionStatus === CONN.CONNECTING || connectionStatus === CONN.DISCONNECTING;
+  const isBusy = connectionStatus === CONN.CONNECTING;
   // ✅ Prevent double run (StrictMode / refocus)
   const didFocusInitRef = useRef(false);
   const rxCountRef = useRef(0);
@@ -453,9 +388,6 @@ export default memo(function MqttDeviceGridScreen() {
   const didSendFastIntervalRef = useRef(false); // ✅ fast interval send once time
   const nameLockRef = useRef(new Map()); // channelId -> expireTimestampMs
   const lastGetNameAckRef = useRef({ a1: '', a2: '' }); // track latartartest Name1/Name2 ackId
-  // ✅ Apply Name map into tags (device confirmed names)
-  const pendingNameRef = useRef(new Map());   // channelId -> { value, expiresAt }
-  const pendingRatingRef = useRef(new Map()); // channelId -> { value:[cur,sens], expiresAt }
 
   // UX/PERF: Pause UI flush briefly during tab switches so presses don't get queued behind MQTT updates.
   const suspendUiUntilRef = useRef(0);
@@ -517,50 +449,19 @@ export default memo(function MqttDeviceGridScreen() {
           const old = prev[id] || (id >= 201 ? default3P(id) : default1P(id));
           let out = old;
 
-          // ✅ 1) Calculate the lock at the beginning (each ID calculates it once).
-          const lockExp = toggleLockRef.current.get(id) || 0;
-          const isLocked = Date.now() < lockExp;
-          const pend = pendingToggleRef.current.get(id);
-          const isPending = !!(pend && Date.now() < pend.expiresAt);
-          // ✅ During the lockout period: If this patch only includes status (without current/other information), ignore it.
-          if (isLocked && partial && typeof partial === 'object') {
-            const keys = Object.keys(partial);
-            const hasCur = partial.__cur1p != null || partial.__cur3p != null;
-
-            // Only status or (status present but no current) → Lockout period not processed
-            if (keys.length === 1 && keys[0] === 'status') {
-              continue;
-            }
-            if (!hasCur && keys.includes('status')) {
-              // The status will also be deleted when merging rest later, but intercepting it in advance here is cleaner.
-              // You can continue down the process; for the most stable approach, you can simply filter the status from rest0 (which you've already done).
-            }
-          }
+          // ✅ 1) While an ON/OFF command is unconfirmed, currents must not flip the status
+          // (a reading showing the commanded state already settled it before this flush)
+          const isPending = !!trackerRef.current.pendingFor('switch', id);
 
           // ✅ 2) Phase 1 current
           if (partial.__cur1p != null) {
             const curNum = Number(partial.__cur1p);
             if (Number.isFinite(curNum)) {
-
-              if (isPending) {
-                const desired = pend.desired;
-                pendingToggleRef.current.delete(id);
-                // ✅ 给2秒缓冲（比之前的1秒更安全）
-                toggleLockRef.current.set(id, Date.now() + 5000);
-
-                out = { ...out, status: desired };
-              }
-              
-
-              // ✅ 重新读取 isLocked（因为上面刚刚更新了 toggleLockRef）
-              const isLockedNow = Date.now() < (toggleLockRef.current.get(id) || 0);
-
               out = {
                 ...out,
                 current: formatCurrentA(curNum),
                 seen: true,
-                // ✅ 用 isLockedNow 而不是旧的 isLocked
-                ...(isPending ? {} : (isLockedNow ? {} : { status: statusFromCurrentEBQ(curNum, out.status) })),
+                ...(isPending ? {} : { status: switchStateFromCurrent(curNum, out.status) }),
               };
             }
           }
@@ -572,12 +473,9 @@ export default memo(function MqttDeviceGridScreen() {
               const a = Number(t[0]), b = Number(t[1]), c = Number(t[2]);
               if ([a, b, c].every(Number.isFinite)) {
 
-                // ✅ 重新读取 isLocked
-                const isLockedNow = Date.now() < (toggleLockRef.current.get(id) || 0);
-
-                const aSt = statusFromCurrentEBQ(a, out.status);
-                const bSt = statusFromCurrentEBQ(b, out.status);
-                const cSt = statusFromCurrentEBQ(c, out.status);
+                const aSt = switchStateFromCurrent(a, out.status);
+                const bSt = switchStateFromCurrent(b, out.status);
+                const cSt = switchStateFromCurrent(c, out.status);
                 const statusFromCur = (aSt === 'OFF' || bSt === 'OFF' || cSt === 'OFF') ? 'OFF' : 'ON';
 
                 out = {
@@ -587,18 +485,17 @@ export default memo(function MqttDeviceGridScreen() {
                   current1: formatCurrentA(a),
                   current2: formatCurrentA(b),
                   current3: formatCurrentA(c),
-                  // ✅ 用 isLockedNow
-                  ...(isLockedNow ? {} : { status: statusFromCur }),
+                  ...(isPending ? {} : { status: statusFromCur }),
                 };
               }
             }
           }
 
-          // ✅ 4) Merge rest, but prevent rest.status from being overwritten during the lockout period (key: to prevent flashback)
+          // ✅ 4) Merge rest, but keep the commanded status while it is unconfirmed (prevents flashback)
           const { __cur1p, __cur3p, ...rest0 } = partial;
 
           let rest = rest0;
-          if ((isLocked || isPending) && rest0 && Object.prototype.hasOwnProperty.call(rest0, 'status')) {
+          if (isPending && rest0 && Object.prototype.hasOwnProperty.call(rest0, 'status')) {
             rest = { ...rest0 };
             delete rest.status;
           }
@@ -670,16 +567,13 @@ export default memo(function MqttDeviceGridScreen() {
     });
   }, []);
 
+  // Queries only: they are sent again after every SUBSCRIBED, so nothing is lost by skipping them
+  // (user commands go through enqueueCommand() and wait for the reconnect instead)
   const publishToSlashTopic = useCallback(async (payload) => {
+    if (connectionStatusRef.current !== CONN.CONNECTED) return;
     if (!topics.tSlash) return;
-    await publishMqtt({ topic: topics.tSlash, payload, qos: 1, retained: false });
-  }, [topics.tSlash]);
-
-  const publishControl = useCallback(async (payload) => {
-    if (connectionStatusRef.current !== CONN.CONNECTED) return; // ✅ hard guard
-    if (!topics.tSlash) return;
-    await publishMqtt({ topic: topics.tSlash, payload, qos: 1, retained: false });
-  }, [topics.tSlash]);
+    await publishToDevice(derived.deviceId, { topic: topics.tSlash, payload, qos: 1, retained: false });
+  }, [topics.tSlash, derived.deviceId]);
 
   const publishCfg = useCallback(async (payload) => {
     if (connectionStatusRef.current !== CONN.CONNECTED) return; // ✅ hard guard
@@ -687,13 +581,8 @@ export default memo(function MqttDeviceGridScreen() {
     if (typeof payload === 'string' && payload.includes('fast interval')) {
       console.log('[APP PUB fast interval]', new Date().toISOString(), topics.tSlash);
     }
-    await publishMqtt({ topic: topics.tSlash, payload, qos: 1, retained: false });
-  }, [topics.tSlash]);
-  const publishWrite = useCallback(async (payload) => {
-    if (connectionStatusRef.current !== CONN.CONNECTED) return;
-    if (!topics.tSlash) return;
-    await publishMqtt({ topic: topics.tSlash, payload, qos: 0, retained: false });
-  }, [topics.tSlash]);
+    await publishToDevice(derived.deviceId, { topic: topics.tSlash, payload, qos: 1, retained: false });
+  }, [topics.tSlash, derived.deviceId]);
 
   const requestNameBank = useCallback(async (bank) => {
     if (!topics.tSlash) return;
@@ -702,74 +591,50 @@ export default memo(function MqttDeviceGridScreen() {
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
 
-    const payload = JSON.stringify({
-      cmdType: '5',
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: {
-        cpid,
-        id: targetId,
-        command: [bank], // "Name1" or "Name2"
-        ack: false,
-        ackId: randomHex8(),
-      },
-    });
+    // Not connected: publishCfg would skip it and a tracked query would only time out
+    if (connectionStatusRef.current !== CONN.CONNECTED) return;
 
+    const ackId = randomAckId();
+    const payload = JSON.stringify(encodeNameQuery({ cpid, deviceId: targetId, bank, ackId }));
+
+    trackerRef.current.track({ ackId, kind: 'names', channel: bank, payloads: [payload] });
     await publishCfg(payload);
   }, [topics.tSlash, derived.cpid, derived.deviceId, publishCfg]);
 
   // ===== Requests =====
   const requestNameMap = useCallback(async () => {
-    if (!topics.tSlash && !topics.tNoSlash) return;
+    if (!topics.tSlash) return;
 
     const cpid = derived.cpid;
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
-
-    const base = {
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: { cpid: cpid, id: targetId, ack: false }, // ✅ cpId (NOT cpid)
-    };
-
-    const p1 = JSON.stringify({
-      cmdType: '5',
-      ...base,
-      data: { ...base.data, command: ['Name1'], ackId: randomHex8() },
-    });
-
-    const p2 = JSON.stringify({
-      cmdType: '5',
-      ...base,
-      data: { ...base.data, command: ['Name2'], ackId: randomHex8() },
-    });
+    if (connectionStatusRef.current !== CONN.CONNECTED) return; // resent after the next SUBSCRIBED
+
+    const ack1 = randomAckId();
+    const ack2 = randomAckId();
+    const p1 = JSON.stringify(encodeNameQuery({ cpid, deviceId: targetId, bank: 'Name1', ackId: ack1 }));
+    const p2 = JSON.stringify(encodeNameQuery({ cpid, deviceId: targetId, bank: 'Name2', ackId: ack2 }));
+    trackerRef.current.track({ ackId: ack1, kind: 'names', channel: 'Name1', payloads: [p1] });
+    trackerRef.current.track({ ackId: ack2, kind: 'names', channel: 'Name2', payloads: [p2] });
     await publishToSlashTopic(p1);
     await publishToSlashTopic(p2);
 
-  }, [topics.tSlash, topics.tNoSlash, derived.cpid, derived.deviceId, publishCfg]);
+  }, [topics.tSlash, derived.cpid, derived.deviceId, publishToSlashTopic]);
 
   const requestRatingMap = useCallback(async () => {
-    if (!topics.tSlash && !topics.tNoSlash) return;
+    if (!topics.tSlash) return;
 
     const cpid = derived.cpid;
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
+    if (connectionStatusRef.current !== CONN.CONNECTED) return; // resent after the next SUBSCRIBED
 
-    const payload = JSON.stringify({
-      cmdType: '4',
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: {
-        cpid,
-        id: targetId,
-        command: ['Rating'],
-        ack: false,
-        ackId: randomHex8(),
-      },
-    });
+    const ackId = randomAckId();
+    const payload = JSON.stringify(encodeRatingQuery({ cpid, deviceId: targetId, ackId }));
 
+    trackerRef.current.track({ ackId, kind: 'ratings', payloads: [payload] });
     await publishToSlashTopic(payload);
-  }, [topics.tSlash, topics.tNoSlash, derived.cpid, derived.deviceId, publishCfg]);
+  }, [topics.tSlash, derived.cpid, derived.deviceId, publishToSlashTopic]);
 
   // Send one time right after SUBSCRIBED
   const sendFastIntervalOnce = useCallback(async () => {
@@ -778,15 +643,13 @@ export default memo(function MqttDeviceGridScreen() {
     const cpid = derived.cpid;
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
+    if (connectionStatusRef.current !== CONN.CONNECTED) return; // next SUBSCRIBED tries again
 
     didSendFastIntervalRef.current = true;
 
-    const payload = JSON.stringify({
-      cmdType: '4',
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: { cpid, id: targetId, command: ['fast interval'], ack: false, ackId: randomHex8() },
-    });
+    const ackId = randomAckId();
+    const payload = JSON.stringify(encodeFastInterval({ cpid, deviceId: targetId, ackId }));
+    trackerRef.current.track({ ackId, kind: 'interval', payloads: [payload] });
 
     console.log('[FAST ONCE] sending');
     await publishCfg(payload);
@@ -802,12 +665,9 @@ export default memo(function MqttDeviceGridScreen() {
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
 
-    const payload = JSON.stringify({
-      cmdType: '4',
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: { cpid, id: targetId, command: ['fast interval'], ack: false, ackId: randomHex8() },
-    });
+    const ackId = randomAckId();
+    const payload = JSON.stringify(encodeFastInterval({ cpid, deviceId: targetId, ackId }));
+    trackerRef.current.track({ ackId, kind: 'interval', payloads: [payload] });
 
     console.log('[FAST TICK] sending @', new Date().toISOString());
     await publishCfg(payload);
@@ -855,366 +715,242 @@ export default memo(function MqttDeviceGridScreen() {
     loop();
   }, [sendFastIntervalTick]);
 
-  // ===== Connect / Disconnect =====
-  const connectNow = useCallback(async () => {
-    if (isBusy || isConnected) return;
+  // ===== Connect / Disconnect (MqttManager owns the connection) =====
+  // ===== Messages of this gateway (MqttManager routes them by topic) =====
+  const onMqttMessage = useCallback((m) => {
+    rxCountRef.current += 1;
+
+    const rxTopic = String(m?.topic || '');
+    setStatusTextSoft(`RX ${rxCountRef.current}  ${rxTopic.slice(-30)}`);
 
-    setConnectionStatus(CONN.CONNECTING);
+    const text = m?.text ?? m?.payload ?? m;   // ✅ Android 用 payload，iOS 可能用 text
+    if (!text) return;
 
-    if (!derived.cpid || !derived.deviceId) {
-      toast('Topic invalid: missing cpid/deviceId');
-      setConnectionStatus(CONN.DISCONNECTED);
+    let j = null;
+    try {
+      j = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (_) {
       return;
     }
+    // ✅ Match replies against outgoing ackIds first (own echoes are ignored by the tracker)
+    const acked = trackerRef.current.handleMessage(j);
+    if (acked) console.log('[ACK]', acked.kind, acked.channel, acked.status, acked.reason);
 
-    const subTopic = `devices/${derived.cpid}/${derived.deviceId}/messages/events/#`;
-    //const subTopic = `devices/${derived.cpid}/${derived.deviceId}/messages/#`;
-    const useTls = Number(port) === 8883 || Number(port) === 8812;
-    console.log('[SUB TOPIC]', subTopic);
+    console.log('[MSG DUMP]', JSON.stringify(j).slice(0, 300));
 
-    setStatusTextSoft(`CONNECTING ${host}:${port}`);
-    clearTagsToUnknown();
-    didRequestCfgRef.current = false;
-    didSendFastIntervalRef.current = false; // ✅ reset fast interval flag
-    try {
-      await disconnectMqtt().catch(() => { });
-      await connectAndSubscribe({
-        host,
-        port,
-        username,
-        password,
-        topic: subTopic,
-        useTls: useTls,
-        onStatus: (s) => {
-          // ✅ 1) First print the original status (most important)
-          console.log('[MQTT STATUS RAW]', s);
-
-          // ✅ 2) Print the converted message again (for easier viewing of startsWith)
-          const msg = typeof s === 'string' ? s : JSON.stringify(s ?? '');
-          console.log('[MQTT STATUS]', msg);
-
-          setStatusTextSoft(msg);
-
-          const up = String(msg || '').toUpperCase();
-
-          if (up.startsWith('CONNECTED')) {
-            setConnectionStatus(CONN.CONNECTING);
-            return;
-          }
-          if (up.startsWith('SUBSCRIBED')) {
-            // ✅ 1) Immediately set the ref to CONNECTED (to avoid being blocked by publishCfg's guard).
-            connectionStatusRef.current = CONN.CONNECTED;
-            setConnectionStatus(CONN.CONNECTED);
-
-            if (!didRequestCfgRef.current) {
-              didRequestCfgRef.current = true;
-
-              // ✅ 2) Send immediately with fast interval (no delay)
-              stopFastIntervalTimer();
-              sendFastIntervalOnce();      // <-- Send immediately
-              startFastIntervalTimer();    // <-- Start 58s loop
-
-              // ✅ 3) Name/Rating can send  immediately or delay it slightly.
-              requestNameMap();
-              requestRatingMap();
-            }
-            return;
-          }
+    const events = decode(j);
+    // If message has nothing we care, skip heavy parsing
+    if (events.length === 0) return;
+    console.log('[RX]', events.map(e => e.type).join(','));
 
-          if (up.startsWith('DISCONNECTED')) {
-            console.log('[MQTT STATUS] DISCONNECTED event');
-            setConnectionStatus(CONN.DISCONNECTED);
-            return;
+    const patch = {};
+    const put = (id, partial) => {
+      const key = String(id);
+      patch[key] = patch[key] ? { ...patch[key], ...partial } : partial;
+    };
+    const hasAckId = events.some(e => e.type === EBQ_EVENT.ACK);
+
+    for (const ev of events) {
+      switch (ev.type) {
+        // 1) Current map (1P + 3P)
+        case EBQ_EVENT.CURRENT: {
+          trackerRef.current.settleFor('interval', null, CMD_STATUS.ACKED, 'telemetry');
+          recordCurrents(derived.cpid, derived.deviceId, { ...ev.single, ...ev.three });
+          // Over-current is checked app-wide (DevicePresence); OVER follows the alarm list below
+          // ON/OFF is not acked: a reading showing the commanded state confirms it
+          for (const [id, cur] of Object.entries({ ...ev.single, ...ev.three })) {
+            const pend = trackerRef.current.pendingFor('switch', Number(id));
+            if (pend && currentConfirmsSwitch(cur, pend.expect)) {
+              trackerRef.current.settleFor('switch', Number(id), CMD_STATUS.ACKED, 'read back');
+            }
           }
-
-          if (up.startsWith('DISCONNECT')) {
-            console.log('[MQTT STATUS] DISCONNECT event');
-            setConnectionStatus(CONN.DISCONNECTING);
-            return;
+          for (const [id, cur] of Object.entries(ev.single)) {
+            put(id, { __cur1p: cur });
           }
-        },
-
-        onMessage: (m) => {
-          rxCountRef.current += 1;
-
-          const rxTopic = String(m?.topic || '');
-          setStatusTextSoft(`RX ${rxCountRef.current}  ${rxTopic.slice(-30)}`);
-
-          const text = m?.text ?? m?.payload ?? m;   // ✅ Android 用 payload，iOS 可能用 text
-          if (!text) return;
-
-          let j = null;
-          try {
-            j = typeof text === 'string' ? JSON.parse(text) : text;
-            // 在 onMessage 里，JSON.parse 之后立刻加：
-            console.log('[RX] cmdType=', j?.cmdType ?? j?.d?.cmdType,
-              'hasName=', !!(j?.d?.Name || j?.d?.Name1 || j?.d?.Name2 || j?.data?.Name || j?.data?.Name1 || j?.data?.Name2),
-              'keys=', Object.keys(j?.d || j?.data || {}).slice(0, 5));
-          } catch (_) {
-            return;
+          for (const [id, triple] of Object.entries(ev.three)) {
+            put(id, { __cur3p: triple });
           }
-          // ✅ 加在这里，parse之后最早的位置
-          console.log('[MSG DUMP]', JSON.stringify(j).slice(0, 300));
-          console.log('[MSG cmdType]', j?.cmdType, '/', j?.d?.cmdType);
-          console.log('[MSG d.Name]', JSON.stringify(j?.d?.Name)?.slice(0, 100));
-          console.log('[MSG data.Name]', JSON.stringify(j?.data?.Name)?.slice(0, 100));
-          const cmdType = String(j?.cmdType ?? j?.d?.cmdType ?? j?.data?.cmdType ?? '');
-          const hasCurrent = !!(j?.d?.current || j?.data?.current || j?.current);
-          const nameMap2 = extractNameMap(j);   // compute once
-          // if (__DEV__ && nameMap2) {
-          //   console.log('[RX NAME] keys=', Object.keys(nameMap2).length);
-          // }
-
-          const hasName = !!nameMap2;
-
-          const hasRating =
-            !!(j?.d?.Rating || j?.data?.Rating || j?.d?.command?.Rating || j?.data?.command?.Rating);
-
-          // If message has nothing we care, skip heavy parsing
-          const hasAnything = hasCurrent || hasName || hasRating ||
-            !!(j?.d?.Name || j?.d?.Name1 || j?.d?.Name2 || j?.d?.Rating) ||
-            cmdType === '1' || cmdType === '4' || cmdType === '5';
-
-          if (!hasAnything) return;
-
-
-          const patch = {};
-          const put = (id, partial) => {
-            const key = String(id);
-            patch[key] = patch[key] ? { ...patch[key], ...partial } : partial;
-          };
+          break;
+        }
 
-          // =========================
-          // 1) Current map (1P + 3P)
-          // =========================
-          const curMap = parseCurrentMap(j);
-          if (curMap && (curMap.C201 != null || curMap.C202 != null || curMap.C203 != null)) {
-          }
+        // 2) Name map + lock
+        case EBQ_EVENT.NAMES: {
+          const toSave = {}; // store only meaningful names for cache
 
-          if (curMap) {
-            for (const [k, v] of Object.entries(curMap)) {
-              const m2 = String(k).match(/C(\d+)/i);
-              const id = m2 ? parseInt(m2[1], 10) : parseInt(k, 10);
-              if (!Number.isFinite(id)) continue;
-
-              if (id >= 1 && id <= 120) {
-                const curNum = normalizeNumber(v);
-                if (!Number.isFinite(curNum)) continue;
-                put(id, { __cur1p: curNum });
-                continue;
-              }
+          // ✅ Name1/Name2 query answered
+          ev.banks.forEach(bank => trackerRef.current.settleFor('names', bank, CMD_STATUS.ACKED, 'reply'));
 
-              if (id >= 201 && id <= 224) {
-                const triple = parse3PhaseValue(v);
-                if (!triple) continue;
-                put(id, { __cur3p: triple });
-              }
-            }
-          }
-
-          // =========================
-          // 2) Name map + lock (same logic as yours)
-          // =========================
+          for (const [key, gotName] of Object.entries(ev.names)) {
+            const id = Number(key);
 
-          if (nameMap2) {
-            const toSave = {}; // store only meaningful names for cache
+            // ✅ Optional: prevent overwriting custom names with default device names
+            if (/^Device\s+\d+$/i.test(gotName)) continue;
 
-            for (const [k, v] of Object.entries(nameMap2)) {
-              const mm = String(k).match(/C(\d+)/i);
-              const id = mm ? parseInt(mm[1], 10) : NaN;
-              if (!Number.isFinite(id)) continue;
-
-              const gotName = sanitizeName(v);
+            const pending = trackerRef.current.pendingFor('name', id);
+            if (pending) {
+              const expected = String(pending.expect ?? '').trim();
+              if (gotName === expected) {
+                // ✅ Read-back confirms the Set Name even if the gateway sent no ack
+                trackerRef.current.settleFor('name', id, CMD_STATUS.ACKED, 'read back');
+                nameLockRef.current.set(id, 0);
+              } else {
+                continue; // ignore stale overwrite while Set Name is pending
+              }
+            } else {
+              const exp = nameLockRef.current.get(id) || 0;
+              if (Date.now() < exp) continue; // still locked, ignore overwrites
+            }
 
-              // ✅ Do not overwrite with empty name
-              if (!gotName) continue;
+            put(id, { tagName: gotName, seen: true });
+            toSave[`C${id}`] = gotName;
+          }
 
-              // ✅ Optional: prevent overwriting custom names with default device names
-              if (/^Device\s+\d+$/i.test(gotName)) continue;
+          // ✅ Save to local cache (async, does not block UI)
+          saveNameCache({
+            cpid: derived.cpid,
+            deviceId: derived.deviceId,
+            partialMap: toSave,
+          });
+          break;
+        }
 
-              const pending = pendingNameRef.current.get(id);
-              if (pending && Date.now() <= pending.expiresAt) {
-                const expected = String(pending.value ?? '').trim();
-                if (gotName === expected) {
-                  pendingNameRef.current.delete(id);
-                  nameLockRef.current.set(id, 0);
-                  toast(`Name saved: C${id}`);
-                } else {
-                  continue; // ignore stale overwrite during pending window
-                }
-              } else {
-                const exp = nameLockRef.current.get(id) || 0;
-                if (Date.now() < exp) continue; // still locked, ignore overwrites
-              }
+        // 3a) ON/OFF echo
+        case EBQ_EVENT.SWITCH: {
+          const id = ev.channel;
+          const pend = trackerRef.current.pendingFor('switch', id);
+
+          // ✅ Own echoes were filtered by the tracker: a gateway echo of the
+          // commanded action confirms it; otherwise never override a pending command
+          if (pend && pend.expect === ev.action && !hasAckId) {
+            trackerRef.current.settleFor('switch', id, CMD_STATUS.ACKED, 'echo');
+          } else if (!pend) {
+            put(id, { status: ev.action, seen: true });
+          } else {
+            put(id, { seen: true });
+          }
+          break;
+        }
 
-              put(id, { tagName: gotName, seen: true });
-              toSave[`C${id}`] = gotName;
-            }
+        // 3b) Set Name echo
+        case EBQ_EVENT.SET_NAME: {
+          for (const [key, newName] of Object.entries(ev.names)) {
+            const id = Number(key);
+            put(id, { tagName: newName, seen: true });
+            nameLockRef.current.set(id, Date.now() + 8000);
 
-            // ✅ Save to local cache (async, does not block UI)
+            // ✅ Save echo name to cache (keeps cache consistent)
             saveNameCache({
               cpid: derived.cpid,
               deviceId: derived.deviceId,
-              partialMap: toSave,
+              partialMap: { [`C${id}`]: newName },
             });
           }
+          break;
+        }
 
-          // =========================
-          // 3) Command echoes (ON/OFF, Set Name, Set Rating)
-          // =========================
-          const cmdRaw = j?.data?.command || j?.d?.command;
-          const cmdList = Array.isArray(cmdRaw)
-            ? cmdRaw
-            : (cmdRaw && typeof cmdRaw === 'object')
-              ? [cmdRaw]
-              : [];
-
-          if (cmdList.length > 0) {
-            // 3a) ON/OFF
-            const first = cmdList[0] || {};
-            const onVal = first.ON ?? first.on;
-            const offVal = first.OFF ?? first.off;
-
-            const act = onVal != null ? 'ON' : offVal != null ? 'OFF' : null;
-            const ch = onVal ?? offVal;
-            if (act && ch != null) {
-              const m3 = String(ch ?? '').match(/C(\d+)/i);
-              const id = m3 ? parseInt(m3[1], 10) : parseInt(ch, 10);
-              if (Number.isFinite(id)) {
-                const exp = toggleLockRef.current.get(id) || 0;
-                const locked = Date.now() < exp;
-                const pend = pendingToggleRef.current.get(id);
-                const pending = !!(pend && Date.now() < pend.expiresAt);
-
-                // ✅ Do not allow echo to change status during the lock/await confirmation period.
-                if (!locked && !pending) {
-                  put(id, { status: act, seen: true });
-                } else {
-                  put(id, { seen: true });
-                }
-              }
-            }
-            // 3b) Set Name echo
-            for (const one of cmdList) {
-              const setNameObj = one?.['Set Name'];
-              if (setNameObj && typeof setNameObj === 'object') {
-                for (const [kk, vv] of Object.entries(setNameObj)) {
-                  const mm = String(kk).match(/C(\d+)/i);
-                  const id = mm ? parseInt(mm[1], 10) : NaN;
-                  if (!Number.isFinite(id)) continue;
-
-                  const newName = sanitizeName(vv);
-                  if (!newName) continue;
-
-                  put(id, { tagName: newName, seen: true });
-                  nameLockRef.current.set(id, Date.now() + 8000);
-
-                  // ✅ Save echo name to cache (keeps cache consistent)
-                  saveNameCache({
-                    cpid: derived.cpid,
-                    deviceId: derived.deviceId,
-                    partialMap: { [`C${id}`]: newName },
-                  });
-                }
-                break;
+        // 3c) Set Rating echo
+        case EBQ_EVENT.SET_RATING: {
+          for (const [id, [cur, sens]] of Object.entries(ev.ratings)) {
+            put(id, { currentRating: cur, sensitivity: sens, seen: true });
+          }
+          break;
+        }
+
+        // 4) Rating map (device reply)
+        case EBQ_EVENT.RATINGS: {
+          trackerRef.current.settleFor('ratings', null, CMD_STATUS.ACKED, 'reply');
+          for (const [key, [cur, sens]] of Object.entries(ev.ratings)) {
+            const id = Number(key);
+            put(id, { currentRating: cur, sensitivity: sens, seen: true });
+
+            const p = trackerRef.current.pendingFor('rating', id);
+            if (p) {
+              const expCur = Number(p.expect?.[0]);
+              const expSens = Number(p.expect?.[1]);
+              if (cur === expCur && sens === expSens) {
+                trackerRef.current.settleFor('rating', id, CMD_STATUS.ACKED, 'read back');
               }
             }
+          }
+          break;
+        }
 
+        default:
+          break;
+      }
+    }
 
-            // 3c) Set Rating echo
-            for (const one of cmdList) {
-              const setRatingObj = one?.['Set Rating'];
-              if (setRatingObj && typeof setRatingObj === 'object') {
-                for (const [kk, vv] of Object.entries(setRatingObj)) {
-                  const mm = String(kk).match(/C(\d+)/i);
-                  const id = mm ? parseInt(mm[1], 10) : NaN;
-                  if (!Number.isFinite(id)) continue;
-                  if (!Array.isArray(vv) || vv.length < 2) continue;
+    if (Object.keys(patch).length > 0) {
+      enqueueTagPatch(patch);
+    }
+  }, [derived.cpid, derived.deviceId, enqueueTagPatch, setStatusTextSoft]);
 
-                  const cur = Number(vv[0]);
-                  const sens = Number(vv[1]);
-                  if (!Number.isFinite(cur) || !Number.isFinite(sens)) continue;
+  // Every time the gateway topic is (re)subscribed: queued commands first, then fast interval and config
+  const onDeviceReady = useCallback(() => {
+    connectionStatusRef.current = CONN.CONNECTED;
 
-                  put(id, { currentRating: cur, sensitivity: sens, seen: true });
-                }
-                break;
-              }
-            }
-          }
+    stopFastIntervalTimer();
+    didSendFastIntervalRef.current = false;
+    sendFastIntervalOnce();
+    startFastIntervalTimer();
 
-          // =========================
-          // 4) Rating map (device reply)
-          // =========================
-          const ratingMap =
-            j?.d?.Rating ||
-            j?.data?.Rating ||
-            j?.d?.command?.Rating ||
-            j?.data?.command?.Rating;
-
-          if (ratingMap && typeof ratingMap === 'object') {
-            for (const [k, v] of Object.entries(ratingMap)) {
-              const mm = String(k).match(/C(\d+)/i);
-              const id = mm ? parseInt(mm[1], 10) : NaN;
-              if (!Number.isFinite(id)) continue;
-
-              if (!Array.isArray(v) || v.length < 2) continue;
-              const cur = Number(v[0]);
-              const sens = Number(v[1]);
-              if (!Number.isFinite(cur) || !Number.isFinite(sens)) continue;
-
-              put(id, { currentRating: cur, sensitivity: sens, seen: true });
-
-              const p = pendingRatingRef.current.get(id);
-              if (p && Date.now() <= p.expiresAt) {
-                const expCur = Number(p.value?.[0]);
-                const expSens = Number(p.value?.[1]);
-                if (cur === expCur && sens === expSens) {
-                  pendingRatingRef.current.delete(id);
-                  toast(`Rating saved: C${id}`);
-                }
-              }
-            }
-          }
+    if (!didRequestCfgRef.current) {
+      didRequestCfgRef.current = true;
+      requestNameMap();
+      requestRatingMap();
+    }
+  }, [requestNameMap, requestRatingMap, sendFastIntervalOnce, startFastIntervalTimer, stopFastIntervalTimer]);
 
-          if (Object.keys(patch).length > 0) {
-            enqueueTagPatch(patch);
-          }
-        },
-
-        onError: (msg) => {
-          console.log('[MQTT ERROR]', msg);
-          setStatusTextSoft('DISCONNECTED');
-          setConnectionStatus(CONN.DISCONNECTED);
-          toast(msg || 'MQTT error');
-        },
-      });
+  const onMqttMessageRef = useRef(onMqttMessage);
+  const onDeviceReadyRef = useRef(onDeviceReady);
+  useEffect(() => { onMqttMessageRef.current = onMqttMessage; }, [onMqttMessage]);
+  useEffect(() => { onDeviceReadyRef.current = onDeviceReady; }, [onDeviceReady]);
 
-    } catch (e) {
-      console.log('[MQTT CONNECT CATCH]', e?.message || String(e));
-      setStatusTextSoft('DISCONNECTED');
-      setConnectionStatus(CONN.DISCONNECTED);
-      toast(e?.message || String(e));
+  // Pooled state and messages of this gateway while the screen holds its connection
+  useEffect(() => {
+    if (!held || !derived.deviceId) return undefined;
+    let ready = false;
+    const offState = subscribeMqttState(derived.deviceId, (s) => {
+      setMqttState(s);
+      setStatusTextSoft(isDown(s.phase) ? describePhase(s.phase, s.reason) : s.status);
+      connectionStatusRef.current = connStatusOf(true, s);
+      if (isReady(s.phase) && !ready) onDeviceReadyRef.current();
+      ready = isReady(s.phase);
+    });
+    const offMessages = subscribeDeviceMessages(derived.deviceId, m => onMqttMessageRef.current(m));
+    return () => {
+      offState();
+      offMessages();
+    };
+  }, [held, derived.deviceId, setStatusTextSoft]);
+
+  const connectNow = useCallback(() => {
+    if (isConnected) return;
+
+    const subTopic = eventsSubscribeTopic(derived.cpid, derived.deviceId);
+    if (!subTopic) {
+      toast('Topic invalid: missing or invalid cpid/deviceId');
+      return;
     }
-  }, [
-    isBusy,
-    isConnected,
-    host,
-    port,
-    username,
-    password,
-    clearTagsToUnknown,
-    derived,
-    requestNameMap,
-    requestRatingMap,
-    setStatusTextSoft,
-    enqueueTagPatch,
-    sendFastIntervalOnce,
-    sendFastIntervalTick,
-    startFastIntervalTimer,
-    stopFastIntervalTimer,
-  ]);
+    console.log('[SUB TOPIC]', subTopic);
+
+    if (!heldRef.current) {
+      clearTagsToUnknown();
+      didRequestCfgRef.current = false;
+      didSendFastIntervalRef.current = false;
+    }
+    heldRef.current = true;
+    setHeld(true);
 
-  const disconnectAndStop = useCallback(async (reason) => {
+    // Pooled with the list's presence watch; TLS / transport are the ones saved with the device.
+    // While held, a retry is also started right away (else the reconnect policy decides when)
+    connectDevice(mqttDevice).catch((e) => {
+      console.log('[MQTT CONNECT CATCH]', e?.message || String(e));
+      if (heldRef.current) toast(e?.message || String(e));
+    });
+  }, [isConnected, derived.cpid, derived.deviceId, mqttDevice, clearTagsToUnknown]);
+
+  const disconnectAndStop = useCallback((reason) => {
     console.log('[DISCONNECT]', reason);
 
     // 1) cancel all pending timeouts (80ms/2500ms/8200ms...)
@@ -1222,27 +958,24 @@ export default memo(function MqttDeviceGridScreen() {
 
     // 2) stop fast timer
     stopFastIntervalTimer();
-
-    // 3) update UI state to block any publish immediately
-    setConnectionStatus(CONN.DISCONNECTING);
-    setStatusTextSoft('DISCONNECTING');
-
-    try {
-      await disconnectMqtt();
-      console.log('[DISCONNECT] disconnectMqtt done');
-    } catch (e) {
-      console.log('[DISCONNECT] disconnectMqtt error', e?.message || String(e));
-    } finally {
-      setConnectionStatus(CONN.DISCONNECTED);
-      setStatusTextSoft('DISCONNECTED');
-      clearTagsToUnknown();
-      didRequestCfgRef.current = false;
-      didSendFastIntervalRef.current = false;
-    }
+    trackerRef.current.reset('disconnected');
+    if (!heldRef.current) return;
+
+    // 3) drop this screen's reference; other users of the pooled connection keep it
+    heldRef.current = false;
+    connectionStatusRef.current = CONN.DISCONNECTED;
+    setHeld(false);
+    setMqttState(null);
+    setStatusTextSoft('DISCONNECTED');
+    clearTagsToUnknown();
+    didRequestCfgRef.current = false;
+    didSendFastIntervalRef.current = false;
+    disconnectDevice();
   }, [
     clearAllTimeouts,
     stopFastIntervalTimer,
     setStatusTextSoft,
+    clearTagsToUnknown,
   ]);
 
   const disconnectNow = useCallback(async () => {
@@ -1315,16 +1048,15 @@ export default memo(function MqttDeviceGridScreen() {
       // 1) Mark UI ready immediately
       setUiReady(true);
 
-      // 2) Load cached names immediately (non-blocking)
+      // 2) Load cached names and current history immediately (non-blocking)
       loadNameCache({
         cpid: derived.cpid,
         deviceId: derived.deviceId,
         setTags,
       });
+      loadHistory(derived.cpid, derived.deviceId);
 
-      // 3) Force initial DISCONNECTED state so user can see it first
-      connectionStatusRef.current = CONN.DISCONNECTED;
-      setConnectionStatus(CONN.DISCONNECTED);
+      // 3) Show DISCONNECTED first
       setStatusTextSoft('DISCONNECTED');
 
       // 4) Delay auto-connect so DISCONNECTED stays visible (0.5~1s)
@@ -1357,60 +1089,87 @@ export default memo(function MqttDeviceGridScreen() {
   );
 
   // ===== Publish commands =====
-  const handleToggle = useCallback((id, action) => {
-    if (connectionStatus !== CONN.CONNECTED) return;
+  // Send one ON/OFF; resolves with the command once the tracker settles it.
+  // While disconnected it waits in the queue (a newer ON/OFF of the channel replaces it).
+  const sendSwitch = useCallback((id, action, meta = null) => {
+    const notSent = (reason) => Promise.resolve({ status: CMD_STATUS.FAILED, reason });
 
     const channelId = Number(id);
-    if (!Number.isFinite(channelId)) return;
+    if (!Number.isFinite(channelId)) return notSent('invalid channel');
 
-    
     const act = action === 'OFF' ? 'OFF' : 'ON';
+    const cpid = derived.cpid;
+    const gatewayId = derived.deviceId;
+    if (!cpid || !gatewayId) return notSent('missing cpid/deviceId');
 
-    applyTagPatchImmediate(channelId, { status: act, seen: true });
+    const key = `switch:${channelId}`;
+    // A replaced ON/OFF never reached the gateway: keep the state from before it
+    const from = queuedCommand(gatewayId, key)?.meta?.from || tagsRef.current?.[channelId]?.status || 'UNKNOWN';
 
-    // ✅ 只保留一个，3秒锁，5秒pending
-    const lockDuration = 12000;
-    toggleLockRef.current.set(channelId, Date.now() + lockDuration);
+    const send = (publish) => {
+      const ackId = randomAckId();
+      const payload = JSON.stringify(
+        encodeSwitch({ cpid, deviceId: gatewayId, action: act, channel: channelId, ackId })
+      );
 
-    pendingToggleRef.current.set(channelId, {
-      desired: act,
-      expiresAt: Date.now() + 15000,
-      okCount: 0,
-    });
-    suspendUiUntilRef.current = Date.now() + 250;
-    if (patchTimerRef.current) {
-      clearTimeout(patchTimerRef.current);
-      patchTimerRef.current = null;
-    }
+      // ✅ Optimistic status; currents cannot flip it until the command settles
+      const cmd = trackerRef.current.track({
+        ackId,
+        kind: 'switch',
+        channel: channelId,
+        expect: act,
+        payloads: [payload],
+        meta: { ...meta, from },
+      });
+      applyTagPatchImmediate(channelId, { status: act, seen: true, cmdQueued: false });
 
+      suspendUiUntilRef.current = Date.now() + 250;
+      if (patchTimerRef.current) {
+        clearTimeout(patchTimerRef.current);
+        patchTimerRef.current = null;
+      }
 
-    
-    safeSetTimeout(() => {
-      const cpid = derived.cpid;
-      const gatewayId = derived.deviceId;
-      if (!cpid || !gatewayId) return;
+      safeSetTimeout(() => {
+        publish({ topic: topics.tSlash, payload, qos: 1, retained: false }).catch((e) => {
+          trackerRef.current.settleFor('switch', channelId, CMD_STATUS.FAILED, e?.message || String(e));
+        });
+      }, 0);
+      return cmd;
+    };
 
-      const payload = JSON.stringify(
-        buildCmdSupervisorExact({
-          cpid,
-          targetId: gatewayId,
-          action: act,
-          channelId: channelId,
-          ackId: randomHex8(),
-          useCPrefix: true,
-        })
-      );
+    const done = enqueueCommand(gatewayId, {
+      key,
+      label: `C${channelId} ${act}`,
+      meta: { kind: 'switch', channel: channelId, from },
+      run: send,
+    });
+    if (queuedCommand(gatewayId, key)) applyTagPatchImmediate(channelId, { status: act, cmdQueued: true });
 
-      publishControl(payload).catch((e) => {
-        toast(e?.message || String(e));
-        toggleLockRef.current.delete(channelId);
-        enqueueTagPatch({ [channelId]: { status: act === 'ON' ? 'OFF' : 'ON', seen: true } });
-      });
-    }, 0);
-  }, [connectionStatus, derived.cpid, derived.deviceId, publishControl, enqueueTagPatch, applyTagPatchImmediate]);
-  const publishSetName = useCallback(async (ch, newName) => {
-    if (connectionStatus !== CONN.CONNECTED) return;
+    return done.then(entry => (entry.status === QUEUE_STATUS.SENT
+      ? trackerRef.current.whenSettled(entry.result.id)
+      : { status: CMD_STATUS.FAILED, reason: entry.reason }));
+  }, [derived.cpid, derived.deviceId, topics.tSlash, applyTagPatchImmediate, safeSetTimeout]);
 
+  const handleToggle = useCallback((id, action) => {
+    if (!held) return;
+    sendSwitch(id, action);
+  }, [held, sendSwitch]);
+
+  // Scenes go through the same supervisor payload, one channel at a time
+  const applyScene = useCallback((scene, onProgress, isCancelled) => runScene(scene, {
+    sendSwitch: (ch, act) => sendSwitch(ch, act, { scene: scene.id }),
+    currentStatus: ch => tagsRef.current?.[ch]?.status,
+    onProgress,
+    isCancelled,
+  }), [sendSwitch]);
+
+  // ===== Schedules (run app-wide by ScheduleRunner; this screen shows the next one and the results) =====
+  useEffect(() => subscribeNextSchedule(derived.deviceId, setNextScheduled), [derived.deviceId]);
+  useEffect(() => subscribeScheduleRuns(derived.deviceId, (run) => {
+    toast(`${run.label}: ${run.detail}`);
+  }), [derived.deviceId]);
+
+  const publishSetName = useCallback(async (ch, newName) => {
     const cpid = derived.cpid;
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
@@ -1423,44 +1182,35 @@ export default memo(function MqttDeviceGridScreen() {
       return;
     }
 
-    // pending + lock
-    pendingNameRef.current.set(channel, { value: nameStr, expiresAt: Date.now() + 15000 });
-    nameLockRef.current.set(channel, Date.now() + 15000);
-
-    const ackIdA = randomHex8();
-    const ackIdB = randomHex8();
-
-    // A) Object schema
-    const payloadObjA = {
-      cmdType: 5, // ✅ number
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: {
-        cpid,
-        id: targetId,
-        command: { 'Set Name': { [`C${channel}`]: nameStr } },
-        ack: true,
-        ackId: ackIdA,
-      },
-    };
+    const ackIdA = randomAckId();
+    const ackIdB = randomAckId();
 
-    // B) Array schema
-    const payloadObjB = {
-      cmdType: 5, // ✅ number
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: {
-        cpid,
-        id: targetId,
-        command: [{ 'Set Name': { [`C${channel}`]: nameStr } }],
-        ack: true,
-        ackId: ackIdB,
-      },
-    };
+    // A) Object schema, B) Array schema
+    const setName = { cpid, deviceId: targetId, channel, name: nameStr };
+    const payloadObjA = encodeSetName({ ...setName, ackId: ackIdA });
+    const payloadObjB = encodeSetName({ ...setName, ackId: ackIdB, arrayForm: true });
 
     console.log('[PUB SetName A]', JSON.stringify(payloadObjA));
     console.log('[PUB SetName B]', JSON.stringify(payloadObjB));
 
+    const send = async (publish) => {
+      // ✅ Pending until either ackId is acknowledged or the name reads back (timeout 15s)
+      trackerRef.current.track({
+        ackIds: [ackIdA, ackIdB],
+        kind: 'name',
+        channel,
+        expect: nameStr,
+        payloads: [payloadObjA, payloadObjB],
+      });
+
+      // ✅ write both formats using QoS0
+      await publish({ topic: topics.tSlash, payload: JSON.stringify(payloadObjA), qos: 0, retained: false });
+      await publish({ topic: topics.tSlash, payload: JSON.stringify(payloadObjB), qos: 0, retained: false });
+
+      // ✅ read back to confirm
+      safeSetTimeout(() => requestNameBank(nameBankFor(channel)), 500);
+    };
+
     // Optimistic UI: update via batched patch (avoid copying whole tags map)
     applyTagPatchImmediate(channel, { tagName: nameStr, seen: true });
 
@@ -1471,33 +1221,13 @@ export default memo(function MqttDeviceGridScreen() {
       partialMap: { [`C${channel}`]: nameStr },
     });
 
-    // ✅ write both formats using QoS0
-    await publishWrite(JSON.stringify(payloadObjA));
-    await publishWrite(JSON.stringify(payloadObjB));
-
-    // ✅ read back to confirm
-    const bank = (channel >= 1 && channel <= 80) ? 'Name1' : 'Name2';
-    safeSetTimeout(() => requestNameBank(bank), 500);
-
-
-    toast(`Set Name C${channel}`);
-
-    // timeout fallback
-    safeSetTimeout(() => {
-      const p = pendingNameRef.current.get(channel);
-      if (!p) return;
-      pendingNameRef.current.delete(channel);
-      nameLockRef.current.set(channel, 0);
-      toast(`Name save timeout: C${channel}`);
-      requestNameBank(bank);
-    }, 15500);
-
-  }, [connectionStatus, derived.cpid, derived.deviceId, publishWrite, requestNameBank, applyTagPatchImmediate]);
+    const key = `name:${channel}`;
+    enqueueCommand(targetId, { key, label: `Set Name C${channel}`, meta: { kind: 'name', channel }, run: send });
+    toast(queuedCommand(targetId, key) ? `Set Name C${channel} queued (not connected)` : `Set Name C${channel}`);
+  }, [derived.cpid, derived.deviceId, topics.tSlash, requestNameBank, applyTagPatchImmediate, safeSetTimeout]);
 
 
   const publishSetRating = useCallback(async (ch, currentA, sensLevel) => {
-    if (connectionStatus !== CONN.CONNECTED) return;
-
     const cpid = derived.cpid;
     const targetId = derived.deviceId;
     if (!cpid || !targetId) return;
@@ -1511,60 +1241,140 @@ export default memo(function MqttDeviceGridScreen() {
       return;
     }
 
-    pendingRatingRef.current.set(channel, { value: [cur, sens], expiresAt: Date.now() + 8000 });
-
-    const ackIdA = randomHex8();
-    const ackIdB = randomHex8();
-
-    // A) Object schema
-    const payloadObjA = {
-      cmdType: 4, // ✅ number
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: {
-        cpid,
-        id: targetId,
-        command: { 'Set Rating': { [`C${channel}`]: [cur, sens] } },
-        ack: true,
-        ackId: ackIdA,
-      },
-    };
+    const ackIdA = randomAckId();
+    const ackIdB = randomAckId();
 
-    // B) Array schema
-    const payloadObjB = {
-      cmdType: 4, // ✅ number
-      t: new Date().toISOString(),
-      sdk: { e: 'DengKai', v: '1.0' },
-      data: {
-        cpid,
-        id: targetId,
-        command: [{ 'Set Rating': { [`C${channel}`]: [cur, sens] } }],
-        ack: true,
-        ackId: ackIdB,
-      },
-    };
+    // A) Object schema, B) Array schema
+    const setRating = { cpid, deviceId: targetId, channel, current: cur, sensitivity: sens };
+    const payloadObjA = encodeSetRating({ ...setRating, ackId: ackIdA });
+    const payloadObjB = encodeSetRating({ ...setRating, ackId: ackIdB, arrayForm: true });
 
     console.log('[PUB SetRating A]', JSON.stringify(payloadObjA));
     console.log('[PUB SetRating B]', JSON.stringify(payloadObjB));
 
-    // ✅ Send both formats using QoS0
-    await publishWrite(JSON.stringify(payloadObjA));
-    await publishWrite(JSON.stringify(payloadObjB));
+    const send = async (publish) => {
+      trackerRef.current.track({
+        ackIds: [ackIdA, ackIdB],
+        kind: 'rating',
+        channel,
+        expect: [cur, sens],
+        payloads: [payloadObjA, payloadObjB],
+      });
+
+      // ✅ Send both formats using QoS0
+      await publish({ topic: topics.tSlash, payload: JSON.stringify(payloadObjA), qos: 0, retained: false });
+      await publish({ topic: topics.tSlash, payload: JSON.stringify(payloadObjB), qos: 0, retained: false });
+
+      // ✅ Read back soon to confirm
+      safeSetTimeout(() => requestRatingMap?.(), 2500);
+    };
+
+    const key = `rating:${channel}`;
+    enqueueCommand(targetId, { key, label: `Set Rating C${channel}`, meta: { kind: 'rating', channel }, run: send });
+    toast(queuedCommand(targetId, key) ? `Set Rating C${channel} queued (not connected)` : `Set Rating C${channel}`);
+  }, [derived.cpid, derived.deviceId, topics.tSlash, requestRatingMap, safeSetTimeout]);
+
+  // ===== Command tracker → UI =====
+  useEffect(() => {
+    const tracker = trackerRef.current;
+    const quiet = new Set(['superseded', 'disconnected', 'screen closed']);
+
+    return tracker.subscribe((cmd) => {
+      const ch = cmd.channel;
+      const pending = cmd.status === CMD_STATUS.PENDING;
+      const failed = cmd.status === CMD_STATUS.FAILED || cmd.status === CMD_STATUS.TIMEOUT;
+      const what = cmd.status === CMD_STATUS.TIMEOUT ? 'timeout' : 'failed';
+
+      if (cmd.kind === 'switch') {
+        if (pending) {
+          applyTagPatchImmediate(ch, { cmdPending: true });
+        } else if (cmd.status === CMD_STATUS.ACKED) {
+          applyTagPatchImmediate(ch, { cmdPending: false, status: cmd.expect, seen: true });
+        } else {
+          // Back to the last known state; the next current reading decides from here
+          applyTagPatchImmediate(ch, { cmdPending: false, status: cmd.meta?.from || 'UNKNOWN' });
+          // Scene runs report their failures together
+          if (!quiet.has(cmd.reason) && !cmd.meta?.scene) toast(`C${ch} ${cmd.expect} ${what}: ${cmd.reason}`);
+        }
+        return;
+      }
+
+      if (cmd.kind === 'name') {
+        if (cmd.status === CMD_STATUS.ACKED) {
+          toast(`Name saved: C${ch}`);
+        } else if (failed && !quiet.has(cmd.reason)) {
+          toast(`Name save ${what}: C${ch}`);
+          requestNameBank(nameBankFor(ch));
+        }
+        return;
+      }
 
-    // ✅ Read back soon to confirm
-    safeSetTimeout(() => requestRatingMap?.(), 2500);
+      if (cmd.kind === 'rating') {
+        if (cmd.status === CMD_STATUS.ACKED) {
+          toast(`Rating saved: C${ch}`);
+        } else if (failed && !quiet.has(cmd.reason)) {
+          toast(`Rating save ${what}: C${ch}`);
+          requestRatingMap();
+        }
+        return;
+      }
 
-    toast(`Set Rating C${channel}`);
+      if (failed && !quiet.has(cmd.reason)) {
+        console.log('[CMD]', cmd.kind, cmd.channel ?? '', cmd.status, cmd.reason);
+      }
+    });
+  }, [applyTagPatchImmediate, requestNameBank, requestRatingMap]);
 
-    // Timeout fallback
-    safeSetTimeout(() => {
-      const p = pendingRatingRef.current.get(channel);
-      if (!p) return;
-      pendingRatingRef.current.delete(channel);
-      toast(`Rating save timeout: C${channel}`);
-      requestRatingMap?.();
-    }, 15500);
-  }, [connectionStatus, derived.cpid, derived.deviceId, publishWrite, requestRatingMap]);
+  // ===== Offline command queue (MqttManager, per device) → UI =====
+  useEffect(() => {
+    const id = derived.deviceId;
+    setQueuedCount(queuedCommands(id).length);
+
+    return subscribeCommandQueue(id, (entry) => {
+      setQueuedCount(queuedCommands(id).length);
+      if (entry.status === QUEUE_STATUS.QUEUED || entry.status === QUEUE_STATUS.SENT) return;
+
+      // Not sent: a queued ON/OFF shows the state from before it again (unless a newer one replaced it)
+      if (entry.meta?.kind === 'switch' && entry.status !== QUEUE_STATUS.SUPERSEDED) {
+        applyTagPatchImmediate(entry.meta.channel, { cmdQueued: false, status: entry.meta.from || 'UNKNOWN' });
+      }
+      if (entry.status === QUEUE_STATUS.EXPIRED) {
+        toast(`${entry.label} expired (not connected)`);
+      } else if (entry.status === QUEUE_STATUS.FAILED) {
+        toast(`${entry.label} failed: ${entry.reason}`);
+      }
+    });
+  }, [derived.deviceId, applyTagPatchImmediate]);
+
+  // ===== Over-current alarms → OVER status + menu badge (notifications are raised app-wide) =====
+  const overIdsRef = useRef(new Set());
+  useEffect(() => {
+    return subscribeAlarms(() => {
+      setAlarmCount(unacknowledgedCount(derived.cpid, derived.deviceId));
+      const active = activeOverCurrent(derived.cpid, derived.deviceId);
+      const patch = {};
+      overIdsRef.current.forEach((id) => {
+        if (!active[id]) patch[id] = { over: false, overPhases: [] };
+      });
+      Object.entries(active).forEach(([id, a]) => { patch[id] = { over: true, overPhases: a.phases }; });
+      overIdsRef.current = new Set(Object.keys(active));
+      if (Object.keys(patch).length) enqueueTagPatch(patch);
+    });
+  }, [derived.cpid, derived.deviceId, enqueueTagPatch]);
+
+  useEffect(() => {
+    const tracker = trackerRef.current;
+    return () => {
+      // Left without beforeRemove (e.g. navigation reset): still release the connection
+      if (heldRef.current) {
+        heldRef.current = false;
+        disconnectDevice();
+      }
+      tracker.reset('screen closed');
+      tracker.dispose();
+      flushHistory();
+    };
+  }, []);
 
   const renderTab = (key, label, icon) => {
     const active = activeTab === key;
@@ -1578,12 +1388,24 @@ export default memo(function MqttDeviceGridScreen() {
     );
   };
 
+  // Next reconnect attempt of the pooled connection, counted down once per second
+  const retry = held && !isConnected ? mqttState?.reconnect : null;
+  const [retryNow, setRetryNow] = useState(Date.now());
+  const retryAt = retry?.at ?? null;
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    setRetryNow(Date.now());
+    const t = setInterval(() => setRetryNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [retryAt]);
+  const retryText = describeRetry(retry, retryNow);
+
   const selectedItem = selectedTagId != null ? tags?.[selectedTagId] || { id: selectedTagId } : null;
 
   const refreshNow = useCallback(async () => {
     // Clear cached names for this gateway (fix garbled names like "����")
     try {
-      await AsyncStorage.removeItem(nameCacheKey(derived.cpid, derived.deviceId));
+      await removeCache('names', derived.cpid, derived.deviceId);
     } catch (e) {
       console.log('[NAME CACHE] remove failed', e?.message || String(e));
     }
@@ -1695,22 +1517,38 @@ export default memo(function MqttDeviceGridScreen() {
                 <Text style={styles.menuText}>Connect</Text>
               </TouchableOpacity>
             )}
+            <TouchableOpacity
+              style={styles.menuItem}
+              onPress={() => { setShowMenu(false); setShowAlarms(true); }}
+            >
+              <Text style={styles.menuText}>Alarms{alarmCount > 0 ? ` (${alarmCount})` : ''}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.menuItem}
+              onPress={() => { setShowMenu(false); setShowScenes(true); }}
+            >
+              <Text style={styles.menuText}>Scenes</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.menuItem}
+              onPress={() => { setShowMenu(false); setShowSchedules(true); }}
+            >
+              <Text style={styles.menuText}>Schedules</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.menuItem}
+              onPress={() => { setShowMenu(false); navigation.navigate('MqttDiagnostics', { device }); }}
+            >
+              <Text style={styles.menuText}>Diagnostics</Text>
+            </TouchableOpacity>
+
             {/* Switch to BLE */}
             <TouchableOpacity
               style={styles.menuItem}
               onPress={async () => {
-                if (connectionStatus === CONN.DISCONNECTING) return;
                 setShowMenu(false);
                 isSwitchingToBleRef.current = true;
-                clearAllTimeouts();
-                stopFastIntervalTimer();
-
-                try {
-                  await Promise.race([
-                    disconnectMqtt(),
-                    new Promise(resolve => setTimeout(resolve, 2000)),
-                  ]);
-                } catch (_) { }
+                disconnectAndStop('switchToBle');
 
                 await new Promise(resolve => setTimeout(resolve, 300));
 
@@ -1772,6 +1610,19 @@ export default memo(function MqttDeviceGridScreen() {
           <Text style={styles.deviceId} numberOfLines={1}>
             {host}:{port}
           </Text>
+          {retryText ? (
+            <Text style={styles.retryText} numberOfLines={1}>{retryText}</Text>
+          ) : null}
+          {queuedCount > 0 ? (
+            <Text style={styles.queuedText} numberOfLines={1}>
+              {queuedCount} command{queuedCount === 1 ? '' : 's'} queued, sent when connected
+            </Text>
+          ) : null}
+          {nextScheduled ? (
+            <Text style={styles.nextScheduled} numberOfLines={1}>
+              Next: {formatRunAt(nextScheduled.at)} · {describeTarget(nextScheduled.schedule)}
+            </Text>
+          ) : null}
         </View>
 
         <View style={[styles.statusIndicator, { backgroundColor: getStatusColor(connectionStatus) }]}>
@@ -1855,6 +1706,44 @@ export default memo(function MqttDeviceGridScreen() {
         item={selectedItem}
         onSaveName={(ch, name) => publishSetName(ch, name)}
         onSaveCurrent={(ch, cur, sens) => publishSetRating(ch, cur, sens)}
+        onShowHistory={onShowHistory}
+      />
+
+      {/* Over-current alarms of this gateway */}
+      <AlarmListDialog
+        visible={showAlarms}
+        onClose={() => setShowAlarms(false)}
+        cpid={derived.cpid}
+        deviceId={derived.deviceId}
+      />
+
+      {/* Saved ON/OFF scenes of this gateway */}
+      <ScenesDialog
+        visible={showScenes}
+        onClose={() => setShowScenes(false)}
+        cpid={derived.cpid}
+        deviceId={derived.deviceId}
+        tags={tags}
+        connected={isConnected}
+        onApply={applyScene}
+      />
+
+      {/* Timers of this gateway */}
+      <SchedulesDialog
+        visible={showSchedules}
+        onClose={() => setShowSchedules(false)}
+        cpid={derived.cpid}
+        deviceId={derived.deviceId}
+        onChanged={() => reloadSchedules(derived.deviceId)}
+      />
+
+      {/* Current history of the selected channel */}
+      <ChannelHistoryDialog
+        visible={showHistory}
+        onClose={() => setShowHistory(false)}
+        item={selectedItem}
+        cpid={derived.cpid}
+        deviceId={derived.deviceId}
       />
     </View>
   );
@@ -1894,6 +1783,9 @@ const styles = StyleSheet.create({
   deviceInfoColumn: { flex: 1, marginLeft: 12, marginRight: 16 },
   deviceName: { fontSize: 16, fontWeight: '600', color: '#1E293B', marginBottom: 4 },
   deviceId: { fontSize: 12, color: '#64748B', fontWeight: '400', opacity: 0.8 },
+  nextScheduled: { fontSize: 12, color: '#2196F3', fontWeight: '600', marginTop: 2 },
+  queuedText: { fontSize: 12, color: '#8B5CF6', fontWeight: '600', marginTop: 2 },
+  retryText: { fontSize: 12, color: '#F59E0B', fontWeight: '600', marginTop: 2 },
   statusIndicator: { alignSelf: 'center', paddingHorizontal: 10, paddingVertical: 6, borderRadius: 10 },
   statusText: { fontSize: 14, fontWeight: '700', color: '#FFFFFF' },
   icon: { width: 40, height: 40, resizeMode: 'contain' },
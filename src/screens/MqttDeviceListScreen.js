@@ -8,6 +8,7 @@
 // import { loadMqttDevices, removeMqttDevice, clearMqttDevices } from '../utils/MqttDeviceStorage';
 
 // import * as MqttManager from '../utils/MqttManager';
+import { subscribePresence, watchDevices } from '../utils/DevicePresence';
 
 // // Route name must match App.tsx: <Stack.Screen name="MqttDeviceDetail" ... />
 // const DETAIL_ROUTE = 'MqttDeviceDetail';
@@ -210,7 +211,7 @@
 // });
 
 // src/screens/MqttDeviceListScreen.js
-import React, { useCallback, useEffect, useLayoutEffect, useState } from 'react';
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
 import {
     View, StyleSheet, FlatList, TouchableOpacity,
     Text, Alert, Switch, Platform,
@@ -219,8 +220,23 @@ import { useFocusEffect } from '@react-navigation/native';
 import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
 
 import MqttDeviceListItem from '../components/MqttDeviceListItem';
+import MqttVaultDialog from '../components/MqttVaultDialog';
+import MqttBackupDialog from '../components/MqttBackupDialog';
+import { subscribeVault } from '../utils/CredentialVault';
 import { loadMqttDevices, removeMqttDevice, clearMqttDevices } from '../utils/MqttDeviceStorage';
 import * as MqttManager from '../utils/MqttManager';
+import { MQTT_PHASE, isBusy } from '../utils/MqttStateMachine';
+
+// Per-device pool state only matters to the list for its phase and the retry schedule
+function sameDeviceStates(a = {}, b = {}) {
+    const ids = Object.keys(a);
+    if (ids.length !== Object.keys(b).length) return false;
+    return ids.every((id) =>
+        a[id]?.phase            === b[id]?.phase &&
+        a[id]?.reconnect?.phase === b[id]?.reconnect?.phase &&
+        a[id]?.reconnect?.at    === b[id]?.reconnect?.at
+    );
+}
 
 // ⚠️ Must match the route name in App.tsx / App.js
 // e.g. <Stack.Screen name="Scanner" component={BleScanner} />
@@ -229,34 +245,57 @@ export default function MqttDeviceListScreen({ navigation }) {
     const [devices, setDevices] = useState([]);
     const [mqttState, setMqttState] = useState(
         MqttManager.getMqttState?.() ?? {
-            deviceId: null, connected: false,
-            connecting: false, status: 'IDLE', error: '',
+            deviceId: null, phase: MQTT_PHASE.IDLE, connected: false,
+            connecting: false, status: 'IDLE', error: '', devices: {},
         }
     );
 
-    // ── Subscribe to global MQTT state ────────────────────────────────────────
+    // ── Subscribe to global MQTT state (includes every pooled device) ───────────
     useEffect(() => {
         return MqttManager.subscribeMqttState?.((next) => {
             setMqttState((prev) => {
                 const same =
                     String(prev?.deviceId   ?? '') === String(next?.deviceId   ?? '') &&
-                    !!prev?.connected  === !!next?.connected  &&
-                    !!prev?.connecting === !!next?.connecting &&
+                    prev?.phase === next?.phase &&
                     String(prev?.status ?? '') === String(next?.status ?? '') &&
-                    String(prev?.error  ?? '') === String(next?.error  ?? '');
+                    String(prev?.error  ?? '') === String(next?.error  ?? '') &&
+                    sameDeviceStates(prev?.devices, next?.devices);
                 return same ? prev : next;
             });
         });
     }, []);
 
+    // ── Live reachability / last seen / load of every saved device ───────────
+    const [presence, setPresence] = useState({});
+
+    useEffect(() => subscribePresence(setPresence), []);
+
+    useEffect(() => watchDevices(devices), [devices]);
+
+    // ── Credential vault (PIN lock) ──────────────────────────────────────────
+    const [vault, setVault] = useState({ mode: null, locked: false });
+    const [showVault, setShowVault] = useState(false);
+    const [showBackup, setShowBackup] = useState(false);
+    const askedPinRef = useRef(false);
+
+    useEffect(() => subscribeVault(setVault), []);
+
     // ── Load device list from AsyncStorage ───────────────────────────────────
     const refresh = useCallback(async () => {
         try {
             const list = await loadMqttDevices();
-            setDevices(Array.isArray(list) ? list : []);
+            const next = Array.isArray(list) ? list : [];
+            // Ask for the PIN once per app start when saved passwords are locked
+            if (!askedPinRef.current && next.some(d => d?.credentialsLocked)) {
+                askedPinRef.current = true;
+                setShowVault(true);
+            }
+            // Keep the same array when nothing changed, so background watches are not restarted
+            setDevices((prev) => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
         } catch (e) {
             console.log('loadMqttDevices error:', e);
             setDevices([]);
+            Alert.alert('Saved devices', e?.message || String(e));
         }
     }, []);
 
@@ -288,6 +327,16 @@ export default function MqttDeviceListScreen({ navigation }) {
                         style={styles.switch}
                     />
 
+                    {/* Credential vault */}
+                    <TouchableOpacity onPress={() => setShowVault(true)} style={styles.headerButton}>
+                        <MaterialIcons name={vault.locked ? 'lock' : 'lock-open'} size={22} color="#334155" />
+                    </TouchableOpacity>
+
+                    {/* Export / import the configuration */}
+                    <TouchableOpacity onPress={() => setShowBackup(true)} style={styles.headerButton}>
+                        <MaterialIcons name="import-export" size={22} color="#334155" />
+                    </TouchableOpacity>
+
                     {/* Delete all devices */}
                     <TouchableOpacity
                         onPress={() => {
@@ -314,7 +363,7 @@ export default function MqttDeviceListScreen({ navigation }) {
                 </View>
             ),
         });
-    }, [navigation, switchToBle]);
+    }, [navigation, switchToBle, vault.locked]);
 
     // ── Navigate to detail ────────────────────────────────────────────────────
     const onPressItem = (item) => {
@@ -335,23 +384,31 @@ export default function MqttDeviceListScreen({ navigation }) {
                 keyExtractor={(item, idx) => String(item?.deviceId ?? item?.id ?? idx)}
                 renderItem={({ item }) => {
                     const id         = String(item?.deviceId ?? item?.id ?? '');
-                    const isCurrent  = mqttState.deviceId === id;
-                    const online     = isCurrent && mqttState.connected;
-                    const connecting = isCurrent && mqttState.connecting;
+                    const live       = presence[id];
+                    const pooled     = mqttState.devices?.[id];
+                    const online     = !!live?.online;
+                    const connecting = !online && (!!live?.connecting || isBusy(pooled?.phase));
 
                     return (
                         <MqttDeviceListItem
                             device={item}
                             online={online}
                             connecting={connecting}
+                            lastSeen={live?.lastSeen ?? null}
+                            totalLoad={live?.totalLoad ?? null}
+                            retry={online ? null : pooled?.reconnect ?? null}
                             onPress={() => onPressItem(item)}
                             onLongPress={() => {
                                 const name = item?.friendlyName || item?.name || item?.deviceId || 'Device';
                                 Alert.alert(
-                                    'Delete device?',
-                                    `Remove "${name}" from saved list?`,
+                                    name,
+                                    'Edit the saved settings or remove this device?',
                                     [
                                         { text: 'Cancel', style: 'cancel' },
+                                        {
+                                            text: 'Edit',
+                                            onPress: () => navigation.navigate('AddMqttDevice', { device: item }),
+                                        },
                                         {
                                             text: 'Delete',
                                             style: 'destructive',
@@ -382,6 +439,18 @@ export default function MqttDeviceListScreen({ navigation }) {
             <TouchableOpacity style={styles.fab} onPress={() => navigation.navigate('AddMqttDevice')} activeOpacity={0.9}>
                 <Text style={styles.fabText}>+</Text>
             </TouchableOpacity>
+
+            <MqttVaultDialog
+                visible={showVault}
+                onClose={() => setShowVault(false)}
+                onUnlocked={refresh}
+            />
+
+            <MqttBackupDialog
+                visible={showBackup}
+                onClose={() => setShowBackup(false)}
+                onImported={refresh}
+            />
         </View>
     );
 }
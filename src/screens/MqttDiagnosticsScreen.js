@@ -0,0 +1,151 @@
+// src/screens/MqttDiagnosticsScreen.js
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, ActivityIndicator, Share, Platform } from 'react-native';
+import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
+
+import { STEP_STATUS, formatReport, runDiagnostics } from '../utils/ConnectionDiagnostics';
+import { getConnectionLog } from '../utils/MqttManager';
+
+const STATUS_ICON = {
+  [STEP_STATUS.OK]: { name: 'check-circle', color: '#10B981' },
+  [STEP_STATUS.WARN]: { name: 'warning', color: '#F59E0B' },
+  [STEP_STATUS.FAIL]: { name: 'error', color: '#EF4444' },
+  [STEP_STATUS.SKIP]: { name: 'remove-circle-outline', color: '#94A3B8' },
+  [STEP_STATUS.PENDING]: { name: 'radio-button-unchecked', color: '#CBD5E1' },
+};
+
+/**
+ * Step-by-step connection check of one device (route.params.device): DNS, TCP, TLS,
+ * CONNACK, SUBACK and first message. The report can be shared / copied for support.
+ */
+export default function MqttDiagnosticsScreen({ route }) {
+  const params = route?.params?.device;
+  const device = useMemo(() => params || {}, [params]);
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  // Current run; replacing it drops the one in progress, `stopped` ends its wait early
+  const runRef = useRef(null);
+
+  const start = useCallback(() => {
+    const run = { stopped: false };
+    runRef.current = run;
+    const current = () => runRef.current === run;
+    setRunning(true);
+    runDiagnostics(device, {
+      onUpdate: r => { if (current()) setReport(r); },
+      isCancelled: () => run.stopped || !current(),
+    })
+      .catch(e => console.log('[DIAG] run failed', e?.message || String(e)))
+      .finally(() => { if (current()) setRunning(false); });
+  }, [device]);
+
+  useEffect(() => {
+    start();
+    return () => { runRef.current = null; };
+  }, [start]);
+
+  const stop = () => {
+    if (runRef.current) runRef.current.stopped = true;
+  };
+
+  const share = () => {
+    if (!report) return;
+    const appInfo = `Platform: ${Platform.OS} ${Platform.Version}`;
+    const connectionLog = getConnectionLog(device.deviceId);
+    Share.share({ title: 'EBQ diagnostics', message: formatReport(report, { appInfo, connectionLog }) }).catch(() => { });
+  };
+
+  return (
+    <View style={styles.page}>
+      <ScrollView contentContainerStyle={styles.container}>
+        <View style={styles.card}>
+          <Text style={styles.title}>{device.friendlyName || device.name || device.deviceId || 'Device'}</Text>
+          <Text style={styles.meta} selectable>{report?.uri || `${device.host || ''}:${device.port || ''}`}</Text>
+          <Text style={styles.meta} selectable>Device ID {device.deviceId || '-'}{report ? `, cpId ${report.device.cpId}` : ''}</Text>
+        </View>
+
+        {(report?.steps || []).map(step => {
+          const icon = STATUS_ICON[step.status];
+          return (
+            <View key={step.key} style={styles.card}>
+              <View style={styles.stepHeader}>
+                {step.status === STEP_STATUS.RUNNING
+                  ? <ActivityIndicator size="small" color="#2196F3" style={styles.stepIcon} />
+                  : <MaterialIcons name={icon.name} size={20} color={icon.color} style={styles.stepIcon} />}
+                <Text style={styles.stepLabel}>{step.label}</Text>
+                {step.ms != null ? <Text style={styles.stepTime}>{Math.round(step.ms)} ms</Text> : null}
+              </View>
+              {step.detail.filter(Boolean).map((line, i) => (
+                <Text key={i} style={styles.detail} selectable>{line}</Text>
+              ))}
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {running ? (
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={stop} activeOpacity={0.85}>
+            <Text style={styles.secondaryText}>Stop</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={start} activeOpacity={0.85}>
+            <Text style={styles.secondaryText}>Run again</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.button, styles.primaryButton, !report && styles.disabledButton]}
+          onPress={share}
+          disabled={!report}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.primaryText}>Share report</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  page: { flex: 1, backgroundColor: '#F1F5F9' },
+  container: { padding: 12 },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 4,
+  },
+  title: { fontSize: 16, fontWeight: '700', color: '#0F172A' },
+  meta: { fontSize: 12, color: '#64748B', marginTop: 4 },
+
+  stepHeader: { flexDirection: 'row', alignItems: 'center' },
+  stepIcon: { marginRight: 8 },
+  stepLabel: { flex: 1, fontSize: 14, fontWeight: '600', color: '#1E293B' },
+  stepTime: { fontSize: 12, color: '#64748B' },
+  detail: {
+    fontSize: 12,
+    color: '#475569',
+    marginTop: 4,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+
+  footer: {
+    flexDirection: 'row',
+    gap: 8,
+    padding: 12,
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#E2E8F0',
+  },
+  button: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  secondaryButton: { backgroundColor: '#F1F5F9' },
+  primaryButton: { backgroundColor: '#2196F3' },
+  disabledButton: { opacity: 0.6 },
+  secondaryText: { fontSize: 14, fontWeight: '600', color: '#64748B' },
+  primaryText: { fontSize: 14, fontWeight: '600', color: '#FFFFFF' },
+});
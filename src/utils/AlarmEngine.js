@@ -0,0 +1,264 @@
+// src/utils/AlarmEngine.js
+// Over-current alarms: compares live channel currents with the configured Rating
+// (per phase for three-phase channels) and keeps an acknowledge / clear alarm list.
+
+import { getSettings, listCaches, removeCache, updateSettings, writeCache } from './MqttDeviceStorage';
+
+export const DEFAULT_THRESHOLD_PCT = 100;
+export const MIN_THRESHOLD_PCT = 50;
+export const MAX_THRESHOLD_PCT = 150;
+// A raised alarm ends only once the current drops this many points below the threshold
+const HYSTERESIS_PCT = 5;
+const MAX_ALARMS = 200;
+
+let settings = { thresholdPct: DEFAULT_THRESHOLD_PCT };
+let alarms = []; // newest first
+const overState = new Map(); // `${gateway}|${channel}|${phase}` -> alarm id while over
+const listeners = new Set();
+let notifier = null;
+let loaded = false;
+let savedGateways = new Map(); // gateway -> { cpid, deviceId, json } with a stored 'alarms' cache
+let saving = Promise.resolve(); // cache writes, one save after the other
+let seq = 0;
+
+const gatewayOf = (cpid, deviceId) => `${String(cpid || '')}/${String(deviceId || '')}`;
+
+function snapshot() {
+  return { settings: { ...settings }, alarms: alarms.map(a => ({ ...a })) };
+}
+
+function notify() {
+  const snap = snapshot();
+  listeners.forEach(fn => fn(snap));
+}
+
+// The list is stored per gateway ('alarms' cache); gateways left without alarms are removed.
+// Saved on raise / end / acknowledge / clear only: the live current and peak of an active
+// alarm stay in memory until it ends. Only gateways whose list changed are written, in order.
+function persist() {
+  const byGateway = new Map();
+  alarms.forEach((a) => {
+    const gateway = gatewayOf(a.cpid, a.deviceId);
+    if (!byGateway.has(gateway)) byGateway.set(gateway, { cpid: a.cpid, deviceId: a.deviceId, list: [] });
+    byGateway.get(gateway).list.push(a);
+  });
+  const writes = [];
+  byGateway.forEach((g, gateway) => {
+    g.json = JSON.stringify(g.list);
+    if (savedGateways.get(gateway)?.json !== g.json) writes.push(() => writeCache('alarms', g.cpid, g.deviceId, g.list));
+  });
+  savedGateways.forEach((g, gateway) => {
+    if (!byGateway.has(gateway)) writes.push(() => removeCache('alarms', g.cpid, g.deviceId));
+  });
+  savedGateways = new Map([...byGateway].map(([gateway, g]) => [gateway, { cpid: g.cpid, deviceId: g.deviceId, json: g.json }]));
+  if (!writes.length) return;
+  saving = saving
+    .then(() => Promise.all(writes.map(write => write())))
+    .catch((e) => {
+      console.log('[ALARM] save failed', e?.message || String(e));
+    });
+}
+
+export function subscribeAlarms(fn) {
+  listeners.add(fn);
+  fn(snapshot());
+  return () => listeners.delete(fn);
+}
+
+export const getAlarms = () => snapshot().alarms;
+export const getAlarmSettings = () => ({ ...settings });
+
+/**
+ * fn(alarm) is called once per newly raised alarm (local notification hook).
+ */
+export function setAlarmNotifier(fn) {
+  notifier = typeof fn === 'function' ? fn : null;
+}
+
+export async function setAlarmThreshold(pct) {
+  const n = Math.round(Number(pct));
+  if (!Number.isFinite(n)) return;
+  settings = { ...settings, thresholdPct: Math.min(MAX_THRESHOLD_PCT, Math.max(MIN_THRESHOLD_PCT, n)) };
+  notify();
+  try {
+    await updateSettings('alarm', settings);
+  } catch (e) {
+    console.log('[ALARM] settings save failed', e?.message || String(e));
+  }
+}
+
+export async function loadAlarms() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const [s, caches] = await Promise.all([getSettings('alarm'), listCaches('alarms')]);
+    if (Number.isFinite(Number(s?.thresholdPct))) settings = { ...settings, thresholdPct: Number(s.thresholdPct) };
+
+    // Alarms from a previous run can no longer be "active": nothing is measuring them
+    caches.forEach(({ cpid, deviceId }) => savedGateways.set(gatewayOf(cpid, deviceId), { cpid, deviceId }));
+    const saved = caches.flatMap(c => (Array.isArray(c.value) ? c.value : []));
+    const known = new Set(alarms.map(a => a.id));
+    const restored = saved
+      .filter(a => a && a.id && !known.has(a.id))
+      .map(a => ({ ...a, active: false }))
+      .sort((a, b) => (Number(b.raisedAt) || 0) - (Number(a.raisedAt) || 0));
+    alarms = [...alarms, ...restored].slice(0, MAX_ALARMS);
+    notify();
+  } catch (e) {
+    console.log('[ALARM] load failed', e?.message || String(e));
+  }
+}
+
+function raise({ gateway, cpid, deviceId, channel, phase, name, current, rating, now }) {
+  const alarm = {
+    id: `${now.toString(36)}-${(++seq).toString(36)}`,
+    gateway,
+    cpid: String(cpid || ''),
+    deviceId: String(deviceId || ''),
+    channel,
+    phase, // null for single-phase, 1..3 for L1..L3
+    name: String(name || `Device ${channel}`),
+    rating,
+    thresholdPct: settings.thresholdPct,
+    current,
+    peak: current,
+    raisedAt: now,
+    lastAt: now,
+    endedAt: null,
+    active: true,
+    acknowledged: false,
+  };
+  alarms = [alarm, ...alarms].slice(0, MAX_ALARMS);
+  try {
+    notifier?.(alarm);
+  } catch (e) {
+    console.log('[ALARM] notifier failed', e?.message || String(e));
+  }
+  return alarm;
+}
+
+function updateAlarm(id, patch) {
+  let found = false;
+  alarms = alarms.map((a) => {
+    if (a.id !== id) return a;
+    found = true;
+    return { ...a, ...patch(a) };
+  });
+  return found;
+}
+
+/**
+ * Evaluate one channel reading against its rating.
+ *   currents: amps (single-phase) or [L1, L2, L3]
+ * Returns { over, phases } where phases flags each phase that is over (three-phase only).
+ * A rating of 0 / unknown disables the alarm for that channel.
+ */
+export function evaluateChannel({ cpid, deviceId, channel, name, currents, rating, now = Date.now() }) {
+  const values = Array.isArray(currents) ? currents.map(Number) : [Number(currents)];
+  const ratingA = Number(rating);
+  const gateway = gatewayOf(cpid, deviceId);
+  const threePhase = Array.isArray(currents);
+
+  const limit = ratingA * settings.thresholdPct / 100;
+  const release = ratingA * (settings.thresholdPct - HYSTERESIS_PCT) / 100;
+
+  let changed = false; // list changed: listeners are told
+  let saved = false;   // alarm raised or ended: also stored
+  const phases = values.map((amps, i) => {
+    const phase = threePhase ? i + 1 : null;
+    const key = `${gateway}|${channel}|${phase ?? 0}`;
+    const alarmId = overState.get(key);
+
+    if (!Number.isFinite(ratingA) || ratingA <= 0 || !Number.isFinite(amps)) {
+      if (alarmId) {
+        overState.delete(key);
+        saved = updateAlarm(alarmId, () => ({ active: false, endedAt: now })) || saved;
+      }
+      return false;
+    }
+
+    if (alarmId) {
+      if (amps <= release) {
+        overState.delete(key);
+        saved = updateAlarm(alarmId, () => ({ active: false, endedAt: now, lastAt: now })) || saved;
+        return false;
+      }
+      changed = updateAlarm(alarmId, a => ({ current: amps, peak: Math.max(a.peak, amps), lastAt: now })) || changed;
+      return true;
+    }
+
+    if (amps > limit) {
+      const alarm = raise({ gateway, cpid, deviceId, channel, phase, name, current: amps, rating: ratingA, now });
+      overState.set(key, alarm.id);
+      saved = true;
+      return true;
+    }
+    return false;
+  });
+
+  if (changed || saved) notify();
+  if (saved) persist();
+  return { over: phases.some(Boolean), phases: threePhase ? phases : [] };
+}
+
+export function acknowledgeAlarm(id) {
+  if (updateAlarm(id, () => ({ acknowledged: true }))) {
+    notify();
+    persist();
+  }
+}
+
+export function acknowledgeAll() {
+  alarms = alarms.map(a => (a.acknowledged ? a : { ...a, acknowledged: true }));
+  notify();
+  persist();
+}
+
+/**
+ * Remove alarms from the list. Without an id, removes every alarm that has ended.
+ * Clearing an active alarm lets it raise again on the next reading that is still over.
+ */
+export function clearAlarm(id) {
+  if (id != null) {
+    overState.forEach((alarmId, key) => {
+      if (alarmId === id) overState.delete(key);
+    });
+    alarms = alarms.filter(a => a.id !== id);
+  } else {
+    alarms = alarms.filter(a => a.active);
+  }
+  notify();
+  persist();
+}
+
+/**
+ * Channels of one gateway with an active alarm: { [channel]: { over: true, phases: [L1, L2, L3] } }
+ * (phases only for three-phase channels).
+ */
+export function activeOverCurrent(cpid, deviceId) {
+  const gateway = gatewayOf(cpid, deviceId);
+  const out = {};
+  alarms.forEach((a) => {
+    if (!a.active || a.gateway !== gateway) return;
+    const cur = out[a.channel] || { over: true, phases: a.phase ? [false, false, false] : [] };
+    if (a.phase) cur.phases[a.phase - 1] = true;
+    out[a.channel] = cur;
+  });
+  return out;
+}
+
+/**
+ * Notification text of an alarm, e.g. "C17 Pump: 12.00 A (rating 10.0 A)".
+ */
+export function describeAlarm(alarm) {
+  const phase = alarm.phase ? ` L${alarm.phase}` : '';
+  return `C${alarm.channel}${phase} ${alarm.name}: ${Number(alarm.current).toFixed(2)} A (rating ${Number(alarm.rating).toFixed(1)} A)`;
+}
+
+/**
+ * Unacknowledged alarm count, optionally for one gateway.
+ */
+export function unacknowledgedCount(cpid, deviceId) {
+  const gateway = cpid || deviceId ? gatewayOf(cpid, deviceId) : null;
+  return alarms.filter(a => !a.acknowledged && (!gateway || a.gateway === gateway)).length;
+}
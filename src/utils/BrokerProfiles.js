@@ -0,0 +1,243 @@
+// src/utils/BrokerProfiles.js
+// Broker profiles: saved broker settings (host, port, transport, TLS, credentials, default cpId,
+// keepalive, CA / pinning / client certificate, clean session / client id / Last Will) that devices
+// are added from. Profile credentials
+// (and the client certificate) live in the CredentialVault; devices keep `profileId` and follow
+// connection changes of their profile.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { deleteCredential, getCredential, initVault, isVaultLocked, putCredential } from './CredentialVault';
+import { TRANSPORTS, loadMqttDevices, saveMqttDevices } from './MqttDeviceStorage';
+import { DEFAULT_KEEPALIVE, normalizeKeepAlive } from './MqttNativeClient';
+import { DEFAULT_CPID, validateCpId } from './EbqProtocol';
+import { hasCustomTls, normalizeTlsSettings, tlsConnectOptions, validateTlsSettings } from './TlsSettings';
+import { SESSION_FIELDS, normalizeSessionSettings, validateSessionSettings } from './SessionSettings';
+
+const PROFILES_KEY = 'EBQ_BROKER_PROFILES';
+const SHARE_TYPE = 'ebq-broker-profile';
+const SHARE_VERSION = 1;
+
+// Seeded on first use (same ids as the server presets of older versions)
+const BUILTIN_PROFILES = [
+  { id: 'myebq', name: 'myebq.ddns.net', host: 'myebq.ddns.net', port: 8883, transport: 'tcp', useTls: true },
+  { id: 'webiot', name: 'webiot.loranet.my', host: 'webiot.loranet.my', port: 8812, transport: 'auto', useTls: true },
+];
+
+// Connection fields copied onto linked devices when a profile changes
+// (transport / TLS only when fixed: devices keep what was detected for 'auto')
+const DEVICE_FIELDS = ['host', 'port', 'wsPath', 'keepAlive', 'caCert', 'pinSha256', ...SESSION_FIELDS];
+
+const newId = () => `bp_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Normalize a profile record. useTls is true / false, or null to detect it by port.
+ */
+export function normalizeProfile(raw) {
+  const p = raw && typeof raw === 'object' ? raw : {};
+  return {
+    id: String(p.id || ''),
+    name: String(p.name || p.host || '').trim(),
+    host: String(p.host ?? '').trim(),
+    port: Number(p.port),
+    transport: TRANSPORTS.includes(p.transport) ? p.transport : 'auto',
+    wsPath: String(p.wsPath || '/mqtt').trim(),
+    useTls: typeof p.useTls === 'boolean' ? p.useTls : null,
+    username: String(p.username ?? '').trim(),
+    password: String(p.password ?? ''),
+    cpId: String(p.cpId || DEFAULT_CPID).trim(),
+    keepAlive: normalizeKeepAlive(p.keepAlive ?? DEFAULT_KEEPALIVE),
+    ...normalizeTlsSettings(p),
+    ...normalizeSessionSettings(p),
+    ...(p.credentialId ? { credentialId: String(p.credentialId) } : null),
+    ...(p.credentialsLocked ? { credentialsLocked: true } : null),
+    updatedAt: Number(p.updatedAt) || Date.now(),
+  };
+}
+
+/**
+ * Errors of a profile; [] when it can be saved.
+ */
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile?.name) errors.push('Name is required');
+  if (!profile?.host) errors.push('Host is required');
+  const port = Number(profile?.port);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) errors.push('Port is invalid');
+  if (profile?.transport !== 'tcp' && /\s/.test(profile?.wsPath || '')) errors.push('WebSocket path is invalid');
+  const cpIdError = validateCpId(profile?.cpId);
+  if (cpIdError) errors.push(cpIdError);
+  errors.push(...validateTlsSettings(profile));
+  errors.push(...validateSessionSettings(profile));
+  if (profile?.useTls === false && hasCustomTls(profile)) errors.push('CA / pinning / client certificate need TLS');
+  return errors;
+}
+
+async function readStored() {
+  try {
+    const raw = await AsyncStorage.getItem(PROFILES_KEY);
+    if (raw == null) return null;
+    const list = JSON.parse(raw)?.profiles;
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.log('[PROFILES] read failed', e?.message || String(e));
+    return [];
+  }
+}
+
+const writeStored = profiles =>
+  AsyncStorage.setItem(PROFILES_KEY, JSON.stringify({ version: SHARE_VERSION, profiles }));
+
+async function withCredentials(profile) {
+  if (!profile.credentialId) return normalizeProfile(profile);
+  if (isVaultLocked()) return normalizeProfile({ ...profile, credentialsLocked: true });
+  try {
+    const cred = await getCredential(profile.credentialId);
+    return normalizeProfile({ ...profile, ...cred });
+  } catch (e) {
+    console.log('[PROFILES] credentials read failed', profile.id, e?.message || String(e));
+    return normalizeProfile({ ...profile, credentialsLocked: true });
+  }
+}
+
+/**
+ * Saved profiles with credentials resolved from the vault (built-ins are seeded on first use).
+ */
+export async function loadBrokerProfiles() {
+  await initVault();
+  let stored = await readStored();
+  if (stored == null) {
+    stored = BUILTIN_PROFILES.map(normalizeProfile);
+    await writeStored(stored);
+  }
+  const out = [];
+  for (const p of stored) {
+    out.push(await withCredentials(p));
+  }
+  return out;
+}
+
+export async function getBrokerProfile(id) {
+  if (!id) return null;
+  return (await loadBrokerProfiles()).find(p => p.id === id) || null;
+}
+
+/**
+ * Copy the connection settings of a profile onto the devices linked to it.
+ */
+async function applyToDevices(profile) {
+  const devices = await loadMqttDevices();
+  let changed = 0;
+  const next = devices.map((d) => {
+    if (d.profileId !== profile.id) return d;
+    changed += 1;
+    const patch = {};
+    DEVICE_FIELDS.forEach((k) => { patch[k] = profile[k]; });
+    if (profile.transport !== 'auto') patch.transport = profile.transport;
+    if (profile.useTls != null) patch.useTls = profile.useTls;
+    if (!profile.credentialsLocked) {
+      patch.username = profile.username;
+      patch.password = profile.password;
+      patch.clientCert = profile.clientCert;
+      patch.clientCertPassword = profile.clientCertPassword;
+      patch.credentialsLocked = false;
+    }
+    return { ...d, ...patch, updatedAt: Date.now() };
+  });
+  if (changed) await saveMqttDevices(next);
+  return changed;
+}
+
+/**
+ * Add or update a profile (credentials go to the vault). Throws on an invalid profile.
+ * Devices linked to the profile get the new connection settings.
+ * Returns { profile, devicesUpdated }.
+ */
+export async function saveBrokerProfile(input) {
+  const profile = normalizeProfile({ ...input, id: input?.id || newId(), updatedAt: Date.now() });
+  const errors = validateProfile(profile);
+  if (errors.length) throw new Error(errors.join(', '));
+
+  await initVault();
+  const stored = (await readStored()) || [];
+  const old = stored.find(p => p.id === profile.id);
+
+  const { username, password, clientCert, clientCertPassword, credentialsLocked, ...record } = profile;
+  record.credentialId = profile.credentialId || old?.credentialId;
+  if (!credentialsLocked) {
+    if (username || password || clientCert) {
+      record.credentialId = await putCredential({
+        id: record.credentialId, username, password, clientCert, clientCertPassword,
+      });
+    } else if (record.credentialId) {
+      await deleteCredential(record.credentialId);
+      delete record.credentialId;
+    }
+  }
+  if (!record.credentialId) delete record.credentialId;
+
+  await writeStored(old ? stored.map(p => (p.id === profile.id ? record : p)) : [...stored, record]);
+  const devicesUpdated = old ? await applyToDevices(profile) : 0;
+  return { profile: { ...profile, credentialId: record.credentialId }, devicesUpdated };
+}
+
+/**
+ * Delete a profile. Linked devices keep their own copy of the settings.
+ */
+export async function deleteBrokerProfile(id) {
+  const stored = (await readStored()) || [];
+  const removed = stored.find(p => p.id === id);
+  await writeStored(stored.filter(p => p.id !== id));
+  if (removed?.credentialId) await deleteCredential(removed.credentialId);
+}
+
+/**
+ * Connection parameters of a profile for MqttManager (useTls omitted when auto).
+ */
+export function profileConnection(profile) {
+  return {
+    host: profile.host,
+    port: profile.port,
+    username: profile.username,
+    password: profile.password,
+    transport: profile.transport,
+    wsPath: profile.wsPath,
+    keepAlive: profile.keepAlive,
+    ...tlsConnectOptions(profile),
+    ...(typeof profile.useTls === 'boolean' ? { useTls: profile.useTls } : null),
+  };
+}
+
+// ===== Sharing =====
+
+/**
+ * Text to share a profile with. Credentials (and the client certificate) are only included when asked for.
+ */
+export function exportBrokerProfile(profile, { includeCredentials = false } = {}) {
+  const {
+    id, credentialId, credentialsLocked, updatedAt, username, password, clientCert, clientCertPassword, ...rest
+  } = normalizeProfile(profile);
+  const shared = includeCredentials && !credentialsLocked
+    ? { ...rest, username, password, ...(clientCert ? { clientCert, clientCertPassword } : null) }
+    : rest;
+  return JSON.stringify({ type: SHARE_TYPE, version: SHARE_VERSION, profile: shared });
+}
+
+/**
+ * Parse shared profile text; returns a new (unsaved) profile. Throws when the text is not a profile.
+ */
+export function parseSharedProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').trim());
+  } catch {
+    throw new Error('Not a broker profile (invalid JSON)');
+  }
+  if (data?.type !== SHARE_TYPE || !data.profile) throw new Error('Not a broker profile');
+  if (Number(data.version) > SHARE_VERSION) throw new Error('Profile was shared by a newer app version');
+
+  const { id, credentialId, credentialsLocked, ...fields } = data.profile;
+  const profile = normalizeProfile(fields);
+  const errors = validateProfile(profile);
+  if (errors.length) throw new Error(errors.join(', '));
+  return profile;
+}
@@ -0,0 +1,157 @@
+// src/utils/CommandQueue.js
+// Outgoing commands while the connection is down. A command is sent at once when
+// online; otherwise it waits (oldest first) until flush() replays it after the
+// reconnect, or until it expires. A newer command with the same key (e.g. an
+// ON/OFF of the same channel) replaces the one still waiting.
+
+export const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  EXPIRED: 'expired',
+  SUPERSEDED: 'superseded',
+  FAILED: 'failed',
+  DROPPED: 'dropped',
+};
+
+const DEFAULT_TTL_MS = 60000;
+
+/**
+ * Create a queue.
+ *   enqueue({ key, label, ttlMs, meta, run }) => Promise of the entry once it is sent or given up
+ *                              (run() sends the command; its return value becomes entry.result)
+ *   flush()                 => replay waiting commands in order; call it once connected again
+ *   queuedFor(key) / list() => commands still waiting
+ *   subscribe(fn)           => fn(entry) on every state change
+ *   clear(reason)           => drop everything still waiting
+ *   dispose()               => stop timers and listeners
+ */
+export function createCommandQueue({ isOnline, ttlMs = DEFAULT_TTL_MS, onChange } = {}) {
+  const queue = [];             // waiting, oldest first
+  const runs = new Map();       // entry id -> run()
+  const waiters = new Map();    // entry id -> resolve
+  const timers = new Map();     // entry id -> expiry timeout
+  const listeners = new Set();
+  if (typeof onChange === 'function') listeners.add(onChange);
+  let seq = 0;
+
+  const online = () => (typeof isOnline === 'function' ? !!isOnline() : true);
+  const snapshot = (entry) => ({ ...entry });
+
+  const emit = (entry) => {
+    const snap = snapshot(entry);
+    listeners.forEach(fn => fn(snap));
+  };
+
+  const unqueue = (entry) => {
+    const idx = queue.indexOf(entry);
+    if (idx >= 0) queue.splice(idx, 1);
+    clearTimeout(timers.get(entry.id));
+    timers.delete(entry.id);
+  };
+
+  function finish(entry, status, reason = '', result) {
+    if (entry.status !== QUEUE_STATUS.QUEUED) return false;
+    unqueue(entry);
+    runs.delete(entry.id);
+    entry.status = status;
+    entry.reason = String(reason || '');
+    entry.settledAt = Date.now();
+    if (result !== undefined) entry.result = result;
+    emit(entry);
+    const resolve = waiters.get(entry.id);
+    waiters.delete(entry.id);
+    resolve?.(snapshot(entry));
+    return true;
+  }
+
+  function send(entry) {
+    unqueue(entry);
+    const run = runs.get(entry.id);
+    let out;
+    try {
+      out = run();
+    } catch (e) {
+      finish(entry, QUEUE_STATUS.FAILED, e?.message || String(e));
+      return;
+    }
+    Promise.resolve(out).then(
+      result => finish(entry, QUEUE_STATUS.SENT, '', result),
+      e => finish(entry, QUEUE_STATUS.FAILED, e?.message || String(e)),
+    );
+  }
+
+  function queuedFor(key) {
+    if (key == null) return null;
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].key === key) return queue[i];
+    }
+    return null;
+  }
+
+  function flush() {
+    if (!online()) return 0;
+    const due = [...queue];
+    const now = Date.now();
+    // run() is called synchronously for each command, so the publishes keep their order
+    due.forEach(entry => (now >= entry.expiresAt
+      ? finish(entry, QUEUE_STATUS.EXPIRED, 'not connected')
+      : send(entry)));
+    return due.length;
+  }
+
+  function enqueue({ key = null, label = '', ttlMs: ms = ttlMs, meta = null, run }) {
+    const now = Date.now();
+    const entry = {
+      id: ++seq,
+      key: key == null ? null : String(key),
+      label: String(label || ''),
+      meta,
+      status: QUEUE_STATUS.QUEUED,
+      reason: '',
+      queuedAt: now,
+      expiresAt: now + ms,
+      settledAt: null,
+    };
+    runs.set(entry.id, run);
+    const done = new Promise(resolve => waiters.set(entry.id, resolve));
+
+    if (online() && !queue.length) {
+      send(entry);
+      return done;
+    }
+
+    // The newer command for the same target is the one that counts
+    const older = queuedFor(entry.key);
+    if (older) finish(older, QUEUE_STATUS.SUPERSEDED, 'superseded');
+
+    queue.push(entry);
+    timers.set(entry.id, setTimeout(() => finish(entry, QUEUE_STATUS.EXPIRED, 'not connected'), ms));
+    emit(entry);
+    if (online()) flush();
+    return done;
+  }
+
+  return {
+    enqueue,
+    flush,
+    queuedFor(key) {
+      const entry = queuedFor(key == null ? null : String(key));
+      return entry ? snapshot(entry) : null;
+    },
+    list() {
+      return queue.map(snapshot);
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    clear(reason = 'cleared') {
+      [...queue].forEach(entry => finish(entry, QUEUE_STATUS.DROPPED, reason));
+    },
+    dispose() {
+      timers.forEach(t => clearTimeout(t));
+      timers.clear();
+      listeners.clear();
+    },
+  };
+}
@@ -0,0 +1,181 @@
+// src/utils/CommandTracker.js
+// Correlates outgoing EBQ commands with device replies by ackId.
+// Every command is pending until the gateway acknowledges it (or the screen
+// confirms it from a read-back), fails, or times out.
+
+import { findAckId } from './EbqProtocol';
+
+export const CMD_STATUS = {
+  PENDING: 'pending',
+  ACKED: 'acked',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout',
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_HISTORY = 100;
+
+/**
+ * Create a tracker.
+ *   track({ ackIds, kind, channel, expect, payloads, timeoutMs, meta }) => command
+ *   handleMessage(json)        => command settled by this reply, or null
+ *   settleFor(kind, channel, status, reason) / pendingFor(kind, channel)
+ *   whenSettled(commandId)     => Promise of the command once it is no longer pending
+ *   subscribe(fn)              => fn(command) on every state change
+ *   reset(reason)              => fail everything still pending
+ *   dispose()                  => stop timers and listeners
+ */
+export function createCommandTracker({ timeoutMs = DEFAULT_TIMEOUT_MS, onChange } = {}) {
+  const commands = [];          // oldest first
+  const byAckId = new Map();    // ackId -> command
+  const echoes = new Map();     // command id -> Set(own payload JSON)
+  const timers = new Map();     // command id -> timeout
+  const listeners = new Set();
+  if (typeof onChange === 'function') listeners.add(onChange);
+  let seq = 0;
+
+  const snapshot = (cmd) => ({ ...cmd, ackIds: [...cmd.ackIds] });
+
+  const emit = (cmd) => {
+    const snap = snapshot(cmd);
+    listeners.forEach(fn => fn(snap));
+  };
+
+  const forget = (cmd) => {
+    cmd.ackIds.forEach((id) => {
+      if (byAckId.get(id) === cmd) byAckId.delete(id);
+    });
+    echoes.delete(cmd.id);
+  };
+
+  const trimHistory = () => {
+    while (commands.length > MAX_HISTORY) {
+      const idx = commands.findIndex(c => c.status !== CMD_STATUS.PENDING);
+      if (idx < 0) return;
+      forget(commands[idx]);
+      commands.splice(idx, 1);
+    }
+  };
+
+  function settle(cmd, status, reason = '') {
+    if (!cmd || cmd.status !== CMD_STATUS.PENDING) return false;
+    cmd.status = status;
+    cmd.reason = String(reason || '');
+    cmd.settledAt = Date.now();
+    clearTimeout(timers.get(cmd.id));
+    timers.delete(cmd.id);
+    echoes.delete(cmd.id);
+    emit(cmd);
+    return true;
+  }
+
+  function pendingFor(kind, channel = null) {
+    for (let i = commands.length - 1; i >= 0; i--) {
+      const c = commands[i];
+      if (c.status === CMD_STATUS.PENDING && c.kind === kind && c.channel === channel) return c;
+    }
+    return null;
+  }
+
+  function track({
+    ackId,
+    ackIds,
+    kind,
+    channel = null,
+    expect = null,
+    payloads = [],
+    timeoutMs: ms = timeoutMs,
+    meta = null,
+  }) {
+    const ids = (ackIds || [ackId]).filter(Boolean).map(String);
+
+    // A newer command for the same target replaces the one still waiting
+    settle(pendingFor(kind, channel), CMD_STATUS.FAILED, 'superseded');
+
+    const cmd = {
+      id: ++seq,
+      ackIds: ids,
+      kind: String(kind || 'command'),
+      channel,
+      expect,
+      meta,
+      status: CMD_STATUS.PENDING,
+      reason: '',
+      sentAt: Date.now(),
+      settledAt: null,
+    };
+    commands.push(cmd);
+    ids.forEach(id => byAckId.set(id, cmd));
+
+    // We subscribe to the topic we publish on: remember our own payloads to skip their echo
+    const own = new Set();
+    payloads.forEach((p) => {
+      try {
+        own.add(JSON.stringify(typeof p === 'string' ? JSON.parse(p) : p));
+      } catch (_) { }
+    });
+    echoes.set(cmd.id, own);
+
+    timers.set(cmd.id, setTimeout(() => settle(cmd, CMD_STATUS.TIMEOUT, 'no reply'), ms));
+    trimHistory();
+    emit(cmd);
+    return snapshot(cmd);
+  }
+
+  function handleMessage(j) {
+    const ackId = findAckId(j);
+    if (!ackId) return null;
+    const cmd = byAckId.get(ackId);
+    if (!cmd || cmd.status !== CMD_STATUS.PENDING) return null;
+    if (echoes.get(cmd.id)?.has(JSON.stringify(j))) return null; // our own publish
+
+    settle(cmd, CMD_STATUS.ACKED, `ack ${ackId}`);
+    return snapshot(cmd);
+  }
+
+  return {
+    track,
+    handleMessage,
+    pendingFor(kind, channel = null) {
+      const c = pendingFor(kind, channel);
+      return c ? snapshot(c) : null;
+    },
+    settleFor(kind, channel, status, reason) {
+      return settle(pendingFor(kind, channel), status, reason);
+    },
+    get(ackId) {
+      const c = byAckId.get(String(ackId));
+      return c ? snapshot(c) : null;
+    },
+    list() {
+      return commands.map(snapshot);
+    },
+    whenSettled(id) {
+      const cmd = commands.find(c => c.id === id);
+      if (!cmd) return Promise.resolve(null);
+      if (cmd.status !== CMD_STATUS.PENDING) return Promise.resolve(snapshot(cmd));
+      return new Promise((resolve) => {
+        const fn = (c) => {
+          if (c.id !== id || c.status === CMD_STATUS.PENDING) return;
+          listeners.delete(fn);
+          resolve(c);
+        };
+        listeners.add(fn);
+      });
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    reset(reason = 'reset') {
+      commands
+        .filter(c => c.status === CMD_STATUS.PENDING)
+        .forEach(c => settle(c, CMD_STATUS.FAILED, reason));
+    },
+    dispose() {
+      timers.forEach(t => clearTimeout(t));
+      timers.clear();
+      listeners.clear();
+    },
+  };
+}
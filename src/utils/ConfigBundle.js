@@ -0,0 +1,253 @@
+// src/utils/ConfigBundle.js
+// Configuration bundle: devices, broker profiles, name caches and app settings in one
+// versioned JSON document, to move a setup to another phone (shared as text via the share
+// sheet, imported by pasting it back). Credentials are left out unless asked for.
+
+import { deleteCredential, isVaultLocked } from './CredentialVault';
+import {
+  deleteBrokerProfile,
+  loadBrokerProfiles,
+  normalizeProfile,
+  saveBrokerProfile,
+  validateProfile,
+} from './BrokerProfiles';
+import {
+  getAllSettings,
+  listCaches,
+  loadMqttDevices,
+  mergeCache,
+  normalizeDevice,
+  removeCache,
+  replaceSettings,
+  saveMqttDevices,
+  updateSettings,
+} from './MqttDeviceStorage';
+
+export const BUNDLE_TYPE = 'ebq-config-bundle';
+export const BUNDLE_VERSION = 1;
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Cache kinds carried by a bundle
+const CACHE_KINDS = ['names'];
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+
+const hasCredentials = raw => raw?.username != null || raw?.password != null;
+
+// Fields that only make sense on this phone (vault references); secrets only when asked for
+function portable(
+  { credentialId, credentialsLocked, username, password, clientCert, clientCertPassword, ...rest },
+  includeCredentials,
+) {
+  if (!includeCredentials) return rest;
+  return {
+    ...rest,
+    username: username || '',
+    password: password || '',
+    ...(clientCert ? { clientCert, clientCertPassword: clientCertPassword || '' } : null),
+  };
+}
+
+/**
+ * Build the bundle text of the current configuration.
+ * includeCredentials needs an unlocked vault (throws otherwise).
+ * Returns { text, summary: { devices, profiles, caches, settings } }.
+ */
+export async function exportBundle({ includeCredentials = false } = {}) {
+  if (includeCredentials && isVaultLocked()) {
+    throw new Error('Unlock the credential vault to export passwords');
+  }
+  const devices = await loadMqttDevices();
+  const profiles = await loadBrokerProfiles();
+  const settings = await getAllSettings();
+  const caches = {};
+  for (const kind of CACHE_KINDS) {
+    caches[kind] = await listCaches(kind);
+  }
+
+  const bundle = {
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesCredentials: !!includeCredentials,
+    devices: devices.map(d => portable(d, includeCredentials)),
+    profiles: profiles.map(p => portable(p, includeCredentials)),
+    caches,
+    settings,
+  };
+  return {
+    text: JSON.stringify(bundle, null, 2),
+    summary: {
+      devices: bundle.devices.length,
+      profiles: bundle.profiles.length,
+      caches: CACHE_KINDS.reduce((n, kind) => n + caches[kind].length, 0),
+      settings: Object.keys(settings).length,
+    },
+  };
+}
+
+/**
+ * Parse and validate bundle text. Throws when the text is not a bundle; invalid entries
+ * are left out and listed in `rejected` ([{ what, errors }]).
+ * Returns { exportedAt, devices, profiles, caches, settings, rejected }.
+ */
+export function parseBundle(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').trim());
+  } catch {
+    throw new Error('Not a configuration bundle (invalid JSON)');
+  }
+  if (data?.type !== BUNDLE_TYPE) throw new Error('Not a configuration bundle');
+  if (Number(data.version) > BUNDLE_VERSION) throw new Error('Bundle was exported by a newer app version');
+
+  const rejected = [];
+  const devices = [];
+  const seen = new Set();
+  (Array.isArray(data.devices) ? data.devices : []).forEach((raw, i) => {
+    const { device, errors } = normalizeDevice(raw);
+    if (device && seen.has(device.deviceId)) errors.push(`duplicate deviceId ${device.deviceId}`);
+    if (errors.length) {
+      rejected.push({ what: `device ${device?.deviceId || `#${i + 1}`}`, errors });
+      return;
+    }
+    seen.add(device.deviceId);
+    devices.push(portable(device, data.includesCredentials && hasCredentials(raw)));
+  });
+
+  const profiles = [];
+  (Array.isArray(data.profiles) ? data.profiles : []).forEach((raw, i) => {
+    const profile = normalizeProfile(raw);
+    const errors = validateProfile(profile);
+    if (!profile.id) errors.push('id is required');
+    if (errors.length) {
+      rejected.push({ what: `profile ${profile.name || `#${i + 1}`}`, errors });
+      return;
+    }
+    profiles.push(portable(profile, data.includesCredentials && hasCredentials(raw)));
+  });
+
+  const caches = {};
+  CACHE_KINDS.forEach((kind) => {
+    const list = Array.isArray(data.caches?.[kind]) ? data.caches[kind] : [];
+    caches[kind] = list.filter(c => c?.deviceId && isObject(c.value))
+      .map(c => ({ cpid: String(c.cpid || ''), deviceId: String(c.deviceId), value: c.value }));
+  });
+
+  const settings = {};
+  Object.entries(isObject(data.settings) ? data.settings : {}).forEach(([section, value]) => {
+    if (isObject(value)) settings[section] = value;
+  });
+
+  return { exportedAt: String(data.exportedAt || ''), devices, profiles, caches, settings, rejected };
+}
+
+/**
+ * What importing a parsed bundle would do, compared with the saved configuration.
+ * Returns { devices: { added, updated, removed }, profiles: { ... }, caches, settings } —
+ * ids per group; `removed` only applies to 'replace'.
+ */
+export async function previewImport(bundle) {
+  const devices = await loadMqttDevices();
+  const profiles = await loadBrokerProfiles();
+  const diff = (current, incoming, idOf) => {
+    const have = new Set(current.map(idOf));
+    const next = new Set(incoming.map(idOf));
+    return {
+      added: incoming.map(idOf).filter(id => !have.has(id)),
+      updated: incoming.map(idOf).filter(id => have.has(id)),
+      removed: current.map(idOf).filter(id => !next.has(id)),
+    };
+  };
+  return {
+    devices: diff(devices, bundle.devices, d => d.deviceId),
+    profiles: diff(profiles, bundle.profiles, p => p.id),
+    caches: CACHE_KINDS.reduce((n, kind) => n + bundle.caches[kind].length, 0),
+    settings: Object.keys(bundle.settings),
+  };
+}
+
+// A redacted entry keeps the credentials already saved for it on this phone; an entry with
+// credentials overwrites the vault entry of the saved one instead of leaving it orphaned
+function keepCredentials(incoming, old) {
+  if (!old) return incoming;
+  if (hasCredentials(incoming)) return old.credentialId ? { ...incoming, credentialId: old.credentialId } : incoming;
+  if (old.credentialsLocked) return { ...incoming, credentialId: old.credentialId, credentialsLocked: true };
+  return {
+    ...incoming,
+    username: old.username,
+    password: old.password,
+    ...(old.clientCert ? { clientCert: old.clientCert, clientCertPassword: old.clientCertPassword } : null),
+    credentialId: old.credentialId,
+  };
+}
+
+/**
+ * Import a parsed bundle.
+ * - merge: bundle entries are added or replace saved ones with the same id; others stay
+ * - replace: the saved devices, profiles, caches and settings are replaced by the bundle
+ * Returns { devices, profiles, caches, settings } counts of imported entries.
+ */
+export async function importBundle(bundle, { mode = 'merge' } = {}) {
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode ${mode}`);
+  const replace = mode === 'replace';
+
+  // Profiles first so that linked devices find them
+  const oldProfiles = await loadBrokerProfiles();
+  for (const p of bundle.profiles) {
+    await saveBrokerProfile(keepCredentials(p, oldProfiles.find(o => o.id === p.id)));
+  }
+  if (replace) {
+    for (const p of oldProfiles.filter(o => !bundle.profiles.some(b => b.id === o.id))) {
+      await deleteBrokerProfile(p.id);
+    }
+  }
+
+  const oldDevices = await loadMqttDevices();
+  const byId = new Map(oldDevices.map(d => [d.deviceId, d]));
+  const incoming = bundle.devices.map(d => keepCredentials(d, byId.get(d.deviceId)));
+  let next;
+  if (replace) {
+    next = incoming;
+  } else {
+    const imported = new Map(incoming.map(d => [d.deviceId, d]));
+    next = [
+      ...oldDevices.map(d => imported.get(d.deviceId) || d),
+      ...incoming.filter(d => !byId.has(d.deviceId)),
+    ];
+  }
+  await saveMqttDevices(next);
+  if (replace) {
+    for (const d of oldDevices.filter(o => o.credentialId && !next.some(n => n.deviceId === o.deviceId))) {
+      await deleteCredential(d.credentialId);
+    }
+  }
+
+  let caches = 0;
+  for (const kind of CACHE_KINDS) {
+    if (replace) {
+      for (const c of await listCaches(kind)) {
+        await removeCache(kind, c.cpid, c.deviceId);
+      }
+    }
+    for (const c of bundle.caches[kind]) {
+      await mergeCache(kind, c.cpid, c.deviceId, c.value);
+      caches += 1;
+    }
+  }
+
+  if (replace) {
+    await replaceSettings(bundle.settings);
+  } else {
+    for (const [section, value] of Object.entries(bundle.settings)) {
+      await updateSettings(section, value);
+    }
+  }
+
+  return {
+    devices: bundle.devices.length,
+    profiles: bundle.profiles.length,
+    caches,
+    settings: Object.keys(bundle.settings).length,
+  };
+}
@@ -0,0 +1,294 @@
+// src/utils/ConnectionDiagnostics.js
+// Connection diagnostics for one device: DNS resolve, TCP connect, TLS handshake (certificate
+// details), MQTT CONNACK return code, SUBACK per topic and the latency of the first message,
+// collected into a report that can be shared with support.
+
+import { CONNACK_MESSAGES } from './MqttPacket';
+import { MqttClient, buildBrokerUri, diagnoseNetwork } from './MqttNativeClient';
+import { resolveConnection } from './MqttManager';
+import { formatTransition } from './MqttStateMachine';
+import { DEFAULT_CPID, eventsSubscribeTopic, eventsWildcardTopic, parseEventsTopic } from './EbqProtocol';
+import { normalizePins } from './TlsSettings';
+
+export const STEPS = [
+  { key: 'dns', label: 'DNS resolve' },
+  { key: 'tcp', label: 'TCP connect' },
+  { key: 'tls', label: 'TLS handshake' },
+  { key: 'connack', label: 'MQTT login (CONNACK)' },
+  { key: 'suback', label: 'Subscribe (SUBACK)' },
+  { key: 'message', label: 'First message' },
+];
+
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  OK: 'ok',
+  WARN: 'warn',
+  FAIL: 'fail',
+  SKIP: 'skip',
+};
+
+const MESSAGE_WAIT_MS = 30000;
+const STEP_TIMEOUT_MS = 8000;
+const POLL_MS = 250;
+
+// iOS (CocoaMQTT) reports CONNACK refusals by name
+const CONNACK_NAMES = {
+  unacceptableProtocolVersion: 1,
+  identifierRejected: 2,
+  serverUnavailable: 3,
+  badUsernameOrPassword: 4,
+  notAuthorized: 5,
+};
+
+const CONNACK_HINTS = {
+  1: 'The broker does not accept MQTT 3.1.1.',
+  2: 'The broker refused the client id.',
+  3: 'The broker is up but its MQTT service is unavailable.',
+  4: 'Check the username / password of the device or broker profile.',
+  5: 'The account is not allowed to connect; check username / password and the broker ACL.',
+};
+
+/**
+ * CONNACK return code (1..5) in a connect error ("reasonCode=5", "connack=notAuthorized"), or null.
+ */
+export function parseConnackCode(raw) {
+  const m = String(raw || '').match(/(?:reasonCode|connack)=(\w+)/i);
+  if (!m) return null;
+  const code = /^\d+$/.test(m[1]) ? Number(m[1]) : CONNACK_NAMES[m[1]];
+  return code >= 1 && code <= 5 ? code : null;
+}
+
+const ms = v => `${Math.round(Number(v) || 0)} ms`;
+const day = t => new Date(t).toISOString().slice(0, 10);
+
+function withTimeout(promise, timeoutMs, label) {
+  let t = null;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => reject(new Error(label)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+/**
+ * Report steps for the native DNS / TCP / TLS result (null when the native module is missing).
+ * caCert / pinSha256 are the TLS security of the device's broker profile.
+ * Returns { dns, tcp, tls } patches ({ status, ms?, detail: [lines] }).
+ */
+export function networkSteps(net, { useTls, caCert, pinSha256 }, now = Date.now()) {
+  if (!net) {
+    const skipped = { status: STEP_STATUS.SKIP, detail: ['Not available without the native MQTT module (see the MQTT login step)'] };
+    return { dns: skipped, tcp: skipped, tls: skipped };
+  }
+  const notRun = { status: STEP_STATUS.SKIP, detail: ['Not run: a previous step failed'] };
+  const failed = s => ({ status: STEP_STATUS.FAIL, ms: s.ms, detail: [String(s.error || 'failed')] });
+
+  const out = { dns: notRun, tcp: notRun, tls: notRun };
+  if (!net.dns?.ok) return { ...out, dns: failed(net.dns || {}) };
+  out.dns = { status: STEP_STATUS.OK, ms: net.dns.ms, detail: [`Addresses: ${(net.dns.addresses || []).join(', ') || '-'}`] };
+
+  if (!net.tcp?.ok) return { ...out, tcp: failed(net.tcp || {}) };
+  out.tcp = { status: STEP_STATUS.OK, ms: net.tcp.ms, detail: [`Connected to ${net.tcp.address || '?'}`] };
+
+  if (!useTls) {
+    out.tls = { status: STEP_STATUS.SKIP, detail: ['Plain connection (no TLS)'] };
+    return out;
+  }
+  if (!net.tls?.ok) return { ...out, tls: failed(net.tls || {}) };
+
+  const tls = net.tls;
+  const detail = [`${tls.protocol || 'TLS'}${tls.cipher ? `, ${tls.cipher}` : ''}`];
+  let status = STEP_STATUS.OK;
+  if (caCert) {
+    detail.push('Checked against the CA of the broker profile by the MQTT login (not the phone\'s CAs)');
+  } else if (tls.trusted === false) {
+    status = STEP_STATUS.WARN;
+    detail.push(`Certificate is not trusted by the phone (the app connects anyway): ${tls.trustError || ''}`.trim());
+  }
+  if (tls.hostnameMatches === false) {
+    status = STEP_STATUS.WARN;
+    detail.push('Certificate does not match the host name');
+  }
+  (tls.certificates || []).forEach((c, i) => {
+    detail.push(`[${i}] ${c.subject || '?'}`);
+    if (c.issuer) detail.push(`    issuer: ${c.issuer}`);
+    if (c.notBefore && c.notAfter) {
+      const expired = c.notAfter < now || c.notBefore > now;
+      if (expired) status = STEP_STATUS.WARN;
+      detail.push(`    valid ${day(c.notBefore)} to ${day(c.notAfter)}${expired ? ' (NOT VALID NOW)' : ''}`);
+    }
+    if (c.altNames?.length) detail.push(`    names: ${c.altNames.join(', ')}`);
+    if (c.sha256) detail.push(`    SHA-256: ${c.sha256}`);
+  });
+  const pins = normalizePins(pinSha256);
+  if (pins.length && tls.certificates?.length) {
+    const matched = tls.certificates.findIndex(c => pins.includes(normalizePins(c.sha256)[0]));
+    if (matched < 0) {
+      status = STEP_STATUS.FAIL;
+      detail.push('No certificate matches the pinned fingerprints of the broker profile');
+    } else {
+      detail.push(`Pinned fingerprint matches [${matched}]`);
+    }
+  }
+  out.tls = { status, ms: tls.ms, detail };
+  return out;
+}
+
+/**
+ * Run every step for `device` (saved record). onUpdate(report) after each change;
+ * isCancelled() stops waiting for the first message. Returns the final report:
+ * { startedAt, finishedAt, device: { deviceId, friendlyName, cpId }, uri, steps: [{ key, label, status, ms?, detail }] }
+ */
+export async function runDiagnostics(device, {
+  onUpdate,
+  isCancelled,
+  messageWaitMs = MESSAGE_WAIT_MS,
+  timeoutMs = STEP_TIMEOUT_MS,
+} = {}) {
+  const conn = resolveConnection(device);
+  const cpId = String(device?.cpId || DEFAULT_CPID);
+  const deviceId = String(device?.deviceId || '');
+  const deviceTopic = eventsSubscribeTopic(cpId, deviceId);
+  const topics = [deviceTopic, eventsWildcardTopic(cpId)].filter(Boolean);
+
+  const report = {
+    startedAt: Date.now(),
+    finishedAt: null,
+    device: { deviceId, friendlyName: String(device?.friendlyName || device?.name || ''), cpId },
+    uri: buildBrokerUri(conn),
+    steps: STEPS.map(s => ({ ...s, status: STEP_STATUS.PENDING, detail: [] })),
+  };
+  const set = (key, patch) => {
+    report.steps = report.steps.map(s => (s.key === key ? { ...s, ...patch } : s));
+    onUpdate?.({ ...report });
+  };
+  const skipRest = (keys) => keys.forEach(k => set(k, { status: STEP_STATUS.SKIP, detail: ['Not run: a previous step failed'] }));
+  const finish = () => {
+    report.finishedAt = Date.now();
+    onUpdate?.({ ...report });
+    return report;
+  };
+
+  // 1) DNS / TCP / TLS (native)
+  ['dns', 'tcp', 'tls'].forEach(k => set(k, { status: STEP_STATUS.RUNNING }));
+  let net = null;
+  try {
+    net = await diagnoseNetwork({ ...conn, timeoutMs });
+  } catch (e) {
+    net = { dns: { ok: false, ms: 0, error: e?.message || String(e) } };
+  }
+  const network = networkSteps(net, conn);
+  Object.entries(network).forEach(([k, patch]) => set(k, patch));
+  if (Object.values(network).some(s => s.status === STEP_STATUS.FAIL)) {
+    skipRest(['connack', 'suback', 'message']);
+    return finish();
+  }
+
+  // 2) MQTT CONNECT
+  let firstMessage = null;
+  let subscribedAt = 0;
+  const client = new MqttClient();
+  try {
+    set('connack', { status: STEP_STATUS.RUNNING });
+    const t0 = Date.now();
+    try {
+      await withTimeout(
+        client.connect({
+          ...conn,
+          topic: '',
+          onMessage: ({ topic }) => {
+            if (firstMessage || parseEventsTopic(topic).deviceId !== deviceId) return;
+            firstMessage = { topic, at: Date.now() };
+          },
+        }),
+        timeoutMs,
+        `No CONNACK within ${timeoutMs / 1000} s`,
+      );
+      set('connack', { status: STEP_STATUS.OK, ms: Date.now() - t0, detail: [`Accepted (0) by ${report.uri}`] });
+    } catch (e) {
+      const raw = String(e?.raw || e?.message || e);
+      const code = parseConnackCode(raw);
+      const detail = code
+        ? [`Refused: return code ${code} (${CONNACK_MESSAGES[code]})`, CONNACK_HINTS[code]]
+        : [e?.message || 'Connection failed', ...(e?.raw && e.raw !== e.message ? [e.raw] : [])];
+      set('connack', { status: STEP_STATUS.FAIL, ms: Date.now() - t0, detail });
+      skipRest(['suback', 'message']);
+      return finish();
+    }
+
+    // 3) SUBSCRIBE per topic (the wildcard is only needed by Discover)
+    set('suback', { status: STEP_STATUS.RUNNING });
+    const lines = [];
+    let subStatus = STEP_STATUS.OK;
+    for (const topic of topics) {
+      const t1 = Date.now();
+      try {
+        await withTimeout(client.subscribe(topic, 0), timeoutMs, `no SUBACK within ${timeoutMs / 1000} s`);
+        if (topic === deviceTopic) subscribedAt = Date.now();
+        lines.push(`Granted ${topic} (${ms(Date.now() - t1)})`);
+      } catch (e) {
+        const essential = topic === deviceTopic;
+        if (essential) subStatus = STEP_STATUS.FAIL;
+        else if (subStatus === STEP_STATUS.OK) subStatus = STEP_STATUS.WARN;
+        lines.push(`Refused ${topic}: ${e?.message || e}${essential ? '' : ' (only Discover needs it)'}`);
+      }
+    }
+    set('suback', { status: subStatus, detail: lines });
+    if (subStatus === STEP_STATUS.FAIL) {
+      skipRest(['message']);
+      return finish();
+    }
+
+    // 4) First message of the device
+    set('message', { status: STEP_STATUS.RUNNING, detail: [`Waiting up to ${messageWaitMs / 1000} s…`] });
+    const end = subscribedAt + messageWaitMs;
+    while (!firstMessage && Date.now() < end && !isCancelled?.()) {
+      await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    }
+    if (firstMessage) {
+      // Counted from the SUBACK of the device topic (a retained message may come with it)
+      const latency = Math.max(0, firstMessage.at - subscribedAt);
+      set('message', {
+        status: STEP_STATUS.OK,
+        ms: latency,
+        detail: [`${firstMessage.topic} after ${ms(latency)}`],
+      });
+    } else {
+      set('message', {
+        status: STEP_STATUS.WARN,
+        detail: [isCancelled?.()
+          ? 'Stopped before a message arrived'
+          : `No message within ${messageWaitMs / 1000} s: the gateway may be offline or use another cpId`],
+      });
+    }
+  } finally {
+    await client.disconnect().catch(() => { });
+  }
+  return finish();
+}
+
+const STATUS_TEXT = { ok: 'OK', warn: 'WARN', fail: 'FAIL', skip: 'SKIP', pending: '...', running: '...' };
+
+/**
+ * Plain-text report (for the share sheet / support). `connectionLog` is the transition log
+ * of the app's own pooled connection (MqttManager.getConnectionLog), when it has one.
+ */
+export function formatReport(report, { appInfo = '', connectionLog = [] } = {}) {
+  const lines = [
+    'EBQ connection diagnostics',
+    `Date: ${new Date(report.startedAt).toISOString()}`,
+    ...(appInfo ? [appInfo] : []),
+    `Device: ${report.device.friendlyName || '-'} (${report.device.deviceId}), cpId ${report.device.cpId}`,
+    `Broker: ${report.uri}`,
+    '',
+  ];
+  report.steps.forEach((s) => {
+    lines.push(`[${STATUS_TEXT[s.status] || s.status}] ${s.label}${s.ms != null ? ` (${ms(s.ms)})` : ''}`);
+    s.detail.filter(Boolean).forEach(d => lines.push(`    ${d}`));
+  });
+  if (connectionLog.length) {
+    lines.push('', 'App connection:');
+    connectionLog.forEach(t => lines.push(`    ${formatTransition(t)}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,265 @@
+// src/utils/CredentialVault.js
+// Encrypted broker credentials. Device records keep only a credentialId; the username / password
+// live here, sealed with one of:
+//  - keystore: the platform keystore module (Android Keystore / iOS Keychain), key never leaves it
+//  - pin:      a key derived from the user's PIN (PBKDF2), locked until unlockVault(pin)
+//  - device:   software fallback when there is no keystore module and no PIN; the random key is
+//              stored next to the data, so this only keeps passwords out of the plain device JSON
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeModules } from 'react-native';
+import {
+  addEntropy,
+  fromBase64,
+  openString,
+  pbkdf2Sha256,
+  randomBytes,
+  sealString,
+  toBase64,
+  utf8Encode,
+} from './VaultCrypto';
+
+const VAULT_KEY = 'EBQ_CREDENTIAL_VAULT_V1';
+const KEYSTORE_ALIAS = 'ebq_credential_vault';
+const CHECK_TEXT = 'EBQ_VAULT_OK';
+const PIN_ITERATIONS = 10000;
+export const MIN_PIN_LENGTH = 4;
+
+export const VAULT_MODE = { KEYSTORE: 'keystore', PIN: 'pin', DEVICE: 'device' };
+
+// state (persisted): { mode, salt?, iterations?, deviceKey?, check, entries: { [credentialId]: sealed } }
+let state = null;
+let provider = null; // { seal(text) => Promise<string>, open(sealed) => Promise<string> } while unlocked
+let initPromise = null;
+const listeners = new Set();
+
+const keystore = () => NativeModules.EbqKeystore || null;
+
+function softwareProvider(key) {
+  return {
+    seal: async text => sealString(key, text),
+    open: async sealed => openString(key, sealed),
+  };
+}
+
+function keystoreProvider(native) {
+  return {
+    seal: text => native.seal(KEYSTORE_ALIAS, text),
+    open: sealed => native.open(KEYSTORE_ALIAS, sealed),
+  };
+}
+
+function status() {
+  return { mode: state?.mode ?? null, locked: !!state && !provider };
+}
+
+function notify() {
+  const s = status();
+  listeners.forEach(fn => fn(s));
+}
+
+async function persist() {
+  await AsyncStorage.setItem(VAULT_KEY, JSON.stringify(state));
+}
+
+/**
+ * Default (no PIN) provider: platform keystore when available, else a stored random key.
+ */
+async function defaultProvider() {
+  const native = keystore();
+  if (native) return { mode: VAULT_MODE.KEYSTORE, provider: keystoreProvider(native), extra: {} };
+  const key = randomBytes(32);
+  return { mode: VAULT_MODE.DEVICE, provider: softwareProvider(key), extra: { deviceKey: toBase64(key) } };
+}
+
+async function seedEntropy() {
+  try {
+    const b64 = await keystore()?.randomBytes?.(32);
+    if (b64) addEntropy(fromBase64(b64));
+  } catch (e) {
+    console.log('[VAULT] keystore entropy failed', e?.message || String(e));
+  }
+}
+
+async function doInit() {
+  await seedEntropy();
+  let saved = null;
+  try {
+    const raw = await AsyncStorage.getItem(VAULT_KEY);
+    saved = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.log('[VAULT] load failed', e?.message || String(e));
+  }
+
+  if (saved?.mode && saved.entries) {
+    state = saved;
+    if (saved.mode === VAULT_MODE.KEYSTORE) {
+      const native = keystore();
+      provider = native ? keystoreProvider(native) : null;
+      if (!native) console.log('[VAULT] keystore module missing; credentials unavailable');
+    } else if (saved.mode === VAULT_MODE.DEVICE) {
+      provider = softwareProvider(fromBase64(saved.deviceKey));
+    } else {
+      provider = null; // PIN: wait for unlockVault()
+    }
+  } else {
+    const d = await defaultProvider();
+    provider = d.provider;
+    state = { mode: d.mode, ...d.extra, check: await provider.seal(CHECK_TEXT), entries: {} };
+    await persist();
+  }
+  notify();
+  return status();
+}
+
+/**
+ * Load the vault (idempotent). Resolves { mode, locked }.
+ */
+export function initVault() {
+  if (!initPromise) {
+    initPromise = doInit().catch((e) => {
+      initPromise = null;
+      throw e;
+    });
+  }
+  return initPromise;
+}
+
+export const getVaultStatus = () => status();
+export const isVaultLocked = () => !!state && !provider;
+
+export function subscribeVault(fn) {
+  listeners.add(fn);
+  fn(status());
+  return () => listeners.delete(fn);
+}
+
+function requireUnlocked() {
+  if (!provider) throw new Error('Credential vault is locked: enter your PIN first');
+}
+
+function pinKey(pin, salt, iterations) {
+  return pbkdf2Sha256(utf8Encode(pin), salt, iterations, 32);
+}
+
+export async function unlockVault(pin) {
+  await initVault();
+  if (provider) return;
+  const key = pinKey(String(pin || ''), fromBase64(state.salt), state.iterations || PIN_ITERATIONS);
+  const p = softwareProvider(key);
+  try {
+    if ((await p.open(state.check)) !== CHECK_TEXT) throw new Error('bad check');
+  } catch (_) {
+    throw new Error('Wrong PIN');
+  }
+  provider = p;
+  notify();
+}
+
+/**
+ * Forget the PIN-derived key (keystore / device vaults cannot be locked).
+ */
+export function lockVault() {
+  if (state?.mode !== VAULT_MODE.PIN) return;
+  provider = null;
+  notify();
+}
+
+/**
+ * Re-encrypt every entry with another provider.
+ */
+async function rekey(next, mode, extra) {
+  const plain = {};
+  for (const [id, sealed] of Object.entries(state.entries)) {
+    plain[id] = await provider.open(sealed);
+  }
+  const entries = {};
+  for (const [id, text] of Object.entries(plain)) {
+    entries[id] = await next.seal(text);
+  }
+  state = { mode, ...extra, check: await next.seal(CHECK_TEXT), entries };
+  provider = next;
+  await persist();
+  notify();
+}
+
+/**
+ * Protect the vault with a PIN (or change the PIN). The vault must be unlocked.
+ */
+export async function setVaultPin(pin) {
+  await initVault();
+  requireUnlocked();
+  const p = String(pin || '');
+  if (p.length < MIN_PIN_LENGTH) throw new Error(`PIN must have at least ${MIN_PIN_LENGTH} characters`);
+  const salt = randomBytes(16);
+  const next = softwareProvider(pinKey(p, salt, PIN_ITERATIONS));
+  await rekey(next, VAULT_MODE.PIN, { salt: toBase64(salt), iterations: PIN_ITERATIONS });
+}
+
+/**
+ * Drop the PIN and go back to the keystore / device key. The vault must be unlocked.
+ */
+export async function removeVaultPin() {
+  await initVault();
+  requireUnlocked();
+  if (state.mode !== VAULT_MODE.PIN) return;
+  const d = await defaultProvider();
+  await rekey(d.provider, d.mode, d.extra);
+}
+
+const newCredentialId = () => `cred_${Date.now().toString(36)}${toBase64(randomBytes(6)).replace(/[+/=]/g, '')}`;
+
+/**
+ * Store { username, password } and optionally a TLS client certificate
+ * { clientCert, clientCertPassword }; reuses `id` when given. Resolves the credential id.
+ */
+export async function putCredential({ id, username, password, clientCert, clientCertPassword }) {
+  await initVault();
+  requireUnlocked();
+  const credentialId = id || newCredentialId();
+  const sealed = await provider.seal(JSON.stringify({
+    username: String(username || ''),
+    password: String(password || ''),
+    ...(clientCert ? { clientCert: String(clientCert), clientCertPassword: String(clientCertPassword || '') } : null),
+  }));
+  state = { ...state, entries: { ...state.entries, [credentialId]: sealed } };
+  await persist();
+  return credentialId;
+}
+
+/**
+ * Resolves { username, password } (plus { clientCert, clientCertPassword } when stored),
+ * or null for an unknown id. Throws while locked.
+ */
+export async function getCredential(id) {
+  await initVault();
+  const sealed = id ? state.entries[id] : null;
+  if (!sealed) return null;
+  requireUnlocked();
+  const obj = JSON.parse(await provider.open(sealed));
+  return {
+    username: String(obj?.username || ''),
+    password: String(obj?.password || ''),
+    ...(obj?.clientCert
+      ? { clientCert: String(obj.clientCert), clientCertPassword: String(obj.clientCertPassword || '') }
+      : null),
+  };
+}
+
+export async function deleteCredential(id) {
+  await initVault();
+  if (!id || !state.entries[id]) return;
+  const entries = { ...state.entries };
+  delete entries[id];
+  state = { ...state, entries };
+  await persist();
+}
+
+/**
+ * Remove every stored credential (keeps the mode / PIN).
+ */
+export async function clearCredentials() {
+  await initVault();
+  state = { ...state, entries: {} };
+  await persist();
+}
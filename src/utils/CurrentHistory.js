@@ -0,0 +1,223 @@
+// src/utils/CurrentHistory.js
+// Local current history per gateway channel: downsampled ring buffers
+// (last hour / day / week) persisted in the repository ('history' cache).
+
+import { cacheKey, readCache, removeCache, writeCache } from './MqttDeviceStorage';
+
+// Each range is a fixed ring of buckets; a bucket keeps min / max / sum / count
+export const HISTORY_RANGES = {
+  hour: { bucketMs: 60 * 1000, slots: 60 }, // 1 min
+  day: { bucketMs: 15 * 60 * 1000, slots: 96 }, // 15 min
+  week: { bucketMs: 2 * 60 * 60 * 1000, slots: 84 }, // 2 h
+};
+
+const SAVE_DELAY_MS = 30000;
+
+const stores = new Map(); // historyKey -> { cpid, deviceId, channels: Map(ch -> { hour: [], day: [], week: [] }), loaded }
+const listeners = new Set();
+const saveTimers = new Map();
+
+export const historyKey = (cpid, deviceId) => cacheKey('history', cpid, deviceId);
+
+function storeFor(cpid, deviceId) {
+  const key = historyKey(cpid, deviceId);
+  if (!stores.has(key)) stores.set(key, { cpid, deviceId, channels: new Map(), loaded: false });
+  return stores.get(key);
+}
+
+function ringsFor(store, ch) {
+  if (!store.channels.has(ch)) {
+    const rings = {};
+    Object.entries(HISTORY_RANGES).forEach(([name, r]) => { rings[name] = new Array(r.slots).fill(null); });
+    store.channels.set(ch, rings);
+  }
+  return store.channels.get(ch);
+}
+
+// Bucket = [bucketIndex, min, max, sum, count]; bucketIndex = floor(t / bucketMs)
+function addToRing(ring, bucketMs, value, ts) {
+  const idx = Math.floor(ts / bucketMs);
+  const slot = idx % ring.length;
+  const b = ring[slot];
+  if (!b || b[0] !== idx) {
+    if (b && b[0] > idx) return; // older than what this slot holds
+    ring[slot] = [idx, value, value, value, 1];
+    return;
+  }
+  b[1] = Math.min(b[1], value);
+  b[2] = Math.max(b[2], value);
+  b[3] += value;
+  b[4] += 1;
+}
+
+/**
+ * Channel reading => amps to store. The OFF marker (about -0.1) counts as 0;
+ * three-phase channels keep the highest phase, which is the one that trips.
+ */
+function toAmps(v) {
+  const n = Array.isArray(v) ? Math.max(...v.map(Number)) : Number(v);
+  if (!Number.isFinite(n)) return null;
+  return n < 0 ? 0 : n;
+}
+
+function notify(key) {
+  listeners.forEach(fn => fn(key));
+}
+
+function scheduleSave(key) {
+  if (saveTimers.has(key)) return;
+  saveTimers.set(key, setTimeout(() => {
+    saveTimers.delete(key);
+    saveHistory(key);
+  }, SAVE_DELAY_MS));
+}
+
+/**
+ * Record one telemetry message: readings = { [channel]: amps | [L1, L2, L3] }
+ */
+export function recordCurrents(cpid, deviceId, readings, ts = Date.now()) {
+  if (!cpid || !deviceId || !readings) return;
+  const key = historyKey(cpid, deviceId);
+  const store = storeFor(cpid, deviceId);
+
+  let changed = false;
+  Object.entries(readings).forEach(([ch, v]) => {
+    const amps = toAmps(v);
+    const id = Number(ch);
+    if (amps == null || !Number.isFinite(id)) return;
+    const rings = ringsFor(store, id);
+    Object.entries(HISTORY_RANGES).forEach(([name, r]) => addToRing(rings[name], r.bucketMs, amps, ts));
+    changed = true;
+  });
+
+  if (changed) {
+    notify(key);
+    scheduleSave(key);
+  }
+}
+
+/**
+ * Series for one channel over a range ('hour' | 'day' | 'week'), oldest first.
+ * Missing buckets are null so gaps stay visible.
+ *   => { range, bucketMs, points: [{ t, min, max, avg } | null], min, max, avg, samples }
+ */
+export function getChannelHistory(cpid, deviceId, channel, range = 'hour', now = Date.now()) {
+  const name = HISTORY_RANGES[range] ? range : 'hour';
+  const r = HISTORY_RANGES[name];
+  const ring = stores.get(historyKey(cpid, deviceId))?.channels.get(Number(channel))?.[name];
+
+  const last = Math.floor(now / r.bucketMs);
+  const points = [];
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let samples = 0;
+
+  for (let idx = last - r.slots + 1; idx <= last; idx++) {
+    const b = ring?.[idx % r.slots];
+    if (!b || b[0] !== idx) {
+      points.push(null);
+      continue;
+    }
+    points.push({ t: idx * r.bucketMs, min: b[1], max: b[2], avg: b[3] / b[4] });
+    min = Math.min(min, b[1]);
+    max = Math.max(max, b[2]);
+    sum += b[3];
+    samples += b[4];
+  }
+
+  return {
+    range: name,
+    bucketMs: r.bucketMs,
+    points,
+    min: samples ? min : null,
+    max: samples ? max : null,
+    avg: samples ? sum / samples : null,
+    samples,
+  };
+}
+
+export function subscribeHistory(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function serialize(store) {
+  const channels = {};
+  store.channels.forEach((rings, ch) => {
+    const out = {};
+    Object.keys(HISTORY_RANGES).forEach((name) => {
+      out[name] = rings[name]
+        .filter(Boolean)
+        .map(([idx, mn, mx, sum, n]) => [idx, round2(mn), round2(mx), round2(sum), n]);
+    });
+    channels[ch] = out;
+  });
+  return { v: 1, channels };
+}
+
+/**
+ * Load persisted history for a gateway (merged under anything recorded meanwhile).
+ */
+export async function loadHistory(cpid, deviceId) {
+  if (!cpid || !deviceId) return;
+  const key = historyKey(cpid, deviceId);
+  const store = storeFor(cpid, deviceId);
+  if (store.loaded) return;
+  store.loaded = true;
+
+  try {
+    const saved = await readCache('history', cpid, deviceId);
+    Object.entries(saved?.channels || {}).forEach(([ch, byRange]) => {
+      const rings = ringsFor(store, Number(ch));
+      Object.entries(HISTORY_RANGES).forEach(([name, r]) => {
+        (byRange?.[name] || []).forEach((b) => {
+          if (!Array.isArray(b) || b.length < 5) return;
+          const slot = b[0] % r.slots;
+          const cur = rings[name][slot];
+          if (!cur || cur[0] < b[0]) rings[name][slot] = b.slice(0, 5);
+        });
+      });
+    });
+    notify(key);
+  } catch (e) {
+    console.log('[HISTORY] load failed', e?.message || String(e));
+  }
+}
+
+async function saveHistory(key) {
+  const store = stores.get(key);
+  if (!store) return;
+  try {
+    await writeCache('history', store.cpid, store.deviceId, serialize(store));
+  } catch (e) {
+    console.log('[HISTORY] save failed', e?.message || String(e));
+  }
+}
+
+/**
+ * Write pending changes now (screen closing / app going to background).
+ */
+export async function flushHistory() {
+  const keys = [...saveTimers.keys()];
+  keys.forEach((key) => {
+    clearTimeout(saveTimers.get(key));
+    saveTimers.delete(key);
+  });
+  await Promise.all(keys.map(saveHistory));
+}
+
+export async function clearHistory(cpid, deviceId) {
+  const key = historyKey(cpid, deviceId);
+  clearTimeout(saveTimers.get(key));
+  saveTimers.delete(key);
+  stores.delete(key);
+  notify(key);
+  try {
+    await removeCache('history', cpid, deviceId);
+  } catch (e) {
+    console.log('[HISTORY] remove failed', e?.message || String(e));
+  }
+}
@@ -0,0 +1,211 @@
+// src/utils/DevicePresence.js
+// Background reachability of saved gateways: pooled subscription per device,
+// last message time and total load, shared by every screen that lists devices.
+// The same subscription checks every telemetry message for over-current (AlarmEngine), using
+// the ratings / names the gateway reported (kept in the 'ratings' / 'names' caches), so alarms
+// are raised whichever screen is open. Each watched gateway also runs its schedules (ScheduleRunner).
+
+import { evaluateChannel } from './AlarmEngine';
+import { EBQ_EVENT, decode } from './EbqProtocol';
+import { acquireDevice, subscribeDeviceMessages, subscribeMqttState } from './MqttManager';
+import { mergeCache, readCache } from './MqttDeviceStorage';
+import { isBusy, isReady } from './MqttStateMachine';
+import { watchSchedules } from './ScheduleRunner';
+
+// A gateway is ONLINE while it has published something within this window
+export const ONLINE_WINDOW_MS = 120000;
+const TICK_MS = 10000;
+
+const records = new Map(); // deviceId -> { lastSeen, totalLoad, connected, connecting, subscribedAt, gateway }
+const listeners = new Set();
+let ticker = null;
+let watchers = 0;
+
+function deviceIdOf(device) {
+  return String(device?.deviceId ?? device?.id ?? device?.friendlyName ?? '').trim();
+}
+
+// Sum of one CURRENT event; null when it carries no channel
+function totalLoadOf(cur) {
+  const values = [...Object.values(cur.single), ...Object.values(cur.three).flat()];
+  if (values.length === 0) return null;
+  const sum = values.reduce((acc, n) => (n > 0 ? acc + n : acc), 0);
+  return Math.round(sum * 100) / 100;
+}
+
+/**
+ * Sum of all channel currents (A) in a telemetry message, or null if it carries none.
+ * Three-phase channels add every phase. OFF channels report about -0.1 and count as 0.
+ */
+export function totalLoadFromText(text) {
+  const cur = decode(String(text ?? '')).find(e => e.type === EBQ_EVENT.CURRENT);
+  return cur ? totalLoadOf(cur) : null;
+}
+
+function presenceOf(rec, now) {
+  const fresh = !!rec.lastSeen && now - rec.lastSeen <= ONLINE_WINDOW_MS;
+  const online = rec.connected && fresh;
+  // Subscribed but the gateway has not spoken yet: still waiting, not OFFLINE
+  const waiting =
+    rec.connected && !fresh && !!rec.subscribedAt && now - rec.subscribedAt <= ONLINE_WINDOW_MS;
+  return {
+    online,
+    connecting: !online && (rec.connecting || waiting),
+    lastSeen: rec.lastSeen,
+    totalLoad: rec.totalLoad,
+  };
+}
+
+/**
+ * Snapshot: { [deviceId]: { online, connecting, lastSeen, totalLoad } }
+ */
+export function getPresence() {
+  const now = Date.now();
+  const out = {};
+  records.forEach((rec, id) => { out[id] = presenceOf(rec, now); });
+  return out;
+}
+
+function notify() {
+  const snap = getPresence();
+  listeners.forEach(fn => fn(snap));
+}
+
+export function subscribePresence(fn) {
+  listeners.add(fn);
+  fn(getPresence());
+  return () => listeners.delete(fn);
+}
+
+function recordFor(id) {
+  if (!records.has(id)) {
+    records.set(id, {
+      lastSeen: null,
+      totalLoad: null,
+      connected: false,
+      connecting: false,
+      subscribedAt: null,
+      gateway: null,
+    });
+  }
+  return records.get(id);
+}
+
+// ===== Over-current check =====
+
+// Ratings (A) and names per channel of one gateway, loaded once from the caches
+function gatewayFor(rec, cpid, deviceId) {
+  if (rec.gateway?.cpid === cpid) return rec.gateway;
+  const gateway = { cpid, deviceId, ratings: {}, names: {} };
+  rec.gateway = gateway;
+  const channelMap = obj => Object.fromEntries(
+    Object.entries(obj || {}).map(([k, v]) => [Number(String(k).replace(/^C/i, '')), v]),
+  );
+  Promise.all([readCache('ratings', cpid, deviceId), readCache('names', cpid, deviceId)])
+    .then(([ratings, names]) => {
+      Object.entries(channelMap(ratings)).forEach(([ch, v]) => {
+        if (gateway.ratings[ch] == null) gateway.ratings[ch] = Number(Array.isArray(v) ? v[0] : v);
+      });
+      Object.entries(channelMap(names)).forEach(([ch, v]) => {
+        if (gateway.names[ch] == null) gateway.names[ch] = String(v);
+      });
+    })
+    .catch(e => console.log('[PRESENCE] gateway cache read failed', deviceId, e?.message || String(e)));
+  return gateway;
+}
+
+function checkAlarms(gateway, events) {
+  events.forEach((ev) => {
+    if (ev.type === EBQ_EVENT.RATINGS || ev.type === EBQ_EVENT.SET_RATING) {
+      const partial = {};
+      Object.entries(ev.ratings).forEach(([ch, value]) => {
+        gateway.ratings[ch] = Number(value[0]);
+        partial[`C${ch}`] = value;
+      });
+      mergeCache('ratings', gateway.cpid, gateway.deviceId, partial)
+        .catch(e => console.log('[PRESENCE] ratings save failed', e?.message || String(e)));
+    } else if (ev.type === EBQ_EVENT.NAMES || ev.type === EBQ_EVENT.SET_NAME) {
+      Object.entries(ev.names).forEach(([ch, name]) => { gateway.names[ch] = name; });
+    } else if (ev.type === EBQ_EVENT.CURRENT) {
+      const check = (ch, currents) => evaluateChannel({
+        cpid: gateway.cpid,
+        deviceId: gateway.deviceId,
+        channel: Number(ch),
+        name: gateway.names[ch],
+        currents,
+        rating: gateway.ratings[ch],
+      });
+      Object.entries(ev.single).forEach(([ch, amps]) => check(ch, amps));
+      Object.entries(ev.three).forEach(([ch, triple]) => check(ch, triple));
+    }
+  });
+}
+
+/**
+ * Watch every device in `list` over the shared MqttManager pool.
+ * Returns stop(); records (last seen / load) survive so they can be shown while offline.
+ */
+export function watchDevices(list) {
+  const stops = [];
+  const ids = new Set();
+
+  (Array.isArray(list) ? list : []).forEach((device) => {
+    const id = deviceIdOf(device);
+    if (!id || !device?.host || ids.has(id)) return;
+    ids.add(id);
+
+    const rec = recordFor(id);
+
+    stops.push(subscribeMqttState(id, (s) => {
+      const ready = isReady(s.phase);
+      if (ready && !rec.connected) rec.subscribedAt = Date.now();
+      rec.connected = ready;
+      rec.connecting = isBusy(s.phase);
+      notify();
+    }));
+
+    const gateway = gatewayFor(rec, String(device.cpId || ''), id);
+    stops.push(subscribeDeviceMessages(id, ({ text }) => {
+      rec.lastSeen = Date.now();
+      const events = decode(String(text ?? ''));
+      const cur = events.find(e => e.type === EBQ_EVENT.CURRENT);
+      const load = cur ? totalLoadOf(cur) : null;
+      if (load != null) rec.totalLoad = load;
+      checkAlarms(gateway, events);
+      notify();
+    }));
+
+    try {
+      stops.push(acquireDevice(device));
+      stops.push(watchSchedules(device));
+    } catch (e) {
+      console.log('[PRESENCE] skip', id, e?.message || String(e));
+    }
+  });
+
+  // Re-evaluate the ONLINE window even when nothing arrives
+  if (!ticker) ticker = setInterval(notify, TICK_MS);
+  let active = true;
+  watchers += 1;
+
+  return () => {
+    if (!active) return;
+    active = false;
+    stops.forEach(stop => stop());
+    ids.forEach((id) => {
+      const rec = records.get(id);
+      if (rec) {
+        rec.connected = false;
+        rec.connecting = false;
+        rec.subscribedAt = null;
+      }
+    });
+    watchers -= 1;
+    if (!watchers && ticker) {
+      clearInterval(ticker);
+      ticker = null;
+    }
+    notify();
+  };
+}
+
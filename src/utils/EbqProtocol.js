@@ -0,0 +1,410 @@
+// src/utils/EbqProtocol.js
+// EBQ gateway JSON protocol: command builders (cmdType 1 / 4 / 5) and a decoder
+// that turns any gateway message into typed events. No React, no MQTT.
+
+export const EBQ_SDK = { e: 'DengKai', v: '1.0' };
+
+export const CMD_TYPE = {
+  SWITCH: '1', // ON / OFF
+  RATING: '4', // Rating, fast interval, Set Rating
+  NAME: '5', // Name1 / Name2, Set Name
+};
+
+export const EBQ_EVENT = {
+  CURRENT: 'current',
+  NAMES: 'names',
+  RATINGS: 'ratings',
+  SWITCH: 'switch',
+  SET_NAME: 'setName',
+  SET_RATING: 'setRating',
+  ACK: 'ack',
+};
+
+// Channel ranges: 1..120 single-phase, 201..224 three-phase
+export const isSinglePhase = (id) => id >= 1 && id <= 120;
+export const isThreePhase = (id) => id >= 201 && id <= 224;
+
+// Name1 answers C1..C80, Name2 the rest
+export const nameBankFor = (channel) => (channel >= 1 && channel <= 80 ? 'Name1' : 'Name2');
+
+// ===== Topics =====
+// Gateways publish on devices/<cpid>/<deviceId>/messages/events/... and listen on the same base.
+
+// cpId of gateways provisioned before it was configurable
+export const DEFAULT_CPID = '51c5c752';
+
+const CPID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Error text for a cpId, '' when valid (letters, digits, "-" and "_"; no MQTT wildcards or "/").
+ */
+export function validateCpId(cpId) {
+  const s = String(cpId ?? '').trim();
+  if (!s) return 'cpId is required';
+  if (!CPID_RE.test(s)) return 'cpId may only contain letters, digits, "-" and "_"';
+  return '';
+}
+
+export function eventsBaseTopic(cpId, deviceId) {
+  const cpid = String(cpId ?? '').trim();
+  const id = String(deviceId ?? '').trim();
+  if (validateCpId(cpid) || !id) return '';
+  return `devices/${cpid}/${id}/messages/events`;
+}
+
+export function eventsSubscribeTopic(cpId, deviceId) {
+  const base = eventsBaseTopic(cpId, deviceId);
+  return base ? `${base}/#` : '';
+}
+
+// Every gateway of one cpId (discovery)
+export function eventsWildcardTopic(cpId) {
+  const cpid = String(cpId ?? '').trim();
+  return validateCpId(cpid) ? '' : `devices/${cpid}/+/messages/events/#`;
+}
+
+/**
+ * devices/<cpid>/<deviceId>/messages/events/... => { cpid, deviceId } ('' when not an events topic)
+ */
+export function parseEventsTopic(topic) {
+  const parts = String(topic || '').trim().replace(/\/#$/, '').split('/').filter(Boolean);
+  const i = parts.indexOf('devices');
+  if (i < 0 || parts.length < i + 3) return { cpid: '', deviceId: '' };
+  return { cpid: parts[i + 1], deviceId: parts[i + 2] };
+}
+
+export const randomAckId = () => Math.random().toString(16).slice(2, 10).padEnd(8, '0');
+
+/**
+ * "C17" / "17" / 17 => 17, anything else => NaN
+ */
+export function parseChannel(key) {
+  const m = String(key ?? '').match(/C(\d+)/i);
+  return m ? parseInt(m[1], 10) : parseInt(String(key), 10);
+}
+
+export function sanitizeName(input) {
+  const s = String(input ?? '').trim();
+  const cleaned = s
+    .replace(/\uFFFD/g, '')
+    .replace(/[\u0000-\u001F\u007F]/g, '')
+    .replace(/`[A-Z]/g, '')              // ✅ 去掉 `H `M 这类乱码尾巴
+    .trim();
+  if (!cleaned) return '';
+  return cleaned;
+}
+
+export function normalizeNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string') {
+    const m = v.match(/-?\d+(\.\d+)?/);
+    return m ? Number(m[0]) : NaN;
+  }
+  if (Array.isArray(v)) return Number(v[0]);
+  return Number(v);
+}
+
+/**
+ * Three-phase reading => [L1, L2, L3] or null.
+ * Accepts a number (same on every phase), [a, b, c] or { current1.. / a.. / L1.. }.
+ */
+export function parse3PhaseValue(v) {
+  if (typeof v === 'number' && Number.isFinite(v)) {
+    return [v, v, v];
+  }
+
+  if (Array.isArray(v) && v.length >= 3) {
+    const a = normalizeNumber(v[0]);
+    const b = normalizeNumber(v[1]);
+    const c = normalizeNumber(v[2]);
+    if ([a, b, c].every(Number.isFinite)) return [a, b, c];
+    return null;
+  }
+  if (v && typeof v === 'object') {
+    const a = normalizeNumber(v.current1 ?? v.a ?? v.A ?? v.L1 ?? v.l1);
+    const b = normalizeNumber(v.current2 ?? v.b ?? v.B ?? v.L2 ?? v.l2);
+    const c = normalizeNumber(v.current3 ?? v.c ?? v.C ?? v.L3 ?? v.l3);
+    if ([a, b, c].every(Number.isFinite)) return [a, b, c];
+  }
+  return null;
+}
+
+/**
+ * ON / OFF state a current reading (A) shows. OFF channels report about -0.1, ON channels 0 or
+ * their load; a reading between the two markers keeps `prevStatus`. Three-phase: OFF if any phase is.
+ */
+export function switchStateFromCurrent(current, prevStatus) {
+  if (Array.isArray(current)) {
+    const phases = current.map(c => switchStateFromCurrent(c, prevStatus));
+    return phases.includes('OFF') ? 'OFF' : 'ON';
+  }
+  const n = Number(current);
+  if (!Number.isFinite(n)) return prevStatus || 'UNKNOWN';
+
+  const dOff = Math.abs(n - (-0.1));
+  const dOn = Math.abs(n - 0);
+  const FAR = 0.2;
+
+  // Above 0.2 A there is a load, so the channel is ON
+  if (n > 0.2) return 'ON';
+
+  if (Math.min(dOff, dOn) > FAR) return prevStatus === 'UNKNOWN' ? 'ON' : (prevStatus || 'ON');
+
+  return dOff < dOn ? 'OFF' : 'ON';
+}
+
+/**
+ * True when a current reading shows a channel in the commanded state `action`.
+ * The gateway does not ack ON / OFF, so this read-back is how a switch is confirmed;
+ * an ambiguous reading never confirms.
+ */
+export function currentConfirmsSwitch(current, action) {
+  return switchStateFromCurrent(current, action === 'ON' ? 'OFF' : 'ON') === action;
+}
+
+// Current map from multiple schemas:
+// { d: { current: { C17: 0.0 } } } OR { data: { current: ... } } OR { current: ... } OR { C17: 0.0 }
+export function parseCurrentMap(objOrText) {
+  let j = objOrText;
+  if (typeof objOrText === 'string') {
+    try {
+      j = JSON.parse(objOrText);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  const map =
+    j?.d?.current ||
+    j?.data?.current ||
+    j?.current ||
+    (j &&
+      typeof j === 'object' &&
+      Object.keys(j).some((k) => /^C\d+$/i.test(k))
+      ? j
+      : null);
+
+  if (!map || typeof map !== 'object') return null;
+  return map;
+}
+
+// Name map from multiple schemas (d / data / data.command; Name, Name1 or Name2)
+export function extractNameMap(j) {
+  const map =
+    j?.d?.Name ||
+    j?.d?.Name1 ||
+    j?.d?.Name2 ||
+    j?.data?.Name ||
+    j?.data?.Name1 ||
+    j?.data?.Name2 ||
+    j?.data?.command?.Name ||
+    j?.data?.command?.Name1 ||
+    j?.data?.command?.Name2;
+
+  return map && typeof map === 'object' ? map : null;
+}
+
+function extractRatingMap(j) {
+  const map =
+    j?.d?.Rating ||
+    j?.data?.Rating ||
+    j?.d?.command?.Rating ||
+    j?.data?.command?.Rating;
+
+  return map && typeof map === 'object' ? map : null;
+}
+
+/**
+ * ackId of a message, wherever the gateway put it
+ * (top level, data / d block, or a nested ack object).
+ */
+export function findAckId(j) {
+  const id =
+    j?.ackId ??
+    j?.data?.ackId ??
+    j?.d?.ackId ??
+    j?.data?.ack?.ackId ??
+    j?.d?.ack?.ackId;
+  return id == null || id === '' ? null : String(id);
+}
+
+// ===== Encoders (plain objects; JSON.stringify before publishing) =====
+
+function command(cmdType, { cpid, deviceId, command: cmd, ack, ackId, t }) {
+  return {
+    cmdType,
+    t: t || new Date().toISOString(),
+    sdk: { ...EBQ_SDK },
+    data: {
+      cpid: String(cpid),
+      id: String(deviceId),
+      command: cmd,
+      ack,
+      ackId: String(ackId || randomAckId()),
+    },
+  };
+}
+
+/**
+ * ON / OFF one channel: command [{ ON: "C17" }]
+ */
+export function encodeSwitch({ cpid, deviceId, channel, action, ackId, useCPrefix = true, t }) {
+  const ch = useCPrefix ? `C${String(channel)}` : String(channel);
+  return command(CMD_TYPE.SWITCH, {
+    cpid,
+    deviceId,
+    command: [{ [String(action).toUpperCase() === 'OFF' ? 'OFF' : 'ON']: ch }],
+    ack: false,
+    ackId,
+    t,
+  });
+}
+
+// Ask for one name bank ("Name1" = C1..C80, "Name2" = the rest)
+export function encodeNameQuery({ cpid, deviceId, bank, ackId, t }) {
+  return command(CMD_TYPE.NAME, { cpid, deviceId, command: [bank], ack: false, ackId, t });
+}
+
+export function encodeRatingQuery({ cpid, deviceId, ackId, t }) {
+  return command(CMD_TYPE.RATING, { cpid, deviceId, command: ['Rating'], ack: false, ackId, t });
+}
+
+// Keeps the gateway publishing currents at the fast rate (~60 s)
+export function encodeFastInterval({ cpid, deviceId, ackId, t }) {
+  return command(CMD_TYPE.RATING, { cpid, deviceId, command: ['fast interval'], ack: false, ackId, t });
+}
+
+/**
+ * Set Name (cmdType sent as a number). Gateways differ on the command shape, so the screen sends both:
+ * arrayForm=false => command { "Set Name": {...} }, true => command [{ "Set Name": {...} }]
+ */
+export function encodeSetName({ cpid, deviceId, channel, name, ackId, arrayForm = false, t }) {
+  const body = { 'Set Name': { [`C${channel}`]: String(name) } };
+  return command(Number(CMD_TYPE.NAME), {
+    cpid, deviceId, command: arrayForm ? [body] : body, ack: true, ackId, t,
+  });
+}
+
+// Set Rating: [current A, sensitivity level], same two shapes as Set Name
+export function encodeSetRating({ cpid, deviceId, channel, current, sensitivity, ackId, arrayForm = false, t }) {
+  const body = { 'Set Rating': { [`C${channel}`]: [Number(current), Number(sensitivity)] } };
+  return command(Number(CMD_TYPE.RATING), {
+    cpid, deviceId, command: arrayForm ? [body] : body, ack: true, ackId, t,
+  });
+}
+
+// ===== Decoder =====
+
+function ratingsOf(map) {
+  const out = {};
+  Object.entries(map || {}).forEach(([k, v]) => {
+    const id = parseChannel(k);
+    if (!Number.isFinite(id) || !Array.isArray(v) || v.length < 2) return;
+    const cur = Number(v[0]);
+    const sens = Number(v[1]);
+    if (Number.isFinite(cur) && Number.isFinite(sens)) out[id] = [cur, sens];
+  });
+  return out;
+}
+
+function commandListOf(j) {
+  const raw = j?.data?.command || j?.d?.command;
+  if (Array.isArray(raw)) return raw;
+  return raw && typeof raw === 'object' ? [raw] : [];
+}
+
+/**
+ * Decode one gateway message (JSON text or parsed object) into events:
+ *   { type: 'current', single: { 17: 0.42 }, three: { 201: [a, b, c] } }
+ *   { type: 'names', banks: ['Name1'], names: { 17: 'Pump' } }
+ *   { type: 'ratings', ratings: { 17: [16, 2] } }
+ *   { type: 'switch', channel: 17, action: 'ON' }
+ *   { type: 'setName', names: { 17: 'Pump' } }
+ *   { type: 'setRating', ratings: { 17: [16, 2] } }
+ *   { type: 'ack', ackId }
+ * Unparseable or unrelated messages decode to [].
+ */
+export function decode(message) {
+  let j = message;
+  if (typeof message === 'string') {
+    try {
+      j = JSON.parse(message);
+    } catch (_) {
+      return [];
+    }
+  }
+  if (!j || typeof j !== 'object') return [];
+
+  const events = [];
+
+  const curMap = parseCurrentMap(j);
+  if (curMap) {
+    const single = {};
+    const three = {};
+    Object.entries(curMap).forEach(([k, v]) => {
+      const id = parseChannel(k);
+      if (isSinglePhase(id)) {
+        const n = normalizeNumber(v);
+        if (Number.isFinite(n)) single[id] = n;
+      } else if (isThreePhase(id)) {
+        const triple = parse3PhaseValue(v);
+        if (triple) three[id] = triple;
+      }
+    });
+    events.push({ type: EBQ_EVENT.CURRENT, single, three });
+  }
+
+  const nameMap = extractNameMap(j);
+  if (nameMap) {
+    const names = {};
+    Object.entries(nameMap).forEach(([k, v]) => {
+      // Name replies always use "C<n>" keys
+      const m = String(k).match(/C(\d+)/i);
+      const name = sanitizeName(v);
+      if (m && name) names[parseInt(m[1], 10)] = name;
+    });
+    const banks = ['Name1', 'Name2'].filter(b => j?.d?.[b] || j?.data?.[b] || j?.data?.command?.[b]);
+    events.push({ type: EBQ_EVENT.NAMES, banks, names });
+  }
+
+  const cmdList = commandListOf(j);
+  if (cmdList.length > 0) {
+    // ON / OFF echo is always the first entry
+    const first = cmdList[0] || {};
+    const onVal = first.ON ?? first.on;
+    const offVal = first.OFF ?? first.off;
+    const action = onVal != null ? 'ON' : offVal != null ? 'OFF' : null;
+    const channel = parseChannel(onVal ?? offVal);
+    if (action && Number.isFinite(channel)) {
+      events.push({ type: EBQ_EVENT.SWITCH, channel, action });
+    }
+
+    const setName = cmdList.find(one => one?.['Set Name'] && typeof one['Set Name'] === 'object');
+    if (setName) {
+      const names = {};
+      Object.entries(setName['Set Name']).forEach(([k, v]) => {
+        const m = String(k).match(/C(\d+)/i);
+        const name = sanitizeName(v);
+        if (m && name) names[parseInt(m[1], 10)] = name;
+      });
+      events.push({ type: EBQ_EVENT.SET_NAME, names });
+    }
+
+    const setRating = cmdList.find(one => one?.['Set Rating'] && typeof one['Set Rating'] === 'object');
+    if (setRating) {
+      events.push({ type: EBQ_EVENT.SET_RATING, ratings: ratingsOf(setRating['Set Rating']) });
+    }
+  }
+
+  const ratingMap = extractRatingMap(j);
+  if (ratingMap) {
+    events.push({ type: EBQ_EVENT.RATINGS, ratings: ratingsOf(ratingMap) });
+  }
+
+  const ackId = findAckId(j);
+  if (ackId) {
+    events.push({ type: EBQ_EVENT.ACK, ackId });
+  }
+
+  return events;
+}
@@ -0,0 +1,74 @@
+// src/utils/GatewayDiscovery.js
+// Gateway discovery: subscribe to devices/<cpid>/+/messages/events/# for a short window and
+// list every gateway id that publishes (channel count, last message time).
+
+import { EBQ_EVENT, decode, eventsWildcardTopic, parseEventsTopic, validateCpId } from './EbqProtocol';
+import { testBrokerConnection } from './MqttManager';
+import { MqttClient } from './MqttNativeClient';
+
+export const DISCOVERY_MS = 15000;
+const POLL_MS = 250;
+
+/**
+ * Collects gateways from event messages. add() returns true when the message belonged to a gateway.
+ */
+export function createGatewayCollector(cpId) {
+  const found = new Map(); // deviceId -> { deviceId, channels:Set, messages, lastSeen }
+
+  return {
+    add({ topic, text }, now = Date.now()) {
+      const { cpid, deviceId } = parseEventsTopic(topic);
+      if (!deviceId || (cpId && cpid !== cpId)) return false;
+
+      const rec = found.get(deviceId) || { deviceId, channels: new Set(), messages: 0, lastSeen: now };
+      rec.messages += 1;
+      rec.lastSeen = now;
+      decode(text).forEach((ev) => {
+        if (ev.type !== EBQ_EVENT.CURRENT) return;
+        [...Object.keys(ev.single), ...Object.keys(ev.three)].forEach(ch => rec.channels.add(Number(ch)));
+      });
+      found.set(deviceId, rec);
+      return true;
+    },
+
+    // Most recently heard first
+    list() {
+      return [...found.values()]
+        .map(r => ({ deviceId: r.deviceId, channelCount: r.channels.size, messages: r.messages, lastSeen: r.lastSeen }))
+        .sort((a, b) => b.lastSeen - a.lastSeen);
+    },
+  };
+}
+
+/**
+ * Listen on the broker for `durationMs` and return { useTls, transport, wsPath, gateways }.
+ * params: broker connection (host, port, username, password, transport, wsPath, useTls, keepAlive)
+ * onUpdate(gateways) runs on every new message; isCancelled() ends the window early.
+ */
+export async function discoverGateways(params, { cpId, durationMs = DISCOVERY_MS, onUpdate, isCancelled } = {}) {
+  const topic = eventsWildcardTopic(cpId);
+  if (!topic) throw new Error(validateCpId(cpId) || 'cpId is required');
+
+  // Same TLS / WebSocket detection as Add Device, then keep one client open for the window
+  const detected = await testBrokerConnection(params);
+  const collector = createGatewayCollector(String(cpId).trim());
+  const client = new MqttClient();
+
+  try {
+    await client.connect({
+      ...params,
+      ...detected,
+      topic,
+      onMessage: (msg) => {
+        if (collector.add(msg)) onUpdate?.(collector.list());
+      },
+    });
+    const end = Date.now() + durationMs;
+    while (Date.now() < end && !isCancelled?.()) {
+      await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    }
+  } finally {
+    await client.disconnect().catch(() => { });
+  }
+  return { ...detected, gateways: collector.list() };
+}
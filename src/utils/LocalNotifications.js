@@ -0,0 +1,56 @@
+// src/utils/LocalNotifications.js
+// System notifications raised by the app itself (no push server): the EbqNotifier native module
+// (Android notification channel / iOS UNUserNotificationCenter). Without it (Jest, web) they are only logged.
+
+import { NativeModules, PermissionsAndroid, Platform } from 'react-native';
+
+export const ALARM_CHANNEL = { channelId: 'ebq_alarms', channelName: 'Over-current alarms' };
+
+const notifier = () => NativeModules.EbqNotifier || null;
+
+let permission = null;
+
+/**
+ * Ask once per app run for permission to show notifications (Android 13+ runtime permission,
+ * iOS authorization). Resolves true when notifications can be shown.
+ */
+export function requestNotificationPermission() {
+  if (!permission) {
+    permission = (async () => {
+      const native = notifier();
+      if (!native) return false;
+      if (Platform.OS === 'android' && Number(Platform.Version) >= 33) {
+        const result = await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS);
+        if (result !== PermissionsAndroid.RESULTS.GRANTED) return false;
+      }
+      return !!(await native.requestPermission());
+    })().catch((e) => {
+      console.log('[NOTIFY] permission failed', e?.message || String(e));
+      permission = null;
+      return false;
+    });
+  }
+  return permission;
+}
+
+/**
+ * Show one notification. `id` replaces an earlier one with the same id; `threadId` groups them
+ * (e.g. one group per gateway). Resolves true when it was shown.
+ */
+export async function showLocalNotification({ id, title, body, threadId, channel = ALARM_CHANNEL }) {
+  const native = notifier();
+  if (!native) {
+    console.log('[NOTIFY]', title, body);
+    return false;
+  }
+  try {
+    if (!(await requestNotificationPermission())) return false;
+    return !!(await native.notify(String(id), String(title || ''), String(body || ''), {
+      ...channel,
+      ...(threadId ? { threadId: String(threadId) } : null),
+    }));
+  } catch (e) {
+    console.log('[NOTIFY] failed', e?.message || String(e));
+    return false;
+  }
+}
@@ -1,27 +1,405 @@
+// src/utils/MqttDeviceStorage.js
+// Storage repository: saved devices, per-gateway caches and app settings behind one API,
+// with a schema version and migrations that upgrade older data on first load.
+//
+// Layout (schema v5):
+//   EBQ_SCHEMA_VERSION                      number
+//   EBQ_DEVICES                             { schemaVersion, devices: [device] }
+//   EBQ_DEVICES_REJECTED                    [{ record, errors, at }] entries that failed validation
+//                                           (credentials removed, dropped after 30 days)
+//   EBQ_CACHE::<kind>::<cpid>::<deviceId>   per-gateway caches ('names', 'ratings', 'scenes',
+//                                           'schedules', 'history', 'alarms')
+//   EBQ_SETTINGS                            { [section]: { ... } }
+//   EBQ_INSTALL_ID                          random id of this installation (never in backups)
+
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  clearCredentials,
+  deleteCredential,
+  getCredential,
+  initVault,
+  isVaultLocked,
+  putCredential,
+} from './CredentialVault';
+import { DEFAULT_CPID, parseEventsTopic, validateCpId } from './EbqProtocol';
+import { normalizeTlsSettings } from './TlsSettings';
+import { randomBytes } from './VaultCrypto';
+
+export const SCHEMA_VERSION = 5;
+
+const VERSION_KEY = 'EBQ_SCHEMA_VERSION';
+const DEVICES_KEY = 'EBQ_DEVICES';
+const REJECTED_KEY = 'EBQ_DEVICES_REJECTED';
+const SETTINGS_KEY = 'EBQ_SETTINGS';
+const INSTALL_ID_KEY = 'EBQ_INSTALL_ID';
+const MAX_REJECTED = 50;
+const REJECTED_MAX_AGE_MS = 30 * 24 * 3600 * 1000;
+
+// Keys of older schema versions (read by migrations only)
+const LEGACY_DEVICES_KEY = 'MQTT_DEVICES_V1';
+const LEGACY_NAME_CACHE_PREFIX = 'EBQ_NAME_CACHE::';
+const LEGACY_ALARM_SETTINGS_KEY = 'EBQ_ALARM_SETTINGS_V1';
+const LEGACY_ALARMS_KEY = 'EBQ_ALARMS_V1';
+// Per-gateway keys written by feature modules before v5: prefix -> cache kind
+const LEGACY_GATEWAY_PREFIXES = {
+  'EBQ_SCENES::': 'scenes',
+  'EBQ_SCHEDULES::': 'schedules',
+  'EBQ_CURRENT_HISTORY::': 'history',
+};
+// Compiled server presets of older versions; the built-in broker profiles use the same ids
+const LEGACY_PRESET_PROFILES = ['myebq', 'webiot'];
+
+export const TRANSPORTS = ['auto', 'tcp', 'ws'];
 
-// ✅ Storage key for MQTT devices list
-const KEY = 'MQTT_DEVICES_V1';
+// ===== Validation =====
 
 /**
- * Load MQTT device list from AsyncStorage
+ * Normalize one device record to the current schema. Unknown fields are kept.
+ * Returns { device, errors } — errors is empty when the record is usable.
  */
-export async function loadMqttDevices() {
-  const raw = await AsyncStorage.getItem(KEY);
-  if (!raw) return [];
+export function normalizeDevice(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { device: null, errors: ['not an object'] };
+  }
+  const { name, lastStatus, caCert: rawCaCert, pinSha256: rawPins, ...rest } = raw;
+  const now = Date.now();
+  // TLS security of the broker profile (TlsSettings.js), kept only when set
+  const { caCert, pinSha256 } = normalizeTlsSettings(raw);
+  const device = {
+    ...rest,
+    deviceId: String(raw.deviceId ?? '').trim(),
+    friendlyName: String(raw.friendlyName || name || raw.deviceId || '').trim(),
+    host: String(raw.host ?? '').trim(),
+    port: Number(raw.port),
+    transport: TRANSPORTS.includes(raw.transport) ? raw.transport : 'auto',
+    wsPath: String(raw.wsPath || '/mqtt'),
+    useTls: raw.useTls === true || raw.useTls === 'true',
+    topic: String(raw.topic ?? ''),
+    topicBase: String(raw.topicBase ?? ''),
+    // Records saved before cpId was configurable: take it from the topic, else the old fixed id
+    cpId: String(raw.cpId || parseEventsTopic(raw.topic).cpid || DEFAULT_CPID).trim(),
+    profileId: String(raw.profileId ?? ''),
+    ...(caCert ? { caCert } : null),
+    ...(pinSha256.length ? { pinSha256 } : null),
+    createdAt: Number(raw.createdAt) || now,
+    updatedAt: Number(raw.updatedAt) || now,
+  };
+  return { device, errors: validateDevice(device) };
+}
+
+/**
+ * Schema errors of a (normalized) device record; [] when valid.
+ */
+export function validateDevice(device) {
+  const errors = [];
+  if (!device?.deviceId) errors.push('deviceId is required');
+  if (!device?.host) errors.push('host is required');
+  const port = Number(device?.port);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) errors.push(`port ${device?.port} is invalid`);
+  if (device?.transport && !TRANSPORTS.includes(device.transport)) errors.push(`transport ${device.transport} is invalid`);
+  const cpIdError = validateCpId(device?.cpId);
+  if (cpIdError) errors.push(cpIdError);
+  return errors;
+}
+
+// Rejected records are kept for support only: never with the broker login or client certificate
+const SECRET_FIELDS = ['username', 'password', 'clientCert', 'clientCertPassword'];
+const SECRET_JSON_RE = new RegExp(`"(${SECRET_FIELDS.join('|')})"\\s*:\\s*"(?:[^"\\\\]|\\\\.)*"?`, 'g');
+
+function redactRecord(record) {
+  if (typeof record === 'string') return record.replace(SECRET_JSON_RE, '"$1":"<removed>"');
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return record;
+  const out = { ...record };
+  SECRET_FIELDS.forEach((f) => {
+    if (out[f] != null) out[f] = '<removed>';
+  });
+  return out;
+}
+
+const freshRejected = (list, now = Date.now()) =>
+  (Array.isArray(list) ? list : []).filter(i => now - (Number(i?.at) || 0) < REJECTED_MAX_AGE_MS);
+
+async function quarantine(items) {
+  if (!items.length) return;
   try {
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
+    const raw = await AsyncStorage.getItem(REJECTED_KEY);
+    const old = raw ? JSON.parse(raw) : [];
+    const next = [...items.map(i => ({ ...i, at: Date.now() })), ...freshRejected(old)]
+      .map(i => ({ ...i, record: redactRecord(i.record) }));
+    await AsyncStorage.setItem(REJECTED_KEY, JSON.stringify(next.slice(0, MAX_REJECTED)));
+  } catch (e) {
+    console.log('[STORAGE] quarantine failed', e?.message || String(e));
+  }
+  items.forEach(i => console.log('[STORAGE] rejected device record', i.errors.join('; ')));
+}
+
+/**
+ * Keep valid, unique records; quarantine the rest.
+ */
+async function validateList(records) {
+  const valid = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const record of records) {
+    const { device, errors } = normalizeDevice(record);
+    if (!errors.length && seen.has(device.deviceId)) errors.push(`duplicate deviceId ${device.deviceId}`);
+    if (errors.length) {
+      rejected.push({ record, errors });
+    } else {
+      seen.add(device.deviceId);
+      valid.push(device);
+    }
+  }
+  await quarantine(rejected);
+  return { valid, rejected };
+}
+
+export async function loadRejectedDevices() {
+  try {
+    const raw = await AsyncStorage.getItem(REJECTED_KEY);
+    return freshRejected(raw ? JSON.parse(raw) : []);
   } catch {
     return [];
   }
 }
 
+// ===== Migrations =====
+
+const writeDevices = devices =>
+  AsyncStorage.setItem(DEVICES_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, devices }));
+
+const MIGRATIONS = [
+  {
+    // v1 -> v2: plain array under MQTT_DEVICES_V1 -> versioned envelope with normalized records
+    version: 2,
+    async up() {
+      const raw = await AsyncStorage.getItem(LEGACY_DEVICES_KEY);
+      if (raw == null) return;
+      let list = [];
+      try {
+        list = JSON.parse(raw);
+      } catch {
+        await quarantine([{ record: raw, errors: ['device list is not valid JSON'] }]);
+      }
+      const { valid } = await validateList(Array.isArray(list) ? list : []);
+      await writeDevices(valid);
+      await AsyncStorage.removeItem(LEGACY_DEVICES_KEY);
+    },
+  },
+  {
+    // v2 -> v3: name caches and alarm settings move under the repository keys
+    version: 3,
+    async up() {
+      const keys = await AsyncStorage.getAllKeys();
+      for (const key of keys.filter(k => k.startsWith(LEGACY_NAME_CACHE_PREFIX))) {
+        const [cpid = '', deviceId = ''] = key.slice(LEGACY_NAME_CACHE_PREFIX.length).split('::');
+        const raw = await AsyncStorage.getItem(key);
+        if (raw) await AsyncStorage.setItem(cacheKey('names', cpid, deviceId), raw);
+        await AsyncStorage.removeItem(key);
+      }
+
+      const alarm = await AsyncStorage.getItem(LEGACY_ALARM_SETTINGS_KEY);
+      if (alarm) {
+        try {
+          await writeSettingsSection('alarm', JSON.parse(alarm));
+        } catch (e) {
+          console.log('[STORAGE] alarm settings not migrated', e?.message || String(e));
+        }
+        await AsyncStorage.removeItem(LEGACY_ALARM_SETTINGS_KEY);
+      }
+    },
+  },
+  {
+    // v3 -> v4: devices link to a broker profile (profileId) instead of a compiled preset (presetKey)
+    version: 4,
+    async up() {
+      let envelope = null;
+      try {
+        envelope = JSON.parse((await AsyncStorage.getItem(DEVICES_KEY)) || 'null');
+      } catch {
+        return; // left for readStored() to quarantine
+      }
+      if (!Array.isArray(envelope?.devices)) return;
+      const devices = envelope.devices.map((d) => {
+        if (!d || typeof d !== 'object') return d;
+        const { presetKey, ...rest } = d;
+        return { ...rest, profileId: rest.profileId || (LEGACY_PRESET_PROFILES.includes(presetKey) ? presetKey : '') };
+      });
+      await writeDevices(devices);
+    },
+  },
+  {
+    // v4 -> v5: scenes, schedules, current history and the alarm list move under the cache keys
+    version: 5,
+    async up() {
+      const keys = await AsyncStorage.getAllKeys();
+      for (const [prefix, kind] of Object.entries(LEGACY_GATEWAY_PREFIXES)) {
+        for (const key of keys.filter(k => k.startsWith(prefix))) {
+          const [cpid = '', deviceId = ''] = key.slice(prefix.length).split('::');
+          const raw = await AsyncStorage.getItem(key);
+          if (raw) await AsyncStorage.setItem(cacheKey(kind, cpid, deviceId), raw);
+          await AsyncStorage.removeItem(key);
+        }
+      }
+
+      const rawAlarms = await AsyncStorage.getItem(LEGACY_ALARMS_KEY);
+      if (rawAlarms) {
+        try {
+          const byGateway = new Map();
+          (JSON.parse(rawAlarms) || []).forEach((a) => {
+            const k = cacheKey('alarms', a?.cpid, a?.deviceId);
+            byGateway.set(k, [...(byGateway.get(k) || []), a]);
+          });
+          for (const [k, list] of byGateway) {
+            await AsyncStorage.setItem(k, JSON.stringify(list));
+          }
+        } catch (e) {
+          console.log('[STORAGE] alarm list not migrated', e?.message || String(e));
+        }
+        await AsyncStorage.removeItem(LEGACY_ALARMS_KEY);
+      }
+    },
+  },
+];
+
+let migrationPromise = null;
+
+async function doMigrate() {
+  const raw = await AsyncStorage.getItem(VERSION_KEY);
+  const from = raw ? Number(raw) : 1;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Saved data uses schema v${from}; this app version supports up to v${SCHEMA_VERSION}`);
+  }
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    await m.up();
+    await AsyncStorage.setItem(VERSION_KEY, String(m.version));
+    console.log('[STORAGE] migrated to schema v' + m.version);
+  }
+  return SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade stored data to SCHEMA_VERSION (once per app run). Every repository call awaits it.
+ */
+export function runMigrations() {
+  if (!migrationPromise) {
+    migrationPromise = doMigrate().catch((e) => {
+      migrationPromise = null;
+      throw e;
+    });
+  }
+  return migrationPromise;
+}
+
+// ===== Devices =====
+
+// Stored records never contain username / password (or a TLS client certificate): those live
+// in the CredentialVault and the record keeps `credentialId`. Loaded records get them filled back in memory.
+const hasSecrets = d => d?.username != null || d?.password != null || !!d?.clientCert;
+
+async function readStored() {
+  const raw = await AsyncStorage.getItem(DEVICES_KEY);
+  if (!raw) return [];
+
+  let envelope;
+  try {
+    envelope = JSON.parse(raw);
+  } catch {
+    // Keep the broken data for support, start over, and tell the caller once
+    await quarantine([{ record: raw, errors: ['device list is not valid JSON'] }]);
+    await writeDevices([]);
+    throw new Error('Saved device list was corrupted and has been reset');
+  }
+  if (Number(envelope?.schemaVersion) > SCHEMA_VERSION) {
+    throw new Error('Saved devices were written by a newer app version');
+  }
+
+  const records = Array.isArray(envelope?.devices) ? envelope.devices : [];
+  const { valid, rejected } = await validateList(records);
+  if (rejected.length) await writeDevices(valid);
+  return valid;
+}
+
 /**
- * Save MQTT device list to AsyncStorage
+ * Move username / password / client certificate of one record into the vault; returns the record to store.
+ */
+async function splitCredentials(device) {
+  if (!hasSecrets(device)) return device;
+  const { username, password, clientCert, clientCertPassword, credentialsLocked, ...rest } = device;
+  const credentialId = await putCredential({
+    id: device.credentialId,
+    username: String(username || '').trim(),
+    password: String(password || ''),
+    clientCert,
+    clientCertPassword,
+  });
+  return { ...rest, credentialId };
+}
+
+async function withCredentials(device) {
+  const { credentialsLocked, ...rest } = device;
+  if (!rest.credentialId) return rest;
+  if (isVaultLocked()) return { ...rest, username: '', password: '', credentialsLocked: true };
+  try {
+    const { username, password, ...cert } = (await getCredential(rest.credentialId)) || {};
+    return { ...rest, username: username || '', password: password || '', ...cert };
+  } catch (e) {
+    console.log('[VAULT] read failed', rest.deviceId, e?.message || String(e));
+    return { ...rest, username: '', password: '', credentialsLocked: true };
+  }
+}
+
+/**
+ * One-time migration: records saved before the vault still hold a plaintext password.
+ * Runs on every load until it succeeds (e.g. after the vault is unlocked).
+ */
+async function migratePlaintext(list) {
+  if (!list.some(hasSecrets) || isVaultLocked()) return list;
+  const next = [];
+  for (const d of list) {
+    next.push(await splitCredentials(d));
+  }
+  await writeDevices(next);
+  console.log('[VAULT] moved plaintext credentials of', list.filter(hasSecrets).length, 'device(s)');
+  return next;
+}
+
+/**
+ * Load the saved device list (credentials resolved from the vault)
+ * - `credentialsLocked: true` marks records whose credentials need the vault PIN
+ * - malformed records are moved to EBQ_DEVICES_REJECTED; a corrupted list throws once
+ */
+export async function loadMqttDevices() {
+  await runMigrations();
+  await initVault();
+  const stored = await migratePlaintext(await readStored());
+  const out = [];
+  for (const d of stored) {
+    out.push(await withCredentials(d));
+  }
+  return out;
+}
+
+/**
+ * Save the device list (credentials go to the vault). Throws on an invalid record.
  */
 export async function saveMqttDevices(list) {
-  await AsyncStorage.setItem(KEY, JSON.stringify(list || []));
+  await runMigrations();
+  await initVault();
+  const next = [];
+  for (const d of list || []) {
+    const { device, errors } = normalizeDevice(d);
+    if (errors.length) throw new Error(`Invalid device ${d?.deviceId ?? ''}: ${errors.join(', ')}`);
+    if (device.credentialsLocked) {
+      // Credentials could not be read: keep the vault entry as it is
+      const { username, password, clientCert, clientCertPassword, credentialsLocked, ...rest } = device;
+      next.push(rest);
+    } else {
+      next.push(await splitCredentials(device));
+    }
+  }
+  await writeDevices(next);
 }
 
 /**
@@ -31,19 +409,200 @@ export async function saveMqttDevices(list) {
  */
 export async function addMqttDevice(device) {
   const list = await loadMqttDevices();
-  const next = [device, ...list.filter(d => String(d.deviceId) !== String(device.deviceId))];
+  const old = list.find(d => String(d.deviceId) === String(device.deviceId));
+  const merged = old?.credentialId && !device.credentialId ? { ...device, credentialId: old.credentialId } : device;
+  const next = [merged, ...list.filter(d => String(d.deviceId) !== String(device.deviceId))];
+  await saveMqttDevices(next);
+  return next;
+}
+
+/**
+ * Update one saved device in place (edit flow). Keeps its position, credentialId and createdAt.
+ * Throws when the device is not saved.
+ */
+export async function updateMqttDevice(device) {
+  const id = String(device?.deviceId ?? '');
+  const list = await loadMqttDevices();
+  const idx = list.findIndex(d => String(d.deviceId) === id);
+  if (idx < 0) throw new Error(`Device ${id} is not saved`);
+
+  const old = list[idx];
+  const next = [...list];
+  next[idx] = {
+    ...device,
+    credentialId: device.credentialId || old.credentialId,
+    createdAt: old.createdAt,
+    updatedAt: Date.now(),
+  };
   await saveMqttDevices(next);
+  const cpId = String(device.cpId ?? '').trim();
+  if (cpId && cpId !== old.cpId) await moveGatewayCaches(old.cpId, cpId, id);
   return next;
 }
 
 export async function clearMqttDevices() {
-  await AsyncStorage.removeItem('MQTT_DEVICES_V1');
+  await runMigrations();
+  await writeDevices([]);
+  await clearCredentials();
   return [];
 }
 
 export async function removeMqttDevice(deviceId) {
   const list = await loadMqttDevices();
+  const removed = list.filter(d => String(d.deviceId) === String(deviceId));
   const next = list.filter(d => String(d.deviceId) !== String(deviceId));
   await saveMqttDevices(next);
+  for (const d of removed) {
+    await deleteCredential(d.credentialId);
+  }
+  return next;
+}
+
+// ===== Per-gateway caches =====
+
+const CACHE_PREFIX = 'EBQ_CACHE::';
+
+export const cacheKey = (kind, cpid, deviceId) =>
+  `${CACHE_PREFIX}${kind}::${String(cpid || '')}::${String(deviceId || '')}`;
+
+export async function readCache(kind, cpid, deviceId) {
+  await runMigrations();
+  try {
+    const raw = await AsyncStorage.getItem(cacheKey(kind, cpid, deviceId));
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.log('[STORAGE] cache read failed', kind, e?.message || String(e));
+    return null;
+  }
+}
+
+/**
+ * Shallow-merge `partial` into a cache object; returns the merged object.
+ */
+export async function mergeCache(kind, cpid, deviceId, partial) {
+  const next = { ...((await readCache(kind, cpid, deviceId)) || {}), ...(partial || {}) };
+  await AsyncStorage.setItem(cacheKey(kind, cpid, deviceId), JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Replace a cache value (any JSON value; null removes it).
+ */
+export async function writeCache(kind, cpid, deviceId, value) {
+  await runMigrations();
+  if (value == null) {
+    await AsyncStorage.removeItem(cacheKey(kind, cpid, deviceId));
+  } else {
+    await AsyncStorage.setItem(cacheKey(kind, cpid, deviceId), JSON.stringify(value));
+  }
+  return value;
+}
+
+export async function removeCache(kind, cpid, deviceId) {
+  await runMigrations();
+  await AsyncStorage.removeItem(cacheKey(kind, cpid, deviceId));
+}
+
+// Caches that belong to the gateway itself and follow it when its cpId changes
+// (alarms keep the cpId they were raised under)
+const GATEWAY_CACHE_KINDS = ['names', 'ratings', 'scenes', 'schedules', 'history'];
+
+/**
+ * Move the gateway caches of deviceId from one cpId to another (cpId edited).
+ * Data already stored under the new cpId is replaced.
+ */
+export async function moveGatewayCaches(fromCpid, toCpid, deviceId) {
+  await runMigrations();
+  for (const kind of GATEWAY_CACHE_KINDS) {
+    const from = cacheKey(kind, fromCpid, deviceId);
+    const raw = await AsyncStorage.getItem(from);
+    if (raw == null) continue;
+    await AsyncStorage.setItem(cacheKey(kind, toCpid, deviceId), raw);
+    await AsyncStorage.removeItem(from);
+  }
+}
+
+/**
+ * Every cache of one kind: [{ cpid, deviceId, value }] (export / backup).
+ */
+export async function listCaches(kind) {
+  await runMigrations();
+  const prefix = `${CACHE_PREFIX}${kind}::`;
+  const keys = (await AsyncStorage.getAllKeys()).filter(k => k.startsWith(prefix));
+  const out = [];
+  for (const key of keys) {
+    const [cpid = '', deviceId = ''] = key.slice(prefix.length).split('::');
+    const value = await readCache(kind, cpid, deviceId);
+    if (value) out.push({ cpid, deviceId, value });
+  }
+  return out;
+}
+
+// ===== Settings =====
+
+async function readSettings() {
+  try {
+    const raw = await AsyncStorage.getItem(SETTINGS_KEY);
+    const obj = raw ? JSON.parse(raw) : {};
+    return obj && typeof obj === 'object' ? obj : {};
+  } catch (e) {
+    console.log('[STORAGE] settings read failed', e?.message || String(e));
+    return {};
+  }
+}
+
+export async function getAllSettings() {
+  await runMigrations();
+  return readSettings();
+}
+
+/**
+ * Replace all settings sections at once (import).
+ */
+export async function replaceSettings(all) {
+  await runMigrations();
+  const next = all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
   return next;
 }
+
+export async function getSettings(section) {
+  await runMigrations();
+  return { ...((await readSettings())[section] || {}) };
+}
+
+async function writeSettingsSection(section, patch) {
+  const all = await readSettings();
+  const next = { ...(all[section] || {}), ...(patch || {}) };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...all, [section]: next }));
+  return next;
+}
+
+/**
+ * Shallow-merge `patch` into one settings section; returns the new section.
+ */
+export async function updateSettings(section, patch) {
+  await runMigrations();
+  return writeSettingsSection(section, patch);
+}
+
+// ===== Installation id =====
+
+let installId = null;
+
+/**
+ * Random id of this installation, created on first use (stable MQTT client ids). It is kept
+ * outside the settings so a backup restored on another phone does not take over its sessions.
+ */
+export function getInstallId() {
+  if (!installId) {
+    installId = (async () => {
+      const saved = await AsyncStorage.getItem(INSTALL_ID_KEY).catch(() => null);
+      if (saved) return saved;
+      const id = Array.from(randomBytes(5), b => b.toString(16).padStart(2, '0')).join('');
+      await AsyncStorage.setItem(INSTALL_ID_KEY, id).catch(() => { });
+      return id;
+    })();
+  }
+  return installId;
+}
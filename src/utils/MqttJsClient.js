@@ -0,0 +1,391 @@
+// src/utils/MqttJsClient.js
+// Pure-JS MQTT 3.1.1 client. Used by MqttClient when the native module is missing
+// (Jest, web, debugging). Runs on any byte-stream socket from the socket factory.
+
+import {
+  PACKET,
+  CONNACK_MESSAGES,
+  createPacketReader,
+  decodeUtf8,
+  encodeConnect,
+  encodeDisconnect,
+  encodePingreq,
+  encodePuback,
+  encodePubcomp,
+  encodePublish,
+  encodePubrec,
+  encodePubrel,
+  encodeSubscribe,
+  encodeUnsubscribe,
+} from './MqttPacket';
+
+/**
+ * Socket factory contract:
+ *   factory(endpoint, handlers) => { write(bytes), end() }
+ *   endpoint: { host, port, useTls, transport, wsPath, tls }
+ *     tls: { caCert?, pinSha256?, clientCert?, clientCertPassword? } (TlsSettings.js), only when set
+ *   handlers: { onOpen(), onData(Uint8Array), onClose(reason), onError(err) }
+ */
+let socketFactory = null;
+
+export function setMqttSocketFactory(factory) {
+  socketFactory = typeof factory === 'function' ? factory : null;
+}
+
+export function getMqttSocketFactory() {
+  return socketFactory || defaultSocketFactory;
+}
+
+// Default: WebSocket is the only byte stream a plain RN / browser runtime offers.
+function defaultSocketFactory(endpoint, handlers) {
+  if (endpoint.transport !== 'ws') {
+    throw new Error('JS engine has no TCP socket: call setMqttSocketFactory() or use transport "ws"');
+  }
+  // The runtime WebSocket checks certificates itself: refuse rather than silently skip the profile's rules
+  if (endpoint.tls) {
+    throw new Error('JS engine cannot apply CA / pinning / client certificate: call setMqttSocketFactory()');
+  }
+  return createWebSocketSocket(endpoint, handlers);
+}
+
+export function createWebSocketSocket({ host, port, useTls, wsPath }, handlers) {
+  const WS = global.WebSocket;
+  if (typeof WS !== 'function') throw new Error('WebSocket is not available');
+
+  const path = String(wsPath || '/mqtt').startsWith('/') ? wsPath || '/mqtt' : `/${wsPath}`;
+  const url = `${useTls ? 'wss' : 'ws'}://${String(host).trim()}:${port}${path}`;
+  const ws = new WS(url, ['mqtt']);
+  ws.binaryType = 'arraybuffer';
+
+  ws.onopen = () => handlers.onOpen();
+  ws.onmessage = (e) => {
+    const d = e?.data;
+    if (d instanceof ArrayBuffer) handlers.onData(new Uint8Array(d));
+    else if (ArrayBuffer.isView(d)) handlers.onData(new Uint8Array(d.buffer, d.byteOffset, d.byteLength));
+  };
+  ws.onerror = (e) => handlers.onError(new Error(`WebSocket error: ${e?.message || 'unknown'}`));
+  ws.onclose = (e) => handlers.onClose(`WebSocket closed (code=${e?.code ?? '?'})`);
+
+  return {
+    write(bytes) {
+      ws.send(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    },
+    end() {
+      try { ws.close(); } catch (_) { }
+    },
+  };
+}
+
+// Consumer callbacks run inside packet handling: a throwing callback is logged, never taken for
+// a protocol error (which would tear the session down).
+function guardCallback(name, fn) {
+  if (typeof fn !== 'function') return () => { };
+  return (...args) => {
+    try {
+      fn(...args);
+    } catch (e) {
+      console.log(`[MQTT-JS] ${name} callback failed`, e?.message || String(e));
+    }
+  };
+}
+
+export class MqttJsClient {
+  constructor({ clientId, onStatus, onMessage, onDisconnected } = {}) {
+    this.clientId = clientId;
+    this.connected = false;
+    this._onStatus = guardCallback('onStatus', onStatus);
+    this._onMessage = guardCallback('onMessage', onMessage);
+    this._onDisconnected = guardCallback('onDisconnected', onDisconnected);
+
+    this._socket = null;
+    this._uri = '';
+    this._nextId = 1;
+    this._pending = new Map(); // packetId -> { resolve, reject, kind }
+    this._inboundQos2 = new Set();
+    this._pingTimer = null;
+    this._pingDeadline = null;
+    this._connectDeadline = null;
+    this._keepalive = 20;
+    this._closed = true;
+  }
+
+  _allocId() {
+    for (let i = 0; i < 0xffff; i++) {
+      const id = this._nextId;
+      this._nextId = id >= 0xffff ? 1 : id + 1;
+      if (!this._pending.has(id)) return id;
+    }
+    throw new Error('No free MQTT packet id');
+  }
+
+  _send(bytes) {
+    if (!this._socket) throw new Error('Client not connected');
+    this._socket.write(bytes);
+  }
+
+  _await(packetId, kind) {
+    return new Promise((resolve, reject) => {
+      this._pending.set(packetId, { resolve, reject, kind });
+    });
+  }
+
+  _schedulePing() {
+    if (this._pingTimer) clearTimeout(this._pingTimer);
+    this._pingTimer = null;
+    if (!this._keepalive || this._closed) return;
+
+    this._pingTimer = setTimeout(() => {
+      this._pingTimer = null;
+      if (!this.connected) return;
+      try {
+        this._send(encodePingreq());
+      } catch (_) {
+        return;
+      }
+      // No PINGRESP within keepalive => dead connection
+      this._pingDeadline = setTimeout(() => {
+        this._teardown('connectionLost: keepalive timeout (no PINGRESP)');
+      }, this._keepalive * 1000);
+      this._schedulePing();
+    }, this._keepalive * 1000);
+  }
+
+  _clearTimers() {
+    if (this._pingTimer) clearTimeout(this._pingTimer);
+    if (this._pingDeadline) clearTimeout(this._pingDeadline);
+    if (this._connectDeadline) clearTimeout(this._connectDeadline);
+    this._pingTimer = null;
+    this._pingDeadline = null;
+    this._connectDeadline = null;
+  }
+
+  _teardown(reason) {
+    if (this._closed) return;
+    this._closed = true;
+    const wasConnected = this.connected;
+    this.connected = false;
+    this._clearTimers();
+
+    const sock = this._socket;
+    this._socket = null;
+    try { sock?.end(); } catch (_) { }
+
+    const err = new Error(reason || 'Connection closed');
+    this._pending.forEach(p => p.reject(err));
+    this._pending.clear();
+    this._inboundQos2.clear();
+
+    if (this._connectReject) {
+      this._connectReject(err);
+      this._connectReject = null;
+      this._connectResolve = null;
+    }
+    if (wasConnected) this._onDisconnected(reason || 'Connection closed');
+    this._onStatus(`DISCONNECTED ${this._uri}`.trim());
+  }
+
+  _handlePacket(pkt) {
+    switch (pkt.type) {
+      case PACKET.CONNACK: {
+        if (!this._connectResolve) return;
+        if (this._connectDeadline) clearTimeout(this._connectDeadline);
+        this._connectDeadline = null;
+        const resolve = this._connectResolve;
+        const reject = this._connectReject;
+        this._connectResolve = null;
+        this._connectReject = null;
+        if (pkt.returnCode === 0) {
+          this.connected = true;
+          this._onStatus(`CONNECTED ${this._uri}`);
+          this._schedulePing();
+          resolve(true);
+        } else {
+          const text = CONNACK_MESSAGES[pkt.returnCode] || 'Connection refused';
+          reject(new Error(`connect failed uri=${this._uri} (reasonCode=${pkt.returnCode}): ${text}`));
+          this._teardown(`connack=${pkt.returnCode}`);
+        }
+        return;
+      }
+      case PACKET.PUBLISH: {
+        if (pkt.qos === 1) this._send(encodePuback(pkt.packetId));
+        if (pkt.qos === 2) {
+          this._send(encodePubrec(pkt.packetId));
+          if (this._inboundQos2.has(pkt.packetId)) return; // duplicate delivery
+          this._inboundQos2.add(pkt.packetId);
+        }
+        this._onMessage({ topic: pkt.topic, text: decodeUtf8(pkt.payload), payload: pkt.payload });
+        return;
+      }
+      case PACKET.PUBREL:
+        this._inboundQos2.delete(pkt.packetId);
+        this._send(encodePubcomp(pkt.packetId));
+        return;
+      case PACKET.PUBREC: {
+        // Outbound QoS2, step 2
+        this._send(encodePubrel(pkt.packetId));
+        return;
+      }
+      case PACKET.PUBACK:
+      case PACKET.PUBCOMP:
+      case PACKET.UNSUBACK: {
+        const p = this._pending.get(pkt.packetId);
+        if (!p) return;
+        this._pending.delete(pkt.packetId);
+        p.resolve(true);
+        return;
+      }
+      case PACKET.SUBACK: {
+        const p = this._pending.get(pkt.packetId);
+        if (!p) return;
+        this._pending.delete(pkt.packetId);
+        if (pkt.returnCodes.some(c => c === 0x80)) {
+          p.reject(new Error(`subscribe failed (SUBACK=0x80): ${p.topic || ''}`.trim()));
+        } else {
+          p.resolve(pkt.returnCodes);
+        }
+        return;
+      }
+      case PACKET.PINGRESP:
+        if (this._pingDeadline) clearTimeout(this._pingDeadline);
+        this._pingDeadline = null;
+        return;
+      default:
+        // Unexpected packet from broker => protocol violation
+        this._teardown(`Unrecognized packet type ${pkt.type}`);
+    }
+  }
+
+  /**
+   * Open socket, send CONNECT, resolve on CONNACK(0).
+   * Without a CONNACK within connectTimeoutMs (socket + TLS + login) the socket is closed
+   * and the promise rejects, like Paho's connectionTimeout on Android.
+   */
+  connect({
+    host,
+    port,
+    useTls = false,
+    transport = 'tcp',
+    wsPath = '/mqtt',
+    username = '',
+    password = '',
+    keepalive = 20,
+    connectTimeoutMs = 10000,
+    cleanSession = true,
+    will,
+    tls,
+  }) {
+    if (!this._closed) this._teardown('reconnecting');
+
+    const endpoint = {
+      host, port, useTls, transport, wsPath,
+      ...(tls && Object.keys(tls).length ? { tls } : null),
+    };
+    const scheme = transport === 'ws' ? (useTls ? 'wss' : 'ws') : (useTls ? 'ssl' : 'tcp');
+    this._uri = `${scheme}://${String(host).trim()}:${port}${transport === 'ws' ? wsPath : ''}`;
+    this._keepalive = Number(keepalive) || 0;
+    this._closed = false;
+    this._onStatus(`CONNECTING ${this._uri}`);
+
+    return new Promise((resolve, reject) => {
+      this._connectResolve = resolve;
+      this._connectReject = reject;
+      if (connectTimeoutMs > 0) {
+        this._connectDeadline = setTimeout(() => {
+          this._connectDeadline = null;
+          this._teardown(`connect timeout: no CONNACK within ${connectTimeoutMs / 1000} s (${this._uri})`);
+        }, connectTimeoutMs);
+      }
+
+      const reader = createPacketReader((pkt) => this._handlePacket(pkt));
+      const connectPacket = encodeConnect({
+        clientId: this.clientId,
+        username,
+        password,
+        keepalive: this._keepalive,
+        cleanSession,
+        will,
+      });
+
+      // Factories may report "open" synchronously, before this._socket is assigned
+      let opened = false;
+      const sendConnect = () => {
+        try {
+          this._send(connectPacket);
+        } catch (e) {
+          this._teardown(e?.message || String(e));
+        }
+      };
+
+      try {
+        this._socket = getMqttSocketFactory()(endpoint, {
+          onOpen: () => {
+            opened = true;
+            if (this._socket) sendConnect();
+          },
+          onData: (chunk) => {
+            try {
+              reader.push(chunk);
+            } catch (e) {
+              this._teardown(`Unrecognized packet: ${e?.message || e}`);
+            }
+          },
+          onClose: (reason) => this._teardown(`connectionLost: ${reason || 'socket closed'}`),
+          onError: (err) => this._teardown(`connectionLost: ${err?.message || err}`),
+        });
+        if (opened && !this._closed) sendConnect();
+      } catch (e) {
+        this._closed = true;
+        this._clearTimers();
+        this._connectResolve = null;
+        this._connectReject = null;
+        reject(e);
+      }
+    });
+  }
+
+  subscribe(topic, qos = 0) {
+    if (!this.connected) return Promise.reject(new Error('Client not connected'));
+    const packetId = this._allocId();
+    const p = this._await(packetId, 'sub');
+    this._pending.get(packetId).topic = topic;
+    this._send(encodeSubscribe({ packetId, subscriptions: [{ topic: String(topic), qos }] }));
+    return p.then(() => {
+      this._onStatus(`SUBSCRIBED ${topic}`);
+      return true;
+    });
+  }
+
+  unsubscribe(topic) {
+    if (!this.connected) return Promise.reject(new Error('Client not connected'));
+    const packetId = this._allocId();
+    const p = this._await(packetId, 'unsub');
+    this._send(encodeUnsubscribe({ packetId, topics: [String(topic)] }));
+    return p;
+  }
+
+  /**
+   * QoS0 resolves once written; QoS1/2 resolve on PUBACK/PUBCOMP.
+   */
+  publish(topic, payload, qos = 0, retained = false) {
+    if (!this.connected) return Promise.reject(new Error('Client not connected'));
+    const q = Math.max(0, Math.min(2, Number(qos) || 0));
+    if (q === 0) {
+      this._send(encodePublish({ topic: String(topic), payload, qos: 0, retain: !!retained }));
+      return Promise.resolve(true);
+    }
+    const packetId = this._allocId();
+    const p = this._await(packetId, 'pub');
+    this._send(encodePublish({ topic: String(topic), payload, qos: q, retain: !!retained, packetId }));
+    return p;
+  }
+
+  disconnect() {
+    if (this._closed) return Promise.resolve(true);
+    try {
+      if (this.connected) this._send(encodeDisconnect());
+    } catch (_) { }
+    this.connected = false; // graceful: do not report as connection loss
+    this._teardown('user disconnect');
+    return Promise.resolve(true);
+  }
+}
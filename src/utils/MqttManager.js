@@ -1,55 +1,150 @@
 // src/utils/MqttManager.js
-// Single active MQTT connection manager with simple state subscription.
+// MQTT connection pool: one connection per broker shared by every device on it,
+// reference counted by the screens using it, with per-device state subscription.
+// Every screen and background feature connects and publishes through here.
+
+import {
+  MqttClient,
+  buildBrokerUri,
+  normalizeKeepAlive,
+  normalizeTransport,
+  normalizeWsPath,
+  TRANSPORT,
+} from './MqttNativeClient';
+import { AppState } from 'react-native';
+import { QUEUE_STATUS, createCommandQueue } from './CommandQueue';
+import { eventsBaseTopic, eventsSubscribeTopic, validateCpId } from './EbqProtocol';
+import {
+  MQTT_EVENT,
+  MQTT_PHASE,
+  createMqttStateMachine,
+  eventOfStatus,
+  isBusy,
+  isReady,
+} from './MqttStateMachine';
+import { RETRY_PHASE, createReconnectPolicy } from './ReconnectPolicy';
+import { ONLINE_PAYLOAD, normalizeSessionSettings, sessionConnectOptions } from './SessionSettings';
+import { tlsConnectOptions, tlsKey } from './TlsSettings';
+
+const IDLE_STATE = {
+  phase: MQTT_PHASE.IDLE,   // MqttStateMachine phase; connected / connecting are derived from it
+  since: null,              // time the phase was entered
+  reason: '',               // why (error text, retry attempt, …)
+  connected: false,
+  connecting: false,
+  status: 'IDLE',           // last status line of the client, for display
+  error: '',
+  reconnect: null,  // retry schedule while the broker is down (ReconnectPolicy)
+};
+
+const listeners = new Set();          // global state listeners
+const deviceListeners = new Map();    // deviceId -> Set(fn)
+const messageListeners = new Map();   // deviceId -> Set(fn)
+
+const pool = new Map();     // brokerKey -> broker entry (one MqttClient)
+const devices = new Map();  // deviceId -> { id, key, topic, refs, subscribed, state, ready }
+const queues = new Map();   // deviceId -> CommandQueue of commands waiting for the device topic to be ready
+const closing = new Map();  // clientId -> Promise of a released connection's disconnect
 
-import { connectAndSubscribe, disconnectMqtt } from './MqttNativeClient';
+// A connect that neither succeeds nor fails (socket + TLS + CONNACK) is given up after this
+const CONNECT_TIMEOUT_MS = 15000;
 
-const listeners = new Set();
+// "Current device" (the open device screen) driven by connectDevice()/disconnectDevice()
+let primaryId = null;
+let primaryRelease = null;
 
 let state = {
   deviceId: null,
-  connected: false,
-  connecting: false,
-  status: 'IDLE',
-  error: '',
+  ...IDLE_STATE,
+  devices: {},
 };
 
-let currentDevice = null;
-let retryCount = 0;
-let reconnectTimer = null;
+function deviceIdOf(device) {
+  return String(device?.deviceId ?? device?.id ?? device?.friendlyName ?? '').trim();
+}
 
 function notify() {
+  const all = {};
+  devices.forEach((rec, id) => { all[id] = { ...rec.state }; });
+  const primary = primaryId ? devices.get(primaryId) : null;
+  state = {
+    ...(primary ? primary.state : IDLE_STATE),
+    deviceId: primaryId,
+    devices: all,
+  };
   const snap = { ...state };
   for (const fn of listeners) fn(snap);
 }
 
-function setState(patch) {
-  state = { ...state, ...patch };
+function notifyDevice(id) {
+  const set = deviceListeners.get(id);
+  if (set) {
+    const snap = getMqttState(id);
+    set.forEach(fn => fn(snap));
+  }
   notify();
 }
 
-export function subscribeMqttState(fn) {
-  listeners.add(fn);
-  fn({ ...state });
-  return () => listeners.delete(fn);
+function setDeviceState(rec, patch) {
+  rec.state = { ...rec.state, ...patch, deviceId: rec.id };
+  notifyDevice(rec.id);
 }
 
-export function getMqttState() {
-  return { ...state };
+/**
+ * subscribeMqttState(fn)           => global state (primary device + `devices` snapshot)
+ * subscribeMqttState(deviceId, fn) => state of a single pooled device
+ */
+export function subscribeMqttState(deviceIdOrFn, maybeFn) {
+  if (typeof deviceIdOrFn === 'function') {
+    const fn = deviceIdOrFn;
+    listeners.add(fn);
+    fn({ ...state });
+    return () => listeners.delete(fn);
+  }
+
+  const id = String(deviceIdOrFn ?? '').trim();
+  const fn = maybeFn;
+  if (!id || typeof fn !== 'function') return () => { };
+  if (!deviceListeners.has(id)) deviceListeners.set(id, new Set());
+  deviceListeners.get(id).add(fn);
+  fn(getMqttState(id));
+  return () => {
+    const set = deviceListeners.get(id);
+    set?.delete(fn);
+    if (set && !set.size) deviceListeners.delete(id);
+  };
 }
 
-function clearTimer() {
-  if (reconnectTimer) clearTimeout(reconnectTimer);
-  reconnectTimer = null;
+/**
+ * Recent transitions of the broker connection a device uses, oldest first:
+ * [{ at, from, to, event, reason }] ([] when the device is not pooled).
+ */
+export function getConnectionLog(deviceId) {
+  const rec = devices.get(String(deviceId ?? '').trim());
+  const entry = rec ? pool.get(rec.key) : null;
+  return entry ? entry.machine.log() : [];
 }
 
-function scheduleReconnect() {
-  if (!currentDevice) return;
-  clearTimer();
-  const delay = Math.min(30000, 1000 * Math.pow(2, retryCount)); // 1s,2s,4s... max 30s
-  reconnectTimer = setTimeout(() => {
-    retryCount += 1;
-    connectDevice(currentDevice, { silent: true }).catch(() => { });
-  }, delay);
+export function getMqttState(deviceId) {
+  if (deviceId == null) return { ...state };
+  const id = String(deviceId).trim();
+  const rec = devices.get(id);
+  return rec ? { ...rec.state } : { deviceId: id, ...IDLE_STATE };
+}
+
+/**
+ * Listen to messages of one pooled device: fn({ deviceId, topic, text })
+ */
+export function subscribeDeviceMessages(deviceId, fn) {
+  const id = String(deviceId ?? '').trim();
+  if (!id || typeof fn !== 'function') return () => { };
+  if (!messageListeners.has(id)) messageListeners.set(id, new Set());
+  messageListeners.get(id).add(fn);
+  return () => {
+    const set = messageListeners.get(id);
+    set?.delete(fn);
+    if (set && !set.size) messageListeners.delete(id);
+  };
 }
 
 // ✅ Auto detect TLS by port
@@ -57,19 +152,20 @@ function detectTlsByPort(port) {
   const p = Number(port);
   return p === 8883 || p === 8812;   // ✅ TLS ports
 }
-// ---- Topic builders based on your MQTT Explorer ----
-const DEFAULT_CPID = '51c5c752';
-
-function buildEventBaseTopic(cpId, deviceId) {
-  const cpid = String(cpId || DEFAULT_CPID).trim();
-  const id = String(deviceId || '').trim();
-  if (!cpid || !id) return '';
-  return `devices/${cpid}/${id}/messages/events`;
-}
-
-function buildSubscribeTopic(cpId, deviceId) {
-  const base = buildEventBaseTopic(cpId, deviceId);
-  return base ? `${base}/#` : '';
+// ---- Topic builders (devices/<cpid>/<deviceId>/messages/events, see EbqProtocol) ----
+const buildEventBaseTopic = eventsBaseTopic;
+const buildSubscribeTopic = eventsSubscribeTopic;
+
+// MQTT filter match with "+" and "#" wildcards
+function topicMatches(filter, topic) {
+  const f = String(filter || '').split('/');
+  const t = String(topic || '').split('/');
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === '#') return true;
+    if (i >= t.length) return false;
+    if (f[i] !== '+' && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
 }
 
 // Promise timeout helper
@@ -81,28 +177,532 @@ function withTimeout(promise, ms, label = 'Timeout') {
   return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
 }
 
+// ---- Broker pool ----
+
+// Connection parameters as stored on a device (TLS saved by AddMqttDevice, else by port)
+export function resolveConnection(device) {
+  const port = Number(device?.port) || 1883;
+  const useTls =
+    typeof device?.useTls === 'boolean'
+      ? device.useTls
+      : detectTlsByPort(port);
+  return {
+    host: String(device?.host || '').trim(),
+    port,
+    username: String(device?.username || '').trim(),
+    password: String(device?.password || ''),
+    useTls,
+    transport: normalizeTransport(device?.transport),
+    wsPath: normalizeWsPath(device?.wsPath),
+    keepAlive: normalizeKeepAlive(device?.keepAlive),
+    ...tlsConnectOptions(device),
+  };
+}
+
 /**
- * Authenticate for Add Device:
- * - CONNECT broker (host/port/username/password)
- * - SUBSCRIBE device topic (permission check)
- * - If success => auth passed
- * NOTE: Native is single-connection. This will disconnect current session.
+ * Devices with the same broker host/port/user/transport/TLS/session settings share one connection.
+ */
+export function brokerKey(device) {
+  const c = resolveConnection(device);
+  const s = normalizeSessionSettings(device);
+  return [
+    c.host.toLowerCase(),
+    c.port,
+    c.useTls ? 'tls' : 'plain',
+    c.transport,
+    c.transport === TRANSPORT.WS ? c.wsPath : '',
+    c.username,
+    c.useTls ? tlsKey(c) : '',
+    s.cleanSession ? '' : 'persist',
+    s.clientId,
+    s.willTopic,
+  ].join('|');
+}
+
+function createEntry(key, device) {
+  const conn = resolveConnection(device);
+  return {
+    key,
+    conn,
+    session: normalizeSessionSettings(device),   // clean session / client id / Last Will (SessionSettings)
+    uri: buildBrokerUri(conn),
+    client: null,
+    clientId: '',
+    deviceIds: new Set(),
+    machine: createMqttStateMachine(),
+    status: 'IDLE',
+    error: '',
+    retry: null,
+    connectPromise: null,
+  };
+}
+
+// ---- Client ids of pooled connections ----
+let clientIdSource = null;
+
+/**
+ * Where pooled connections get their client id: fn(brokerKey) => id or a Promise of it,
+ * e.g. one per installation so persistent sessions survive restarts (see App.tsx).
+ * A Client ID set on the profile wins; without either every connection gets a throw-away id.
+ */
+export function configureClientIds(fn) {
+  clientIdSource = typeof fn === 'function' ? fn : null;
+}
+
+async function entryClientId(entry) {
+  if (entry.session.clientId) return entry.session.clientId;
+  if (!clientIdSource) return '';
+  try {
+    return String((await clientIdSource(entry.key)) || '');
+  } catch (e) {
+    console.log('[MQTT] client id source failed', e?.message || String(e));
+    return '';
+  }
+}
+
+// ---- Reconnect policy (one for every pooled broker, keyed by brokerKey) ----
+let reconnectOptions = {};
+let reconnect = null;
+
+const retryReason = schedule => (schedule.phase === RETRY_PHASE.WAITING
+  ? `attempt ${schedule.attempt}/${schedule.maxAttempts}`
+  : schedule.phase);
+
+function reconnectPolicy() {
+  if (!reconnect) {
+    reconnect = createReconnectPolicy({ appState: AppState, ...reconnectOptions });
+    reconnect.subscribe((key, schedule) => {
+      const entry = pool.get(key);
+      if (!entry) return;
+      if (schedule) entry.machine.send(MQTT_EVENT.RETRY, retryReason(schedule));
+      updateEntry(entry, { retry: schedule });
+    });
+  }
+  return reconnect;
+}
+
+/**
+ * Backoff / cooldown settings (see DEFAULT_RECONNECT) and the reachability source,
+ * e.g. configureReconnect({ reachability: fn => NetInfo.addEventListener(s => fn(!!s.isConnected)) }).
+ * The app does not connect a reachability source yet (no network-change module is installed):
+ * without one, only AppState and the backoff schedule drive the retries.
+ * Brokers waiting for a retry start over with the new settings.
+ */
+export function configureReconnect(options = {}) {
+  reconnectOptions = { ...options };
+  const old = reconnect;
+  reconnect = null;
+  old?.dispose();
+  pool.forEach((entry) => {
+    if (!entry.retry) return;
+    entry.retry = null;
+    scheduleReconnect(entry);
+  });
+}
+
+function scheduleReconnect(entry) {
+  if (pool.get(entry.key) !== entry || !entry.deviceIds.size) return;
+  reconnectPolicy().retry(entry.key, () => {
+    if (pool.get(entry.key) === entry && entry.deviceIds.size) ensureConnected(entry).catch(() => { });
+  });
+}
+
+const LINK_UP = new Set([MQTT_PHASE.CONNECTED, MQTT_PHASE.SUBSCRIBING, MQTT_PHASE.READY]);
+
+// CONNACK received and not lost since
+const linkUp = entry => LINK_UP.has(entry.machine.get().phase);
+
+// A device follows its broker until the broker is up, then its own subscription decides
+function devicePhase(entry, rec) {
+  const broker = entry.machine.get();
+  if (!LINK_UP.has(broker.phase)) return broker;
+  if (rec.subscribed) return { phase: MQTT_PHASE.READY, reason: '' };
+  if (rec.error) return { phase: MQTT_PHASE.FAILED, reason: rec.error };
+  return { phase: MQTT_PHASE.SUBSCRIBING, reason: rec.topic };
+}
+
+// Push broker-level state down to every device sharing the entry
+function syncDevices(entry) {
+  entry.deviceIds.forEach((id) => {
+    const rec = devices.get(id);
+    if (!rec) return;
+    const { phase, reason } = devicePhase(entry, rec);
+    // Commands queued while down go out first, before listeners react to READY
+    if (isReady(phase) && !isReady(rec.state.phase)) queues.get(id)?.flush();
+    setDeviceState(rec, {
+      phase,
+      since: phase === rec.state.phase ? rec.state.since : Date.now(),
+      reason,
+      connected: isReady(phase),
+      connecting: isBusy(phase),
+      status: isReady(phase) ? `SUBSCRIBED ${rec.topic}` : entry.status,
+      error: rec.error || entry.error,
+      reconnect: entry.retry,
+    });
+  });
+}
+
+function updateEntry(entry, patch) {
+  Object.assign(entry, patch);
+  syncDevices(entry);
+}
+
+const firstLine = text => String(text || '').split('\n')[0];
+
+// Client status lines become state machine events (see eventOfStatus)
+function onEntryStatus(entry, s) {
+  const text = String(s || '');
+  const event = eventOfStatus(text);
+  if (!event) return;
+
+  if (event === MQTT_EVENT.LOST || event === MQTT_EVENT.ERROR) {
+    // Before CONNACK the rejected connect() reports the failure with its real reason
+    if (entry.connectPromise && !linkUp(entry)) {
+      updateEntry(entry, { status: text });
+      return;
+    }
+    entry.deviceIds.forEach((id) => {
+      const rec = devices.get(id);
+      if (rec) rec.subscribed = false;
+    });
+    entry.machine.send(event, firstLine(entry.error) || text);
+    updateEntry(entry, { status: text });
+    // A running attempt schedules the retry itself once it fails
+    if (!entry.connectPromise) scheduleReconnect(entry);
+    return;
+  }
+  entry.machine.send(event, text);
+  updateEntry(entry, { status: text });
+}
+
+function routeMessage(entry, msg) {
+  entry.deviceIds.forEach((id) => {
+    const rec = devices.get(id);
+    if (!rec || !topicMatches(rec.topic, msg?.topic)) return;
+    const set = messageListeners.get(id);
+    if (!set) return;
+    const payload = { deviceId: id, topic: msg?.topic, text: msg?.text };
+    set.forEach(fn => fn(payload));
+  });
+}
+
+async function subscribeDevice(entry, rec) {
+  const client = entry.client;
+  if (!client || !linkUp(entry) || rec.subscribed) return;
+  try {
+    // QoS 1 in a persistent session: the broker keeps what arrives while we are away
+    await client.subscribe(rec.topic, entry.session.cleanSession ? 0 : 1);
+    if (entry.client !== client || devices.get(rec.id) !== rec) return;
+    rec.subscribed = true;
+    rec.error = '';
+  } catch (e) {
+    rec.error = e?.message || String(e);
+    throw e;
+  } finally {
+    syncDevices(entry);
+  }
+}
+
+async function openEntry(entry) {
+  const old = entry.client;
+  entry.client = null;
+  entry.machine.send(MQTT_EVENT.START, entry.uri);
+  updateEntry(entry, { error: '', status: `CONNECTING ${entry.uri}` });
+  if (old) await old.disconnect().catch(() => { });
+
+  const clientId = await entryClientId(entry);
+  // The same id on a connection still closing: its late DISCONNECTED would hit this one
+  if (clientId) await closing.get(clientId);
+  if (pool.get(entry.key) !== entry) return false; // closed meanwhile
+  const client = new MqttClient({ clientId });
+  entry.client = client;
+  entry.clientId = clientId;
+  const session = sessionConnectOptions(entry.session);
+
+  try {
+    await withTimeout(
+      client.connect({
+        ...entry.conn,
+        ...session,
+        topic: '',
+        onStatus: (s) => {
+          if (entry.client === client) onEntryStatus(entry, s);
+        },
+        onError: (e) => {
+          if (entry.client === client) updateEntry(entry, { error: String(e || 'ERROR') });
+        },
+        onMessage: (msg) => {
+          if (entry.client === client) routeMessage(entry, msg);
+        },
+      }),
+      CONNECT_TIMEOUT_MS,
+      `Connect timeout: no CONNACK within ${CONNECT_TIMEOUT_MS / 1000} s`
+    );
+  } catch (err) {
+    // A timed-out client stays on the entry: the retry disconnects it before opening the next one
+    if (entry.client === client) updateEntry(entry, { status: 'DISCONNECTED', error: err?.message || String(err) });
+    throw err;
+  }
+
+  if (entry.client !== client) return false; // closed or superseded meanwhile
+  entry.machine.send(MQTT_EVENT.CONNACK, entry.uri);
+  if (session.will?.retain) {
+    // Replace the retained Last Will ("offline") for as long as we are connected
+    client.publish({ topic: session.will.topic, payload: ONLINE_PAYLOAD, qos: session.will.qos, retained: true })
+      .catch(() => { });
+  }
+  entry.machine.send(MQTT_EVENT.SUBSCRIBE, `${entry.deviceIds.size} device(s)`);
+  updateEntry(entry, { status: `CONNECTED ${entry.uri}` });
+
+  // (Re)subscribe every device multiplexed on this connection
+  const results = await Promise.allSettled(
+    [...entry.deviceIds].map(id => devices.get(id)).filter(Boolean).map(rec => subscribeDevice(entry, rec))
+  );
+  if (entry.client !== client) return false;
+  if (!linkUp(entry)) throw new Error(firstLine(entry.error) || 'Connection lost');
+
+  // The broker is ready; a device whose topic was refused is failed on its own.
+  // The backoff only starts over once the link has stayed up (ReconnectPolicy stableMs)
+  entry.machine.send(MQTT_EVENT.SUBACK);
+  reconnectPolicy().succeeded(entry.key);
+  syncDevices(entry);
+  const failed = results.find(r => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  return true;
+}
+
+// Connect once per broker; concurrent callers share the same attempt
+function ensureConnected(entry) {
+  if (entry.connectPromise) return entry.connectPromise;
+  if (linkUp(entry) && entry.client) return Promise.resolve(true);
+
+  const p = openEntry(entry)
+    .catch((err) => {
+      if (!linkUp(entry)) {
+        entry.machine.send(MQTT_EVENT.ERROR, firstLine(err?.message || String(err)));
+        syncDevices(entry);
+        scheduleReconnect(entry);
+      }
+      throw err;
+    })
+    .finally(() => {
+      if (entry.connectPromise === p) entry.connectPromise = null;
+    });
+  entry.connectPromise = p;
+  return p;
+}
+
+function closeEntry(entry) {
+  if (pool.get(entry.key) === entry) {
+    pool.delete(entry.key);
+    reconnect?.cancel(entry.key);
+  }
+  const client = entry.client;
+  const wasUp = linkUp(entry);
+  entry.client = null;
+  entry.machine.send(MQTT_EVENT.CLOSE);
+  const closed = () => entry.machine.send(MQTT_EVENT.CLOSED);
+  if (!client) {
+    closed();
+    return;
+  }
+
+  const { will } = sessionConnectOptions(entry.session);
+  const done = (async () => {
+    // A clean DISCONNECT drops the Last Will, so put the retained "offline" back ourselves
+    if (will?.retain && wasUp) {
+      const publish = client.publish({ topic: will.topic, payload: will.payload, qos: will.qos, retained: true });
+      await withTimeout(publish, 5000, 'Last Will publish timeout').catch(() => { });
+    }
+    await client.disconnect().catch(() => { });
+    closed();
+  })();
+  const id = entry.clientId;
+  if (!id) return;
+  closing.set(id, done);
+  done.then(() => {
+    if (closing.get(id) === done) closing.delete(id);
+  });
+}
+
+function detachDevice(rec) {
+  devices.delete(rec.id);
+  const entry = pool.get(rec.key);
+  if (entry) {
+    entry.deviceIds.delete(rec.id);
+    if (!entry.deviceIds.size) {
+      closeEntry(entry);
+    } else if (rec.subscribed && linkUp(entry)) {
+      entry.client?.unsubscribe(rec.topic).catch(() => { });
+    }
+  }
+  notifyDevice(rec.id);
+}
+
+function attachDevice(device) {
+  const id = deviceIdOf(device);
+  if (!id) throw new Error('deviceId is required');
+  if (!device?.host) throw new Error('Host is required');
+
+  const key = brokerKey(device);
+  // The saved cpId decides the topic; `topic` is only used by records without one
+  const topic = buildSubscribeTopic(device.cpId, id) || String(device.topic || '').trim();
+
+  let rec = devices.get(id);
+  let refs = 0;
+  if (rec && (rec.key !== key || rec.topic !== topic)) {
+    // Same device saved with new broker settings: move it, keep its references
+    refs = rec.refs;
+    detachDevice(rec);
+    rec = null;
+  }
+  if (!rec) {
+    rec = {
+      id,
+      key,
+      topic,
+      refs,
+      subscribed: false,
+      error: '',
+      state: { deviceId: id, ...IDLE_STATE },
+      ready: null,
+    };
+    devices.set(id, rec);
+  }
+
+  let entry = pool.get(key);
+  if (!entry) {
+    entry = createEntry(key, device);
+    pool.set(key, entry);
+  }
+  entry.deviceIds.add(id);
+
+  rec.ready = linkUp(entry) && entry.client
+    ? subscribeDevice(entry, rec).then(() => true)
+    : ensureConnected(entry).then(() => {
+      if (!rec.subscribed) throw new Error(rec.error || `Not subscribed: ${topic}`);
+      return true;
+    });
+  rec.ready.catch(() => { });
+  syncDevices(entry);
+  return rec;
+}
+
+function releaseDevice(id) {
+  const rec = devices.get(id);
+  if (!rec) return;
+  rec.refs -= 1;
+  if (rec.refs <= 0) detachDevice(rec);
+}
+
+/**
+ * Keep a device connected while the caller uses it (screens call this on mount).
+ * Devices on the same broker share one connection; the connection is closed
+ * when the last reference is released.
+ * Returns release(); calling it more than once is a no-op.
+ */
+export function acquireDevice(device) {
+  const rec = attachDevice(device);
+  rec.refs += 1;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    releaseDevice(rec.id);
+  };
+}
+
+// ---- Outgoing commands (one queue per device, flushed when its topic is ready again) ----
+
+// CONNACK received and the device topic subscribed
+function deviceOnline(id) {
+  const rec = devices.get(id);
+  const entry = rec ? pool.get(rec.key) : null;
+  return !!(rec?.subscribed && entry?.client && linkUp(entry));
+}
+
+function publishNow(id, { topic, payload, qos = 0, retained = false }) {
+  const rec = devices.get(id);
+  const entry = rec ? pool.get(rec.key) : null;
+  if (!entry?.client || !linkUp(entry)) {
+    return Promise.reject(new Error('No active MQTT connection'));
+  }
+  return entry.client.publish({ topic, payload, qos, retained });
+}
+
+function queueOf(id) {
+  if (!queues.has(id)) queues.set(id, createCommandQueue({ isOnline: () => deviceOnline(id) }));
+  return queues.get(id);
+}
+
+/**
+ * Send a command to a device now, or once its topic is ready again (see CommandQueue):
+ *   run(publish) sends it; publish({ topic, payload, qos, retained }) goes straight to the connection.
+ * A newer command with the same key replaces one still waiting; unsent commands expire after `ttlMs`.
+ * Resolves with the queue entry once it was sent (entry.result = what run returned) or given up.
+ */
+export function enqueueCommand(deviceId, { key = null, label = '', meta = null, ttlMs, run }) {
+  const id = String(deviceId ?? '').trim();
+  return queueOf(id).enqueue({
+    key,
+    label,
+    meta,
+    ...(ttlMs ? { ttlMs } : null),
+    run: () => run(msg => publishNow(id, msg)),
+  });
+}
+
+/**
+ * Publish on the pooled connection of a device; while it is down the message waits in the
+ * device's queue. Rejects when it expires or is replaced (same `key`) before it was sent.
+ */
+export async function publishToDevice(deviceId, msg, { key = null, label = '', meta = null, ttlMs } = {}) {
+  const entry = await enqueueCommand(deviceId, { key, label, meta, ttlMs, run: publish => publish(msg) });
+  if (entry.status !== QUEUE_STATUS.SENT) throw new Error(entry.reason || entry.status);
+  return entry.result;
+}
+
+/**
+ * Commands of a device still waiting to be sent, oldest first.
+ */
+export function queuedCommands(deviceId) {
+  return queues.get(String(deviceId ?? '').trim())?.list() ?? [];
+}
+
+/**
+ * The waiting command with `key`, or null.
+ */
+export function queuedCommand(deviceId, key) {
+  return queues.get(String(deviceId ?? '').trim())?.queuedFor(key) ?? null;
+}
+
+/**
+ * fn(entry) whenever a command of the device is queued, sent or given up.
+ */
+export function subscribeCommandQueue(deviceId, fn) {
+  return queueOf(String(deviceId ?? '').trim()).subscribe(fn);
+}
+
+/**
+ * Connect with a short-lived client (and SUBSCRIBE `topic` when given), trying the
+ * TLS / transport fallbacks. Returns the settings that worked.
  */
-export async function authenticateForAddDevice({
+async function probeBroker({
   host,
   port,
   username,
   password,
-  cpId,
-  deviceId,
+  topic,
   useTls: useTlsInput,
+  transport: transportInput,
+  wsPath,
+  keepAlive,
   timeoutMs = 8000,
+  ...tls
 }) {
   const p = Number(port) || 1883;
-
-  const subTopic = buildSubscribeTopic(cpId, deviceId);
   if (!host) throw new Error('Host is required');
-  if (!subTopic) throw new Error('cpId/deviceId is required');
 
   // 1) First attempt TLS/TCP decision:
   // - If caller provided useTlsInput, respect it.
@@ -112,29 +712,47 @@ export async function authenticateForAddDevice({
       ? useTlsInput
       : detectTlsByPort(p);
 
-  // Try once: disconnect -> connect -> subscribe (with timeout)
-  const tryOnce = async (tlsFlag) => {
-    await disconnectMqtt().catch(() => { });
-    await withTimeout(
-      connectAndSubscribe({
-        host: host.trim(),
-        port: p,
-        username: String(username || '').trim(),
-        password: String(password || ''),
-        topic: subTopic,
-        useTls: tlsFlag,
-        onStatus: () => { },
-        onMessage: () => { },
-        onError: () => { },
-      }),
-      timeoutMs,
-      'Auth timeout: check network/host/port/username/password/ACL'
-    );
+  // Transport: 'tcp' / 'ws' are explicit choices; anything else means "auto"
+  // (start with TCP, fall back to WebSocket on protocol mismatch).
+  const explicitTransport =
+    transportInput === TRANSPORT.TCP || transportInput === TRANSPORT.WS ? transportInput : null;
+  let transport = explicitTransport || TRANSPORT.TCP;
+  const path = normalizeWsPath(wsPath);
+
+  // Try once: connect -> subscribe (with timeout) -> disconnect
+  const tryOnce = async (tlsFlag, transportFlag) => {
+    const client = new MqttClient();
+    try {
+      await withTimeout(
+        client.connect({
+          host: host.trim(),
+          port: p,
+          username: String(username || '').trim(),
+          password: String(password || ''),
+          topic: topic || '',
+          useTls: tlsFlag,
+          transport: transportFlag,
+          wsPath: path,
+          keepAlive,
+          ...tlsConnectOptions(tls),
+          onStatus: () => { },
+          onMessage: () => { },
+          onError: () => { },
+        }),
+        timeoutMs,
+        'Auth timeout: check network/host/port/username/password/ACL'
+      );
+    } finally {
+      // Auth-test only: disconnect after success/failure
+      await client.disconnect().catch(() => { });
+    }
   };
 
   // Errors that usually mean "protocol mismatch" (TLS vs TCP wrong)
   const shouldFlipTls = (err) => {
     const raw = String(err?.raw || err?.message || '').toUpperCase();
+    // The broker does speak TLS, its certificate did not pass the CA / pin check
+    if (raw.includes('CERTIFICATE REJECTED')) return false;
     return (
       raw.includes('UNRECOGNIZED PACKET') ||  // TLS port used as TCP
       raw.includes('SSLHANDSHAKE') ||         // TCP port used as TLS
@@ -146,131 +764,91 @@ export async function authenticateForAddDevice({
 
   try {
     // 2) First attempt
-    await tryOnce(useTls);
+    await tryOnce(useTls, transport);
   } catch (e1) {
     // For port 1883, do NOT auto-flip by default (avoid false positives)
     if (p === 1883) throw e1;
+    if (!shouldFlipTls(e1)) throw e1;
 
-    // 3) Second attempt: flip TLS once if likely mismatch
-    if (shouldFlipTls(e1)) {
+    try {
+      // 3) Second attempt: flip TLS once if likely mismatch
       const flipped = !useTls;
-      await tryOnce(flipped);
+      await tryOnce(flipped, transport);
       useTls = flipped; // ✅ remember actual TLS mode
-    } else {
-      throw e1;
+    } catch (e2) {
+      // 4) Third attempt: both TLS and TCP were rejected at protocol level,
+      //    the port is most likely MQTT over WebSocket (e.g. webiot:8812).
+      if (explicitTransport || !shouldFlipTls(e2)) throw e2;
+      await tryOnce(useTls, TRANSPORT.WS);
+      transport = TRANSPORT.WS;
     }
-  } finally {
-    // Auth-test only: disconnect after success/failure
-    await disconnectMqtt().catch(() => { });
   }
 
-  // ✅ Return detected TLS so AddMqttDevice can store it
+  return { useTls, transport, wsPath: path };
+}
+
+/**
+ * Authenticate for Add Device:
+ * - CONNECT broker (host/port/username/password)
+ * - SUBSCRIBE device topic (permission check)
+ * - If success => auth passed
+ * NOTE: Uses its own short-lived client, pooled sessions are not touched.
+ */
+export async function authenticateForAddDevice({ cpId, deviceId, ...params }) {
+  if (!params.host) throw new Error('Host is required');
+  const cpIdError = validateCpId(cpId);
+  if (cpIdError) throw new Error(cpIdError);
+  const subTopic = buildSubscribeTopic(cpId, deviceId);
+  if (!subTopic) throw new Error('deviceId is required');
+
+  const detected = await probeBroker({ ...params, topic: subTopic });
+
+  // ✅ Return detected TLS / transport so AddMqttDevice can store it
   return {
     topicSub: subTopic,
     topicBase: buildEventBaseTopic(cpId, deviceId),
-    useTls,
+    ...detected,
   };
 }
 
+/**
+ * Test a broker profile: CONNECT only (no device topic). Returns the detected { useTls, transport, wsPath }.
+ */
+export function testBrokerConnection(params) {
+  return probeBroker({ ...params, topic: '' });
+}
+
 
+/**
+ * Make `device` the current device (global state). Other pooled devices stay
+ * connected; the previous current device is released.
+ */
 export async function connectDevice(device, { silent = false } = {}) {
   if (!device) return false;
 
-  currentDevice = device;
-  retryCount = 0;
-  clearTimer();
-
-  const deviceId = String(device.deviceId ?? device.id ?? device.friendlyName ?? '');
-  const port = Number(device.port) || 1883;
-
-  // ✅ Prioritize using the device-saved useTls (if available), otherwise infer from the port.
-  const useTls =
-    typeof device.useTls === 'boolean'
-      ? device.useTls
-      : detectTlsByPort(port);
-  const scheme = useTls ? 'ssl' : 'tcp';
-
-  setState({
-    deviceId,
-    connecting: true,
-    connected: false,
-    error: '',
-    status: `CONNECTING ${scheme}://${device.host}:${port}`,
-  });
-
-  // Disconnect previous session before connecting a new one
-  await disconnectMqtt().catch(() => { });
+  const id = deviceIdOf(device);
+  const prevRelease = primaryRelease;
+  primaryRelease = acquireDevice(device);
+  primaryId = id;
+  prevRelease?.(); // after acquiring, so a shared broker stays connected
+  notify();
 
   try {
-    await connectAndSubscribe({
-      host: device.host,
-      port,
-      username: device.username || '',
-      password: device.password || '',
-      topic: device.topic || '',
-      useTls,
-
-      onStatus: (s) => {
-        const text = String(s || '');
-        const up = text.toUpperCase();
-
-        const ok = up.startsWith('CONNECTED') || up.startsWith('SUBSCRIBED');
-        const disc = up.startsWith('DISCONNECTED');
-
-        setState({
-          status: text,
-          connected: ok,
-          connecting: !ok && !disc,
-        });
-
-        if (disc) scheduleReconnect();
-      },
-
-      onError: (e) => {
-        setState({ error: String(e || 'ERROR') });
-        scheduleReconnect();
-      },
-
-      onMessage: (_msg) => {
-        // Handle telemetry later if needed
-      },
-    });
-
-    setState({
-      connected: true,
-      connecting: false,
-      status: `CONNECTED ${scheme}://${device.host}:${port}`,
-    });
+    await devices.get(id)?.ready;
     return true;
   } catch (err) {
-    const msg = err?.message || String(err);
-    if (!silent) setState({ error: msg });
-
-    setState({ connected: false, connecting: false, status: 'DISCONNECTED' });
-    scheduleReconnect();
+    if (silent) return false;
     throw err;
   }
 }
 
-// Disconnect and reset manager state
+// Release the current device (other pooled devices are not affected)
 export async function disconnectDevice() {
-  try {
-    if (reconnectTimer) clearTimeout(reconnectTimer);
-    reconnectTimer = null;
-
-    currentDevice = null;
-    retryCount = 0;
-
-    await disconnectMqtt().catch(() => { });
-  } finally {
-    setState({
-      deviceId: null,
-      connected: false,
-      connecting: false,
-      status: 'IDLE',
-      error: '',
-    });
-  }
+  const release = primaryRelease;
+  primaryRelease = null;
+  primaryId = null;
+  release?.();
+  notify();
   return true;
 }
 // src/utils/MqttManager.js
@@ -1,6 +1,11 @@
 // src/utils/MqttNativeClient.js
-import { NativeModules, Platform } from 'react-native';
+import { NativeModules } from 'react-native';
 import NativeEventEmitter from 'react-native/Libraries/EventEmitter/NativeEventEmitter';
+import { MqttJsClient } from './MqttJsClient';
+import { tlsConnectOptions } from './TlsSettings';
+
+// Socket factory for the pure-JS engine (used when MqttNative is missing)
+export { setMqttSocketFactory } from './MqttJsClient';
 
 const { MqttNative } = NativeModules;
 const emitter = MqttNative ? new NativeEventEmitter(MqttNative) : null;
@@ -36,35 +41,41 @@ function decodePayload(raw) {
   return null;
 }
 
+// Instances an event is meant for. Events carry the clientId of their connection; one whose id is no
+// longer registered belongs to a client that already disconnected (Android reports DISCONNECTED after
+// JS dropped the instance) and is ignored, so it never reaches an unrelated pooled broker. Only
+// events without an id (older iOS builds) fall back to `fallback()`.
+function targetsOf(clientId, fallback) {
+  if (clientId) {
+    const inst = instanceMap.get(clientId);
+    return inst ? [inst] : [];
+  }
+  return fallback();
+}
+
+const activeOnly = () => {
+  const inst = getActiveInstance();
+  return inst ? [inst] : [];
+};
+const everyInstance = () => [...instanceMap.values()];
+
 if (emitter) {
   emitter.addListener('mqtt_status', (e) => {
     const clientId = e?.clientId;
     const msg = e?.status || e?.state || JSON.stringify(e);
     console.log(`[mqtt_status][${clientId}]`, msg);
 
-    const inst = (clientId ? instanceMap.get(clientId) : null) ?? getActiveInstance();
-    if (inst) {
-      inst._statusCallbacks.forEach(cb => cb(String(msg)));
-    } else {
-      // ✅ fallback: 广播给所有
-      instanceMap.forEach(i => i._statusCallbacks.forEach(cb => cb(String(msg))));
-    }
+    targetsOf(clientId, activeOnly).forEach(i => i._statusCallbacks.forEach(cb => cb(String(msg))));
   });
 
   emitter.addListener('mqtt_disconnected', (e) => {
     const clientId = e?.clientId;
     console.log(`[mqtt_disconnected][${clientId}]`, e);
 
-    const inst = (clientId ? instanceMap.get(clientId) : null) ?? getActiveInstance();
-    if (inst) {
-      inst._statusCallbacks.forEach(cb => cb('DISCONNECTED'));
-      if (e?.error) inst._errorCallbacks.forEach(cb => cb(String(e.error)));
-    } else {
-      instanceMap.forEach(i => {
-        i._statusCallbacks.forEach(cb => cb('DISCONNECTED'));
-        if (e?.error) i._errorCallbacks.forEach(cb => cb(String(e.error)));
-      });
-    }
+    targetsOf(clientId, activeOnly).forEach(i => {
+      i._statusCallbacks.forEach(cb => cb('DISCONNECTED'));
+      if (e?.error) i._errorCallbacks.forEach(cb => cb(String(e.error)));
+    });
   });
 
   emitter.addListener('mqtt_message', (e) => {
@@ -73,16 +84,10 @@ if (emitter) {
 
     console.log('[EMITTER MSG] clientId=', clientId, 'instFound=', instanceMap.has(clientId), 'mapSize=', instanceMap.size, 'topic=', e?.topic?.slice(-30));
 
-    const inst = clientId ? instanceMap.get(clientId) : null;
-    if (inst) {
-      // ✅ 精确匹配
-      inst._messageCallbacks.forEach(cb => cb({ topic: e?.topic, text }));
-    } else {
-      // ✅ 广播给所有 active instances（iOS 不传 clientId 时的 fallback）
-      instanceMap.forEach(i => {
-        i._messageCallbacks.forEach(cb => cb({ topic: e?.topic, text }));
-      });
-    }
+    // ✅ 精确匹配; broadcast only when iOS does not pass a clientId
+    targetsOf(clientId, everyInstance).forEach(i => {
+      i._messageCallbacks.forEach(cb => cb({ topic: e?.topic, text }));
+    });
   });
 }
 
@@ -99,29 +104,89 @@ function mapMqttError(err) {
     return { userMsg: 'Connection failed: username/password required', raw };
   if (up.includes('UNRECOGNIZED PACKET'))
     return { userMsg: 'Protocol mismatch: port may require TLS or WebSocket.', raw };
+  if (up.includes('WEBSOCKET') || up.includes('UPGRADE'))
+    return { userMsg: 'WebSocket handshake failed: check port and path (e.g. /mqtt).', raw };
+  if (up.includes('CERTIFICATE REJECTED'))
+    return { userMsg: 'TLS certificate rejected: it does not match the CA / pinned fingerprint of the profile.', raw };
+  if (up.includes('CLIENT CERTIFICATE'))
+    return { userMsg: 'Client certificate could not be used: check the .p12 file and its password.', raw };
   if (up.includes('SSL') || up.includes('HANDSHAKE'))
     return { userMsg: 'TLS handshake failed: cert/CA/host mismatch.', raw };
   return { userMsg: 'Connection failed', raw };
 }
 
+// Transports understood by the native modules: plain MQTT over TCP, or MQTT over WebSocket.
+export const TRANSPORT = { TCP: 'tcp', WS: 'ws' };
+
+// MQTT keepalive (seconds) when a device / broker profile does not set one
+export const DEFAULT_KEEPALIVE = 20;
+
+export function normalizeKeepAlive(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n >= 5 && n <= 600 ? n : DEFAULT_KEEPALIVE;
+}
+
+export function normalizeTransport(transport) {
+  return String(transport || '').toLowerCase() === TRANSPORT.WS ? TRANSPORT.WS : TRANSPORT.TCP;
+}
+
+// WebSocket brokers usually serve MQTT on "/mqtt"; always return a path with a leading slash.
+export function normalizeWsPath(path) {
+  const p = String(path ?? '').trim();
+  if (!p) return '/mqtt';
+  return p.startsWith('/') ? p : `/${p}`;
+}
+
+/**
+ * Human readable broker URI, e.g. ssl://host:8883 or wss://host:8812/mqtt
+ */
+export function buildBrokerUri({ host, port, useTls, transport, wsPath }) {
+  const h = String(host || '').trim();
+  if (normalizeTransport(transport) === TRANSPORT.WS) {
+    return `${useTls ? 'wss' : 'ws'}://${h}:${port}${normalizeWsPath(wsPath)}`;
+  }
+  return `${useTls ? 'ssl' : 'tcp'}://${h}:${port}`;
+}
+
+/**
+ * DNS / TCP / TLS steps below MQTT (connection diagnostics). Resolves the native result
+ * { dns, tcp, tls? } (each { ok, ms, error?, ... }), or null without the native module.
+ */
+export function diagnoseNetwork({ host, port, useTls, timeoutMs = 8000 }) {
+  if (!MqttNative?.diagnose) return Promise.resolve(null);
+  return MqttNative.diagnose(String(host || '').trim(), Number(port), !!useTls, { timeoutMs });
+}
+
 export class MqttClient {
-  constructor() {
-    this.clientId = `rn_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+  /**
+   * clientId: fixed id for a persistent session (see SessionSettings.stableClientId);
+   * without one every client gets a throw-away id.
+   */
+  constructor({ clientId } = {}) {
+    this.clientId = clientId ? String(clientId) : `rn_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
     this.host = null;
     this.port = null;
     this.connected = false;
     this._statusCallbacks = new Set();
     this._messageCallbacks = new Set();
     this._errorCallbacks = new Set();
+    this._js = null; // MqttJsClient when running without the native module
     instanceMap.set(this.clientId, this);
   }
 
+  /**
+   * TLS security (see TlsSettings.js, only used with TLS): caCert (PEM), pinSha256 ([hex]),
+   * clientCert (base64 PKCS#12) and clientCertPassword.
+   * Session (see SessionSettings.js): cleanSession (default true) and
+   * will { topic, payload, qos, retain } (Last Will).
+   */
   connect({
     host, port, username = '', password = '',
-    topic = '', useTls,
+    topic = '', useTls, transport = TRANSPORT.TCP, wsPath, keepAlive,
+    caCert, pinSha256, clientCert, clientCertPassword,
+    cleanSession = true, will,
     onStatus, onMessage, onError,
   }) {
-    if (!MqttNative) throw new Error('MqttNative is not available.');
     if (onStatus) this._statusCallbacks.add(onStatus);
     if (onMessage) this._messageCallbacks.add(onMessage);
     if (onError) this._errorCallbacks.add(onError);
@@ -134,8 +199,66 @@ export class MqttClient {
 
     const useTlsBool = useTls === true || useTls === 1 || useTls === '1';
     const effectiveUseTls = p === 1883 ? false : useTlsBool;
-
-    console.log(`[MQTT][${this.clientId}] connecting to ${host}:${p} tls=${effectiveUseTls}`);
+    const options = {
+      transport: normalizeTransport(transport),
+      wsPath: normalizeWsPath(wsPath),
+      keepAlive: normalizeKeepAlive(keepAlive),
+      cleanSession: cleanSession !== false,
+      ...(will?.topic
+        ? {
+          will: {
+            topic: String(will.topic),
+            payload: String(will.payload ?? ''),
+            qos: Math.min(2, Math.max(0, Number(will.qos) || 0)),
+            retain: !!will.retain,
+          },
+        }
+        : null),
+      ...(effectiveUseTls ? tlsConnectOptions({ caCert, pinSha256, clientCert, clientCertPassword }) : null),
+    };
+
+    console.log(`[MQTT][${this.clientId}] connecting to ${buildBrokerUri({ host, port: p, useTls: effectiveUseTls, ...options })}`);
+
+    const onFail = (err) => {
+      this.connected = false;
+      const { userMsg, raw } = mapMqttError(err);
+      this._errorCallbacks.forEach(cb => cb(`${userMsg}\n${raw}`));
+      this._statusCallbacks.forEach(cb => cb('DISCONNECTED'));
+      const e = new Error(userMsg);
+      e.raw = raw;
+      throw e;
+    };
+
+    // No native module (Jest / web / debugging) => pure-JS MQTT engine
+    if (!MqttNative) {
+      this._js?.disconnect();
+      this._js = new MqttJsClient({
+        clientId: this.clientId,
+        onStatus: (msg) => this._statusCallbacks.forEach(cb => cb(String(msg))),
+        onMessage: ({ topic: t, text }) => this._messageCallbacks.forEach(cb => cb({ topic: t, text })),
+        onDisconnected: (reason) => this._errorCallbacks.forEach(cb => cb(String(reason))),
+      });
+      return this._js
+        .connect({
+          host: String(host || '').trim(),
+          port: p,
+          useTls: effectiveUseTls,
+          transport: options.transport,
+          wsPath: options.wsPath,
+          keepalive: options.keepAlive,
+          cleanSession: options.cleanSession,
+          will: options.will,
+          tls: tlsConnectOptions(options),
+          username: String(username || ''),
+          password: String(password || ''),
+        })
+        .then(() => {
+          this.connected = true;
+          if (!topic) return true;
+          return this._js.subscribe(String(topic), 0);
+        })
+        .catch(onFail);
+    }
 
     return MqttNative.connect(
       String(host || '').trim(),
@@ -143,52 +266,52 @@ export class MqttClient {
       this.clientId,
       String(username || ''),
       String(password || ''),
-      effectiveUseTls
+      effectiveUseTls,
+      options
     )
       .then(() => {
         this.connected = true;
         if (!topic) return true;
-        if (Platform.OS === 'android') {
-          return MqttNative.subscribe(String(topic), 0).then(() => true);
-        }
         return MqttNative.subscribe(String(topic), 0, this.clientId).then(() => true);
       })
-      .catch((err) => {
-        this.connected = false;
-        const { userMsg, raw } = mapMqttError(err);
-        this._errorCallbacks.forEach(cb => cb(`${userMsg}\n${raw}`));
-        this._statusCallbacks.forEach(cb => cb('DISCONNECTED'));
-        const e = new Error(userMsg);
-        e.raw = raw;
-        throw e;
-      });
+      .catch(onFail);
   }
 
   subscribe(topic, qos = 0) {
-    if (!MqttNative) return Promise.reject(new Error('MqttNative unavailable'));
-    if (Platform.OS === 'android') {
-      return MqttNative.subscribe(String(topic), qos);
+    if (!MqttNative) {
+      if (!this._js) return Promise.reject(new Error('No active MQTT connection'));
+      return this._js.subscribe(String(topic), qos);
     }
     return MqttNative.subscribe(String(topic), qos, this.clientId);
   }
 
+  unsubscribe(topic) {
+    if (!MqttNative) {
+      if (!this._js) return Promise.reject(new Error('No active MQTT connection'));
+      return this._js.unsubscribe(String(topic));
+    }
+    return MqttNative.unsubscribe(String(topic), this.clientId);
+  }
+
   publish({ topic, payload, qos = 0, retained = false }) {
-    if (!MqttNative) return Promise.reject(new Error('MqttNative unavailable'));
-    if (Platform.OS === 'android') {
-      return MqttNative.publish(String(topic || ''), String(payload || ''), Number(qos) || 0, !!retained);
+    if (!MqttNative) {
+      if (!this._js) return Promise.reject(new Error('No active MQTT connection'));
+      return this._js.publish(String(topic || ''), String(payload || ''), Number(qos) || 0, !!retained);
     }
     return MqttNative.publish(String(topic || ''), String(payload || ''), Number(qos) || 0, !!retained, this.clientId);
   }
 
   disconnect() {
     this.connected = false;
-    instanceMap.delete(this.clientId);
+    // A newer client may already use the same (stable) client id
+    if (instanceMap.get(this.clientId) === this) instanceMap.delete(this.clientId);
     this._statusCallbacks.clear();
     this._messageCallbacks.clear();
     this._errorCallbacks.clear();
-    if (!MqttNative) return Promise.resolve(true);
-    if (Platform.OS === 'android') {
-      return MqttNative.disconnect();
+    if (!MqttNative) {
+      const js = this._js;
+      this._js = null;
+      return js ? js.disconnect() : Promise.resolve(true);
     }
     return MqttNative.disconnect(this.clientId);
   }
@@ -206,27 +329,6 @@ export class MqttClient {
   }
 }
 
-let _defaultClient = null;
-
-export function connectAndSubscribe(params) {
-  _defaultClient?.disconnect();
-  _defaultClient = new MqttClient();
-  return _defaultClient.connect(params);
-}
-
-export function disconnectMqtt() {
-  if (_defaultClient) {
-    const p = _defaultClient.disconnect();
-    _defaultClient = null;
-    return p;
-  }
-  return Promise.resolve(true);
-}
-
-export function publishMqtt(params) {
-  if (!_defaultClient) return Promise.reject(new Error('No active MQTT connection'));
-  return _defaultClient.publish(params);
-}
 // src/utils/MqttNativeClient.js
 // Thin JS wrapper for the native MQTT module (MqttNative).
 
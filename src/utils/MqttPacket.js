@@ -0,0 +1,417 @@
+// src/utils/MqttPacket.js
+// MQTT 3.1.1 packet codec (pure JS, no native dependency).
+// Encoders return Uint8Array; decodePacket() parses one complete packet,
+// createPacketReader() splits a byte stream into packets.
+
+/* eslint-disable no-bitwise */
+
+export const PACKET = {
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PUBACK: 4,
+  PUBREC: 5,
+  PUBREL: 6,
+  PUBCOMP: 7,
+  SUBSCRIBE: 8,
+  SUBACK: 9,
+  UNSUBSCRIBE: 10,
+  UNSUBACK: 11,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14,
+};
+
+// CONNACK return codes (MQTT 3.1.1 §3.2.2.3)
+export const CONNACK_MESSAGES = {
+  0: 'Connection accepted',
+  1: 'Unacceptable protocol version',
+  2: 'Identifier rejected',
+  3: 'Server unavailable',
+  4: 'Bad user name or password',
+  5: 'Not authorized',
+};
+
+// ---- UTF-8 helpers (Hermes has no TextDecoder) ----
+
+export function encodeUtf8(input) {
+  const str = String(input ?? '');
+  const out = [];
+  for (let i = 0; i < str.length; i++) {
+    let c = str.charCodeAt(i);
+    // Combine surrogate pairs into one code point
+    if (c >= 0xd800 && c <= 0xdbff && i + 1 < str.length) {
+      const d = str.charCodeAt(i + 1);
+      if (d >= 0xdc00 && d <= 0xdfff) {
+        c = 0x10000 + ((c - 0xd800) << 10) + (d - 0xdc00);
+        i++;
+      }
+    }
+    if (c < 0x80) {
+      out.push(c);
+    } else if (c < 0x800) {
+      out.push(0xc0 | (c >> 6), 0x80 | (c & 0x3f));
+    } else if (c < 0x10000) {
+      out.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+    } else {
+      out.push(
+        0xf0 | (c >> 18),
+        0x80 | ((c >> 12) & 0x3f),
+        0x80 | ((c >> 6) & 0x3f),
+        0x80 | (c & 0x3f),
+      );
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+export function decodeUtf8(bytes) {
+  if (!bytes) return '';
+  let out = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const b = bytes[i++];
+    let cp;
+    if (b < 0x80) {
+      cp = b;
+    } else if (b >= 0xc0 && b < 0xe0 && i < bytes.length) {
+      cp = ((b & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    } else if (b >= 0xe0 && b < 0xf0 && i + 1 < bytes.length) {
+      cp = ((b & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else if (b >= 0xf0 && i + 2 < bytes.length) {
+      cp =
+        ((b & 0x07) << 18) |
+        ((bytes[i++] & 0x3f) << 12) |
+        ((bytes[i++] & 0x3f) << 6) |
+        (bytes[i++] & 0x3f);
+    } else {
+      cp = 0xfffd; // invalid / truncated sequence
+    }
+    if (cp >= 0x10000) {
+      cp -= 0x10000;
+      out += String.fromCharCode(0xd800 + (cp >> 10), 0xdc00 + (cp & 0x3ff));
+    } else {
+      out += String.fromCharCode(cp);
+    }
+  }
+  return out;
+}
+
+function toBytes(payload) {
+  if (payload instanceof Uint8Array) return payload;
+  if (payload instanceof ArrayBuffer) return new Uint8Array(payload);
+  if (Array.isArray(payload)) return Uint8Array.from(payload);
+  return encodeUtf8(payload == null ? '' : String(payload));
+}
+
+// ---- Encoding primitives ----
+
+export function encodeRemainingLength(len) {
+  if (!Number.isInteger(len) || len < 0 || len > 268435455) {
+    throw new Error(`Invalid remaining length: ${len}`);
+  }
+  const out = [];
+  let x = len;
+  do {
+    let digit = x % 128;
+    x = Math.floor(x / 128);
+    if (x > 0) digit |= 0x80;
+    out.push(digit);
+  } while (x > 0);
+  return out;
+}
+
+function u16(n) {
+  return [(n >> 8) & 0xff, n & 0xff];
+}
+
+function lengthPrefixed(bytes) {
+  if (bytes.length > 0xffff) throw new Error('Field too long');
+  return [...u16(bytes.length), ...bytes];
+}
+
+function mqttString(str) {
+  return lengthPrefixed(encodeUtf8(str));
+}
+
+function checkPacketId(packetId) {
+  if (!Number.isInteger(packetId) || packetId < 1 || packetId > 0xffff) {
+    throw new Error(`Invalid packet id: ${packetId}`);
+  }
+}
+
+function buildPacket(type, flags, body) {
+  const head = [((type & 0x0f) << 4) | (flags & 0x0f), ...encodeRemainingLength(body.length)];
+  const out = new Uint8Array(head.length + body.length);
+  out.set(head, 0);
+  out.set(body, head.length);
+  return out;
+}
+
+// ---- Encoders ----
+
+/**
+ * CONNECT
+ * will: { topic, payload, qos, retain } (optional)
+ */
+export function encodeConnect({
+  clientId = '',
+  username,
+  password,
+  keepalive = 20,
+  cleanSession = true,
+  will,
+} = {}) {
+  let flags = 0;
+  if (cleanSession) flags |= 0x02;
+  if (will && will.topic) {
+    flags |= 0x04;
+    flags |= ((Number(will.qos) || 0) & 0x03) << 3;
+    if (will.retain) flags |= 0x20;
+  }
+  const hasPassword = password != null && String(password) !== '';
+  const hasUsername = (username != null && String(username) !== '') || hasPassword;
+  if (hasPassword) flags |= 0x40;
+  if (hasUsername) flags |= 0x80;
+
+  const body = [
+    ...mqttString('MQTT'),
+    0x04, // protocol level 3.1.1
+    flags,
+    ...u16(Number(keepalive) || 0),
+    ...mqttString(clientId),
+  ];
+  if (flags & 0x04) {
+    body.push(...mqttString(will.topic), ...lengthPrefixed(toBytes(will.payload)));
+  }
+  if (hasUsername) body.push(...mqttString(username ?? ''));
+  if (hasPassword) body.push(...lengthPrefixed(encodeUtf8(password)));
+
+  return buildPacket(PACKET.CONNECT, 0, body);
+}
+
+export function encodeConnack({ sessionPresent = false, returnCode = 0 } = {}) {
+  return buildPacket(PACKET.CONNACK, 0, [sessionPresent ? 1 : 0, returnCode & 0xff]);
+}
+
+export function encodePublish({ topic, payload, qos = 0, retain = false, dup = false, packetId }) {
+  const q = Number(qos) || 0;
+  const flags = (dup ? 0x08 : 0) | ((q & 0x03) << 1) | (retain ? 0x01 : 0);
+  const body = [...mqttString(topic)];
+  if (q > 0) {
+    checkPacketId(packetId);
+    body.push(...u16(packetId));
+  }
+  const data = toBytes(payload);
+  const head = [(PACKET.PUBLISH << 4) | flags, ...encodeRemainingLength(body.length + data.length)];
+  const out = new Uint8Array(head.length + body.length + data.length);
+  out.set(head, 0);
+  out.set(body, head.length);
+  out.set(data, head.length + body.length);
+  return out;
+}
+
+function encodeAck(type, packetId, flags = 0) {
+  checkPacketId(packetId);
+  return buildPacket(type, flags, u16(packetId));
+}
+
+export const encodePuback = (packetId) => encodeAck(PACKET.PUBACK, packetId);
+export const encodePubrec = (packetId) => encodeAck(PACKET.PUBREC, packetId);
+export const encodePubrel = (packetId) => encodeAck(PACKET.PUBREL, packetId, 0x02);
+export const encodePubcomp = (packetId) => encodeAck(PACKET.PUBCOMP, packetId);
+export const encodeUnsuback = (packetId) => encodeAck(PACKET.UNSUBACK, packetId);
+
+/**
+ * SUBSCRIBE
+ * subscriptions: [{ topic, qos }]
+ */
+export function encodeSubscribe({ packetId, subscriptions }) {
+  checkPacketId(packetId);
+  if (!Array.isArray(subscriptions) || subscriptions.length === 0) {
+    throw new Error('SUBSCRIBE needs at least one topic');
+  }
+  const body = [...u16(packetId)];
+  for (const s of subscriptions) {
+    body.push(...mqttString(s.topic), (Number(s.qos) || 0) & 0x03);
+  }
+  return buildPacket(PACKET.SUBSCRIBE, 0x02, body);
+}
+
+// returnCodes: granted QoS per topic, 0x80 = failure
+export function encodeSuback({ packetId, returnCodes }) {
+  checkPacketId(packetId);
+  return buildPacket(PACKET.SUBACK, 0, [...u16(packetId), ...returnCodes.map(c => c & 0xff)]);
+}
+
+export function encodeUnsubscribe({ packetId, topics }) {
+  checkPacketId(packetId);
+  if (!Array.isArray(topics) || topics.length === 0) {
+    throw new Error('UNSUBSCRIBE needs at least one topic');
+  }
+  const body = [...u16(packetId)];
+  for (const t of topics) body.push(...mqttString(t));
+  return buildPacket(PACKET.UNSUBSCRIBE, 0x02, body);
+}
+
+export const encodePingreq = () => buildPacket(PACKET.PINGREQ, 0, []);
+export const encodePingresp = () => buildPacket(PACKET.PINGRESP, 0, []);
+export const encodeDisconnect = () => buildPacket(PACKET.DISCONNECT, 0, []);
+
+// ---- Decoding ----
+
+/**
+ * Read fixed header. Returns null until the whole packet is available.
+ * => { type, flags, headerLength, remainingLength }
+ */
+export function readFixedHeader(bytes, offset = 0) {
+  if (bytes.length - offset < 2) return null;
+  let multiplier = 1;
+  let value = 0;
+  let i = offset + 1;
+  for (;;) {
+    if (i >= bytes.length) return null;
+    const digit = bytes[i++];
+    value += (digit & 0x7f) * multiplier;
+    if ((digit & 0x80) === 0) break;
+    multiplier *= 128;
+    if (multiplier > 128 * 128 * 128) throw new Error('Malformed remaining length');
+  }
+  const b0 = bytes[offset];
+  return { type: b0 >> 4, flags: b0 & 0x0f, headerLength: i - offset, remainingLength: value };
+}
+
+function makeCursor(bytes, start, end) {
+  let pos = start;
+  const need = (n) => {
+    if (pos + n > end) throw new Error('Malformed packet: truncated');
+  };
+  return {
+    u8() { need(1); return bytes[pos++]; },
+    u16() { need(2); const v = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; return v; },
+    bin() { const n = this.u16(); need(n); const v = bytes.slice(pos, pos + n); pos += n; return v; },
+    str() { return decodeUtf8(this.bin()); },
+    rest() { const v = bytes.slice(pos, end); pos = end; return v; },
+    left() { return end - pos; },
+  };
+}
+
+/**
+ * Decode exactly one complete packet.
+ */
+export function decodePacket(input) {
+  const bytes = toBytes(input);
+  const fh = readFixedHeader(bytes, 0);
+  if (!fh || fh.headerLength + fh.remainingLength > bytes.length) {
+    throw new Error('Malformed packet: incomplete');
+  }
+  const start = fh.headerLength;
+  const end = start + fh.remainingLength;
+  const c = makeCursor(bytes, start, end);
+  const { type, flags } = fh;
+
+  switch (type) {
+    case PACKET.CONNECT: {
+      const protocolName = c.str();
+      const protocolLevel = c.u8();
+      const f = c.u8();
+      const keepalive = c.u16();
+      const clientId = c.str();
+      const out = {
+        type,
+        protocolName,
+        protocolLevel,
+        cleanSession: !!(f & 0x02),
+        keepalive,
+        clientId,
+        will: null,
+        username: null,
+        password: null,
+      };
+      if (f & 0x04) {
+        out.will = {
+          topic: c.str(),
+          payload: c.bin(),
+          qos: (f >> 3) & 0x03,
+          retain: !!(f & 0x20),
+        };
+      }
+      if (f & 0x80) out.username = c.str();
+      if (f & 0x40) out.password = c.str();
+      return out;
+    }
+    case PACKET.CONNACK: {
+      const ackFlags = c.u8();
+      const returnCode = c.u8();
+      return { type, sessionPresent: !!(ackFlags & 0x01), returnCode };
+    }
+    case PACKET.PUBLISH: {
+      const qos = (flags >> 1) & 0x03;
+      const topic = c.str();
+      const packetId = qos > 0 ? c.u16() : undefined;
+      const payload = c.rest();
+      return { type, topic, qos, packetId, retain: !!(flags & 0x01), dup: !!(flags & 0x08), payload };
+    }
+    case PACKET.PUBACK:
+    case PACKET.PUBREC:
+    case PACKET.PUBREL:
+    case PACKET.PUBCOMP:
+    case PACKET.UNSUBACK:
+      return { type, packetId: c.u16() };
+    case PACKET.SUBSCRIBE: {
+      const packetId = c.u16();
+      const subscriptions = [];
+      while (c.left() > 0) subscriptions.push({ topic: c.str(), qos: c.u8() & 0x03 });
+      return { type, packetId, subscriptions };
+    }
+    case PACKET.SUBACK: {
+      const packetId = c.u16();
+      return { type, packetId, returnCodes: Array.from(c.rest()) };
+    }
+    case PACKET.UNSUBSCRIBE: {
+      const packetId = c.u16();
+      const topics = [];
+      while (c.left() > 0) topics.push(c.str());
+      return { type, packetId, topics };
+    }
+    case PACKET.PINGREQ:
+    case PACKET.PINGRESP:
+    case PACKET.DISCONNECT:
+      return { type };
+    default:
+      throw new Error(`Unrecognized packet type: ${type}`);
+  }
+}
+
+/**
+ * Stream framer: push() arbitrary chunks, onPacket is called once per complete packet.
+ */
+export function createPacketReader(onPacket) {
+  let buf = new Uint8Array(0);
+
+  return {
+    push(chunk) {
+      const data = toBytes(chunk);
+      if (data.length === 0) return;
+      const merged = new Uint8Array(buf.length + data.length);
+      merged.set(buf, 0);
+      merged.set(data, buf.length);
+      buf = merged;
+
+      let offset = 0;
+      for (;;) {
+        const fh = readFixedHeader(buf, offset);
+        if (!fh) break;
+        const total = fh.headerLength + fh.remainingLength;
+        if (buf.length - offset < total) break;
+        const packet = decodePacket(buf.subarray(offset, offset + total));
+        offset += total;
+        onPacket(packet);
+      }
+      buf = offset > 0 ? buf.slice(offset) : buf;
+    },
+    reset() {
+      buf = new Uint8Array(0);
+    },
+  };
+}
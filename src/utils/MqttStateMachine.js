@@ -0,0 +1,153 @@
+// src/utils/MqttStateMachine.js
+// Connection state of a pooled broker as explicit phases. Status strings of the native
+// modules / MqttJsClient ("CONNECTING uri", "CONNECTED uri", "SUBSCRIBED topic",
+// "DISCONNECTED …", "CONNECT_FAILED …") are turned into events in one place
+// (eventOfStatus); every transition keeps its reason and time in a short log.
+
+export const MQTT_PHASE = {
+  IDLE: 'idle',               // no connection wanted
+  RESOLVING: 'resolving',     // attempt started (host lookup, transport set-up)
+  CONNECTING: 'connecting',   // transport opening, waiting for CONNACK
+  CONNECTED: 'connected',     // CONNACK received, nothing subscribed yet
+  SUBSCRIBING: 'subscribing', // waiting for SUBACK
+  READY: 'ready',             // connected and subscribed
+  BACKING_OFF: 'backing-off', // down, next attempt scheduled (ReconnectPolicy)
+  CLOSING: 'closing',         // disconnect requested
+  FAILED: 'failed',           // down, no attempt scheduled
+};
+
+export const MQTT_EVENT = {
+  START: 'start',
+  TRANSPORT: 'transport',     // native: CONNECTING
+  CONNACK: 'connack',         // native: CONNECTED
+  SUBSCRIBE: 'subscribe',
+  SUBACK: 'suback',           // native: SUBSCRIBED
+  LOST: 'lost',               // native: DISCONNECTED
+  ERROR: 'error',             // native: CONNECT_FAILED, rejected connect / subscribe
+  RETRY: 'retry',
+  CLOSE: 'close',
+  CLOSED: 'closed',
+};
+
+const P = MQTT_PHASE;
+const E = MQTT_EVENT;
+const UP = [P.RESOLVING, P.CONNECTING, P.CONNECTED, P.SUBSCRIBING, P.READY];
+
+// phase -> { event -> next phase }; events missing here are ignored
+const TRANSITIONS = {
+  [P.IDLE]: { [E.START]: P.RESOLVING },
+  [P.RESOLVING]: { [E.TRANSPORT]: P.CONNECTING, [E.CONNACK]: P.CONNECTED },
+  [P.CONNECTING]: { [E.CONNACK]: P.CONNECTED },
+  [P.CONNECTED]: { [E.SUBSCRIBE]: P.SUBSCRIBING, [E.SUBACK]: P.READY },
+  [P.SUBSCRIBING]: { [E.SUBACK]: P.READY },
+  [P.READY]: { [E.SUBSCRIBE]: P.SUBSCRIBING },
+  [P.BACKING_OFF]: { [E.START]: P.RESOLVING, [E.RETRY]: P.BACKING_OFF },
+  [P.CLOSING]: { [E.CLOSED]: P.IDLE },
+  [P.FAILED]: { [E.START]: P.RESOLVING, [E.RETRY]: P.BACKING_OFF, [E.ERROR]: P.FAILED },
+};
+UP.forEach((phase) => {
+  TRANSITIONS[phase] = { ...TRANSITIONS[phase], [E.LOST]: P.FAILED, [E.ERROR]: P.FAILED };
+});
+[...UP, P.BACKING_OFF, P.FAILED].forEach((phase) => {
+  TRANSITIONS[phase] = { ...TRANSITIONS[phase], [E.CLOSE]: P.CLOSING };
+});
+
+/**
+ * Next phase for `event` in `phase`, or null when the event does not apply there.
+ */
+export function nextPhase(phase, event) {
+  return TRANSITIONS[phase]?.[event] ?? null;
+}
+
+/**
+ * Event of a native / MqttJsClient status line, or null for anything else.
+ */
+export function eventOfStatus(text) {
+  const word = String(text || '').trim().split(/\s+/)[0].toUpperCase();
+  switch (word) {
+    case 'CONNECTING': return E.TRANSPORT;
+    case 'CONNECTED': return E.CONNACK;
+    case 'SUBSCRIBED': return E.SUBACK;
+    case 'DISCONNECTED': return E.LOST;
+    case 'CONNECT_FAILED': return E.ERROR;
+    default: return null;
+  }
+}
+
+/** Connected and subscribed: commands can be sent. */
+export const isReady = phase => phase === P.READY;
+
+/** An attempt is running (shown as CONNECTING). */
+export const isBusy = phase => phase === P.RESOLVING || phase === P.CONNECTING ||
+  phase === P.CONNECTED || phase === P.SUBSCRIBING;
+
+/** Down with a reconnect scheduled, or given up. */
+export const isDown = phase => phase === P.BACKING_OFF || phase === P.FAILED;
+
+const PHASE_TEXT = {
+  [P.IDLE]: 'Idle',
+  [P.RESOLVING]: 'Looking up broker',
+  [P.CONNECTING]: 'Connecting',
+  [P.CONNECTED]: 'Connected',
+  [P.SUBSCRIBING]: 'Subscribing',
+  [P.READY]: 'Ready',
+  [P.BACKING_OFF]: 'Waiting to reconnect',
+  [P.CLOSING]: 'Disconnecting',
+  [P.FAILED]: 'Failed',
+};
+
+/**
+ * One line for a phase, e.g. "Failed: Bad username or password" or "Ready".
+ */
+export function describePhase(phase, reason = '') {
+  const text = PHASE_TEXT[phase] || String(phase || '');
+  return reason && (phase === P.FAILED || phase === P.BACKING_OFF) ? `${text}: ${reason}` : text;
+}
+
+/**
+ * One line of a transition log, e.g. "12:04:31 connecting -> failed (error): Not authorized".
+ */
+export function formatTransition(t) {
+  const time = new Date(t.at).toTimeString().slice(0, 8);
+  return `${time} ${t.from} -> ${t.to} (${t.event})${t.reason ? `: ${t.reason}` : ''}`;
+}
+
+/**
+ * Create a machine (starts idle).
+ *   send(event, reason)  => true when it was applied (failed / backing-off may only get a new reason)
+ *   get()                => { phase, since, reason, event }
+ *   log()                => last `logSize` transitions { at, from, to, event, reason }, oldest first
+ *   subscribe(fn)        => fn(state, transition) after every transition
+ */
+export function createMqttStateMachine({ logSize = 30, now = Date.now } = {}) {
+  let current = { phase: P.IDLE, since: now(), reason: '', event: null };
+  const transitions = [];
+  const listeners = new Set();
+
+  function send(event, reason = '') {
+    const to = nextPhase(current.phase, event);
+    if (!to) return false;
+    const entry = { at: now(), from: current.phase, to, event, reason: String(reason || '') };
+    transitions.push(entry);
+    if (transitions.length > logSize) transitions.splice(0, transitions.length - logSize);
+    current = {
+      phase: to,
+      since: to === current.phase ? current.since : entry.at,
+      reason: entry.reason,
+      event,
+    };
+    const snap = { ...current };
+    listeners.forEach(fn => fn(snap, { ...entry }));
+    return true;
+  }
+
+  return {
+    send,
+    get: () => ({ ...current }),
+    log: () => transitions.map(t => ({ ...t })),
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// src/utils/Provisioning.js
+// Provisioning links: one compact URI per gateway that pre-fills Add Device, e.g.
+//   ebqcontrol://add?profile=myebq&host=myebq.ddns.net&port=8883&device=EBQ123&name=Panel%20A
+// Opened as a deep link (also from a QR code of the same text) or pasted into Add Device.
+// Links never carry credentials: they come from the broker profile or are typed on the phone.
+
+import { TRANSPORTS } from './MqttDeviceStorage';
+import { DEFAULT_CPID, validateCpId } from './EbqProtocol';
+
+export const PROVISION_SCHEME = 'ebqcontrol';
+export const PROVISION_PREFIX = `${PROVISION_SCHEME}://add`;
+
+// Finds the link inside pasted text (e.g. a chat message around it)
+const LINK_RE = /ebqcontrol:\/\/add\/?(\?[^\s"'<>]*)?/i;
+
+function encodeQuery(params) {
+  return Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}=${encodeURIComponent(String(v))}`)
+    .join('&');
+}
+
+function decodeQuery(query) {
+  const out = {};
+  String(query || '').replace(/^\?/, '').split('&').forEach((pair) => {
+    if (!pair) return;
+    const i = pair.indexOf('=');
+    const key = i < 0 ? pair : pair.slice(0, i);
+    const raw = i < 0 ? '' : pair.slice(i + 1);
+    try {
+      out[decodeURIComponent(key)] = decodeURIComponent(raw.replace(/\+/g, ' '));
+    } catch {
+      out[key] = raw;
+    }
+  });
+  return out;
+}
+
+/**
+ * Provisioning link of a saved device. Default values (auto transport, /mqtt, default cpId)
+ * are left out to keep the link short.
+ */
+export function buildProvisioningLink(device) {
+  const query = encodeQuery({
+    profile: device?.profileId,
+    host: device?.host,
+    port: device?.port,
+    transport: device?.transport && device.transport !== 'auto' ? device.transport : '',
+    tls: typeof device?.useTls === 'boolean' && device?.transport && device.transport !== 'auto'
+      ? (device.useTls ? 1 : 0)
+      : '',
+    path: device?.wsPath && device.wsPath !== '/mqtt' ? device.wsPath : '',
+    cpid: device?.cpId && device.cpId !== DEFAULT_CPID ? device.cpId : '',
+    device: device?.deviceId,
+    name: device?.friendlyName && device.friendlyName !== device.deviceId ? device.friendlyName : '',
+  });
+  return `${PROVISION_PREFIX}?${query}`;
+}
+
+/**
+ * True when the text contains a provisioning link.
+ */
+export const hasProvisioningLink = text => LINK_RE.test(String(text || ''));
+
+/**
+ * Parse a provisioning link (or text containing one). Throws when there is none or it is invalid.
+ * Returns { profileId, host, port, transport, useTls, wsPath, cpId, deviceId, friendlyName };
+ * fields missing from the link are '' / null.
+ */
+export function parseProvisioningLink(text) {
+  const match = String(text || '').match(LINK_RE);
+  if (!match) throw new Error('No provisioning link found (ebqcontrol://add?...)');
+  const q = decodeQuery(match[1]);
+
+  const deviceId = String(q.device || '').trim().toUpperCase();
+  if (!deviceId) throw new Error('Provisioning link has no device');
+
+  const profileId = String(q.profile || '').trim();
+  const host = String(q.host || '').trim();
+  if (!profileId && !host) throw new Error('Provisioning link has no broker (profile or host)');
+
+  const port = q.port ? Number(q.port) : null;
+  if (port != null && (!Number.isInteger(port) || port <= 0 || port > 65535)) {
+    throw new Error(`Provisioning link port ${q.port} is invalid`);
+  }
+  if (host && port == null && !profileId) throw new Error('Provisioning link has no port');
+
+  const cpId = String(q.cpid || '').trim();
+  const cpIdError = cpId ? validateCpId(cpId) : '';
+  if (cpIdError) throw new Error(cpIdError);
+
+  return {
+    profileId,
+    host,
+    port,
+    transport: TRANSPORTS.includes(q.transport) ? q.transport : '',
+    useTls: q.tls === '1' ? true : q.tls === '0' ? false : null,
+    wsPath: String(q.path || '').trim(),
+    cpId,
+    deviceId,
+    friendlyName: String(q.name || '').trim(),
+  };
+}
@@ -0,0 +1,226 @@
+// src/utils/ReconnectPolicy.js
+// When to reconnect a dropped connection, shared by every pooled broker (MqttManager):
+// exponential backoff with jitter, a cooldown after `maxAttempts` failed attempts, no
+// attempts while the app is in the background or the network is gone, and an immediate
+// attempt (with a fresh backoff) as soon as either comes back. A connection only counts as
+// recovered (attempts start over) after it stayed up for `stableMs`.
+
+export const RETRY_PHASE = {
+  WAITING: 'waiting',     // next attempt at `at`
+  COOLDOWN: 'cooldown',   // maxAttempts failed; backoff starts over at `at`
+  PAUSED: 'paused',       // app in the background
+  OFFLINE: 'offline',     // no network (reachability source)
+};
+
+export const DEFAULT_RECONNECT = {
+  baseMs: 1000,
+  maxMs: 30000,
+  factor: 2,
+  jitter: 0.3,
+  maxAttempts: 8,
+  cooldownMs: 120000,
+  stableMs: 30000,    // up this long after SUBACK before the attempt count is reset
+};
+
+/**
+ * Delay before retry number `attempt` (1 = first): baseMs·factor^(attempt-1) up to maxMs,
+ * spread by ±jitter so connections dropped together do not come back together.
+ */
+export function retryDelay(attempt, options = DEFAULT_RECONNECT, random = Math.random) {
+  const o = { ...DEFAULT_RECONNECT, ...options };
+  const exp = Math.min(o.maxMs, o.baseMs * Math.pow(o.factor, Math.max(0, attempt - 1)));
+  const spread = exp * o.jitter * (2 * random() - 1);
+  return Math.max(0, Math.round(Math.min(o.maxMs, exp + spread)));
+}
+
+const formatWait = (ms) => {
+  const sec = Math.max(0, Math.ceil(ms / 1000));
+  return sec < 90 ? `${sec} s` : `${Math.round(sec / 60)} min`;
+};
+
+/**
+ * One line for a retry schedule, e.g. "Reconnecting in 8 s (attempt 3/8)" ('' without one).
+ */
+export function describeRetry(schedule, now = Date.now()) {
+  if (!schedule) return '';
+  switch (schedule.phase) {
+    case RETRY_PHASE.PAUSED:
+      return 'Reconnect paused while the app is in the background';
+    case RETRY_PHASE.OFFLINE:
+      return 'Waiting for the network';
+    case RETRY_PHASE.COOLDOWN:
+      return `${schedule.maxAttempts} attempts failed, trying again in ${formatWait(schedule.at - now)}`;
+    default:
+      return `Reconnecting in ${formatWait(schedule.at - now)} (attempt ${schedule.attempt}/${schedule.maxAttempts})`;
+  }
+}
+
+/**
+ * Create a policy.
+ *   options: DEFAULT_RECONNECT fields, random, and the optional sources
+ *     appState:     AppState-like { currentState, addEventListener('change', fn) } (background pauses)
+ *     reachability: fn(onChange) => unsubscribe; onChange(false) when the network is gone
+ *   retry(key, run)          => schedule of the next attempt; run() is called when it is due
+ *   succeeded(key)           => connected; the attempt count is forgotten after stableMs without retry(key)
+ *   cancel(key)              => stop retrying and forget the attempts
+ *   get(key)                 => { attempt, maxAttempts, phase, delayMs, at } or null
+ *   subscribe(fn)            => fn(key, schedule) on every change (null: no retry pending)
+ *   setActive(bool) / setReachable(bool) / retryNow()
+ *   dispose()                => stop timers, sources and listeners
+ */
+export function createReconnectPolicy({ appState, reachability, random = Math.random, ...options } = {}) {
+  const o = { ...DEFAULT_RECONNECT, ...options };
+  const targets = new Map();    // key -> { attempt, run, timer, stableTimer, schedule }
+  const listeners = new Set();
+  const stops = [];
+  let active = appState?.currentState !== 'background';
+  let reachable = true;
+
+  const emit = (key, schedule) => {
+    const snap = schedule ? { ...schedule } : null;
+    listeners.forEach(fn => fn(key, snap));
+  };
+
+  const stopTimer = (t) => {
+    if (t.timer) clearTimeout(t.timer);
+    t.timer = null;
+  };
+
+  const stopStableTimer = (t) => {
+    if (t.stableTimer) clearTimeout(t.stableTimer);
+    t.stableTimer = null;
+  };
+
+  function fire(key) {
+    const t = targets.get(key);
+    if (!t) return;
+    stopTimer(t);
+    t.schedule = null;
+    emit(key, null);
+    t.run?.();
+  }
+
+  function arm(key) {
+    const t = targets.get(key);
+    stopTimer(t);
+    const now = Date.now();
+    let phase = RETRY_PHASE.WAITING;
+    let delayMs = null;
+    if (!active) phase = RETRY_PHASE.PAUSED;
+    else if (!reachable) phase = RETRY_PHASE.OFFLINE;
+    else if (t.attempt > o.maxAttempts) {
+      phase = RETRY_PHASE.COOLDOWN;
+      delayMs = o.cooldownMs;
+    } else {
+      delayMs = retryDelay(t.attempt, o, random);
+    }
+
+    if (delayMs != null) {
+      t.timer = setTimeout(() => {
+        if (phase === RETRY_PHASE.COOLDOWN) t.attempt = 0;
+        fire(key);
+      }, delayMs);
+    }
+    t.schedule = {
+      attempt: Math.min(t.attempt, o.maxAttempts),
+      maxAttempts: o.maxAttempts,
+      phase,
+      delayMs,
+      at: delayMs == null ? null : now + delayMs,
+    };
+    emit(key, t.schedule);
+    return { ...t.schedule };
+  }
+
+  function cancel(key) {
+    const t = targets.get(key);
+    if (!t) return;
+    stopTimer(t);
+    stopStableTimer(t);
+    targets.delete(key);
+    if (t.schedule) emit(key, null);
+  }
+
+  // A link that drops again within stableMs keeps backing off from where it was
+  function succeeded(key) {
+    const t = targets.get(key);
+    if (!t) return;
+    stopTimer(t);
+    stopStableTimer(t);
+    if (t.schedule) {
+      t.schedule = null;
+      emit(key, null);
+    }
+    t.stableTimer = setTimeout(() => {
+      if (targets.get(key) === t && !t.schedule) targets.delete(key);
+    }, o.stableMs);
+  }
+
+  // Network / foreground is back: everything waiting tries now, with a fresh backoff
+  function retryNow() {
+    [...targets.keys()].forEach((key) => {
+      const t = targets.get(key);
+      if (!t?.schedule) return; // an attempt is already running
+      t.attempt = 0;
+      fire(key);
+    });
+  }
+
+  function update(nextActive, nextReachable) {
+    const wasBlocked = !active || !reachable;
+    active = nextActive;
+    reachable = nextReachable;
+    if (!active || !reachable) {
+      targets.forEach((t, key) => { if (t.schedule) arm(key); });
+    } else if (wasBlocked) {
+      retryNow();
+    }
+  }
+
+  if (appState?.addEventListener) {
+    const sub = appState.addEventListener('change', s => update(s !== 'background', reachable));
+    stops.push(() => sub?.remove?.());
+  }
+  if (typeof reachability === 'function') {
+    const unsub = reachability(ok => update(active, ok !== false));
+    if (typeof unsub === 'function') stops.push(unsub);
+  }
+
+  return {
+    retry(key, run) {
+      const t = targets.get(key) || { attempt: 0, run: null, timer: null, stableTimer: null, schedule: null };
+      targets.set(key, t);
+      t.run = run;
+      stopStableTimer(t);
+      if (t.schedule) return { ...t.schedule }; // already waiting for this attempt
+      t.attempt += 1;
+      return arm(key);
+    },
+    succeeded,
+    cancel,
+    get(key) {
+      const s = targets.get(key)?.schedule;
+      return s ? { ...s } : null;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    setActive(value) {
+      update(!!value, reachable);
+    },
+    setReachable(value) {
+      update(active, !!value);
+    },
+    retryNow,
+    dispose() {
+      targets.forEach((t) => {
+        stopTimer(t);
+        stopStableTimer(t);
+      });
+      targets.clear();
+      stops.splice(0).forEach(stop => stop());
+      listeners.clear();
+    },
+  };
+}
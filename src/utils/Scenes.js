@@ -0,0 +1,132 @@
+// src/utils/Scenes.js
+// Named ON/OFF scenes per gateway ("night mode", "all lighting off", ...):
+// storage in the repository ('scenes' cache) and a rate-limited runner that reports which channels confirmed.
+
+import { CMD_STATUS } from './CommandTracker';
+import { readCache, writeCache } from './MqttDeviceStorage';
+
+export const SCENE_INTERVAL_MS = 300; // gap between two cmdType 1 publishes
+
+const newSceneId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Keep only valid channel => 'ON' | 'OFF' entries (1..120, 201..224).
+ */
+export function normalizeStates(states) {
+  const out = {};
+  Object.entries(states || {}).forEach(([k, v]) => {
+    const ch = parseInt(String(k).replace(/^C/i, ''), 10);
+    const act = String(v || '').toUpperCase();
+    if (!((ch >= 1 && ch <= 120) || (ch >= 201 && ch <= 224))) return;
+    if (act === 'ON' || act === 'OFF') out[ch] = act;
+  });
+  return out;
+}
+
+/**
+ * Desired states from the current tags: every selected channel with a known ON/OFF status.
+ */
+export function captureStates(tags, channels) {
+  const out = {};
+  (channels || Object.keys(tags || {})).forEach((id) => {
+    const st = String(tags?.[id]?.status || '').toUpperCase();
+    if (st === 'ON' || st === 'OFF') out[id] = st;
+  });
+  return normalizeStates(out);
+}
+
+export async function loadScenes(cpid, deviceId) {
+  try {
+    const list = await readCache('scenes', cpid, deviceId);
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.log('[SCENES] load failed', e?.message || String(e));
+    return [];
+  }
+}
+
+const writeScenes = (cpid, deviceId, list) => writeCache('scenes', cpid, deviceId, list);
+
+/**
+ * Insert or update (same id) a scene; returns the new list.
+ */
+export async function saveScene(cpid, deviceId, { id, name, states }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Scene name is required');
+  const clean = normalizeStates(states);
+  if (Object.keys(clean).length === 0) throw new Error('Select at least one channel');
+
+  const list = await loadScenes(cpid, deviceId);
+  const scene = { id: id || newSceneId(), name: trimmed, states: clean, updatedAt: Date.now() };
+  const idx = list.findIndex(s => s.id === scene.id);
+  const next = idx >= 0 ? list.map(s => (s.id === scene.id ? scene : s)) : [...list, scene];
+  return writeScenes(cpid, deviceId, next);
+}
+
+export async function deleteScene(cpid, deviceId, id) {
+  const list = await loadScenes(cpid, deviceId);
+  return writeScenes(cpid, deviceId, list.filter(s => s.id !== id));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Apply a scene one channel at a time.
+ *   sendSwitch(channel, action) => Promise<{ status, reason }> settled by the command tracker
+ *   currentStatus(channel)      => 'ON' | 'OFF' | ...; channels already there are not sent
+ *   onProgress({ sent, total, confirmed, failed })
+ *   isCancelled()               => stop sending (already sent commands still report)
+ * Resolves { confirmed: [ch], failed: [{ channel, reason }], unchanged: [ch], cancelled }
+ */
+export async function runScene(scene, {
+  sendSwitch,
+  currentStatus = () => null,
+  intervalMs = SCENE_INTERVAL_MS,
+  onProgress,
+  isCancelled = () => false,
+}) {
+  const states = normalizeStates(scene?.states);
+  const channels = Object.keys(states).map(Number).sort((a, b) => a - b);
+
+  const result = { confirmed: [], failed: [], unchanged: [], cancelled: false };
+  const todo = channels.filter((ch) => {
+    if (String(currentStatus(ch) || '').toUpperCase() !== states[ch]) return true;
+    result.unchanged.push(ch);
+    return false;
+  });
+
+  const progress = { sent: 0, total: todo.length, confirmed: 0, failed: 0 };
+  const report = () => onProgress?.({ ...progress });
+  report();
+
+  const waits = [];
+  for (let i = 0; i < todo.length; i++) {
+    if (isCancelled()) {
+      result.cancelled = true;
+      break;
+    }
+    const ch = todo[i];
+    const done = Promise.resolve()
+      .then(() => sendSwitch(ch, states[ch]))
+      .catch(e => ({ status: CMD_STATUS.FAILED, reason: e?.message || String(e) }))
+      .then((r) => {
+        if (r?.status === CMD_STATUS.ACKED) {
+          result.confirmed.push(ch);
+          progress.confirmed += 1;
+        } else {
+          result.failed.push({ channel: ch, reason: r?.reason || r?.status || 'no reply' });
+          progress.failed += 1;
+        }
+        report();
+      });
+    waits.push(done);
+    progress.sent += 1;
+    report();
+    if (i < todo.length - 1) await sleep(intervalMs);
+  }
+
+  await Promise.all(waits);
+  result.confirmed.sort((a, b) => a - b);
+  result.failed.sort((a, b) => a.channel - b.channel);
+  return result;
+}
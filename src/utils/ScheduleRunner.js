@@ -0,0 +1,209 @@
+// src/utils/ScheduleRunner.js
+// Runs the schedules of every watched gateway for the whole app, whichever screen is open:
+// one executor per gateway (see Schedules), commands queued on the gateway's MqttManager queue
+// (sent at once, or after the reconnect) and confirmed by its echo or the next current reading
+// (ON / OFF is sent without an ack request). DevicePresence starts
+// one for every saved device.
+
+import { QUEUE_STATUS } from './CommandQueue';
+import { CMD_STATUS, createCommandTracker } from './CommandTracker';
+import { EBQ_EVENT, currentConfirmsSwitch, decode, encodeSwitch, eventsBaseTopic, randomAckId } from './EbqProtocol';
+import { enqueueCommand, subscribeDeviceMessages } from './MqttManager';
+import { loadScenes, runScene } from './Scenes';
+import { createScheduleExecutor, describeSchedule } from './Schedules';
+
+const runners = new Map();        // deviceId -> { runner, refs }
+const nextListeners = new Map();  // deviceId -> Set(fn)
+const runListeners = new Map();   // deviceId -> Set(fn)
+const nextOf = new Map();         // deviceId -> { schedule, at } | null
+
+function emit(map, id, value) {
+  map.get(id)?.forEach(fn => fn(value));
+}
+
+function listen(map, id, fn) {
+  if (!map.has(id)) map.set(id, new Set());
+  map.get(id).add(fn);
+  return () => {
+    const set = map.get(id);
+    set?.delete(fn);
+    if (set && !set.size) map.delete(id);
+  };
+}
+
+/**
+ * Schedules of one gateway.
+ *   enqueue({ key, label, meta, run })         => Promise of the queue entry; run(publish) sends
+ *   subscribeMessages(fn)                      => unsubscribe; fn({ text }) for every gateway message
+ *   onNext({ schedule, at } | null)            next pending action
+ *   onRun({ schedule, label, ok, detail })     after every run
+ * Returns { start, stop, reload, tick, next }.
+ */
+export function createScheduleRunner({
+  cpid,
+  deviceId,
+  enqueue,
+  subscribeMessages,
+  onNext,
+  onRun,
+  ...executorOptions
+}) {
+  const tracker = createCommandTracker();
+  const topic = `${eventsBaseTopic(cpid, deviceId)}/`;
+  let offMessages = null;
+
+  function onMessage({ text }) {
+    let j = null;
+    try {
+      j = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (_) {
+      return;
+    }
+    if (!j || tracker.handleMessage(j)) return;
+    // Without an ackId the gateway's echo of the commanded action, or a current reading
+    // showing the channel in that state, confirms it
+    const events = decode(j);
+    if (events.some(e => e.type === EBQ_EVENT.ACK)) return;
+    events.forEach((ev) => {
+      if (ev.type === EBQ_EVENT.SWITCH) {
+        if (tracker.pendingFor('switch', ev.channel)?.expect === ev.action) {
+          tracker.settleFor('switch', ev.channel, CMD_STATUS.ACKED, 'echo');
+        }
+      } else if (ev.type === EBQ_EVENT.CURRENT) {
+        Object.entries({ ...ev.single, ...ev.three }).forEach(([ch, cur]) => {
+          const pend = tracker.pendingFor('switch', Number(ch));
+          if (pend && currentConfirmsSwitch(cur, pend.expect)) {
+            tracker.settleFor('switch', Number(ch), CMD_STATUS.ACKED, 'read back');
+          }
+        });
+      }
+    });
+  }
+
+  // Resolves with the command once it is acknowledged, failed or timed out (or never sent)
+  function sendSwitch(channel, action, meta) {
+    const ch = Number(channel);
+    const act = action === 'OFF' ? 'OFF' : 'ON';
+
+    const send = (publish) => {
+      const ackId = randomAckId();
+      const payload = JSON.stringify(encodeSwitch({ cpid, deviceId, action: act, channel: ch, ackId }));
+      const cmd = tracker.track({ ackId, kind: 'switch', channel: ch, expect: act, payloads: [payload], meta });
+      Promise.resolve()
+        .then(() => publish({ topic, payload, qos: 1, retained: false }))
+        .catch(e => tracker.settleFor('switch', ch, CMD_STATUS.FAILED, e?.message || String(e)));
+      return cmd;
+    };
+
+    // Same key as an ON/OFF from the device screen: the newer one of the two is sent
+    return enqueue({ key: `switch:${ch}`, label: `C${ch} ${act}`, meta: { kind: 'schedule', channel: ch }, run: send })
+      .then(entry => (entry.status === QUEUE_STATUS.SENT
+        ? tracker.whenSettled(entry.result.id)
+        : { status: CMD_STATUS.FAILED, reason: entry.reason }));
+  }
+
+  async function runAction(schedule) {
+    const label = describeSchedule(schedule);
+    const target = schedule.target || {};
+    if (target.type === 'scene') {
+      const scene = (await loadScenes(cpid, deviceId)).find(x => x.id === target.sceneId);
+      if (!scene) {
+        onRun?.({ schedule, label, ok: false, detail: 'scene deleted' });
+        return;
+      }
+      const r = await runScene(scene, { sendSwitch: (ch, act) => sendSwitch(ch, act, { schedule: schedule.id }) });
+      onRun?.({
+        schedule,
+        label,
+        ok: r.failed.length === 0,
+        detail: `${r.confirmed.length} confirmed, ${r.failed.length} failed`,
+      });
+      return;
+    }
+    const cmd = await sendSwitch(target.channel, target.action, { schedule: schedule.id });
+    const ok = cmd?.status === CMD_STATUS.ACKED;
+    onRun?.({ schedule, label, ok, detail: ok ? 'confirmed' : `${cmd?.status}: ${cmd?.reason}` });
+  }
+
+  const exec = createScheduleExecutor({ cpid, deviceId, runAction, onNext, ...executorOptions });
+
+  return {
+    ...exec,
+    start() {
+      if (!offMessages) offMessages = subscribeMessages(onMessage);
+      exec.start();
+    },
+    stop() {
+      exec.stop();
+      offMessages?.();
+      offMessages = null;
+      tracker.reset('stopped');
+      tracker.dispose();
+    },
+  };
+}
+
+/**
+ * Run the schedules of a saved device until stop() is called (reference counted per device).
+ */
+export function watchSchedules(device) {
+  const id = String(device?.deviceId ?? device?.id ?? '').trim();
+  if (!id) return () => { };
+
+  let slot = runners.get(id);
+  if (!slot) {
+    const runner = createScheduleRunner({
+      cpid: String(device.cpId || ''),
+      deviceId: id,
+      enqueue: cmd => enqueueCommand(id, cmd),
+      subscribeMessages: fn => subscribeDeviceMessages(id, fn),
+      onNext: (n) => {
+        nextOf.set(id, n);
+        emit(nextListeners, id, n);
+      },
+      onRun: (run) => {
+        console.log('[SCHEDULE]', id, run.label, run.ok ? 'ok' : 'failed', run.detail);
+        emit(runListeners, id, run);
+      },
+    });
+    slot = { runner, refs: 0 };
+    runners.set(id, slot);
+    runner.start();
+  }
+  slot.refs += 1;
+
+  let stopped = false;
+  return () => {
+    if (stopped) return;
+    stopped = true;
+    slot.refs -= 1;
+    if (slot.refs > 0 || runners.get(id) !== slot) return;
+    runners.delete(id);
+    slot.runner.stop();
+    nextOf.delete(id);
+    emit(nextListeners, id, null);
+  };
+}
+
+/**
+ * Read the schedules of a device again after they were edited.
+ */
+export function reloadSchedules(deviceId) {
+  return runners.get(String(deviceId ?? '').trim())?.runner.reload() ?? Promise.resolve();
+}
+
+/**
+ * fn({ schedule, at } | null) now and whenever the next pending action of the device changes.
+ */
+export function subscribeNextSchedule(deviceId, fn) {
+  const id = String(deviceId ?? '').trim();
+  fn(nextOf.get(id) ?? null);
+  return listen(nextListeners, id, fn);
+}
+
+/**
+ * fn({ schedule, label, ok, detail }) after every schedule run of the device.
+ */
+export function subscribeScheduleRuns(deviceId, fn) {
+  return listen(runListeners, String(deviceId ?? '').trim(), fn);
+}
@@ -0,0 +1,304 @@
+// src/utils/Schedules.js
+// Per-gateway timers: switch one channel or apply a scene once, daily or on chosen weekdays,
+// at a clock time or relative to local sunrise / sunset. The executor only runs while the app does.
+
+import { readCache, writeCache } from './MqttDeviceStorage';
+
+export const SCHEDULE_REPEAT = { ONCE: 'once', DAILY: 'daily', WEEKLY: 'weekly' };
+export const SCHEDULE_BASE = { CLOCK: 'clock', SUNRISE: 'sunrise', SUNSET: 'sunset' };
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TICK_MS = 15000;
+
+const newScheduleId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const pad2 = n => String(n).padStart(2, '0');
+
+function parseTime(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || '').trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  return h < 24 && min < 60 ? { h, min } : null;
+}
+
+function parseDate(ymd) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(ymd || '').trim());
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 ? d : null;
+}
+
+export const formatDate = d => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+/**
+ * "18:30" for today, "Mon 6/2 18:30" otherwise.
+ */
+export function formatRunAt(at, now = Date.now()) {
+  if (at == null) return '—';
+  const d = new Date(at);
+  const hhmm = `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  if (formatDate(d) === formatDate(new Date(now))) return hhmm;
+  return `${WEEKDAYS[d.getDay()]} ${d.getMonth() + 1}/${d.getDate()} ${hhmm}`;
+}
+
+// ===== Sunrise / sunset (sunrise equation, about a minute of accuracy) =====
+const rad = Math.PI / 180;
+
+/**
+ * Sunrise / sunset (ms) on the local calendar day of `date` at lat / lon (degrees, east positive).
+ * Returns null values during polar day / night.
+ */
+export function sunTimes(date, lat, lon) {
+  const noonUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+  const n = Math.round(noonUtc / DAY_MS + 2440587.5 - 2451545.0);
+  const jStar = n - lon / 360;
+  const M = (357.5291 + 0.98560028 * jStar) % 360;
+  const C = 1.9148 * Math.sin(M * rad) + 0.02 * Math.sin(2 * M * rad) + 0.0003 * Math.sin(3 * M * rad);
+  const lambda = (M + C + 180 + 102.9372) % 360;
+  const jTransit = 2451545.0 + jStar + 0.0053 * Math.sin(M * rad) - 0.0069 * Math.sin(2 * lambda * rad);
+  const sinDecl = Math.sin(lambda * rad) * Math.sin(23.44 * rad);
+  const cosDecl = Math.cos(Math.asin(sinDecl));
+  const cosOmega = (Math.sin(-0.833 * rad) - Math.sin(lat * rad) * sinDecl) / (Math.cos(lat * rad) * cosDecl);
+  if (!(cosOmega >= -1 && cosOmega <= 1)) return { sunrise: null, sunset: null };
+
+  const omega = Math.acos(cosOmega) / rad;
+  const toMs = j => Math.round((j - 2440587.5) * DAY_MS);
+  return { sunrise: toMs(jTransit - omega / 360), sunset: toMs(jTransit + omega / 360) };
+}
+
+function validLocation(location) {
+  const lat = Number(location?.lat);
+  const lon = Number(location?.lon);
+  return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+/**
+ * Fire time (ms) of a schedule on the local day `day`, or null (no sunrise that day / no location).
+ */
+function fireTimeOn(schedule, day, location) {
+  const base = schedule.base || SCHEDULE_BASE.CLOCK;
+  if (base === SCHEDULE_BASE.CLOCK) {
+    const t = parseTime(schedule.time);
+    return t ? new Date(day.getFullYear(), day.getMonth(), day.getDate(), t.h, t.min).getTime() : null;
+  }
+  if (!validLocation(location)) return null;
+  const sun = sunTimes(day, Number(location.lat), Number(location.lon))[base];
+  return sun == null ? null : sun + (Number(schedule.offsetMin) || 0) * 60000;
+}
+
+/**
+ * Next fire time (ms) strictly after `from`, or null if the schedule will not fire again.
+ */
+export function nextRun(schedule, from = Date.now(), location = null) {
+  if (!schedule?.enabled) return null;
+
+  if (schedule.repeat === SCHEDULE_REPEAT.ONCE) {
+    const day = parseDate(schedule.date);
+    const t = day ? fireTimeOn(schedule, day, location) : null;
+    return t != null && t > from ? t : null;
+  }
+
+  const days = schedule.repeat === SCHEDULE_REPEAT.WEEKLY ? (schedule.days || []) : [0, 1, 2, 3, 4, 5, 6];
+  if (days.length === 0) return null;
+
+  const start = new Date(from);
+  // Start one day back: a sunset offset can push yesterday's run past midnight
+  for (let k = -1; k <= 8; k++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + k);
+    if (!days.includes(day.getDay())) continue;
+    const t = fireTimeOn(schedule, day, location);
+    if (t != null && t > from) return t;
+  }
+  return null;
+}
+
+/**
+ * Throws with a user-facing message when a schedule cannot be saved.
+ */
+export function validateSchedule(schedule, location) {
+  const target = schedule?.target || {};
+  if (target.type === 'scene') {
+    if (!target.sceneId) throw new Error('Choose a scene');
+  } else {
+    const ch = Number(target.channel);
+    if (!((ch >= 1 && ch <= 120) || (ch >= 201 && ch <= 224))) throw new Error('Channel must be 1-120 or 201-224');
+    if (target.action !== 'ON' && target.action !== 'OFF') throw new Error('Choose ON or OFF');
+  }
+
+  const base = schedule.base || SCHEDULE_BASE.CLOCK;
+  if (base === SCHEDULE_BASE.CLOCK) {
+    if (!parseTime(schedule.time)) throw new Error('Time must be HH:MM');
+  } else {
+    if (!validLocation(location)) throw new Error('Sunrise / sunset needs a latitude and longitude');
+    if (!Number.isFinite(Number(schedule.offsetMin))) throw new Error('Offset must be a number of minutes');
+  }
+
+  if (schedule.repeat === SCHEDULE_REPEAT.ONCE && !parseDate(schedule.date)) throw new Error('Date must be YYYY-MM-DD');
+  if (schedule.repeat === SCHEDULE_REPEAT.WEEKLY && !(schedule.days || []).length) throw new Error('Choose at least one day');
+}
+
+export function describeTarget(schedule) {
+  const target = schedule?.target || {};
+  return target.type === 'scene'
+    ? `Scene ${target.name || ''}`.trim()
+    : `C${target.channel} ${target.action}`;
+}
+
+export function describeSchedule(schedule) {
+  const what = describeTarget(schedule);
+
+  let when;
+  const base = schedule.base || SCHEDULE_BASE.CLOCK;
+  if (base === SCHEDULE_BASE.CLOCK) {
+    when = String(schedule.time || '');
+  } else {
+    const off = Number(schedule.offsetMin) || 0;
+    when = `${base === SCHEDULE_BASE.SUNRISE ? 'Sunrise' : 'Sunset'}${off ? ` ${off > 0 ? '+' : ''}${off} min` : ''}`;
+  }
+
+  if (schedule.repeat === SCHEDULE_REPEAT.ONCE) return `${what} · ${schedule.date} ${when}`;
+  if (schedule.repeat === SCHEDULE_REPEAT.WEEKLY) {
+    const days = [...(schedule.days || [])].sort().map(d => WEEKDAYS[d]).join(' ');
+    return `${what} · ${days} ${when}`;
+  }
+  return `${what} · Daily ${when}`;
+}
+
+// ===== Storage ('schedules' cache): { location: { lat, lon } | null, schedules: [] } per gateway =====
+export async function loadSchedules(cpid, deviceId) {
+  try {
+    const data = await readCache('schedules', cpid, deviceId);
+    return {
+      location: validLocation(data?.location) ? data.location : null,
+      schedules: Array.isArray(data?.schedules) ? data.schedules : [],
+    };
+  } catch (e) {
+    console.log('[SCHEDULE] load failed', e?.message || String(e));
+    return { location: null, schedules: [] };
+  }
+}
+
+async function updateSchedules(cpid, deviceId, fn) {
+  const data = await loadSchedules(cpid, deviceId);
+  return writeCache('schedules', cpid, deviceId, fn(data));
+}
+
+/**
+ * Insert or update (same id) a schedule, optionally together with a new location.
+ */
+export function saveSchedule(cpid, deviceId, schedule, location) {
+  return updateSchedules(cpid, deviceId, (data) => {
+    const loc = location !== undefined ? location : data.location;
+    validateSchedule(schedule, loc);
+    const item = { enabled: true, ...schedule, id: schedule.id || newScheduleId(), updatedAt: Date.now() };
+    const exists = data.schedules.some(s => s.id === item.id);
+    return {
+      location: loc,
+      schedules: exists ? data.schedules.map(s => (s.id === item.id ? item : s)) : [...data.schedules, item],
+    };
+  });
+}
+
+export function setScheduleEnabled(cpid, deviceId, id, enabled) {
+  return updateSchedules(cpid, deviceId, data => ({
+    ...data,
+    schedules: data.schedules.map(s => (s.id === id ? { ...s, enabled: !!enabled } : s)),
+  }));
+}
+
+export function deleteSchedule(cpid, deviceId, id) {
+  return updateSchedules(cpid, deviceId, data => ({
+    ...data,
+    schedules: data.schedules.filter(s => s.id !== id),
+  }));
+}
+
+/**
+ * Runs due schedules of one gateway while the app is open.
+ *   runAction(schedule) => Promise   publish the channel command / apply the scene
+ *   onNext({ schedule, at } | null)  next pending action, for the header
+ * Runs missed while the app was closed are skipped, not replayed.
+ */
+export function createScheduleExecutor({
+  cpid,
+  deviceId,
+  runAction,
+  onNext,
+  tickMs = DEFAULT_TICK_MS,
+  now = () => Date.now(),
+}) {
+  let data = { location: null, schedules: [] };
+  let lastCheck = now();
+  let timer = null;
+  let running = false;
+  let disposed = false;
+
+  function next() {
+    let best = null;
+    data.schedules.forEach((s) => {
+      const at = nextRun(s, now(), data.location);
+      if (at != null && (!best || at < best.at)) best = { schedule: s, at };
+    });
+    return best;
+  }
+
+  const emitNext = () => onNext?.(next());
+
+  async function reload() {
+    data = await loadSchedules(cpid, deviceId);
+    if (!disposed) emitNext();
+  }
+
+  async function tick() {
+    if (running || disposed) return;
+    running = true;
+    const t = now();
+    try {
+      const due = data.schedules.filter((s) => {
+        const at = nextRun(s, lastCheck, data.location);
+        return at != null && at <= t;
+      });
+      lastCheck = t;
+
+      for (const s of due) {
+        try {
+          await runAction(s);
+        } catch (e) {
+          console.log('[SCHEDULE] run failed', s.id, e?.message || String(e));
+        }
+      }
+
+      if (due.length) {
+        const ids = new Set(due.map(s => s.id));
+        data = await updateSchedules(cpid, deviceId, d => ({
+          ...d,
+          schedules: d.schedules.map((s) => {
+            if (!ids.has(s.id)) return s;
+            // One-shot schedules switch themselves off after running
+            return { ...s, lastRunAt: t, enabled: s.repeat === SCHEDULE_REPEAT.ONCE ? false : s.enabled };
+          }),
+        }));
+      }
+      if (!disposed) emitNext();
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || disposed) return;
+    lastCheck = now();
+    reload();
+    timer = setInterval(tick, tickMs);
+  }
+
+  function stop() {
+    disposed = true;
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, reload, tick, next };
+}
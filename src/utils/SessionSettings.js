@@ -0,0 +1,86 @@
+// src/utils/SessionSettings.js
+// MQTT session options of a broker profile (copied onto its devices):
+//  - cleanSession: false keeps a persistent session; device topics are then subscribed with QoS 1
+//                  and the broker keeps QoS 1 messages for the app during short disconnects
+//  - clientId:     fixed client id; '' = one generated per installation and broker (stableClientId)
+//  - willTopic / willPayload / willQos / willRetain: Last Will the broker publishes when the app
+//                  drops off without disconnecting, e.g. "offline" on a monitoring topic. With
+//                  willRetain the app publishes ONLINE_PAYLOAD there (retained) after every connect.
+// Only pooled connections (MqttManager) use them: login checks, Test, Discover and Diagnostics
+// connect with a throw-away client id and a clean session, so they never take over the app's session.
+
+import { sha256, toBase64, utf8Encode } from './VaultCrypto';
+
+export const DEFAULT_SESSION = {
+  cleanSession: true,
+  clientId: '',
+  willTopic: '',
+  willPayload: 'offline',
+  willQos: 1,
+  willRetain: true,
+};
+
+export const ONLINE_PAYLOAD = 'online';
+
+export const SESSION_FIELDS = Object.keys(DEFAULT_SESSION);
+
+const CLIENT_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+export function normalizeSessionSettings(raw) {
+  const qos = Number(raw?.willQos);
+  return {
+    cleanSession: raw?.cleanSession !== false && raw?.cleanSession !== 'false',
+    clientId: String(raw?.clientId ?? '').trim(),
+    willTopic: String(raw?.willTopic ?? '').trim(),
+    willPayload: String(raw?.willPayload ?? DEFAULT_SESSION.willPayload),
+    willQos: [0, 1, 2].includes(qos) ? qos : DEFAULT_SESSION.willQos,
+    willRetain: raw?.willRetain == null ? DEFAULT_SESSION.willRetain : raw.willRetain === true || raw.willRetain === 'true',
+  };
+}
+
+/**
+ * Errors of (normalized) session settings; [] when they can be used.
+ */
+export function validateSessionSettings(session) {
+  const errors = [];
+  if (session?.clientId && !CLIENT_ID_RE.test(session.clientId)) {
+    errors.push('Client ID may only use letters, digits, . _ - (up to 64)');
+  }
+  const topic = session?.willTopic || '';
+  if (/[+#]/.test(topic)) errors.push('Last Will topic must not contain + or #');
+  else if (topic.startsWith('$')) errors.push('Last Will topic must not start with $');
+  return errors;
+}
+
+/**
+ * Short summary for lists, e.g. "persistent session, will" ('' with the defaults).
+ */
+export function describeSession(session) {
+  const parts = [];
+  if (session?.cleanSession === false) parts.push('persistent session');
+  if (session?.willTopic) parts.push('will');
+  return parts.join(', ');
+}
+
+/**
+ * Client id of one pooled broker connection, the same after every restart:
+ * ebq_<installId>_<6 chars of the broker key> (up to 23 characters, which every broker accepts).
+ */
+export function stableClientId(installId, key) {
+  const id = String(installId || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 10);
+  const digest = toBase64(sha256(utf8Encode(String(key ?? '')))).replace(/[^A-Za-z0-9]/g, '');
+  return `ebq_${id}_${digest.slice(0, 6)}`;
+}
+
+/**
+ * Options for MqttClient.connect: cleanSession, and will only when a topic is set.
+ */
+export function sessionConnectOptions(raw) {
+  const s = normalizeSessionSettings(raw);
+  return {
+    cleanSession: s.cleanSession,
+    ...(s.willTopic
+      ? { will: { topic: s.willTopic, payload: s.willPayload, qos: s.willQos, retain: s.willRetain } }
+      : null),
+  };
+}
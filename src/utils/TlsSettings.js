@@ -0,0 +1,110 @@
+// src/utils/TlsSettings.js
+// TLS security of a broker profile (copied onto its devices):
+//  - caCert:             PEM certificate(s) the broker chain must lead to (instead of accepting any certificate)
+//  - pinSha256:          SHA-256 fingerprints (DER, as shown by Diagnostics); one certificate of the chain must match
+//  - clientCert:         client certificate + key as base64 PKCS#12 (.p12), for brokers that require mutual TLS
+//  - clientCertPassword: password of the PKCS#12
+// Without any of them TLS connections accept every certificate, as before. The client certificate
+// and its password are secrets: they live in the CredentialVault next to username / password.
+
+import { sha256, toBase64, utf8Encode } from './VaultCrypto';
+
+const PEM_CERT_RE = /-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/g;
+const BASE64_RE = /^[A-Za-z0-9+/]+={0,2}$/;
+const PIN_RE = /^[0-9A-F]{64}$/;
+
+/**
+ * Fingerprints from text ("AB:CD:…", one per line / comma separated) or an array;
+ * returns unique upper-case hex strings without separators.
+ */
+export function normalizePins(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[\n,;]+/);
+  const out = [];
+  items.forEach((item) => {
+    const pin = String(item ?? '').trim().replace(/^sha-?256\s*[:/=]?\s*/i, '').replace(/[\s:]/g, '').toUpperCase();
+    if (pin && !out.includes(pin)) out.push(pin);
+  });
+  return out;
+}
+
+/**
+ * 'AB:CD:…' form of a fingerprint (for display and editing).
+ */
+export const formatFingerprint = pin => String(pin || '').match(/.{1,2}/g)?.join(':') ?? '';
+
+/**
+ * PEM text trimmed to its certificate blocks ('' when there are none).
+ */
+function normalizePem(value) {
+  const text = String(value ?? '').replace(/\r\n?/g, '\n').trim();
+  if (!text) return '';
+  const blocks = text.match(PEM_CERT_RE);
+  return blocks ? blocks.join('\n') : text;
+}
+
+export function normalizeTlsSettings(raw) {
+  return {
+    caCert: normalizePem(raw?.caCert),
+    pinSha256: normalizePins(raw?.pinSha256),
+    clientCert: String(raw?.clientCert ?? '').replace(/-----(BEGIN|END) [A-Z0-9 ]+-----/g, '').replace(/\s+/g, ''),
+    clientCertPassword: String(raw?.clientCertPassword ?? ''),
+  };
+}
+
+/**
+ * Errors of (normalized) TLS settings; [] when they can be used.
+ */
+export function validateTlsSettings(tls) {
+  const errors = [];
+  if (tls?.caCert) {
+    const bodies = [...tls.caCert.matchAll(PEM_CERT_RE)].map(m => m[1].replace(/\s+/g, ''));
+    if (!bodies.length) errors.push('CA certificate must be PEM (-----BEGIN CERTIFICATE-----)');
+    else if (bodies.some(b => !BASE64_RE.test(b))) errors.push('CA certificate is not valid PEM');
+  }
+  const badPin = (tls?.pinSha256 || []).find(p => !PIN_RE.test(p));
+  if (badPin) errors.push(`Pinned fingerprint ${badPin.slice(0, 16)}… is not a SHA-256 fingerprint`);
+  if (tls?.clientCert && (!BASE64_RE.test(tls.clientCert) || tls.clientCert.length < 64)) {
+    errors.push('Client certificate must be a base64 PKCS#12 (.p12) file');
+  }
+  if (!tls?.clientCert && tls?.clientCertPassword) errors.push('Client certificate password without a certificate');
+  return errors;
+}
+
+/**
+ * True when any TLS security option is set.
+ */
+export const hasCustomTls = tls => !!(tls?.caCert || tls?.pinSha256?.length || tls?.clientCert);
+
+/**
+ * Short summary for lists, e.g. "CA, 2 pins, client cert" ('' without options).
+ */
+export function describeTls(tls) {
+  const parts = [];
+  if (tls?.caCert) parts.push('CA');
+  const pins = tls?.pinSha256?.length || 0;
+  if (pins) parts.push(pins === 1 ? '1 pin' : `${pins} pins`);
+  if (tls?.clientCert) parts.push('client cert');
+  return parts.join(', ');
+}
+
+/**
+ * Options for MqttClient.connect / the native modules: only the fields that are set.
+ */
+export function tlsConnectOptions(raw) {
+  const tls = normalizeTlsSettings(raw);
+  return {
+    ...(tls.caCert ? { caCert: tls.caCert } : null),
+    ...(tls.pinSha256.length ? { pinSha256: tls.pinSha256 } : null),
+    ...(tls.clientCert ? { clientCert: tls.clientCert, clientCertPassword: tls.clientCertPassword } : null),
+  };
+}
+
+/**
+ * Compact identity of the TLS settings (connections with different settings are not shared).
+ */
+export function tlsKey(raw) {
+  const tls = normalizeTlsSettings(raw);
+  if (!hasCustomTls(tls)) return '';
+  const digest = sha256(utf8Encode([tls.caCert, tls.pinSha256.join(','), tls.clientCert].join('|')));
+  return toBase64(digest).slice(0, 12);
+}
@@ -0,0 +1,217 @@
+// src/utils/VaultCrypto.js
+// Pure-JS crypto for the credential vault's software fallback (no native crypto needed):
+// SHA-256, HMAC-SHA256, PBKDF2-HMAC-SHA256 and an encrypt-then-MAC box
+// (HMAC-SHA256 keystream in counter mode + HMAC-SHA256 tag).
+
+/* eslint-disable no-bitwise */
+
+import { decodeUtf8, encodeUtf8 } from './MqttPacket';
+
+// ===== Bytes / text helpers =====
+export const utf8Encode = str => encodeUtf8(String(str ?? ''));
+export const utf8Decode = bytes => decodeUtf8(bytes);
+
+export function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  parts.forEach((p) => {
+    out.set(p, off);
+    off += p.length;
+  });
+  return out;
+}
+
+const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function toBase64(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    out += B64[(n >> 18) & 63] + B64[(n >> 12) & 63];
+    out += i + 1 < bytes.length ? B64[(n >> 6) & 63] : '=';
+    out += i + 2 < bytes.length ? B64[n & 63] : '=';
+  }
+  return out;
+}
+
+export function fromBase64(str) {
+  const clean = String(str || '').replace(/[^A-Za-z0-9+/]/g, '');
+  const out = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let bits = 0;
+  let acc = 0;
+  let o = 0;
+  for (let i = 0; i < clean.length; i++) {
+    acc = (acc << 6) | B64.indexOf(clean[i]);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      out[o++] = (acc >> bits) & 0xff;
+    }
+  }
+  return out.subarray(0, o);
+}
+
+// ===== SHA-256 =====
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+export function sha256(data) {
+  const len = data.length;
+  const padded = new Uint8Array(((len + 9 + 63) >> 6) << 6);
+  padded.set(data);
+  padded[len] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(len / 0x20000000));
+  view.setUint32(padded.length - 4, (len << 3) >>> 0);
+
+  const H = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const W = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let off = 0; off < padded.length; off += 64) {
+    for (let i = 0; i < 16; i++) W[i] = view.getUint32(off + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+      const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+      W[i] = (W[i - 16] + s0 + W[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + W[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+    H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  }
+
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  H.forEach((v, i) => outView.setUint32(i * 4, v));
+  return out;
+}
+
+export function hmacSha256(key, data) {
+  const k = key.length > 64 ? sha256(key) : key;
+  const block = new Uint8Array(64);
+  block.set(k);
+  const inner = block.map(b => b ^ 0x36);
+  const outer = block.map(b => b ^ 0x5c);
+  return sha256(concatBytes(outer, sha256(concatBytes(inner, data))));
+}
+
+export function pbkdf2Sha256(password, salt, iterations, length = 32) {
+  const blocks = Math.ceil(length / 32);
+  const out = new Uint8Array(blocks * 32);
+  for (let b = 1; b <= blocks; b++) {
+    const counter = new Uint8Array([b >>> 24, (b >>> 16) & 0xff, (b >>> 8) & 0xff, b & 0xff]);
+    let u = hmacSha256(password, concatBytes(salt, counter));
+    const t = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      u = hmacSha256(password, u);
+      for (let j = 0; j < 32; j++) t[j] ^= u[j];
+    }
+    out.set(t, (b - 1) * 32);
+  }
+  return out.subarray(0, length);
+}
+
+// ===== Randomness =====
+// crypto.getRandomValues when the runtime has it; otherwise an HMAC generator over a pool that
+// the vault seeds from the platform keystore module (addEntropy). Math.random is only mixed in.
+let pool = sha256(utf8Encode(`${Date.now()}:${Math.random()}`));
+let drawn = 0;
+
+export function addEntropy(bytes) {
+  pool = sha256(concatBytes(pool, bytes));
+}
+
+export function randomBytes(n) {
+  const out = new Uint8Array(n);
+  const webCrypto = global.crypto;
+  if (typeof webCrypto?.getRandomValues === 'function') {
+    webCrypto.getRandomValues(out);
+    return out;
+  }
+  for (let off = 0; off < n; off += 32) {
+    drawn += 1;
+    const block = hmacSha256(pool, utf8Encode(`${drawn}:${Date.now()}:${Math.random()}`));
+    out.set(block.subarray(0, Math.min(32, n - off)), off);
+  }
+  pool = hmacSha256(pool, utf8Encode('next'));
+  return out;
+}
+
+// ===== Authenticated encryption =====
+const BOX_VERSION = 'v1';
+const IV_BYTES = 16;
+const TAG_BYTES = 32;
+
+function subKeys(key) {
+  return { enc: hmacSha256(key, utf8Encode('ebq-vault-enc')), mac: hmacSha256(key, utf8Encode('ebq-vault-mac')) };
+}
+
+function keystream(encKey, iv, data) {
+  const out = new Uint8Array(data.length);
+  for (let off = 0, ctr = 0; off < data.length; off += 32, ctr++) {
+    const block = hmacSha256(encKey, concatBytes(iv, new Uint8Array([ctr >>> 24, (ctr >>> 16) & 0xff, (ctr >>> 8) & 0xff, ctr & 0xff])));
+    for (let i = 0; i < 32 && off + i < data.length; i++) out[off + i] = data[off + i] ^ block[i];
+  }
+  return out;
+}
+
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Encrypt a string with a 32-byte key. Returns "v1.<base64(iv | ciphertext | tag)>".
+ */
+export function sealString(key, plaintext) {
+  const { enc, mac } = subKeys(key);
+  const iv = randomBytes(IV_BYTES);
+  const ct = keystream(enc, iv, utf8Encode(plaintext));
+  const tag = hmacSha256(mac, concatBytes(iv, ct));
+  return `${BOX_VERSION}.${toBase64(concatBytes(iv, ct, tag))}`;
+}
+
+/**
+ * Decrypt a sealString() box. Throws when the key is wrong or the data was changed.
+ */
+export function openString(key, sealed) {
+  const [version, body] = String(sealed || '').split('.');
+  const raw = fromBase64(body);
+  if (version !== BOX_VERSION || raw.length < IV_BYTES + TAG_BYTES) throw new Error('Vault data is corrupted');
+
+  const { enc, mac } = subKeys(key);
+  const iv = raw.subarray(0, IV_BYTES);
+  const ct = raw.subarray(IV_BYTES, raw.length - TAG_BYTES);
+  const tag = raw.subarray(raw.length - TAG_BYTES);
+  if (!sameBytes(tag, hmacSha256(mac, concatBytes(iv, ct)))) throw new Error('Wrong key or corrupted vault data');
+  return utf8Decode(keystream(enc, iv, ct));
+}